@@ -8,11 +8,29 @@ const { Op } = require('sequelize');
 const DatabaseManager = require('./config/database');
 const TransactionController = require('./controllers/TransactionController');
 const ApiController = require('./controllers/ApiController');
+const AdminController = require('./controllers/AdminController');
+const AccountController = require('./controllers/AccountController');
+const BatchController = require('./controllers/BatchController');
+const InstructionController = require('./controllers/InstructionController');
+const TenantController = require('./controllers/TenantController');
+const WebhookController = require('./controllers/WebhookController');
+const MappingProfileController = require('./controllers/MappingProfileController');
+const PartyController = require('./controllers/PartyController');
+const CurrencyMappingController = require('./controllers/CurrencyMappingController');
 const AuthMiddleware = require('./middleware/auth');
 const SchedulerService = require('./services/SchedulerService');
 
 const createTransactionRoutes = require('./routes/transactions');
 const createApiRoutes = require('./routes/api');
+const createAdminRoutes = require('./routes/admin');
+const createAccountRoutes = require('./routes/accounts');
+const createBatchRoutes = require('./routes/batches');
+const createInstructionRoutes = require('./routes/instructions');
+const createTenantRoutes = require('./routes/tenants');
+const createWebhookRoutes = require('./routes/webhooks');
+const createMappingProfileRoutes = require('./routes/mappingProfiles');
+const createPartyRoutes = require('./routes/parties');
+const createCurrencyMappingRoutes = require('./routes/currencyMappings');
 
 class HoodieChickenMiddleware {
   constructor() {
@@ -38,10 +56,19 @@ class HoodieChickenMiddleware {
       // Initialize controllers with proper dependency injection
       this.transactionController = new TransactionController(this.sequelize);
       this.apiController = new ApiController(this.sequelize);
+      this.accountController = new AccountController(this.sequelize);
+      this.batchController = new BatchController(this.sequelize);
+      this.instructionController = new InstructionController(this.sequelize);
       this.authMiddleware = new AuthMiddleware(this.apiController);
       
       // Initialize scheduler service
       this.schedulerService = new SchedulerService(this.sequelize);
+      this.adminController = new AdminController(this.schedulerService);
+      this.tenantController = new TenantController(this.sequelize, this.schedulerService);
+      this.webhookController = new WebhookController(this.sequelize);
+      this.mappingProfileController = new MappingProfileController(this.sequelize, this.transactionController);
+      this.partyController = new PartyController(this.sequelize);
+      this.currencyMappingController = new CurrencyMappingController(this.sequelize);
       
       // Setup Express middleware
       this.setupMiddleware();
@@ -55,10 +82,17 @@ class HoodieChickenMiddleware {
       // Sync database models
       await this.sequelize.sync({ alter: true });
       
+      // First admin key for a fresh install
+      await this.apiController.bootstrapAdminKey();
+      
       // Start background scheduled jobs
       if (process.env.NODE_ENV !== 'test') {
         this.schedulerService.startTransactionMonitoring();
         this.schedulerService.startValidationCleanup();
+        this.schedulerService.startDailyStatements();
+        this.schedulerService.startWebhookRetries();
+        this.schedulerService.startJobWorker();
+        await this.schedulerService.startTransactionStreaming();
       }
     
       return this;
@@ -206,6 +240,33 @@ class HoodieChickenMiddleware {
     // Transaction routes
     this.app.use('/api/v1/transactions', createTransactionRoutes(this.transactionController, this.authMiddleware));
     
+    // Account routes
+    this.app.use('/api/v1/accounts', createAccountRoutes(this.accountController, this.authMiddleware));
+    
+    // Batch routes
+    this.app.use('/api/v1/batches', createBatchRoutes(this.batchController, this.authMiddleware));
+    
+    // Instruction routes
+    this.app.use('/api/v1/instructions', createInstructionRoutes(this.instructionController, this.authMiddleware));
+    
+    // Admin routes
+    this.app.use('/api/v1/admin', createAdminRoutes(this.adminController, this.authMiddleware));
+
+    // Tenant routes
+    this.app.use('/api/v1/tenants', createTenantRoutes(this.tenantController, this.authMiddleware));
+
+    // Webhook routes
+    this.app.use('/api/v1/webhooks', createWebhookRoutes(this.webhookController, this.authMiddleware));
+
+    // Mapping profile routes
+    this.app.use('/api/v1/mapping-profiles', createMappingProfileRoutes(this.mappingProfileController, this.authMiddleware));
+
+    // Party registry routes
+    this.app.use('/api/v1/parties', createPartyRoutes(this.partyController, this.authMiddleware));
+
+    // Currency mapping routes
+    this.app.use('/api/v1/currency-mappings', createCurrencyMappingRoutes(this.currencyMappingController, this.authMiddleware));
+    
     // Root endpoint - API documentation
     this.app.get('/', (req, res) => {
       res.json({
@@ -225,17 +286,91 @@ class HoodieChickenMiddleware {
             process: 'POST /api/v1/transactions/process/{txHash}',
             get: 'GET /api/v1/transactions/{id}',
             xml: 'GET /api/v1/transactions/{id}/xml',
-            revalidate: 'POST /api/v1/transactions/{id}/revalidate'
+            statusReport: 'GET /api/v1/transactions/{id}/status-report',
+            linkReturn: 'POST /api/v1/transactions/{id}/return',
+            returns: 'GET /api/v1/transactions/{id}/returns',
+            revalidate: 'POST /api/v1/transactions/{id}/revalidate',
+            acknowledge: 'POST /api/v1/transactions/{id}/acknowledge',
+            history: 'GET /api/v1/transactions/{id}/history',
+            messages: 'GET /api/v1/transactions/{id}/messages',
+            regenerate: 'POST /api/v1/transactions/{id}/messages',
+            message: 'GET /api/v1/transactions/{id}/messages/{messageId}'
+          },
+          accounts: {
+            statements: 'GET /api/v1/accounts/{address}/statements?from=&to=',
+            storedStatement: 'GET /api/v1/accounts/{address}/statements/{statementId}'
+          },
+          batches: {
+            create: 'POST /api/v1/batches',
+            get: 'GET /api/v1/batches/{id}',
+            xml: 'GET /api/v1/batches/{id}/xml'
+          },
+          instructions: {
+            submit: 'POST /api/v1/instructions',
+            get: 'GET /api/v1/instructions/{id}',
+            statusReport: 'GET /api/v1/instructions/{id}/status-report',
+            statusReportByMessageId: 'GET /api/v1/instructions/messages/{messageId}/status-report'
           },
           apiKeys: {
             generate: 'POST /api/v1/keys',
             list: 'GET /api/v1/keys',
             revoke: 'DELETE /api/v1/keys/{keyId}'
+          },
+          admin: {
+            backfill: 'POST /api/v1/admin/backfill',
+            jobs: 'GET /api/v1/admin/jobs',
+            job: 'GET /api/v1/admin/jobs/{id}',
+            requeueJob: 'POST /api/v1/admin/jobs/{id}/requeue'
+          },
+          tenants: {
+            create: 'POST /api/v1/tenants',
+            list: 'GET /api/v1/tenants',
+            get: 'GET /api/v1/tenants/{id}',
+            update: 'PATCH /api/v1/tenants/{id}',
+            deactivate: 'DELETE /api/v1/tenants/{id}'
+          },
+          webhooks: {
+            create: 'POST /api/v1/webhooks',
+            list: 'GET /api/v1/webhooks',
+            get: 'GET /api/v1/webhooks/{id}',
+            update: 'PATCH /api/v1/webhooks/{id}',
+            delete: 'DELETE /api/v1/webhooks/{id}',
+            deliveries: 'GET /api/v1/webhooks/{id}/deliveries',
+            deadLetters: 'GET /api/v1/webhooks/dead-letters',
+            retry: 'POST /api/v1/webhooks/deliveries/{deliveryId}/retry'
+          },
+          mappingProfiles: {
+            create: 'POST /api/v1/mapping-profiles',
+            list: 'GET /api/v1/mapping-profiles',
+            get: 'GET /api/v1/mapping-profiles/{id}',
+            update: 'PATCH /api/v1/mapping-profiles/{id}',
+            deactivate: 'DELETE /api/v1/mapping-profiles/{id}',
+            dryRun: 'POST /api/v1/mapping-profiles/dry-run'
+          },
+          parties: {
+            create: 'POST /api/v1/parties',
+            import: 'POST /api/v1/parties/import',
+            list: 'GET /api/v1/parties?address=',
+            get: 'GET /api/v1/parties/{id}',
+            update: 'PATCH /api/v1/parties/{id}',
+            delete: 'DELETE /api/v1/parties/{id}'
+          },
+          currencyMappings: {
+            create: 'POST /api/v1/currency-mappings',
+            list: 'GET /api/v1/currency-mappings?issuer=&isoCurrency=',
+            get: 'GET /api/v1/currency-mappings/{id}',
+            update: 'PATCH /api/v1/currency-mappings/{id}',
+            delete: 'DELETE /api/v1/currency-mappings/{id}'
           }
         },
         supportedFormats: [
           'ISO 20022 pacs.008.001.08 (FI to FI Customer Credit Transfer)',
-          'ISO 20022 pain.001.001.09 (Customer Credit Transfer Initiation)'
+          'ISO 20022 pain.001.001.09 (Customer Credit Transfer Initiation)',
+          'ISO 20022 pacs.002.001.10 (FI to FI Payment Status Report)',
+          'ISO 20022 pain.002.001.10 (Customer Payment Status Report)',
+          'ISO 20022 pacs.004.001.09 (Payment Return)',
+          'ISO 20022 camt.053.001.08 (Bank to Customer Statement)',
+          'ISO 20022 camt.054.001.08 (Bank to Customer Debit/Credit Notification)'
         ],
         blockchain: {
           network: 'XRPL',
@@ -414,6 +549,7 @@ class HoodieChickenMiddleware {
       if (this.schedulerService) {
         console.info('Stopping scheduled jobs...');
         this.schedulerService.stopAllJobs();
+        shutdownPromises.push(this.schedulerService.stopTransactionStreaming());
       }
       
       // Close database connections
@@ -0,0 +1,111 @@
+// src/controllers/AccountController.js
+const { isValidClassicAddress } = require('xrpl');
+const StatementService = require('../services/StatementService');
+const EnvelopeService = require('../services/EnvelopeService');
+
+class AccountController {
+  constructor(sequelize) {
+    if (!sequelize) {
+      throw new Error('Sequelize instance is required');
+    }
+
+    this.statementService = new StatementService(sequelize);
+    this.envelopeService = new EnvelopeService();
+
+    // Bind methods to preserve context
+    this.getStatements = this.getStatements.bind(this);
+    this.getStoredStatement = this.getStoredStatement.bind(this);
+  }
+
+  // With from/to a camt.053 is generated for that range; without them the
+  // statements stored by the daily job are listed
+  async getStatements(req, res) {
+    try {
+      const { address } = req.params;
+      const { from, to } = req.query;
+
+      if (!isValidClassicAddress(address)) {
+        return res.status(400).json({ error: 'Invalid XRPL address' });
+      }
+      // A statement reports the address's ledger balance, whoever owns it
+      if (!this.statementService.tenantService.canAccessAddress(req.apiKey, address)) {
+        return res.status(403).json({ error: 'Address is not monitored by this tenant' });
+      }
+
+      if (!from && !to) {
+        const statements = await this.statementService.Statement.findAll({
+          where: { address, ...this.statementService.tenantService.where(req.apiKey) },
+          attributes: { exclude: ['xml'] },
+          order: [['fromDate', 'DESC']]
+        });
+        return res.json({ statements });
+      }
+
+      const envelope = this.envelopeService.resolveOptions(req);
+      if (envelope.error) {
+        return res.status(400).json({ error: envelope.error });
+      }
+
+      const fromDate = new Date(from);
+      const toDate = new Date(to);
+
+      if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime())) {
+        return res.status(400).json({ error: 'from and to must both be valid ISO dates' });
+      }
+      if (fromDate >= toDate) {
+        return res.status(400).json({ error: 'from must be before to' });
+      }
+
+      const statement = await this.statementService.generateStatement(
+        address,
+        fromDate,
+        toDate,
+        req.apiKey ? req.apiKey.tenant : null
+      );
+
+      const wrapped = await this.envelopeService.wrap(statement.xml, envelope);
+      res.set('Content-Type', 'application/xml');
+      res.send(wrapped);
+    } catch (error) {
+      console.error('Error generating account statement:', {
+        error: error.message,
+        stack: error.stack,
+        address: req.params.address,
+        query: req.query
+      });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+
+  async getStoredStatement(req, res) {
+    try {
+      const { address, statementId } = req.params;
+
+      const envelope = this.envelopeService.resolveOptions(req);
+      if (envelope.error) {
+        return res.status(400).json({ error: envelope.error });
+      }
+
+      const statement = await this.statementService.Statement.findOne({
+        where: { id: statementId, address, ...this.statementService.tenantService.where(req.apiKey) }
+      });
+
+      if (!statement) {
+        return res.status(404).json({ error: 'Statement not found' });
+      }
+
+      const wrapped = await this.envelopeService.wrap(statement.xml, envelope);
+      res.set('Content-Type', 'application/xml');
+      res.send(wrapped);
+    } catch (error) {
+      console.error('Error fetching stored statement:', {
+        error: error.message,
+        stack: error.stack,
+        statementId: req.params.statementId
+      });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+}
+
+module.exports = AccountController;
@@ -0,0 +1,158 @@
+// src/controllers/AdminController.js
+class AdminController {
+  constructor(schedulerService) {
+    if (!schedulerService) {
+      throw new Error('Scheduler service is required');
+    }
+
+    this.schedulerService = schedulerService;
+    this.jobQueue = schedulerService.jobQueue;
+    this.tenantService = schedulerService.tenantService;
+
+    // Bind methods to preserve context
+    this.triggerBackfill = this.triggerBackfill.bind(this);
+    this.listJobs = this.listJobs.bind(this);
+    this.getJob = this.getJob.bind(this);
+    this.requeueJob = this.requeueJob.bind(this);
+  }
+
+  // Tenant admin keys only see their own tenant's jobs
+  async findJob(req) {
+    return this.jobQueue.ProcessingJob.findOne({
+      where: { id: req.params.id, ...this.tenantService.where(req.apiKey) }
+    });
+  }
+
+  async triggerBackfill(req, res) {
+    try {
+      // Backfilled payments are handed to every tenant monitoring the address
+      if (req.apiKey && req.apiKey.tenantId) {
+        return res.status(403).json({ error: 'Only platform admin keys can run backfills' });
+      }
+
+      const { address, fromLedger, toLedger } = req.body;
+
+      if (!address) {
+        return res.status(400).json({ error: 'address is required' });
+      }
+
+      const from = parseInt(fromLedger);
+      const to = toLedger === undefined ? -1 : parseInt(toLedger);
+
+      if (Number.isNaN(from) || from < 1) {
+        return res.status(400).json({ error: 'fromLedger must be a positive ledger index' });
+      }
+      if (Number.isNaN(to) || (to !== -1 && to < from)) {
+        return res.status(400).json({ error: 'toLedger must be -1 or a ledger index not below fromLedger' });
+      }
+
+      // The walk runs inside the request, so its range is capped
+      const { maxRangeLedgers } = this.schedulerService.backfillService;
+      const last = to === -1 ? await this.schedulerService.xrplService.getValidatedLedgerIndex() : to;
+      if (last - from + 1 > maxRangeLedgers) {
+        return res.status(400).json({
+          error: `A backfill may cover at most ${maxRangeLedgers} ledgers; split ${from} - ${last} into smaller ranges`
+        });
+      }
+
+      console.info(`Admin backfill requested for ${address} (${from} - ${to})`, {
+        keyId: req.apiKey && req.apiKey.id
+      });
+      const result = await this.schedulerService.backfillRange(address, from, to);
+
+      res.json({ backfill: result });
+    } catch (error) {
+      console.error('Error running backfill:', {
+        error: error.message,
+        stack: error.stack,
+        body: req.body
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async listJobs(req, res) {
+    try {
+      const { page = 1, limit = 20, status, txHash } = req.query;
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const whereClause = { ...this.tenantService.where(req.apiKey) };
+      if (status) {
+        whereClause.status = status;
+      }
+      if (txHash) {
+        whereClause.txHash = txHash;
+      }
+
+      const jobs = await this.jobQueue.ProcessingJob.findAndCountAll({
+        where: whereClause,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        order: [['createdAt', 'DESC']]
+      });
+
+      res.json({
+        jobs: jobs.rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: jobs.count,
+          pages: Math.ceil(jobs.count / parseInt(limit))
+        }
+      });
+    } catch (error) {
+      console.error('Error listing processing jobs:', {
+        error: error.message,
+        stack: error.stack,
+        query: req.query
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async getJob(req, res) {
+    try {
+      const job = await this.findJob(req);
+
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+
+      res.json({ job });
+    } catch (error) {
+      console.error('Error fetching processing job:', {
+        error: error.message,
+        stack: error.stack,
+        jobId: req.params.id
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async requeueJob(req, res) {
+    try {
+      const job = await this.findJob(req);
+
+      if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+      if (job.status !== 'failed') {
+        return res.status(409).json({ error: `Only failed jobs can be requeued; this one is ${job.status}` });
+      }
+
+      await this.jobQueue.requeue(job);
+      this.schedulerService.drainJobs();
+
+      res.json({ job });
+    } catch (error) {
+      console.error('Error requeueing processing job:', {
+        error: error.message,
+        stack: error.stack,
+        jobId: req.params.id
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+}
+
+module.exports = AdminController;
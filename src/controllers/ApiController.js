@@ -1,50 +1,180 @@
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
+const { isValidClassicAddress } = require('xrpl');
+const { PERMISSIONS } = require('../middleware/auth');
+const ApiKeyModel = require('../models/ApiKey');
+const TenantService = require('../services/TenantService');
+const ValidationService = require('../services/ValidationService');
+const MappingProfileService = require('../services/MappingProfileService');
+
+const KEY_PREFIX = 'hct_';
+// Characters of a key stored in clear and used to find its row
+const PREFIX_LENGTH = 12;
+// lastUsed is written at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
 
 class ApiController {
   constructor(sequelize) {
-    this.apiKeys = new Map(); // In production, use database
-    this.initializeApiKeys();
+    if (!sequelize) {
+      throw new Error('Sequelize instance is required');
+    }
+
+    this.ApiKey = ApiKeyModel(sequelize);
+    this.tenantService = new TenantService(sequelize);
+    this.validationService = new ValidationService();
+    this.mappingProfileService = new MappingProfileService(sequelize);
+
+    // sha256 of a presented key -> the hash it was verified against, so a
+    // key pays for bcrypt once per process. The row itself is still read on
+    // every request, which keeps revocation and expiry immediate everywhere.
+    this.verifiedKeys = new Map();
   }
 
-  initializeApiKeys() {
-    // Default API key for testing
-    const defaultKey = bcrypt.hashSync('default_api_key_12345', 10);
-    this.apiKeys.set('default', {
-      id: 'default',
-      name: 'Default API Key',
-      hashedKey: defaultKey,
-      permissions: ['read', 'write'],
-      createdAt: new Date(),
-      lastUsed: null
-    });
+  createKey() {
+    const apiKey = KEY_PREFIX + crypto.randomBytes(30).toString('base64url');
+    return { apiKey, prefix: apiKey.slice(0, PREFIX_LENGTH) };
+  }
+
+  // A fresh install has no keys to issue keys with. While the table is empty
+  // the key in BOOTSTRAP_ADMIN_API_KEY is stored as an admin key; after that
+  // the variable is ignored. Instances starting together may all find the
+  // table empty; the unique prefix lets only one of them store the key.
+  async bootstrapAdminKey() {
+    const apiKey = process.env.BOOTSTRAP_ADMIN_API_KEY;
+    if (!apiKey) {
+      return null;
+    }
+
+    if (apiKey.length < 32) {
+      console.error('BOOTSTRAP_ADMIN_API_KEY must be at least 32 characters, skipping bootstrap');
+      return null;
+    }
+
+    const existingKeys = await this.ApiKey.count();
+    if (existingKeys > 0) {
+      return null;
+    }
+
+    let key;
+    try {
+      key = await this.ApiKey.create({
+        name: 'Bootstrap admin key',
+        prefix: apiKey.slice(0, PREFIX_LENGTH),
+        hashedKey: await bcrypt.hash(apiKey, 10),
+        permissions: ['read', 'write', 'admin']
+      });
+    } catch (error) {
+      if (error.name !== 'SequelizeUniqueConstraintError') {
+        throw error;
+      }
+      console.info('Bootstrap admin API key already stored by another instance');
+      return null;
+    }
+
+    console.warn(`Created bootstrap admin API key ${key.id}, issue named keys with it and then revoke it`);
+    return key;
   }
 
   async generateApiKey(req, res) {
     try {
-      const { name, permissions = ['read'] } = req.body;
-      const apiKey = uuidv4();
-      const hashedKey = bcrypt.hashSync(apiKey, 10);
-      const keyId = uuidv4();
+      const { name, permissions = ['read'], addresses = null, envelope = null, expiresAt = null, mappingProfile = null } = req.body;
+
+      if (!name) {
+        return res.status(400).json({ error: 'name is required' });
+      }
+
+      // Tenant admins issue keys for their own tenant only
+      const callerTenantId = req.apiKey ? req.apiKey.tenantId : null;
+      const tenantId = callerTenantId || req.body.tenantId || null;
+      if (callerTenantId && req.body.tenantId && req.body.tenantId !== callerTenantId) {
+        return res.status(403).json({ error: 'Keys can only be issued for your own tenant' });
+      }
+      if (tenantId && !callerTenantId) {
+        const tenant = await this.tenantService.Tenant.findByPk(tenantId);
+        if (!tenant || !tenant.active) {
+          return res.status(400).json({ error: 'tenantId does not name an active tenant' });
+        }
+      }
+      if (!Array.isArray(permissions) || permissions.some(permission => typeof permission !== 'string')) {
+        return res.status(400).json({ error: 'permissions must be an array of strings' });
+      }
+      const unknownPermissions = permissions.filter(permission => !PERMISSIONS.includes(permission));
+      if (unknownPermissions.length > 0) {
+        return res.status(400).json({
+          error: `Unknown permissions: ${unknownPermissions.join(', ')}`,
+          available: PERMISSIONS
+        });
+      }
 
-      this.apiKeys.set(keyId, {
-        id: keyId,
+      if (addresses !== null) {
+        if (!Array.isArray(addresses) || addresses.length === 0) {
+          return res.status(400).json({ error: 'addresses must be a non-empty array of XRPL addresses' });
+        }
+        const invalidAddresses = addresses.filter(address =>
+          typeof address !== 'string' || !isValidClassicAddress(address)
+        );
+        if (invalidAddresses.length > 0) {
+          return res.status(400).json({ error: `Invalid XRPL addresses: ${invalidAddresses.join(', ')}` });
+        }
+        // Key management is not tied to addresses, a scoped admin could
+        // simply issue itself an unscoped key
+        if (permissions.includes('admin')) {
+          return res.status(400).json({ error: 'admin keys cannot be scoped to addresses' });
+        }
+      }
+
+      const expiryDate = expiresAt ? new Date(expiresAt) : null;
+      if (expiryDate && (Number.isNaN(expiryDate.getTime()) || expiryDate <= new Date())) {
+        return res.status(400).json({ error: 'expiresAt must be a future ISO date' });
+      }
+
+      // Optional head.001 AppHdr defaults for XML fetched with this key
+      if (envelope) {
+        const invalidBics = ['fromBic', 'toBic'].filter(field =>
+          envelope[field] && !this.validationService.isValidBIC(envelope[field])
+        );
+        if (invalidBics.length > 0) {
+          return res.status(400).json({ error: `Invalid envelope ${invalidBics.join(' and ')}` });
+        }
+      }
+
+      // Mapping profile for payments processed with the key, by id or name
+      let mappingProfileId = null;
+      if (mappingProfile) {
+        const profile = await this.mappingProfileService.find(mappingProfile, tenantId);
+        if (!profile || (profile.tenantId && profile.tenantId !== tenantId)) {
+          return res.status(400).json({ error: 'mappingProfile does not name an active mapping profile of this tenant or the platform' });
+        }
+        mappingProfileId = profile.id;
+      }
+
+      const { apiKey, prefix } = this.createKey();
+
+      const key = await this.ApiKey.create({
         name: name,
-        hashedKey: hashedKey,
+        prefix: prefix,
+        hashedKey: await bcrypt.hash(apiKey, 10),
+        tenantId: tenantId,
         permissions: permissions,
-        createdAt: new Date(),
-        lastUsed: null
+        addresses: addresses,
+        envelope: envelope,
+        mappingProfileId: mappingProfileId,
+        expiresAt: expiryDate
       });
 
       res.json({
-        keyId: keyId,
+        keyId: key.id,
         apiKey: apiKey, // Only returned once
         name: name,
-        permissions: permissions
+        tenantId: tenantId,
+        permissions: permissions,
+        addresses: addresses,
+        envelope: envelope,
+        mappingProfileId: mappingProfileId,
+        expiresAt: expiryDate
       });
 
-      console.info(`Generated new API key: ${keyId} for ${name}`);
+      console.info(`Generated new API key: ${key.id} for ${name}`);
     } catch (error) {
       console.error('Error generating API key:', error);
       res.status(500).json({ error: error.message });
@@ -53,13 +183,11 @@ class ApiController {
 
   async listApiKeys(req, res) {
     try {
-      const keys = Array.from(this.apiKeys.values()).map(key => ({
-        id: key.id,
-        name: key.name,
-        permissions: key.permissions,
-        createdAt: key.createdAt,
-        lastUsed: key.lastUsed
-      }));
+      const keys = await this.ApiKey.findAll({
+        where: this.tenantService.where(req.apiKey),
+        attributes: { exclude: ['hashedKey'] },
+        order: [['createdAt', 'ASC']]
+      });
 
       res.json({ apiKeys: keys });
     } catch (error) {
@@ -71,9 +199,13 @@ class ApiController {
   async revokeApiKey(req, res) {
     try {
       const { keyId } = req.params;
+
+      const key = await this.ApiKey.findOne({
+        where: { id: keyId, ...this.tenantService.where(req.apiKey) }
+      });
       
-      if (this.apiKeys.has(keyId)) {
-        this.apiKeys.delete(keyId);
+      if (key && !key.revokedAt) {
+        await key.update({ revokedAt: new Date() });
         res.json({ message: 'API key revoked successfully' });
         console.info(`Revoked API key: ${keyId}`);
       } else {
@@ -85,14 +217,49 @@ class ApiController {
     }
   }
 
-  validateApiKey(apiKey) {
-    for (const [keyId, keyData] of this.apiKeys.entries()) {
-      if (bcrypt.compareSync(apiKey, keyData.hashedKey)) {
-        keyData.lastUsed = new Date();
-        return keyData;
+  async validateApiKey(apiKey) {
+    if (typeof apiKey !== 'string' || apiKey.length <= PREFIX_LENGTH) {
+      return null;
+    }
+
+    const key = await this.ApiKey.findOne({
+      where: { prefix: apiKey.slice(0, PREFIX_LENGTH) }
+    });
+
+    if (!key || key.revokedAt || (key.expiresAt && new Date(key.expiresAt) <= new Date())) {
+      return null;
+    }
+
+    const digest = crypto.createHash('sha256').update(apiKey).digest('hex');
+    if (this.verifiedKeys.get(digest) !== key.hashedKey) {
+      if (!(await bcrypt.compare(apiKey, key.hashedKey))) {
+        return null;
       }
+      this.verifiedKeys.set(digest, key.hashedKey);
     }
-    return null;
+
+    // Keys stop working as soon as their tenant is deactivated
+    const tenant = key.tenantId ? await this.tenantService.Tenant.findByPk(key.tenantId) : null;
+    if (key.tenantId && (!tenant || !tenant.active)) {
+      return null;
+    }
+
+    if (!key.lastUsed || Date.now() - new Date(key.lastUsed).getTime() > LAST_USED_RESOLUTION_MS) {
+      key.update({ lastUsed: new Date() }).catch(error => {
+        console.error('Error recording API key use:', error);
+      });
+    }
+
+    return {
+      id: key.id,
+      name: key.name,
+      tenantId: key.tenantId || null,
+      tenant: tenant,
+      permissions: key.permissions,
+      addresses: key.addresses || null,
+      envelope: key.envelope,
+      expiresAt: key.expiresAt
+    };
   }
 }
 
@@ -0,0 +1,179 @@
+// src/controllers/BatchController.js
+const BatchService = require('../services/BatchService');
+const EnvelopeService = require('../services/EnvelopeService');
+
+class BatchController {
+  constructor(sequelize) {
+    if (!sequelize) {
+      throw new Error('Sequelize instance is required');
+    }
+
+    this.batchService = new BatchService(sequelize);
+    this.envelopeService = new EnvelopeService();
+
+    // Bind methods to preserve context
+    this.createBatch = this.createBatch.bind(this);
+    this.getBatch = this.getBatch.bind(this);
+    this.getBatchXML = this.getBatchXML.bind(this);
+    this.getBatchAddresses = this.getBatchAddresses.bind(this);
+  }
+
+  // Addresses of every payment in a batch, for checking address-scoped keys
+  async getBatchAddresses(req) {
+    const batch = await this.batchService.Batch.findOne({
+      where: { id: req.params.id, ...this.batchService.tenantService.where(req.apiKey) },
+      attributes: ['id']
+    });
+    if (!batch) {
+      return null;
+    }
+
+    const transactions = await this.batchService.Transaction.findAll({
+      where: { batchId: batch.id },
+      attributes: ['fromAddress', 'toAddress']
+    });
+    return transactions.map(transaction => [transaction.fromAddress, transaction.toAddress]);
+  }
+
+  async createBatch(req, res) {
+    try {
+      const { messageType = 'pacs.008', transactionHashes, filter } = req.body;
+
+      if (!['pacs.008', 'pain.001'].includes(messageType)) {
+        return res.status(400).json({ error: 'messageType must be pacs.008 or pain.001' });
+      }
+      if (!transactionHashes === !filter) {
+        return res.status(400).json({ error: 'Provide either transactionHashes or filter' });
+      }
+      if (transactionHashes) {
+        if (!Array.isArray(transactionHashes) || transactionHashes.length === 0) {
+          return res.status(400).json({ error: 'transactionHashes must be a non-empty array' });
+        }
+        if (transactionHashes.length > this.batchService.getMaxBatchSize()) {
+          return res.status(400).json({
+            error: `A batch holds at most ${this.batchService.getMaxBatchSize()} transactions`
+          });
+        }
+      }
+      if (filter) {
+        const invalidDate = ['from', 'to'].find(field =>
+          filter[field] !== undefined && Number.isNaN(new Date(filter[field]).getTime())
+        );
+        if (invalidDate) {
+          return res.status(400).json({ error: `filter.${invalidDate} must be a valid ISO date` });
+        }
+      }
+
+      const transactions = await this.batchService.findTransactions({
+        transactionHashes,
+        filter,
+        apiKey: req.apiKey
+      });
+
+      if (transactionHashes) {
+        const found = new Set(transactions.map(transaction => transaction.xrplTxHash));
+        const missing = transactionHashes.filter(hash => !found.has(hash));
+        if (missing.length > 0) {
+          return res.status(404).json({ error: 'Transactions not found', missing });
+        }
+      }
+      if (transactions.length === 0) {
+        return res.status(404).json({ error: 'No transactions match the filter' });
+      }
+
+      const withoutData = transactions.filter(transaction => !transaction.rawTransaction);
+      if (withoutData.length > 0) {
+        return res.status(400).json({
+          error: 'No XRPL data stored for some transactions',
+          transactions: withoutData.map(transaction => transaction.xrplTxHash)
+        });
+      }
+
+      const { batch, validation } = await this.batchService.createBatch(
+        messageType,
+        transactions,
+        transactionHashes ? { transactionHashes } : { filter },
+        req.apiKey ? req.apiKey.tenant : null,
+        this.batchService.lifecycle.actorFor(req.apiKey)
+      );
+
+      res.status(201).json({
+        batch: batch,
+        transactions: transactions.map(transaction => transaction.xrplTxHash),
+        validation: validation
+      });
+    } catch (error) {
+      console.error('Error creating batch:', {
+        error: error.message,
+        stack: error.stack,
+        body: req.body
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async getBatch(req, res) {
+    try {
+      const { id } = req.params;
+
+      const batch = await this.batchService.Batch.findOne({
+        where: { id, ...this.batchService.tenantService.where(req.apiKey) },
+        attributes: { exclude: ['xml'] }
+      });
+
+      if (!batch) {
+        return res.status(404).json({ error: 'Batch not found' });
+      }
+
+      const transactions = await this.batchService.Transaction.findAll({
+        where: { batchId: id },
+        attributes: ['id', 'xrplTxHash', 'fromAddress', 'toAddress', 'amount', 'currency', 'endToEndId'],
+        order: [['closedAt', 'ASC'], ['createdAt', 'ASC']]
+      });
+
+      res.json({ batch, transactions });
+    } catch (error) {
+      console.error('Error fetching batch:', {
+        error: error.message,
+        stack: error.stack,
+        batchId: req.params.id
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async getBatchXML(req, res) {
+    try {
+      const { id } = req.params;
+
+      const envelope = this.envelopeService.resolveOptions(req);
+      if (envelope.error) {
+        return res.status(400).json({ error: envelope.error });
+      }
+
+      const batch = await this.batchService.Batch.findOne({
+        where: { id, ...this.batchService.tenantService.where(req.apiKey) }
+      });
+
+      if (!batch) {
+        return res.status(404).json({ error: 'Batch not found' });
+      }
+
+      const wrapped = await this.envelopeService.wrap(batch.xml, envelope);
+      const transactions = await this.batchService.Transaction.findAll({ where: { batchId: id } });
+      await this.batchService.lifecycle.markDelivered(transactions, this.batchService.lifecycle.actorFor(req.apiKey), 'batch export');
+
+      res.set('Content-Type', 'application/xml');
+      res.send(wrapped);
+    } catch (error) {
+      console.error('Error fetching batch XML:', {
+        error: error.message,
+        stack: error.stack,
+        batchId: req.params.id
+      });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+}
+
+module.exports = BatchController;
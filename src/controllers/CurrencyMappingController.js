@@ -0,0 +1,207 @@
+// src/controllers/CurrencyMappingController.js
+const CurrencyService = require('../services/CurrencyService');
+
+class CurrencyMappingController {
+  constructor(sequelize) {
+    if (!sequelize) {
+      throw new Error('Sequelize instance is required');
+    }
+
+    this.currencyService = new CurrencyService(sequelize);
+    this.CurrencyMapping = this.currencyService.CurrencyMapping;
+
+    // Bind methods to preserve context
+    this.createMapping = this.createMapping.bind(this);
+    this.listMappings = this.listMappings.bind(this);
+    this.getMapping = this.getMapping.bind(this);
+    this.updateMapping = this.updateMapping.bind(this);
+    this.deleteMapping = this.deleteMapping.bind(this);
+  }
+
+  // A token is the same for every tenant, so only platform admins map them
+  isPlatformAdmin(req) {
+    return !req.apiKey.tenantId;
+  }
+
+  async findDuplicate(fields, exceptId = null) {
+    const existing = await this.CurrencyMapping.findOne({
+      where: { currency: fields.currency, issuer: fields.issuer }
+    });
+    return existing && existing.id !== exceptId ? existing : null;
+  }
+
+  async createMapping(req, res) {
+    try {
+      if (!this.isPlatformAdmin(req)) {
+        return res.status(403).json({ error: 'Currency mappings can only be changed by platform admins' });
+      }
+
+      const fields = this.currencyService.pickMappingFields(req.body);
+      if (!fields.currency || !fields.issuer || !fields.isoCurrency) {
+        return res.status(400).json({ error: 'currency, issuer and isoCurrency are required' });
+      }
+
+      const validationError = this.currencyService.validateMappingFields(fields);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const existing = await this.findDuplicate(fields);
+      if (existing) {
+        return res.status(409).json({ error: 'This token is already mapped', mappingId: existing.id });
+      }
+
+      const mapping = await this.CurrencyMapping.create(fields);
+
+      console.info(`Mapped token ${mapping.currency} issued by ${mapping.issuer} to ${mapping.isoCurrency}`);
+      res.status(201).json({ mapping });
+    } catch (error) {
+      console.error('Error creating currency mapping:', {
+        error: error.message,
+        stack: error.stack
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async listMappings(req, res) {
+    try {
+      const { page = 1, limit = 50, issuer, isoCurrency } = req.query;
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const whereClause = {};
+      if (issuer) {
+        whereClause.issuer = issuer;
+      }
+      if (isoCurrency) {
+        whereClause.isoCurrency = isoCurrency;
+      }
+
+      const mappings = await this.CurrencyMapping.findAndCountAll({
+        where: whereClause,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        order: [['currency', 'ASC'], ['issuer', 'ASC']]
+      });
+
+      res.json({
+        mappings: mappings.rows.map(mapping => ({
+          ...mapping.toJSON(),
+          name: this.currencyService.amountService.decodeCurrency(mapping.currency)
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: mappings.count,
+          pages: Math.ceil(mappings.count / parseInt(limit))
+        }
+      });
+    } catch (error) {
+      console.error('Error listing currency mappings:', {
+        error: error.message,
+        stack: error.stack
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async getMapping(req, res) {
+    try {
+      const mapping = await this.CurrencyMapping.findByPk(req.params.id);
+
+      if (!mapping) {
+        return res.status(404).json({ error: 'Currency mapping not found' });
+      }
+
+      res.json({
+        mapping: {
+          ...mapping.toJSON(),
+          name: this.currencyService.amountService.decodeCurrency(mapping.currency)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching currency mapping:', {
+        error: error.message,
+        stack: error.stack,
+        mappingId: req.params.id
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Messages already generated keep the Ccy they were mapped with
+  async updateMapping(req, res) {
+    try {
+      if (!this.isPlatformAdmin(req)) {
+        return res.status(403).json({ error: 'Currency mappings can only be changed by platform admins' });
+      }
+
+      const mapping = await this.CurrencyMapping.findByPk(req.params.id);
+
+      if (!mapping) {
+        return res.status(404).json({ error: 'Currency mapping not found' });
+      }
+
+      const fields = this.currencyService.pickMappingFields(req.body);
+      if (fields.currency === null || fields.issuer === null || fields.isoCurrency === null) {
+        return res.status(400).json({ error: 'currency, issuer and isoCurrency cannot be removed' });
+      }
+
+      const validationError = this.currencyService.validateMappingFields(fields);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      if (fields.currency !== undefined || fields.issuer !== undefined) {
+        const existing = await this.findDuplicate({
+          currency: fields.currency || mapping.currency,
+          issuer: fields.issuer || mapping.issuer
+        }, mapping.id);
+        if (existing) {
+          return res.status(409).json({ error: 'This token is already mapped', mappingId: existing.id });
+        }
+      }
+
+      await mapping.update(fields);
+
+      console.info(`Updated currency mapping ${mapping.id}`, { fields: Object.keys(fields) });
+      res.json({ mapping });
+    } catch (error) {
+      console.error('Error updating currency mapping:', {
+        error: error.message,
+        stack: error.stack,
+        mappingId: req.params.id
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Payments in the token are rejected again once its mapping is gone
+  async deleteMapping(req, res) {
+    try {
+      if (!this.isPlatformAdmin(req)) {
+        return res.status(403).json({ error: 'Currency mappings can only be changed by platform admins' });
+      }
+
+      const mapping = await this.CurrencyMapping.findByPk(req.params.id);
+
+      if (!mapping) {
+        return res.status(404).json({ error: 'Currency mapping not found' });
+      }
+
+      await mapping.destroy();
+
+      console.info(`Deleted currency mapping ${mapping.id}`);
+      res.json({ message: 'Currency mapping deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting currency mapping:', {
+        error: error.message,
+        stack: error.stack,
+        mappingId: req.params.id
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+}
+
+module.exports = CurrencyMappingController;
@@ -0,0 +1,194 @@
+// src/controllers/InstructionController.js
+const InstructionService = require('../services/InstructionService');
+const EnvelopeService = require('../services/EnvelopeService');
+
+class InstructionController {
+  constructor(sequelize) {
+    if (!sequelize) {
+      throw new Error('Sequelize instance is required');
+    }
+
+    this.instructionService = new InstructionService(sequelize);
+    this.envelopeService = new EnvelopeService();
+
+    // Bind methods to preserve context
+    this.submitInstruction = this.submitInstruction.bind(this);
+    this.getInstruction = this.getInstruction.bind(this);
+    this.getStatusReport = this.getStatusReport.bind(this);
+    this.getStatusReportByMessageId = this.getStatusReportByMessageId.bind(this);
+    this.getInstructionAddresses = this.getInstructionAddresses.bind(this);
+  }
+
+  // Debtor and creditor address of each payment in an instruction
+  getPaymentAddresses(payments) {
+    return payments.map(payment => {
+      const destination = this.instructionService.mappingEngine.resolveDestination(payment.creditorAccount);
+      return [payment.debtorAccount, destination ? destination.address : payment.creditorAccount];
+    });
+  }
+
+  // Addresses of a stored instruction, found by id or MsgId, for checking
+  // address-scoped API keys
+  async getInstructionAddresses(req) {
+    const where = req.params.messageId ? { messageId: req.params.messageId } : { id: req.params.id };
+    const instruction = await this.instructionService.Instruction.findOne({
+      where: { ...where, ...this.instructionService.tenantService.where(req.apiKey) }
+    });
+
+    if (!instruction) {
+      return null;
+    }
+    return this.getPaymentAddresses(instruction.payments || []);
+  }
+
+  async submitInstruction(req, res) {
+    try {
+      const xmlString = typeof req.body === 'string' ? req.body.trim() : '';
+
+      if (!xmlString) {
+        return res.status(400).json({ error: 'pain.001 XML body is required (Content-Type: application/xml)' });
+      }
+
+      const wallet = this.instructionService.xrplService.getSigningWallet();
+      if (!wallet) {
+        return res.status(503).json({ error: 'No XRPL wallet configured for submitting payments' });
+      }
+
+      const tenant = req.apiKey ? req.apiKey.tenant : null;
+      if (!this.instructionService.canUseWallet(tenant)) {
+        return res.status(403).json({ error: 'This tenant has not been granted use of the XRPL wallet' });
+      }
+
+      const instructionData = this.instructionService.mappingEngine.mapInstruction(xmlString);
+      const { messageId } = instructionData;
+      if (!messageId) {
+        return res.status(400).json({ error: 'GrpHdr/MsgId is required' });
+      }
+
+      // Address-scoped keys may only instruct payments involving their addresses
+      const scope = req.apiKey && req.apiKey.addresses;
+      if (scope) {
+        const outOfScope = this.getPaymentAddresses(instructionData.payments)
+          .some(addresses => !addresses.some(address => scope.includes(address)));
+        if (outOfScope) {
+          return res.status(403).json({ error: 'API key is not scoped to the addresses involved' });
+        }
+      }
+
+      const existing = await this.instructionService.Instruction.findOne({
+        where: { messageId, tenantId: tenant ? tenant.id : null }
+      });
+      if (existing) {
+        return res.status(409).json({
+          error: 'Instruction with this MsgId was already received',
+          instructionId: existing.id
+        });
+      }
+
+      const { instruction, validation } = await this.instructionService.submitInstruction(xmlString, wallet, tenant);
+      const statusReport = await this.instructionService.generateStatusReport(instruction, { refresh: false });
+
+      res.status(instruction.status === 'rejected' ? 422 : 201).json({
+        instruction: instruction,
+        statusReport: statusReport,
+        validation: validation
+      });
+    } catch (error) {
+      console.error('Error submitting instruction:', {
+        error: error.message,
+        stack: error.stack
+      });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+
+  async getInstruction(req, res) {
+    try {
+      const { id } = req.params;
+
+      const instruction = await this.instructionService.Instruction.findOne({
+        where: { id, ...this.instructionService.tenantService.where(req.apiKey) },
+        attributes: { exclude: ['xml'] }
+      });
+
+      if (!instruction) {
+        return res.status(404).json({ error: 'Instruction not found' });
+      }
+
+      res.json({ instruction });
+    } catch (error) {
+      console.error('Error fetching instruction:', {
+        error: error.message,
+        stack: error.stack,
+        instructionId: req.params.id
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async getStatusReport(req, res) {
+    try {
+      const { id } = req.params;
+
+      const envelope = this.envelopeService.resolveOptions(req);
+      if (envelope.error) {
+        return res.status(400).json({ error: envelope.error });
+      }
+
+      const instruction = await this.instructionService.Instruction.findOne({
+        where: { id, ...this.instructionService.tenantService.where(req.apiKey) }
+      });
+
+      if (!instruction) {
+        return res.status(404).json({ error: 'Instruction not found' });
+      }
+
+      const xmlString = await this.instructionService.generateStatusReport(instruction);
+
+      const wrapped = await this.envelopeService.wrap(xmlString, envelope);
+      res.set('Content-Type', 'application/xml');
+      res.send(wrapped);
+    } catch (error) {
+      console.error('Error generating instruction status report:', {
+        error: error.message,
+        stack: error.stack,
+        instructionId: req.params.id
+      });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+
+  async getStatusReportByMessageId(req, res) {
+    try {
+      const { messageId } = req.params;
+
+      const envelope = this.envelopeService.resolveOptions(req);
+      if (envelope.error) {
+        return res.status(400).json({ error: envelope.error });
+      }
+
+      const instruction = await this.instructionService.Instruction.findOne({
+        where: { messageId, ...this.instructionService.tenantService.where(req.apiKey) }
+      });
+
+      if (!instruction) {
+        return res.status(404).json({ error: 'No instruction received with this MsgId' });
+      }
+
+      const xmlString = await this.instructionService.generateStatusReport(instruction);
+
+      const wrapped = await this.envelopeService.wrap(xmlString, envelope);
+      res.set('Content-Type', 'application/xml');
+      res.send(wrapped);
+    } catch (error) {
+      console.error('Error generating instruction status report:', {
+        error: error.message,
+        stack: error.stack,
+        messageId: req.params.messageId
+      });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+}
+
+module.exports = InstructionController;
@@ -0,0 +1,320 @@
+// src/controllers/MappingProfileController.js
+const ApiKeyModel = require('../models/ApiKey');
+const MappingProfileService = require('../services/MappingProfileService');
+const TenantService = require('../services/TenantService');
+
+class MappingProfileController {
+  constructor(sequelize, transactionController) {
+    if (!sequelize) {
+      throw new Error('Sequelize instance is required');
+    }
+    if (!transactionController) {
+      throw new Error('Transaction controller is required');
+    }
+
+    this.mappingProfileService = new MappingProfileService(sequelize);
+    this.tenantService = new TenantService(sequelize);
+    this.ApiKey = ApiKeyModel(sequelize);
+    this.MappingProfile = this.mappingProfileService.MappingProfile;
+    this.transactionController = transactionController;
+
+    // Bind methods to preserve context
+    this.createProfile = this.createProfile.bind(this);
+    this.listProfiles = this.listProfiles.bind(this);
+    this.getProfile = this.getProfile.bind(this);
+    this.updateProfile = this.updateProfile.bind(this);
+    this.deactivateProfile = this.deactivateProfile.bind(this);
+    this.dryRun = this.dryRun.bind(this);
+  }
+
+  // Parses the submitted document. Returns { format, document, rules } with
+  // the document as text, or { error, details }.
+  parseDocument(body) {
+    const format = body.format || 'json';
+    if (body.document === undefined || body.document === null) {
+      return { error: 'document is required' };
+    }
+    if (format === 'yaml' && typeof body.document !== 'string') {
+      return { error: 'YAML documents must be sent as a string' };
+    }
+
+    const parsed = this.mappingProfileService.parse(body.document, format);
+    if (parsed.error) {
+      return parsed;
+    }
+    return {
+      format,
+      document: typeof body.document === 'string' ? body.document : JSON.stringify(body.document, null, 2),
+      rules: parsed.rules
+    };
+  }
+
+  // Tenant admins see their own and the platform's profiles
+  async findProfile(req) {
+    return this.MappingProfile.findOne({
+      where: { id: req.params.id, ...this.mappingProfileService.visibleTo(req.apiKey.tenantId) }
+    });
+  }
+
+  // Only the owner changes a profile; platform admins own them all
+  canModify(req, profile) {
+    return !req.apiKey.tenantId || profile.tenantId === req.apiKey.tenantId;
+  }
+
+  async isNameTaken(tenantId, name, exceptId = null) {
+    const existing = await this.MappingProfile.findOne({ where: { tenantId, name } });
+    return Boolean(existing && existing.id !== exceptId);
+  }
+
+  // Tenants and API keys still using the profile, which must not stop working
+  async findUsers(profile) {
+    const [tenants, apiKeys] = await Promise.all([
+      this.tenantService.Tenant.findAll({ where: { mappingProfileId: profile.id }, attributes: ['id'] }),
+      this.ApiKey.findAll({ where: { mappingProfileId: profile.id, revokedAt: null }, attributes: ['id'] })
+    ]);
+    return { tenants: tenants.map(tenant => tenant.id), apiKeys: apiKeys.map(key => key.id) };
+  }
+
+  async createProfile(req, res) {
+    try {
+      const { name, description } = req.body;
+
+      if (!name || typeof name !== 'string') {
+        return res.status(400).json({ error: 'name is required' });
+      }
+
+      const parsed = this.parseDocument(req.body);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error, details: parsed.details });
+      }
+
+      // Tenant admins create profiles for their own tenant only; platform
+      // profiles can be used by every tenant
+      const callerTenantId = req.apiKey.tenantId;
+      const tenantId = callerTenantId || req.body.tenantId || null;
+      if (callerTenantId && req.body.tenantId && req.body.tenantId !== callerTenantId) {
+        return res.status(403).json({ error: 'Mapping profiles can only be created for your own tenant' });
+      }
+      if (tenantId && !callerTenantId) {
+        const tenant = await this.tenantService.Tenant.findByPk(tenantId);
+        if (!tenant || !tenant.active) {
+          return res.status(400).json({ error: 'tenantId does not name an active tenant' });
+        }
+      }
+
+      if (await this.isNameTaken(tenantId, name)) {
+        return res.status(409).json({ error: 'A mapping profile with this name already exists' });
+      }
+
+      const profile = await this.MappingProfile.create({
+        tenantId,
+        name,
+        description,
+        format: parsed.format,
+        document: parsed.document,
+        rules: parsed.rules
+      });
+
+      console.info(`Created mapping profile ${profile.id} (${profile.name})`);
+      res.status(201).json({ profile });
+    } catch (error) {
+      console.error('Error creating mapping profile:', {
+        error: error.message,
+        stack: error.stack
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async listProfiles(req, res) {
+    try {
+      const where = this.mappingProfileService.visibleTo(req.apiKey.tenantId);
+      if (req.query.active !== undefined) {
+        where.active = req.query.active === 'true';
+      }
+
+      const profiles = await this.MappingProfile.findAll({
+        where,
+        order: [['name', 'ASC']]
+      });
+
+      res.json({ profiles });
+    } catch (error) {
+      console.error('Error listing mapping profiles:', {
+        error: error.message,
+        stack: error.stack
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async getProfile(req, res) {
+    try {
+      const profile = await this.findProfile(req);
+
+      if (!profile) {
+        return res.status(404).json({ error: 'Mapping profile not found' });
+      }
+
+      res.json({ profile, usedBy: await this.findUsers(profile) });
+    } catch (error) {
+      console.error('Error fetching mapping profile:', {
+        error: error.message,
+        stack: error.stack,
+        profileId: req.params.id
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Changes apply to payments mapped from now on; regenerate a payment's
+  // message to map it again
+  async updateProfile(req, res) {
+    try {
+      const profile = await this.findProfile(req);
+
+      if (!profile) {
+        return res.status(404).json({ error: 'Mapping profile not found' });
+      }
+      if (!this.canModify(req, profile)) {
+        return res.status(403).json({ error: 'Platform mapping profiles can only be changed by platform admins' });
+      }
+
+      const fields = {};
+      if (req.body.name !== undefined) {
+        if (!req.body.name || typeof req.body.name !== 'string') {
+          return res.status(400).json({ error: 'name must be a non-empty string' });
+        }
+        if (await this.isNameTaken(profile.tenantId, req.body.name, profile.id)) {
+          return res.status(409).json({ error: 'A mapping profile with this name already exists' });
+        }
+        fields.name = req.body.name;
+      }
+      if (req.body.description !== undefined) {
+        fields.description = req.body.description;
+      }
+      if (req.body.document !== undefined) {
+        const parsed = this.parseDocument(req.body);
+        if (parsed.error) {
+          return res.status(400).json({ error: parsed.error, details: parsed.details });
+        }
+        Object.assign(fields, parsed);
+      }
+      if (req.body.active !== undefined) {
+        fields.active = Boolean(req.body.active);
+      }
+
+      if (fields.active === false && profile.active) {
+        const usedBy = await this.findUsers(profile);
+        if (usedBy.tenants.length > 0 || usedBy.apiKeys.length > 0) {
+          return res.status(409).json({ error: 'Mapping profile is still in use', usedBy });
+        }
+      }
+
+      await profile.update(fields);
+
+      console.info(`Updated mapping profile ${profile.id}`, { fields: Object.keys(fields) });
+      res.json({ profile });
+    } catch (error) {
+      console.error('Error updating mapping profile:', {
+        error: error.message,
+        stack: error.stack,
+        profileId: req.params.id
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Profiles are deactivated rather than deleted, stored messages keep
+  // referring to the profile they were mapped with
+  async deactivateProfile(req, res) {
+    try {
+      const profile = await this.findProfile(req);
+
+      if (!profile) {
+        return res.status(404).json({ error: 'Mapping profile not found' });
+      }
+      if (!this.canModify(req, profile)) {
+        return res.status(403).json({ error: 'Platform mapping profiles can only be changed by platform admins' });
+      }
+
+      const usedBy = await this.findUsers(profile);
+      if (usedBy.tenants.length > 0 || usedBy.apiKeys.length > 0) {
+        return res.status(409).json({ error: 'Mapping profile is still in use', usedBy });
+      }
+
+      await profile.update({ active: false });
+
+      console.info(`Deactivated mapping profile ${profile.id}`);
+      res.json({ message: 'Mapping profile deactivated successfully', profile });
+    } catch (error) {
+      console.error('Error deactivating mapping profile:', {
+        error: error.message,
+        stack: error.stack,
+        profileId: req.params.id
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Maps a payment from the ledger without storing anything. The profile is
+  // the document in the body, the one named by mappingProfile, or the one
+  // the payment would get by default.
+  async dryRun(req, res) {
+    try {
+      const { txHash } = req.body;
+
+      if (!txHash) {
+        return res.status(400).json({ error: 'txHash is required' });
+      }
+
+      const tenant = req.apiKey.tenantId ? await this.tenantService.Tenant.findByPk(req.apiKey.tenantId) : null;
+      let profile = null;
+      if (req.body.document !== undefined) {
+        const parsed = this.parseDocument(req.body);
+        if (parsed.error) {
+          return res.status(400).json({ error: parsed.error, details: parsed.details });
+        }
+        profile = { id: null, name: null, rules: parsed.rules };
+      } else {
+        const chosen = await this.transactionController.findRequestProfile(req, req.body.mappingProfile);
+        const resolved = chosen.error || chosen.profile
+          ? chosen
+          : await this.mappingProfileService.resolve(tenant);
+        if (resolved.error) {
+          return res.status(400).json({ error: resolved.error });
+        }
+        profile = resolved.profile;
+      }
+
+      const xrplTx = await this.transactionController.xrplService.getTransaction(txHash);
+      const addresses = req.apiKey.addresses;
+      if (addresses && ![xrplTx.Account, xrplTx.Destination].some(address => addresses.includes(address))) {
+        return res.status(403).json({ error: 'API key is not scoped to the addresses involved' });
+      }
+
+      const { mappedData, parties } = await this.transactionController.mapPayment(
+        xrplTx, this.tenantService.getSettings(tenant), { profile }
+      );
+
+      res.json({
+        txHash,
+        mappingProfile: profile ? { id: profile.id, name: profile.name } : null,
+        parties: {
+          debtor: parties.debtor ? parties.debtor.id : null,
+          creditor: parties.creditor ? parties.creditor.id : null
+        },
+        mappedData
+      });
+    } catch (error) {
+      console.error('Error running mapping profile dry run:', {
+        error: error.message,
+        stack: error.stack,
+        txHash: req.body.txHash
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+}
+
+module.exports = MappingProfileController;
@@ -0,0 +1,260 @@
+// src/controllers/PartyController.js
+const PartyService = require('../services/PartyService');
+const TenantService = require('../services/TenantService');
+
+class PartyController {
+  constructor(sequelize) {
+    if (!sequelize) {
+      throw new Error('Sequelize instance is required');
+    }
+
+    this.partyService = new PartyService(sequelize);
+    this.tenantService = new TenantService(sequelize);
+    this.Party = this.partyService.Party;
+
+    // Bind methods to preserve context
+    this.createParty = this.createParty.bind(this);
+    this.listParties = this.listParties.bind(this);
+    this.getParty = this.getParty.bind(this);
+    this.updateParty = this.updateParty.bind(this);
+    this.deleteParty = this.deleteParty.bind(this);
+    this.importParties = this.importParties.bind(this);
+  }
+
+  // Tenant keys see their own and the platform's parties
+  async findParty(req) {
+    return this.Party.findOne({
+      where: { id: req.params.id, ...this.partyService.visibleTo(req.apiKey.tenantId) }
+    });
+  }
+
+  // Only the owner changes a party; platform admins own them all
+  canModify(req, party) {
+    return !req.apiKey.tenantId || party.tenantId === req.apiKey.tenantId;
+  }
+
+  // Tenant of the parties a request creates: the caller's, or for platform
+  // admins the tenantId given, if any. Returns { tenantId } or { status, error }.
+  async resolveOwner(req) {
+    const callerTenantId = req.apiKey.tenantId;
+    const requestedTenantId = req.body.tenantId || req.query.tenantId || null;
+    if (callerTenantId && requestedTenantId && requestedTenantId !== callerTenantId) {
+      return { status: 403, error: 'Parties can only be registered for your own tenant' };
+    }
+    if (requestedTenantId && !callerTenantId) {
+      const tenant = await this.tenantService.Tenant.findByPk(requestedTenantId);
+      if (!tenant || !tenant.active) {
+        return { status: 400, error: 'tenantId does not name an active tenant' };
+      }
+    }
+    return { tenantId: callerTenantId || requestedTenantId };
+  }
+
+  async findDuplicate(tenantId, fields, exceptId = null) {
+    const existing = await this.Party.findOne({
+      where: { tenantId, address: fields.address, destinationTag: fields.destinationTag }
+    });
+    return existing && existing.id !== exceptId ? existing : null;
+  }
+
+  async createParty(req, res) {
+    try {
+      const fields = this.partyService.pickPartyFields(req.body);
+      if (!fields.address || !fields.name) {
+        return res.status(400).json({ error: 'address and name are required' });
+      }
+      fields.destinationTag = fields.destinationTag === undefined ? null : fields.destinationTag;
+
+      const validationError = this.partyService.validatePartyFields(fields);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const owner = await this.resolveOwner(req);
+      if (owner.error) {
+        return res.status(owner.status).json({ error: owner.error });
+      }
+
+      const existing = await this.findDuplicate(owner.tenantId, fields);
+      if (existing) {
+        return res.status(409).json({ error: 'A party is already registered for this address and tag', partyId: existing.id });
+      }
+
+      const party = await this.Party.create({ ...fields, tenantId: owner.tenantId });
+
+      console.info(`Registered party ${party.id} for ${party.address}`);
+      res.status(201).json({ party });
+    } catch (error) {
+      // A concurrent request registered the same party first
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return res.status(409).json({ error: 'A party is already registered for this address and tag' });
+      }
+      console.error('Error creating party:', {
+        error: error.message,
+        stack: error.stack
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async listParties(req, res) {
+    try {
+      const { page = 1, limit = 50, address } = req.query;
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const whereClause = this.partyService.visibleTo(req.apiKey.tenantId);
+      if (!req.apiKey.tenantId && req.query.tenantId) {
+        whereClause.tenantId = req.query.tenantId;
+      }
+      if (address) {
+        whereClause.address = address;
+      }
+
+      const parties = await this.Party.findAndCountAll({
+        where: whereClause,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        order: [['name', 'ASC']]
+      });
+
+      res.json({
+        parties: parties.rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: parties.count,
+          pages: Math.ceil(parties.count / parseInt(limit))
+        }
+      });
+    } catch (error) {
+      console.error('Error listing parties:', {
+        error: error.message,
+        stack: error.stack
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async getParty(req, res) {
+    try {
+      const party = await this.findParty(req);
+
+      if (!party) {
+        return res.status(404).json({ error: 'Party not found' });
+      }
+
+      res.json({ party });
+    } catch (error) {
+      console.error('Error fetching party:', {
+        error: error.message,
+        stack: error.stack,
+        partyId: req.params.id
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async updateParty(req, res) {
+    try {
+      const party = await this.findParty(req);
+
+      if (!party) {
+        return res.status(404).json({ error: 'Party not found' });
+      }
+      if (!this.canModify(req, party)) {
+        return res.status(403).json({ error: 'Platform parties can only be changed by platform admins' });
+      }
+
+      const fields = this.partyService.pickPartyFields(req.body);
+      if (fields.address === null || fields.name === null) {
+        return res.status(400).json({ error: 'address and name cannot be removed' });
+      }
+
+      const validationError = this.partyService.validatePartyFields(fields);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      if (fields.address !== undefined || fields.destinationTag !== undefined) {
+        const existing = await this.findDuplicate(party.tenantId, {
+          address: fields.address || party.address,
+          destinationTag: fields.destinationTag !== undefined ? fields.destinationTag : party.destinationTag
+        }, party.id);
+        if (existing) {
+          return res.status(409).json({ error: 'A party is already registered for this address and tag', partyId: existing.id });
+        }
+      }
+
+      await party.update(fields);
+
+      console.info(`Updated party ${party.id}`, { fields: Object.keys(fields) });
+      res.json({ party });
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return res.status(409).json({ error: 'A party is already registered for this address and tag' });
+      }
+      console.error('Error updating party:', {
+        error: error.message,
+        stack: error.stack,
+        partyId: req.params.id
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Messages already generated keep the party data they were mapped with
+  async deleteParty(req, res) {
+    try {
+      const party = await this.findParty(req);
+
+      if (!party) {
+        return res.status(404).json({ error: 'Party not found' });
+      }
+      if (!this.canModify(req, party)) {
+        return res.status(403).json({ error: 'Platform parties can only be changed by platform admins' });
+      }
+
+      await party.destroy();
+
+      console.info(`Deleted party ${party.id}`);
+      res.json({ message: 'Party deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting party:', {
+        error: error.message,
+        stack: error.stack,
+        partyId: req.params.id
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Bulk import from a text/csv body, one party per row with a header row.
+  // Rows for an address and tag already registered update that party.
+  async importParties(req, res) {
+    try {
+      if (typeof req.body !== 'string' || !req.body.trim()) {
+        return res.status(400).json({ error: 'Send the parties as a text/csv body' });
+      }
+
+      const owner = await this.resolveOwner(req);
+      if (owner.error) {
+        return res.status(owner.status).json({ error: owner.error });
+      }
+
+      const result = await this.partyService.importCsv(req.body, owner.tenantId);
+      if (result.errors) {
+        return res.status(400).json({ error: 'No parties were imported', errors: result.errors });
+      }
+
+      res.json(result);
+    } catch (error) {
+      console.error('Error importing parties:', {
+        error: error.message,
+        stack: error.stack
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+}
+
+module.exports = PartyController;
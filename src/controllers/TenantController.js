@@ -0,0 +1,271 @@
+// src/controllers/TenantController.js
+const { isValidClassicAddress } = require('xrpl');
+const TenantService = require('../services/TenantService');
+const ValidationService = require('../services/ValidationService');
+const MappingProfileService = require('../services/MappingProfileService');
+const AmountService = require('../services/AmountService');
+
+const TENANT_FIELDS = ['name', 'currencyCode', 'tokenIssuer', 'instructingAgentBic', 'instructedAgentBic', 'mappingProfileId', 'unknownPartyPolicy', 'tokenDecimals', 'amountRounding', 'partialPaymentPolicy'];
+// Only platform admins set what a tenant watches and whether it may sign
+const PLATFORM_FIELDS = ['monitoredAddresses', 'walletAccess'];
+const UNKNOWN_PARTY_POLICIES = ['fallback', 'reject'];
+
+class TenantController {
+  constructor(sequelize, schedulerService) {
+    if (!sequelize) {
+      throw new Error('Sequelize instance is required');
+    }
+    if (!schedulerService) {
+      throw new Error('Scheduler service is required');
+    }
+
+    this.tenantService = new TenantService(sequelize);
+    this.schedulerService = schedulerService;
+    this.validationService = new ValidationService();
+    this.mappingProfileService = new MappingProfileService(sequelize);
+
+    // Bind methods to preserve context
+    this.createTenant = this.createTenant.bind(this);
+    this.listTenants = this.listTenants.bind(this);
+    this.getTenant = this.getTenant.bind(this);
+    this.updateTenant = this.updateTenant.bind(this);
+    this.deactivateTenant = this.deactivateTenant.bind(this);
+  }
+
+  // Returns the first problem with the given tenant settings, or null
+  validateTenantFields(fields) {
+    if (fields.name !== undefined && (typeof fields.name !== 'string' || !fields.name.trim())) {
+      return 'name must be a non-empty string';
+    }
+    if (fields.monitoredAddresses !== undefined) {
+      if (!Array.isArray(fields.monitoredAddresses) ||
+          fields.monitoredAddresses.some(address => typeof address !== 'string' || !isValidClassicAddress(address))) {
+        return 'monitoredAddresses must be an array of XRPL addresses';
+      }
+    }
+    if (fields.walletAccess !== undefined && typeof fields.walletAccess !== 'boolean') {
+      return 'walletAccess must be true or false';
+    }
+    // Standard three character codes or 40 hex characters, never XRP itself
+    if (fields.currencyCode && !/^([A-Z0-9]{3}|[0-9A-F]{40})$/i.test(fields.currencyCode)) {
+      return 'currencyCode must be a three character or 40 hex character XRPL currency code';
+    }
+    if (fields.currencyCode && fields.currencyCode.toUpperCase() === 'XRP') {
+      return 'currencyCode cannot be XRP';
+    }
+    if (fields.tokenIssuer && !isValidClassicAddress(fields.tokenIssuer)) {
+      return 'tokenIssuer must be an XRPL address';
+    }
+    for (const field of ['instructingAgentBic', 'instructedAgentBic']) {
+      if (fields[field] && !this.validationService.isValidBIC(fields[field])) {
+        return `Invalid ${field}: ${fields[field]}`;
+      }
+    }
+    if (fields.unknownPartyPolicy && !UNKNOWN_PARTY_POLICIES.includes(fields.unknownPartyPolicy)) {
+      return `unknownPartyPolicy must be one of: ${UNKNOWN_PARTY_POLICIES.join(', ')}`;
+    }
+    if (fields.tokenDecimals !== undefined && fields.tokenDecimals !== null &&
+        (!Number.isInteger(fields.tokenDecimals) || fields.tokenDecimals < 0 || fields.tokenDecimals > AmountService.MAX_FRACTION_DIGITS)) {
+      return `tokenDecimals must be an integer between 0 and ${AmountService.MAX_FRACTION_DIGITS}`;
+    }
+    if (fields.amountRounding && !AmountService.ROUNDING_POLICIES.includes(fields.amountRounding)) {
+      return `amountRounding must be one of: ${AmountService.ROUNDING_POLICIES.join(', ')}`;
+    }
+    if (fields.partialPaymentPolicy && !TenantService.PARTIAL_PAYMENT_POLICIES.includes(fields.partialPaymentPolicy)) {
+      return `partialPaymentPolicy must be one of: ${TenantService.PARTIAL_PAYMENT_POLICIES.join(', ')}`;
+    }
+    return null;
+  }
+
+  // A tenant can use its own mapping profiles and the platform's
+  async checkMappingProfile(fields, tenantId) {
+    if (!fields.mappingProfileId) {
+      return null;
+    }
+    const profile = await this.mappingProfileService.find(fields.mappingProfileId, tenantId);
+    if (!profile || (profile.tenantId && profile.tenantId !== tenantId)) {
+      return 'mappingProfileId does not name an active mapping profile of this tenant or the platform';
+    }
+    fields.mappingProfileId = profile.id;
+    return null;
+  }
+
+  pickTenantFields(body) {
+    const fields = {};
+    for (const field of [...TENANT_FIELDS, ...PLATFORM_FIELDS]) {
+      if (body[field] !== undefined) {
+        fields[field] = body[field];
+      }
+    }
+    return fields;
+  }
+
+  // Tenant keys only ever see their own tenant
+  async findTenant(req) {
+    if (req.apiKey.tenantId && req.apiKey.tenantId !== req.params.id) {
+      return null;
+    }
+    return this.tenantService.Tenant.findByPk(req.params.id);
+  }
+
+  // Monitoring changes take effect here right away and on other instances
+  // with their next scan
+  async refreshMonitoring() {
+    try {
+      await this.schedulerService.refreshMonitoring();
+    } catch (error) {
+      console.error('Error refreshing monitored addresses after tenant change:', error);
+    }
+  }
+
+  async createTenant(req, res) {
+    try {
+      if (req.apiKey.tenantId) {
+        return res.status(403).json({ error: 'Only platform admin keys can create tenants' });
+      }
+
+      const fields = this.pickTenantFields(req.body);
+      if (!fields.name) {
+        return res.status(400).json({ error: 'name is required' });
+      }
+
+      const validationError = this.validateTenantFields(fields) || await this.checkMappingProfile(fields, null);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const existing = await this.tenantService.Tenant.findOne({ where: { name: fields.name } });
+      if (existing) {
+        return res.status(409).json({ error: 'A tenant with this name already exists', tenantId: existing.id });
+      }
+
+      const tenant = await this.tenantService.Tenant.create(fields);
+      await this.refreshMonitoring();
+
+      console.info(`Created tenant ${tenant.id} (${tenant.name})`);
+      res.status(201).json({ tenant });
+    } catch (error) {
+      console.error('Error creating tenant:', {
+        error: error.message,
+        stack: error.stack
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async listTenants(req, res) {
+    try {
+      const where = req.apiKey.tenantId ? { id: req.apiKey.tenantId } : {};
+      const tenants = await this.tenantService.Tenant.findAll({
+        where,
+        order: [['name', 'ASC']]
+      });
+
+      res.json({ tenants });
+    } catch (error) {
+      console.error('Error listing tenants:', {
+        error: error.message,
+        stack: error.stack
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async getTenant(req, res) {
+    try {
+      const tenant = await this.findTenant(req);
+
+      if (!tenant) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
+
+      res.json({ tenant });
+    } catch (error) {
+      console.error('Error fetching tenant:', {
+        error: error.message,
+        stack: error.stack,
+        tenantId: req.params.id
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async updateTenant(req, res) {
+    try {
+      const tenant = await this.findTenant(req);
+
+      if (!tenant) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
+
+      const fields = this.pickTenantFields(req.body);
+      const platformFields = PLATFORM_FIELDS.filter(field => fields[field] !== undefined);
+      if (platformFields.length > 0 && req.apiKey.tenantId) {
+        return res.status(403).json({ error: `Only platform admin keys can change ${platformFields.join(', ')}` });
+      }
+      // Reactivating is reserved to platform admins, like deactivating
+      if (req.body.active !== undefined) {
+        if (req.apiKey.tenantId) {
+          return res.status(403).json({ error: 'Only platform admin keys can change whether a tenant is active' });
+        }
+        fields.active = Boolean(req.body.active);
+      }
+
+      const validationError = this.validateTenantFields(fields) || await this.checkMappingProfile(fields, tenant.id);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      if (fields.name && fields.name !== tenant.name) {
+        const existing = await this.tenantService.Tenant.findOne({ where: { name: fields.name } });
+        if (existing) {
+          return res.status(409).json({ error: 'A tenant with this name already exists', tenantId: existing.id });
+        }
+      }
+
+      await tenant.update(fields);
+      await this.refreshMonitoring();
+
+      console.info(`Updated tenant ${tenant.id}`, { fields: Object.keys(fields) });
+      res.json({ tenant });
+    } catch (error) {
+      console.error('Error updating tenant:', {
+        error: error.message,
+        stack: error.stack,
+        tenantId: req.params.id
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Tenants are deactivated rather than deleted so their payments and
+  // messages stay on record; their keys stop working immediately
+  async deactivateTenant(req, res) {
+    try {
+      if (req.apiKey.tenantId) {
+        return res.status(403).json({ error: 'Only platform admin keys can deactivate tenants' });
+      }
+
+      const tenant = await this.tenantService.Tenant.findByPk(req.params.id);
+
+      if (!tenant || !tenant.active) {
+        return res.status(404).json({ error: 'Tenant not found' });
+      }
+
+      await tenant.update({ active: false });
+      await this.refreshMonitoring();
+
+      console.info(`Deactivated tenant ${tenant.id}`);
+      res.json({ message: 'Tenant deactivated successfully' });
+    } catch (error) {
+      console.error('Error deactivating tenant:', {
+        error: error.message,
+        stack: error.stack,
+        tenantId: req.params.id
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+}
+
+module.exports = TenantController;
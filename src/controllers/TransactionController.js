@@ -1,11 +1,26 @@
 // src/controllers/TransactionController.js
 const TransactionModel = require('../models/Transaction');
+const InstructionModel = require('../models/Instruction');
 const XRPLService = require('../services/XRPLService');
 const MappingEngine = require('../services/MappingEngine');
 const XMLGenerator = require('../services/XMLGenerator');
 const ValidationService = require('../services/ValidationService');
+const EnvelopeService = require('../services/EnvelopeService');
+const TenantService = require('../services/TenantService');
+const WebhookService = require('../services/WebhookService');
+const JobQueueService = require('../services/JobQueueService');
+const TransactionLifecycleService = require('../services/TransactionLifecycleService');
+const MessageService = require('../services/MessageService');
+const MappingProfileService = require('../services/MappingProfileService');
+const PartyService = require('../services/PartyService');
+const AmountService = require('../services/AmountService');
+const CurrencyService = require('../services/CurrencyService');
 const { Op } = require('sequelize');
 
+// Documents generated for a payment; the first three are its main message
+const PAYMENT_MESSAGE_TYPES = ['pacs.008', 'pain.001', 'pacs.004'];
+const MESSAGE_TYPES = [...PAYMENT_MESSAGE_TYPES, 'camt.054'];
+
 class TransactionController {
   constructor(sequelize) {
     if (!sequelize) {
@@ -14,10 +29,21 @@ class TransactionController {
     
     this.sequelize = sequelize;
     this.Transaction = TransactionModel(sequelize);
+    this.Instruction = InstructionModel(sequelize);
     this.xrplService = new XRPLService();
     this.mappingEngine = new MappingEngine();
     this.xmlGenerator = new XMLGenerator();
     this.validationService = new ValidationService();
+    this.envelopeService = new EnvelopeService();
+    this.tenantService = new TenantService(sequelize);
+    this.webhookService = new WebhookService(sequelize);
+    this.jobQueue = new JobQueueService(sequelize, this);
+    this.lifecycle = new TransactionLifecycleService(sequelize);
+    this.messageService = new MessageService(sequelize);
+    this.mappingProfileService = new MappingProfileService(sequelize);
+    this.partyService = new PartyService(sequelize);
+    this.amountService = new AmountService();
+    this.currencyService = new CurrencyService(sequelize);
     
     // Bind methods to preserve context
     this.processXRPLTransaction = this.processXRPLTransaction.bind(this);
@@ -25,6 +51,35 @@ class TransactionController {
     this.listTransactions = this.listTransactions.bind(this);
     this.getISO20022XML = this.getISO20022XML.bind(this);
     this.revalidateTransaction = this.revalidateTransaction.bind(this);
+    this.acknowledgeTransaction = this.acknowledgeTransaction.bind(this);
+    this.getTransactionHistory = this.getTransactionHistory.bind(this);
+    this.listMessages = this.listMessages.bind(this);
+    this.createMessage = this.createMessage.bind(this);
+    this.getMessage = this.getMessage.bind(this);
+    this.getMessageXML = this.getMessageXML.bind(this);
+    this.getStatusReport = this.getStatusReport.bind(this);
+    this.linkReturn = this.linkReturn.bind(this);
+    this.getReturns = this.getReturns.bind(this);
+    this.getTransactionAddresses = this.getTransactionAddresses.bind(this);
+  }
+
+  // Addresses of the stored transactions a request names, for checking
+  // address-scoped API keys. A return also names its original payment.
+  async getTransactionAddresses(req) {
+    const ids = [req.params.id];
+    if (req.body && req.body.originalTransactionId) {
+      ids.push(req.body.originalTransactionId);
+    }
+
+    const transactions = await this.Transaction.findAll({
+      where: { id: { [Op.in]: ids }, ...this.tenantService.where(req.apiKey) },
+      attributes: ['fromAddress', 'toAddress']
+    });
+
+    if (transactions.length === 0) {
+      return null;
+    }
+    return transactions.map(transaction => [transaction.fromAddress, transaction.toAddress]);
   }
 
   async processXRPLTransaction(req, res) {
@@ -35,69 +90,59 @@ class TransactionController {
         return res.status(400).json({ error: 'Transaction hash is required' });
       }
 
-      // Check if already processed
-      const existingTx = await this.Transaction.findOne({ 
-        where: { xrplTxHash: txHash } 
-      });
-      
-      if (existingTx) {
-        return res.json({ 
-          message: 'Transaction already processed', 
-          transaction: existingTx 
-        });
+      const messageType = req.query.messageType || 'pacs.008';
+      if (!['pacs.008', 'pain.001'].includes(messageType)) {
+        return res.status(400).json({ error: 'Unsupported message type' });
       }
 
-      // Get transaction from XRPL
-      console.log(`Fetching XRPL transaction: ${txHash}`)
-      const xrplTx = await this.xrplService.getTransaction(txHash);
-      
-      if (!this.xrplService.isHCTTransaction(xrplTx)) {
-        return res.status(400).json({ error: 'Not an HCT transaction' });
+      const { profile, error: profileError } = await this.findRequestProfile(req, req.query.mappingProfile);
+      if (profileError) {
+        return res.status(400).json({ error: profileError });
       }
 
-      // Map to ISO 20022
-      console.info(`Mapping transaction to ISO 20022: ${txHash}`);
-      const mappedData = this.mappingEngine.mapXRPLToISO20022(xrplTx);
-      
-      // Generate XML
-      const messageType = req.query.messageType || 'pacs.008';
-      let xmlString;
-      
-      if (messageType === 'pacs.008') {
-        xmlString = this.xmlGenerator.generatePacs008XML(mappedData);
-      } else if (messageType === 'pain.001') {
-        xmlString = this.xmlGenerator.generatePain001XML(mappedData);
-      } else {
-        return res.status(400).json({ error: 'Unsupported message type' });
+      // Queued like detected payments, then run right away so the caller
+      // still gets the result. Failed attempts are retried by the scheduler.
+      const job = await this.jobQueue.enqueue(txHash, {
+        messageType,
+        addresses: req.apiKey ? req.apiKey.addresses : null,
+        tenantId: req.apiKey ? req.apiKey.tenantId : null,
+        source: 'api',
+        requestedBy: this.lifecycle.actorFor(req.apiKey),
+        mappingProfileId: profile ? profile.id : null
+      });
+
+      if (!await this.jobQueue.claim(job)) {
+        return res.status(202).json({ message: 'Transaction queued for processing', job });
       }
 
-      // Validate XML
-      console.info(`Validating XML for transaction: ${txHash}`);
-      const validationResults = await this.validationService.validateXML(xmlString, messageType);
+      const { result, error } = await this.jobQueue.runJob(job);
 
-      // Save to database
-      const transaction = await this.Transaction.create({
-        xrplTxHash: txHash,
-        fromAddress: xrplTx.Account,
-        toAddress: xrplTx.Destination,
-        amount: this.mappingEngine.extractAmount(xrplTx.Amount),
-        currency: (xrplTx.Amount && xrplTx.Amount.currency) || 'HCT',
-        memo: this.xrplService.extractMemo(xrplTx),
-        rawTransaction: xrplTx,
-        iso20022Xml: xmlString,
-        validationStatus: validationResults.isValid ? 'valid' : 'invalid',
-        validationErrors: validationResults.errors,
-        processed: true,
-        processedAt: new Date()
-      });
+      if (error) {
+        if (job.status === 'failed') {
+          return res.status(500).json({ error, job });
+        }
+        return res.status(202).json({ message: 'Processing failed and will be retried', error, job });
+      }
+      if (result.forbidden) {
+        return res.status(403).json({ error: 'API key is not scoped to the addresses involved' });
+      }
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      if (result.alreadyProcessed) {
+        return res.json({ 
+          message: 'Transaction already processed', 
+          transaction: result.transaction 
+        });
+      }
 
       res.json({
-        transaction: transaction,
-        iso20022Xml: xmlString,
-        validation: validationResults
+        jobId: job.id,
+        transaction: result.transaction,
+        ...(result.message ? { message: result.message } : {}),
+        iso20022Xml: result.iso20022Xml,
+        validation: result.validation
       });
-
-      console.info(`Successfully processed transaction: ${txHash}`);
     } catch (error) {
       console.error('Error processing transaction:', {
         error: error.message,
@@ -108,6 +153,463 @@ class TransactionController {
     }
   }
 
+  // Profile named by the request, else the API key's. { profile: null }
+  // leaves the choice to the payment's tenant.
+  async findRequestProfile(req, reference) {
+    const chosen = reference || (req.apiKey && req.apiKey.mappingProfileId);
+    if (!chosen) {
+      return { profile: null };
+    }
+
+    const profile = await this.mappingProfileService.find(chosen, req.apiKey ? req.apiKey.tenantId : null);
+    return profile ? { profile } : { error: `Mapping profile ${chosen} not found or inactive` };
+  }
+
+  // Fetches, maps, validates and stores one XRPL payment. Payments submitted
+  // for a pain.001 instruction pass it in so the pacs.008 keeps its
+  // InstrId/EndToEndId. The payment is stored for the given tenant, with its
+  // token and agent settings, or for the platform when there is none.
+  // Returns { error } when the payment cannot be mapped, and { forbidden }
+  // when it involves none of the given scoped addresses. Each step is
+  // recorded in the payment's history under actor, from detectedAt on.
+  // mappingProfileId overrides the tenant's mapping profile.
+  async processTransaction(txHash, {
+    messageType = 'pacs.008',
+    instruction = null,
+    addresses = null,
+    tenant = null,
+    actor = instruction ? `instruction:${instruction.id}` : 'system',
+    detectedAt = new Date(),
+    mappingProfileId = null
+  } = {}) {
+    const steps = [{ state: 'detected', at: detectedAt }];
+    const outOfScope = (fromAddress, toAddress) =>
+      addresses !== null && ![fromAddress, toAddress].some(address => addresses.includes(address));
+    const settings = this.tenantService.getSettings(tenant);
+
+    // Check if already processed
+    const existingTx = await this.Transaction.findOne({ 
+      where: { xrplTxHash: txHash, tenantId: settings.tenantId } 
+    });
+    
+    if (existingTx) {
+      if (outOfScope(existingTx.fromAddress, existingTx.toAddress)) {
+        return { forbidden: true };
+      }
+      // Asking for another message type adds that document to the payment.
+      // Returns and partial payments reported by camt.054 keep their type.
+      if (!['pacs.004', 'camt.054'].includes(existingTx.messageType) && messageType !== existingTx.messageType &&
+          !await this.messageService.getLatest(existingTx.id, messageType)) {
+        return this.generateMessage(existingTx, messageType, { actor, reason: 'requested', mappingProfileId });
+      }
+      return { alreadyProcessed: true, transaction: existingTx };
+    }
+
+    // Get transaction from XRPL
+    console.log(`Fetching XRPL transaction: ${txHash}`)
+    const xrplTx = await this.xrplService.getTransaction(txHash);
+    steps.push({ state: 'fetched', at: new Date() });
+    
+    if (!this.xrplService.isHCTTransaction(xrplTx, { currency: settings.currencyCode, issuer: settings.tokenIssuer })) {
+      return { error: 'Not an HCT transaction' };
+    }
+    if (outOfScope(xrplTx.Account, xrplTx.Destination)) {
+      return { forbidden: true };
+    }
+
+    const { profile, error: profileError } = await this.mappingProfileService.resolve(tenant, mappingProfileId);
+    if (profileError) {
+      return { error: profileError };
+    }
+
+    // Map to ISO 20022
+    console.info(`Mapping transaction to ISO 20022: ${txHash}`);
+    const { mappedData, parties } = await this.mapPayment(xrplTx, settings, { instruction, profile });
+    steps.push({ state: 'mapped', at: new Date() });
+
+    // Refunds flagged by memo are reported against the payment they return
+    const returnInfo = this.mappingEngine.detectReturn(xrplTx);
+    const originalTransaction = returnInfo
+      ? await this.Transaction.findOne({
+        where: { xrplTxHash: returnInfo.originalTxHash, tenantId: settings.tenantId }
+      })
+      : null;
+
+    if (returnInfo && !originalTransaction) {
+      console.warn(`Return memo references unknown transaction ${returnInfo.originalTxHash}, processing ${txHash} as a new payment`);
+    }
+    
+    // Generate XML
+    const notifyPartial = !originalTransaction && this.isNotifiedPartialPayment(mappedData, settings);
+    const resolvedType = originalTransaction ? 'pacs.004' : (notifyPartial ? 'camt.054' : messageType);
+    const xmlString = PAYMENT_MESSAGE_TYPES.includes(resolvedType) || notifyPartial
+      ? this.generateMessageXML(resolvedType, mappedData, {
+        originalTransaction,
+        reasonCode: returnInfo && returnInfo.reasonCode,
+        monitoredAddresses: [...settings.monitoredAddresses, xrplTx.Destination],
+        amountRules: this.amountService.getRules(settings)
+      })
+      : null;
+
+    if (!xmlString) {
+      return { error: 'Unsupported message type' };
+    }
+    steps.push({ state: 'generated', at: new Date(), note: resolvedType });
+
+    // Validate XML
+    console.info(`Validating XML for transaction: ${txHash}`);
+    const validationResults = this.checkPartialPayment(this.checkParties(
+      this.checkAmount(await this.validationService.validateXML(xmlString, resolvedType), mappedData),
+      xrplTx, parties, settings
+    ), mappedData, settings);
+    const state = validationResults.isValid ? 'validated' : 'failed';
+    steps.push({ state, at: new Date() });
+
+    // Notify monitored accounts of the debit/credit
+    const notificationXml = resolvedType === 'camt.054'
+      ? xmlString
+      : this.generateNotificationXML(mappedData, settings.monitoredAddresses);
+
+    // Save to database. The payment, its events and its messages are stored
+    // together, so a failure leaves nothing behind for a retry to skip over.
+    let transaction;
+    try {
+      transaction = await this.sequelize.transaction(async (dbTransaction) => {
+        const options = { transaction: dbTransaction };
+        const created = await this.Transaction.create({
+          xrplTxHash: txHash,
+          tenantId: settings.tenantId,
+          fromAddress: xrplTx.Account,
+          toAddress: xrplTx.Destination,
+          amount: this.mappingEngine.extractAmount(this.mappingEngine.getDeliveredAmount(xrplTx) || xrplTx.Amount),
+          requestedAmount: this.mappingEngine.extractAmount(xrplTx.Amount),
+          partialPayment: mappedData.partialPayment,
+          ...this.getSourceLeg(xrplTx, mappedData),
+          currency: mappedData.token ? mappedData.token.currency : 'XRP',
+          memo: this.xrplService.extractMemo(xrplTx),
+          ledgerIndex: xrplTx.ledger_index,
+          closedAt: xrplTx.date !== undefined ? this.xrplService.rippleTimeToDate(xrplTx.date) : null,
+          rawTransaction: xrplTx,
+          iso20022Xml: xmlString,
+          notificationXml: notificationXml,
+          messageType: resolvedType,
+          messageId: mappedData.messageId,
+          endToEndId: mappedData.endToEndId,
+          originalTransactionId: originalTransaction ? originalTransaction.id : null,
+          returnReasonCode: originalTransaction ? returnInfo.reasonCode : null,
+          instructionId: instruction ? instruction.id : null,
+          state: state,
+          validationStatus: validationResults.isValid ? 'valid' : 'invalid',
+          validationErrors: validationResults.errors,
+          processed: true,
+          processedAt: new Date()
+        }, options);
+        await this.lifecycle.recordProcessing(created, steps, actor, options);
+
+        await this.messageService.store(created, {
+          messageType: resolvedType,
+          xml: xmlString,
+          validation: validationResults,
+          createdBy: actor,
+          reason: 'processed',
+          mappingProfileId: profile ? profile.id : null
+        }, options);
+        if (notificationXml && resolvedType !== 'camt.054') {
+          await this.messageService.store(created, {
+            messageType: 'camt.054',
+            xml: notificationXml,
+            createdBy: actor,
+            reason: 'processed',
+            mappingProfileId: profile ? profile.id : null
+          }, options);
+        }
+
+        if (originalTransaction) {
+          await this.markReturned(originalTransaction, created, actor, options);
+        }
+        return created;
+      });
+    } catch (error) {
+      // The stream and the queue may both have stored it meanwhile
+      if (error.name !== 'SequelizeUniqueConstraintError') {
+        throw error;
+      }
+      const stored = await this.Transaction.findOne({ where: { xrplTxHash: txHash, tenantId: settings.tenantId } });
+      if (!stored) {
+        throw error;
+      }
+      return { alreadyProcessed: true, transaction: stored };
+    }
+
+    console.info(`Successfully processed transaction: ${txHash}`);
+    await this.webhookService.publishTransaction(transaction);
+    return {
+      transaction: transaction,
+      iso20022Xml: xmlString,
+      validation: validationResults
+    };
+  }
+
+  // ISO 20022 data for a payment, with its registered parties, under the
+  // mapping profile if there is one, with the tenant's agents and, for
+  // payments submitted for a pain.001, the instruction's InstrId/EndToEndId.
+  // Returns { mappedData, parties }.
+  async mapPayment(xrplTx, settings, { instruction = null, profile = null } = {}) {
+    const parties = await this.partyService.findParties(xrplTx, settings.tenantId);
+    const mappedData = this.mappingEngine.mapXRPLToISO20022(xrplTx, 'pacs.008', {
+      rules: profile ? profile.rules : null,
+      parties,
+      amountRules: this.amountService.getRules(settings),
+      ...await this.currencyService.resolvePayment(xrplTx)
+    });
+    mappedData.instructingAgentBic = settings.instructingAgentBic;
+    mappedData.instructedAgentBic = settings.instructedAgentBic;
+    if (instruction) {
+      mappedData.instructionId = instruction.instructionId || mappedData.instructionId;
+      mappedData.endToEndId = instruction.endToEndId;
+    }
+    return { mappedData, parties };
+  }
+
+  // Amounts the message cannot carry fail it; rounded ones are warned about
+  checkAmount(validationResults, mappedData) {
+    const { errors, warnings } = mappedData.amountValidation;
+    if (errors.length === 0 && warnings.length === 0) {
+      return validationResults;
+    }
+    return {
+      ...validationResults,
+      isValid: validationResults.isValid && errors.length === 0,
+      errors: [...(validationResults.errors || []), ...errors],
+      warnings: [...(validationResults.warnings || []), ...warnings]
+    };
+  }
+
+  // Transaction columns of the leg a cross-currency payment was paid from
+  getSourceLeg(xrplTx, mappedData) {
+    if (!this.mappingEngine.isCrossCurrency(xrplTx)) {
+      return {};
+    }
+
+    const token = this.amountService.getToken(xrplTx.SendMax);
+    const source = this.mappingEngine.getSourceAmount(xrplTx);
+    return {
+      sourceAmount: source ? source.value : null,
+      sourceCurrency: token ? token.currency : 'XRP',
+      sourceIssuer: token ? token.issuer : null,
+      exchangeRate: mappedData.exchangeRate
+    };
+  }
+
+  // Under the notify policy a partial payment is reported to its creditor
+  // by a camt.054 of what arrived, not by a credit transfer
+  isNotifiedPartialPayment(mappedData, settings) {
+    return mappedData.partialPayment && settings.partialPaymentPolicy === 'notify';
+  }
+
+  // Under the reject policy partial payments fail validation
+  checkPartialPayment(validationResults, mappedData, settings) {
+    if (!mappedData.partialPayment || settings.partialPaymentPolicy !== 'reject') {
+      return validationResults;
+    }
+
+    const { settlementAmount, instructedAmount } = mappedData;
+    return {
+      ...validationResults,
+      isValid: false,
+      errors: [
+        ...(validationResults.errors || []),
+        `Partial payment delivered ${settlementAmount.value} of ${instructedAmount.value} ${instructedAmount.currency}`
+      ]
+    };
+  }
+
+  // Under the reject policy a message whose debtor or creditor is missing
+  // from the party registry fails validation
+  checkParties(validationResults, xrplTx, parties, settings) {
+    if (settings.unknownPartyPolicy !== 'reject') {
+      return validationResults;
+    }
+
+    const errors = [
+      !parties.debtor && `Debtor ${xrplTx.Account} is not in the party registry`,
+      !parties.creditor && `Creditor ${xrplTx.Destination} is not in the party registry`
+    ].filter(Boolean);
+    if (errors.length === 0) {
+      return validationResults;
+    }
+    return {
+      ...validationResults,
+      isValid: false,
+      errors: [...(validationResults.errors || []), ...errors]
+    };
+  }
+
+  // Returns null for unknown types, and for a camt.054 when neither side of
+  // the payment is monitored
+  generateMessageXML(messageType, mappedData, {
+    originalTransaction = null,
+    reasonCode = null,
+    monitoredAddresses = [],
+    amountRules = {}
+  } = {}) {
+    if (messageType === 'pacs.004') {
+      return this.xmlGenerator.generatePacs004XML(
+        this.mappingEngine.mapPaymentReturn(originalTransaction, mappedData, reasonCode, amountRules)
+      );
+    }
+    if (messageType === 'pacs.008') {
+      return this.xmlGenerator.generatePacs008XML(mappedData);
+    }
+    if (messageType === 'pain.001') {
+      return this.xmlGenerator.generatePain001XML(mappedData);
+    }
+    if (messageType === 'camt.054') {
+      return this.generateNotificationXML(mappedData, monitoredAddresses);
+    }
+    return null;
+  }
+
+  // InstrId/EndToEndId of the pain.001 payment the transaction settled
+  async findInstructionPayment(transaction) {
+    if (!transaction.instructionId) {
+      return null;
+    }
+
+    const instruction = await this.Instruction.findByPk(transaction.instructionId);
+    const payment = instruction && (instruction.payments || []).find(entry => entry.txHash === transaction.xrplTxHash);
+    return payment ? { instructionId: payment.instructionId, endToEndId: payment.endToEndId } : null;
+  }
+
+  // Generates a new version of one of a stored payment's documents from its
+  // XRPL data, with the current mapping and tenant settings. Earlier
+  // versions are kept; the transaction's own columns move to the new
+  // version when it is of their type.
+  async generateMessage(transaction, messageType, { actor, reason = 'regenerated', mappingProfileId = null }) {
+    if (!MESSAGE_TYPES.includes(messageType)) {
+      return { error: `messageType must be one of: ${MESSAGE_TYPES.join(', ')}` };
+    }
+    if (!transaction.rawTransaction) {
+      return { error: 'No XRPL data stored for this transaction' };
+    }
+
+    const originalTransaction = messageType === 'pacs.004' && transaction.originalTransactionId
+      ? await this.Transaction.findByPk(transaction.originalTransactionId)
+      : null;
+    if (messageType === 'pacs.004' && !originalTransaction) {
+      return { error: 'Only returns have a pacs.004' };
+    }
+
+    const tenant = transaction.tenantId ? await this.tenantService.Tenant.findByPk(transaction.tenantId) : null;
+    const settings = this.tenantService.getSettings(tenant);
+    const { profile, error: profileError } = await this.mappingProfileService.resolve(tenant, mappingProfileId);
+    if (profileError) {
+      return { error: profileError };
+    }
+    const { mappedData, parties } = await this.mapPayment(transaction.rawTransaction, settings, {
+      instruction: await this.findInstructionPayment(transaction),
+      profile
+    });
+    const notifyPartial = this.isNotifiedPartialPayment(mappedData, settings);
+    if (notifyPartial && ['pacs.008', 'pain.001'].includes(messageType)) {
+      return { error: `Partial payments are reported with camt.054, not ${messageType}` };
+    }
+    // New versions keep the EndToEndId the payment is known by
+    mappedData.endToEndId = transaction.endToEndId || mappedData.endToEndId;
+
+    const xmlString = this.generateMessageXML(messageType, mappedData, {
+      originalTransaction,
+      reasonCode: transaction.returnReasonCode,
+      monitoredAddresses: notifyPartial
+        ? [...settings.monitoredAddresses, transaction.toAddress]
+        : settings.monitoredAddresses,
+      amountRules: this.amountService.getRules(settings)
+    });
+    if (!xmlString) {
+      return { error: `No ${messageType} for this transaction` };
+    }
+
+    const validationResults = this.checkPartialPayment(this.checkParties(
+      this.checkAmount(await this.validationService.validateXML(xmlString, messageType), mappedData),
+      transaction.rawTransaction, parties, settings
+    ), mappedData, settings);
+
+    // The new version and the payment's current message change together
+    const message = await this.sequelize.transaction(async (dbTransaction) => {
+      const options = { transaction: dbTransaction };
+      await this.messageService.keepLegacyMessages(transaction, options);
+      const stored = await this.messageService.store(transaction, {
+        messageType,
+        xml: xmlString,
+        validation: validationResults,
+        createdBy: actor,
+        reason,
+        mappingProfileId: profile ? profile.id : null
+      }, options);
+
+      const note = `${messageType} version ${stored.version}`;
+      if (messageType === transaction.messageType) {
+        await this.lifecycle.transition(transaction, this.lifecycle.getValidationState(transaction, validationResults.isValid), {
+          event: 'regenerated',
+          actor,
+          note,
+          updates: {
+            iso20022Xml: xmlString,
+            ...(messageType === 'camt.054' ? { notificationXml: xmlString } : {}),
+            messageId: stored.messageId,
+            validationStatus: validationResults.isValid ? 'valid' : 'invalid',
+            validationErrors: validationResults.errors
+          }
+        }, options);
+      } else if (messageType === 'camt.054') {
+        await this.lifecycle.transition(transaction, this.lifecycle.getState(transaction), {
+          event: 'regenerated',
+          actor,
+          note,
+          updates: { notificationXml: xmlString }
+        }, options);
+      }
+      return stored;
+    });
+
+    const note = `${messageType} version ${message.version}`;
+    console.info(`Generated ${note} for transaction ${transaction.id}`);
+    return {
+      transaction: transaction,
+      message: message,
+      iso20022Xml: xmlString,
+      validation: validationResults
+    };
+  }
+
+  // A return detected on the ledger is stored whatever state the original
+  // is in; the original only moves to returned when its state allows it
+  async markReturned(originalTransaction, returnTransaction, actor, options = {}) {
+    const state = this.lifecycle.getState(originalTransaction);
+    if (!this.lifecycle.canTransition(state, 'returned')) {
+      console.warn(`Transaction ${originalTransaction.id} is ${state} and cannot be marked returned`);
+      return;
+    }
+
+    await this.lifecycle.transition(originalTransaction, 'returned', {
+      actor,
+      note: `Returned by transaction ${returnTransaction.id}`
+    }, options);
+  }
+
+  generateNotificationXML(mappedData, monitoredAddresses) {
+    const notificationData = this.mappingEngine.mapDebitCreditNotification(
+      mappedData,
+      monitoredAddresses
+    );
+
+    if (!notificationData) {
+      return null;
+    }
+
+    return this.xmlGenerator.generateCamt054XML(notificationData);
+  }
+
   async getTransaction(req, res) {
     try {
       const { id } = req.params;
@@ -116,7 +618,9 @@ class TransactionController {
         return res.status(400).json({ error: 'Transaction ID is required' });
       }
 
-      const transaction = await this.Transaction.findByPk(id);
+      const transaction = await this.Transaction.findOne({
+        where: { id, ...this.tenantService.where(req.apiKey) }
+      });
       
       if (!transaction) {
         return res.status(404).json({ error: 'Transaction not found' });
@@ -135,13 +639,19 @@ class TransactionController {
 
   async listTransactions(req, res) {
     try {
-      const { page = 1, limit = 20, status, address } = req.query;
+      const { page = 1, limit = 20, status, state, address, partial } = req.query;
       const offset = (parseInt(page) - 1) * parseInt(limit);
 
-      const whereClause = {};
+      const whereClause = { ...this.tenantService.where(req.apiKey) };
       if (status) {
         whereClause.validationStatus = status;
       }
+      if (state) {
+        whereClause.state = state;
+      }
+      if (partial !== undefined) {
+        whereClause.partialPayment = partial === 'true';
+      }
       if (address) {
         whereClause[Op.or] = [
           { fromAddress: address },
@@ -149,6 +659,17 @@ class TransactionController {
         ];
       }
 
+      // Address-scoped keys only list payments involving their addresses
+      const scope = req.apiKey && req.apiKey.addresses;
+      if (scope) {
+        whereClause[Op.and] = [{
+          [Op.or]: [
+            { fromAddress: { [Op.in]: scope } },
+            { toAddress: { [Op.in]: scope } }
+          ]
+        }];
+      }
+
       const transactions = await this.Transaction.findAndCountAll({
         where: whereClause,
         limit: parseInt(limit),
@@ -183,24 +704,267 @@ class TransactionController {
         return res.status(400).json({ error: 'Transaction ID is required' });
       }
 
-      const transaction = await this.Transaction.findByPk(id);
+      const envelope = this.envelopeService.resolveOptions(req);
+      if (envelope.error) {
+        return res.status(400).json({ error: envelope.error });
+      }
+
+      const transaction = await this.Transaction.findOne({
+        where: { id, ...this.tenantService.where(req.apiKey) }
+      });
       
       if (!transaction) {
         return res.status(404).json({ error: 'Transaction not found' });
       }
 
+      if (req.query.messageType === 'camt.054') {
+        if (!transaction.notificationXml) {
+          return res.status(404).json({ error: 'No camt.054 notification for this transaction' });
+        }
+
+        const wrapped = await this.envelopeService.wrap(transaction.notificationXml, envelope);
+        res.set('Content-Type', 'application/xml');
+        return res.send(wrapped);
+      }
+
+      // Other documents generated for the payment, in their latest version
+      if (req.query.messageType && req.query.messageType !== transaction.messageType) {
+        const message = await this.messageService.getLatest(transaction.id, req.query.messageType);
+        if (!message) {
+          return res.status(404).json({ error: `No ${req.query.messageType} for this transaction` });
+        }
+
+        const wrapped = await this.envelopeService.wrap(message.xml, envelope);
+        res.set('Content-Type', 'application/xml');
+        return res.send(wrapped);
+      }
+
       if (!transaction.iso20022Xml) {
         return res.status(404).json({ error: 'ISO 20022 XML not generated for this transaction' });
       }
 
+      const wrapped = await this.envelopeService.wrap(transaction.iso20022Xml, envelope);
+      await this.lifecycle.markDelivered([transaction], this.lifecycle.actorFor(req.apiKey), 'export');
+
       res.set('Content-Type', 'application/xml');
-      res.send(transaction.iso20022Xml);
+      res.send(wrapped);
     } catch (error) {
       console.error('Error fetching ISO 20022 XML:', {
         error: error.message,
         stack: error.stack,
         transactionId: req.params.id
       });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+
+  async getStatusReport(req, res) {
+    try {
+      const { id } = req.params;
+      
+      if (!id) {
+        return res.status(400).json({ error: 'Transaction ID is required' });
+      }
+
+      const envelope = this.envelopeService.resolveOptions(req);
+      if (envelope.error) {
+        return res.status(400).json({ error: envelope.error });
+      }
+
+      const transaction = await this.Transaction.findOne({
+        where: { id, ...this.tenantService.where(req.apiKey) }
+      });
+      
+      if (!transaction) {
+        return res.status(404).json({ error: 'Transaction not found' });
+      }
+
+      if (!transaction.rawTransaction) {
+        return res.status(400).json({ error: 'No XRPL data stored for this transaction' });
+      }
+
+      // Payments submitted for a pain.001 can be reported back to the
+      // initiating customer as pain.002
+      const messageType = req.query.messageType || 'pacs.002';
+      let xmlString;
+
+      if (messageType === 'pain.002') {
+        const instruction = transaction.instructionId
+          ? await this.Instruction.findByPk(transaction.instructionId)
+          : null;
+        if (!instruction) {
+          return res.status(404).json({ error: 'Transaction was not submitted for a pain.001 instruction' });
+        }
+
+        xmlString = this.xmlGenerator.generatePain002XML(
+          this.mappingEngine.mapInstructionStatus(instruction, [transaction], {
+            endToEndId: transaction.endToEndId
+          })
+        );
+      } else if (messageType === 'pacs.002') {
+        const currency = await this.currencyService.resolve(transaction.rawTransaction.Amount);
+        if (currency.error) {
+          return res.status(400).json({ error: currency.error });
+        }
+        const tenant = transaction.tenantId ? await this.tenantService.Tenant.findByPk(transaction.tenantId) : null;
+        xmlString = this.xmlGenerator.generatePacs002XML(this.mappingEngine.mapStatusReport(
+          transaction, this.amountService.getRules(this.tenantService.getSettings(tenant)), currency.isoCurrency
+        ));
+      } else {
+        return res.status(400).json({ error: 'messageType must be pacs.002 or pain.002' });
+      }
+
+      const validationResults = await this.validationService.validateXML(xmlString, messageType);
+      if (!validationResults.isValid) {
+        console.warn(`Generated ${messageType} failed validation`, {
+          transactionId: id,
+          errors: validationResults.errors
+        });
+      }
+
+      const wrapped = await this.envelopeService.wrap(xmlString, envelope);
+      res.set('Content-Type', 'application/xml');
+      res.send(wrapped);
+    } catch (error) {
+      console.error('Error generating status report:', {
+        error: error.message,
+        stack: error.stack,
+        transactionId: req.params.id
+      });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+
+  async linkReturn(req, res) {
+    try {
+      const { id } = req.params;
+      const { originalTransactionId, reasonCode = 'CUST' } = req.body;
+
+      if (!originalTransactionId) {
+        return res.status(400).json({ error: 'originalTransactionId is required' });
+      }
+      if (originalTransactionId === id) {
+        return res.status(400).json({ error: 'A transaction cannot return itself' });
+      }
+      if (!/^[A-Z0-9]{4}$/.test(reasonCode)) {
+        return res.status(400).json({ error: 'reasonCode must be a 4 character ISO return reason code' });
+      }
+
+      const tenantWhere = this.tenantService.where(req.apiKey);
+      const [transaction, originalTransaction] = await Promise.all([
+        this.Transaction.findOne({ where: { id, ...tenantWhere } }),
+        this.Transaction.findOne({ where: { id: originalTransactionId, ...tenantWhere } })
+      ]);
+
+      if (!transaction) {
+        return res.status(404).json({ error: 'Transaction not found' });
+      }
+      if (!originalTransaction) {
+        return res.status(404).json({ error: 'Original transaction not found' });
+      }
+      if (!transaction.rawTransaction) {
+        return res.status(400).json({ error: 'No XRPL data stored for this transaction' });
+      }
+
+      const originalState = this.lifecycle.getState(originalTransaction);
+      if (!this.lifecycle.canTransition(originalState, 'returned')) {
+        return res.status(409).json({ error: `Original transaction is ${originalState} and cannot be returned` });
+      }
+
+      const tenant = transaction.tenantId ? await this.tenantService.Tenant.findByPk(transaction.tenantId) : null;
+      const { profile, error: profileError } = await this.mappingProfileService.resolve(tenant);
+      if (profileError) {
+        return res.status(400).json({ error: profileError });
+      }
+
+      const settings = this.tenantService.getSettings(tenant);
+      const { mappedData } = await this.mapPayment(transaction.rawTransaction, settings, { profile });
+      const xmlString = this.xmlGenerator.generatePacs004XML(
+        this.mappingEngine.mapPaymentReturn(originalTransaction, mappedData, reasonCode, this.amountService.getRules(settings))
+      );
+      const validationResults = this.checkAmount(
+        await this.validationService.validateXML(xmlString, 'pacs.004'), mappedData
+      );
+
+      const actor = this.lifecycle.actorFor(req.apiKey);
+      await this.sequelize.transaction(async (dbTransaction) => {
+        const options = { transaction: dbTransaction };
+        await this.messageService.keepLegacyMessages(transaction, options);
+        await this.messageService.store(transaction, {
+          messageType: 'pacs.004',
+          xml: xmlString,
+          validation: validationResults,
+          createdBy: actor,
+          reason: 'linked_as_return',
+          mappingProfileId: profile ? profile.id : null
+        }, options);
+        await this.lifecycle.transition(transaction, this.lifecycle.getValidationState(transaction, validationResults.isValid), {
+          event: 'linked_as_return',
+          actor,
+          updates: {
+            originalTransactionId: originalTransaction.id,
+            returnReasonCode: reasonCode,
+            iso20022Xml: xmlString,
+            messageType: 'pacs.004',
+            messageId: mappedData.messageId,
+            endToEndId: mappedData.endToEndId,
+            validationStatus: validationResults.isValid ? 'valid' : 'invalid',
+            validationErrors: validationResults.errors
+          }
+        }, options);
+        await this.markReturned(originalTransaction, transaction, actor, options);
+      });
+
+      console.info(`Linked transaction ${id} as return of ${originalTransaction.id}`);
+      res.json({
+        transaction: transaction,
+        originalTransaction: originalTransaction,
+        iso20022Xml: xmlString,
+        validation: validationResults
+      });
+    } catch (error) {
+      console.error('Error linking return:', {
+        error: error.message,
+        stack: error.stack,
+        transactionId: req.params.id
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async getReturns(req, res) {
+    try {
+      const { id } = req.params;
+
+      const transaction = await this.Transaction.findOne({
+        where: { id, ...this.tenantService.where(req.apiKey) }
+      });
+
+      if (!transaction) {
+        return res.status(404).json({ error: 'Transaction not found' });
+      }
+
+      const [originalTransaction, returns] = await Promise.all([
+        transaction.originalTransactionId
+          ? this.Transaction.findByPk(transaction.originalTransactionId)
+          : null,
+        this.Transaction.findAll({
+          where: { originalTransactionId: id },
+          order: [['createdAt', 'ASC']]
+        })
+      ]);
+
+      res.json({
+        transaction: transaction,
+        originalTransaction: originalTransaction,
+        returns: returns
+      });
+    } catch (error) {
+      console.error('Error fetching returns:', {
+        error: error.message,
+        stack: error.stack,
+        transactionId: req.params.id
+      });
       res.status(500).json({ error: error.message });
     }
   }
@@ -213,7 +977,9 @@ class TransactionController {
         return res.status(400).json({ error: 'Transaction ID is required' });
       }
 
-      const transaction = await this.Transaction.findByPk(id);
+      const transaction = await this.Transaction.findOne({
+        where: { id, ...this.tenantService.where(req.apiKey) }
+      });
       
       if (!transaction) {
         return res.status(404).json({ error: 'Transaction not found' });
@@ -223,17 +989,32 @@ class TransactionController {
         return res.status(400).json({ error: 'No XML to validate' });
       }
 
-      const messageType = req.query.messageType || 'pacs.008';
+      const messageType = req.query.messageType || transaction.messageType || 'pacs.008';
       const validationResults = await this.validationService.validateXML(
         transaction.iso20022Xml, 
         messageType
       );
 
-      await transaction.update({
-        validationStatus: validationResults.isValid ? 'valid' : 'invalid',
-        validationErrors: validationResults.errors
+      // Earlier results stay in the history
+      await this.lifecycle.transition(transaction, this.lifecycle.getValidationState(transaction, validationResults.isValid), {
+        event: 'revalidated',
+        actor: this.lifecycle.actorFor(req.apiKey),
+        note: messageType,
+        updates: {
+          validationStatus: validationResults.isValid ? 'valid' : 'invalid',
+          validationErrors: validationResults.errors
+        }
       });
 
+      if (!validationResults.isValid) {
+        await this.webhookService.publish('transaction.invalid', {
+          tenantId: transaction.tenantId,
+          data: this.webhookService.transactionData(transaction),
+          xml: transaction.iso20022Xml,
+          transactionId: transaction.id
+        });
+      }
+
       res.json({
         transaction: transaction,
         validation: validationResults
@@ -247,6 +1028,199 @@ class TransactionController {
       res.status(500).json({ error: error.message });
     }
   }
+
+  // The receiver confirmed a delivered message
+  async acknowledgeTransaction(req, res) {
+    try {
+      const transaction = await this.Transaction.findOne({
+        where: { id: req.params.id, ...this.tenantService.where(req.apiKey) }
+      });
+
+      if (!transaction) {
+        return res.status(404).json({ error: 'Transaction not found' });
+      }
+
+      const state = this.lifecycle.getState(transaction);
+      if (state !== 'delivered') {
+        return res.status(409).json({ error: `Only delivered transactions can be acknowledged; this one is ${state}` });
+      }
+
+      const event = await this.lifecycle.transition(transaction, 'acknowledged', {
+        actor: this.lifecycle.actorFor(req.apiKey),
+        note: req.body && req.body.note ? String(req.body.note) : null
+      });
+
+      res.json({ transaction, event });
+    } catch (error) {
+      console.error('Error acknowledging transaction:', {
+        error: error.message,
+        stack: error.stack,
+        transactionId: req.params.id
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async getTransactionHistory(req, res) {
+    try {
+      const transaction = await this.Transaction.findOne({
+        where: { id: req.params.id, ...this.tenantService.where(req.apiKey) },
+        attributes: ['id', 'xrplTxHash', 'state', 'validationStatus', 'createdAt']
+      });
+
+      if (!transaction) {
+        return res.status(404).json({ error: 'Transaction not found' });
+      }
+
+      const events = await this.lifecycle.getHistory(transaction.id);
+
+      res.json({
+        transactionId: transaction.id,
+        xrplTxHash: transaction.xrplTxHash,
+        state: this.lifecycle.getState(transaction),
+        events: events
+      });
+    } catch (error) {
+      console.error('Error fetching transaction history:', {
+        error: error.message,
+        stack: error.stack,
+        transactionId: req.params.id
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async listMessages(req, res) {
+    try {
+      const transaction = await this.Transaction.findOne({
+        where: { id: req.params.id, ...this.tenantService.where(req.apiKey) },
+        attributes: ['id', 'xrplTxHash', 'messageType']
+      });
+
+      if (!transaction) {
+        return res.status(404).json({ error: 'Transaction not found' });
+      }
+
+      const messages = await this.messageService.list(transaction.id, { messageType: req.query.messageType });
+
+      res.json({
+        transactionId: transaction.id,
+        messageType: transaction.messageType,
+        messages: messages
+      });
+    } catch (error) {
+      console.error('Error listing messages:', {
+        error: error.message,
+        stack: error.stack,
+        transactionId: req.params.id
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Regenerates one of the payment's documents as a new version
+  async createMessage(req, res) {
+    try {
+      const transaction = await this.Transaction.findOne({
+        where: { id: req.params.id, ...this.tenantService.where(req.apiKey) }
+      });
+
+      if (!transaction) {
+        return res.status(404).json({ error: 'Transaction not found' });
+      }
+
+      const { profile, error: profileError } = await this.findRequestProfile(req, req.body.mappingProfile);
+      if (profileError) {
+        return res.status(400).json({ error: profileError });
+      }
+
+      const messageType = req.body.messageType || transaction.messageType || 'pacs.008';
+      const result = await this.generateMessage(transaction, messageType, {
+        actor: this.lifecycle.actorFor(req.apiKey),
+        mappingProfileId: profile ? profile.id : null
+      });
+
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      res.status(201).json({
+        message: result.message,
+        validation: result.validation
+      });
+    } catch (error) {
+      console.error('Error generating message:', {
+        error: error.message,
+        stack: error.stack,
+        transactionId: req.params.id
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Transaction and message are looked up together, so a message id from
+  // another transaction or tenant is not found
+  async findMessage(req) {
+    const transaction = await this.Transaction.findOne({
+      where: { id: req.params.id, ...this.tenantService.where(req.apiKey) },
+      attributes: ['id']
+    });
+
+    if (!transaction) {
+      return null;
+    }
+
+    return this.messageService.Message.findOne({
+      where: { id: req.params.messageId, transactionId: transaction.id }
+    });
+  }
+
+  async getMessage(req, res) {
+    try {
+      const message = await this.findMessage(req);
+
+      if (!message) {
+        return res.status(404).json({ error: 'Message not found' });
+      }
+
+      res.json({ message });
+    } catch (error) {
+      console.error('Error fetching message:', {
+        error: error.message,
+        stack: error.stack,
+        transactionId: req.params.id,
+        messageId: req.params.messageId
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async getMessageXML(req, res) {
+    try {
+      const envelope = this.envelopeService.resolveOptions(req);
+      if (envelope.error) {
+        return res.status(400).json({ error: envelope.error });
+      }
+
+      const message = await this.findMessage(req);
+
+      if (!message) {
+        return res.status(404).json({ error: 'Message not found' });
+      }
+
+      const wrapped = await this.envelopeService.wrap(message.xml, envelope);
+      res.set('Content-Type', 'application/xml');
+      res.send(wrapped);
+    } catch (error) {
+      console.error('Error fetching message XML:', {
+        error: error.message,
+        stack: error.stack,
+        transactionId: req.params.id,
+        messageId: req.params.messageId
+      });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
 }
 
 module.exports = TransactionController;
\ No newline at end of file
@@ -0,0 +1,358 @@
+// src/controllers/WebhookController.js
+const { Op } = require('sequelize');
+const WebhookService = require('../services/WebhookService');
+const TenantService = require('../services/TenantService');
+
+const FORMATS = ['json', 'xml'];
+
+class WebhookController {
+  constructor(sequelize) {
+    if (!sequelize) {
+      throw new Error('Sequelize instance is required');
+    }
+
+    this.webhookService = new WebhookService(sequelize);
+    this.tenantService = new TenantService(sequelize);
+    this.Webhook = this.webhookService.Webhook;
+    this.WebhookDelivery = this.webhookService.WebhookDelivery;
+
+    // Bind methods to preserve context
+    this.createWebhook = this.createWebhook.bind(this);
+    this.listWebhooks = this.listWebhooks.bind(this);
+    this.getWebhook = this.getWebhook.bind(this);
+    this.updateWebhook = this.updateWebhook.bind(this);
+    this.deleteWebhook = this.deleteWebhook.bind(this);
+    this.listDeliveries = this.listDeliveries.bind(this);
+    this.listDeadLetters = this.listDeadLetters.bind(this);
+    this.retryDelivery = this.retryDelivery.bind(this);
+  }
+
+  // Returns the first problem with the given webhook settings, or null
+  validateWebhookFields(fields) {
+    if (fields.url !== undefined) {
+      let url;
+      try {
+        url = new URL(fields.url);
+      } catch (error) {
+        return 'url must be an absolute URL';
+      }
+      if (!['http:', 'https:'].includes(url.protocol)) {
+        return 'url must use http or https';
+      }
+    }
+    if (fields.events !== undefined) {
+      if (!Array.isArray(fields.events) || fields.events.length === 0) {
+        return 'events must be a non-empty array';
+      }
+      const unknownEvents = fields.events.filter(event => !WebhookService.EVENTS.includes(event));
+      if (unknownEvents.length > 0) {
+        return `Unknown events: ${unknownEvents.join(', ')}. Valid events: ${WebhookService.EVENTS.join(', ')}`;
+      }
+    }
+    if (fields.format !== undefined && !FORMATS.includes(fields.format)) {
+      return `format must be one of: ${FORMATS.join(', ')}`;
+    }
+    return null;
+  }
+
+  // The secret is only ever returned on creation and rotation
+  serializeWebhook(webhook) {
+    const { secret, ...fields } = webhook.toJSON();
+    return fields;
+  }
+
+  // Tenant keys only ever see their own tenant's webhooks
+  async findWebhook(req, id = req.params.id) {
+    return this.Webhook.findOne({
+      where: { id, ...this.tenantService.where(req.apiKey) }
+    });
+  }
+
+  // Ids of the webhooks the caller may see, or null for all of them
+  async getVisibleWebhookIds(req) {
+    if (!req.apiKey.tenantId) {
+      return null;
+    }
+    const webhooks = await this.Webhook.findAll({
+      where: { tenantId: req.apiKey.tenantId },
+      attributes: ['id']
+    });
+    return webhooks.map(webhook => webhook.id);
+  }
+
+  async createWebhook(req, res) {
+    try {
+      const { url, events, format = 'json', description } = req.body;
+
+      if (!url || !events) {
+        return res.status(400).json({ error: 'url and events are required' });
+      }
+
+      const validationError = this.validateWebhookFields({ url, events, format });
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      // Tenant admins register webhooks for their own tenant only; platform
+      // webhooks receive every tenant's events
+      const callerTenantId = req.apiKey.tenantId;
+      const tenantId = callerTenantId || req.body.tenantId || null;
+      if (callerTenantId && req.body.tenantId && req.body.tenantId !== callerTenantId) {
+        return res.status(403).json({ error: 'Webhooks can only be registered for your own tenant' });
+      }
+      if (tenantId && !callerTenantId) {
+        const tenant = await this.tenantService.Tenant.findByPk(tenantId);
+        if (!tenant || !tenant.active) {
+          return res.status(400).json({ error: 'tenantId does not name an active tenant' });
+        }
+      }
+
+      const secret = this.webhookService.createSecret();
+      const webhook = await this.Webhook.create({
+        tenantId,
+        url,
+        events: [...new Set(events)],
+        format,
+        secret,
+        description
+      });
+
+      console.info(`Registered webhook ${webhook.id} for ${webhook.events.join(', ')}`);
+      res.status(201).json({
+        webhook: this.serializeWebhook(webhook),
+        secret: secret // Only returned once
+      });
+    } catch (error) {
+      console.error('Error creating webhook:', {
+        error: error.message,
+        stack: error.stack
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async listWebhooks(req, res) {
+    try {
+      const webhooks = await this.Webhook.findAll({
+        where: this.tenantService.where(req.apiKey),
+        order: [['createdAt', 'DESC']]
+      });
+
+      res.json({ webhooks: webhooks.map(webhook => this.serializeWebhook(webhook)) });
+    } catch (error) {
+      console.error('Error listing webhooks:', {
+        error: error.message,
+        stack: error.stack
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async getWebhook(req, res) {
+    try {
+      const webhook = await this.findWebhook(req);
+
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      res.json({ webhook: this.serializeWebhook(webhook) });
+    } catch (error) {
+      console.error('Error fetching webhook:', {
+        error: error.message,
+        stack: error.stack,
+        webhookId: req.params.id
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async updateWebhook(req, res) {
+    try {
+      const webhook = await this.findWebhook(req);
+
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      const fields = {};
+      for (const field of ['url', 'events', 'format', 'description']) {
+        if (req.body[field] !== undefined) {
+          fields[field] = req.body[field];
+        }
+      }
+      if (req.body.active !== undefined) {
+        fields.active = Boolean(req.body.active);
+      }
+
+      const validationError = this.validateWebhookFields(fields);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      if (fields.events) {
+        fields.events = [...new Set(fields.events)];
+      }
+
+      // Rotating takes effect with the next attempt, including retries
+      const secret = req.body.rotateSecret ? this.webhookService.createSecret() : null;
+      if (secret) {
+        fields.secret = secret;
+      }
+
+      await webhook.update(fields);
+
+      console.info(`Updated webhook ${webhook.id}`, { fields: Object.keys(fields).filter(field => field !== 'secret') });
+      res.json({
+        webhook: this.serializeWebhook(webhook),
+        ...(secret ? { secret } : {})
+      });
+    } catch (error) {
+      console.error('Error updating webhook:', {
+        error: error.message,
+        stack: error.stack,
+        webhookId: req.params.id
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  async deleteWebhook(req, res) {
+    try {
+      const webhook = await this.findWebhook(req);
+
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      await this.WebhookDelivery.destroy({ where: { webhookId: webhook.id } });
+      await webhook.destroy();
+
+      console.info(`Deleted webhook ${webhook.id}`);
+      res.json({ message: 'Webhook deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting webhook:', {
+        error: error.message,
+        stack: error.stack,
+        webhookId: req.params.id
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Delivery log of one webhook, newest first. Payloads are left out;
+  // they can be large and are resent as stored by the retry endpoint.
+  async listDeliveries(req, res) {
+    try {
+      const webhook = await this.findWebhook(req);
+
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      const { page = 1, limit = 20, status, event } = req.query;
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const whereClause = { webhookId: webhook.id };
+      if (status) {
+        whereClause.status = status;
+      }
+      if (event) {
+        whereClause.event = event;
+      }
+
+      const deliveries = await this.WebhookDelivery.findAndCountAll({
+        where: whereClause,
+        attributes: { exclude: ['payload'] },
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        order: [['createdAt', 'DESC']]
+      });
+
+      res.json({
+        deliveries: deliveries.rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: deliveries.count,
+          pages: Math.ceil(deliveries.count / parseInt(limit))
+        }
+      });
+    } catch (error) {
+      console.error('Error listing webhook deliveries:', {
+        error: error.message,
+        stack: error.stack,
+        webhookId: req.params.id
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Deliveries that used up their attempts, across the caller's webhooks
+  async listDeadLetters(req, res) {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const whereClause = { status: 'dead' };
+      const webhookIds = await this.getVisibleWebhookIds(req);
+      if (webhookIds) {
+        whereClause.webhookId = { [Op.in]: webhookIds };
+      }
+
+      const deliveries = await this.WebhookDelivery.findAndCountAll({
+        where: whereClause,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        order: [['updatedAt', 'DESC']]
+      });
+
+      res.json({
+        deliveries: deliveries.rows,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: deliveries.count,
+          pages: Math.ceil(deliveries.count / parseInt(limit))
+        }
+      });
+    } catch (error) {
+      console.error('Error listing dead webhook deliveries:', {
+        error: error.message,
+        stack: error.stack
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // Sends a dead or failed delivery again right away, with a fresh set of
+  // attempts
+  async retryDelivery(req, res) {
+    try {
+      const delivery = await this.WebhookDelivery.findByPk(req.params.deliveryId);
+      const webhook = delivery ? await this.findWebhook(req, delivery.webhookId) : null;
+
+      if (!delivery || !webhook) {
+        return res.status(404).json({ error: 'Delivery not found' });
+      }
+      if (!['dead', 'failed'].includes(delivery.status)) {
+        return res.status(409).json({ error: `Delivery is ${delivery.status}` });
+      }
+      if (!webhook.active) {
+        return res.status(409).json({ error: 'Webhook is inactive' });
+      }
+
+      await this.webhookService.redeliver(delivery);
+
+      res.json({ delivery });
+    } catch (error) {
+      console.error('Error retrying webhook delivery:', {
+        error: error.message,
+        stack: error.stack,
+        deliveryId: req.params.deliveryId
+      });
+      res.status(500).json({ error: error.message });
+    }
+  }
+}
+
+module.exports = WebhookController;
@@ -1,6 +1,9 @@
 // src/middleware/auth.js
 const jwt = require('jsonwebtoken');
 
+// admin implies every other permission
+const PERMISSIONS = ['admin', 'read', 'write', 'process', 'export'];
+
 class AuthMiddleware {
   constructor(apiController) {
     if (!apiController) {
@@ -11,10 +14,27 @@ class AuthMiddleware {
     // Bind methods to preserve context
     this.authenticateApiKey = this.authenticateApiKey.bind(this);
     this.authenticateJWT = this.authenticateJWT.bind(this);
+    this.authorize = this.authorize.bind(this);
+  }
+
+  hasPermission(keyData, permission) {
+    const permissions = keyData.permissions || [];
+    return permissions.includes('admin') || permissions.includes(permission);
+  }
+
+  // Each entry lists the addresses of one payment. A key scoped to addresses
+  // may only see payments involving at least one of them.
+  canAccessAddresses(keyData, payments) {
+    if (!keyData.addresses) {
+      return true;
+    }
+    return payments.every(addresses =>
+      addresses.some(address => keyData.addresses.includes(address))
+    );
   }
 
   authenticateApiKey(requiredPermissions = []) {
-    return (req, res, next) => {
+    return async (req, res, next) => {
       try {
         const apiKey = req.headers['x-api-key'] || req.query.apiKey;
         
@@ -25,7 +45,7 @@ class AuthMiddleware {
           });
         }
 
-        const keyData = this.apiController.validateApiKey(apiKey);
+        const keyData = await this.apiController.validateApiKey(apiKey);
         if (!keyData) {
           console.warn('Invalid API key attempted', {
             ip: req.ip,
@@ -38,7 +58,7 @@ class AuthMiddleware {
         // Check permissions
         if (requiredPermissions.length > 0) {
           const hasPermission = requiredPermissions.some(perm => 
-            keyData.permissions && keyData.permissions.includes(perm)
+            this.hasPermission(keyData, perm)
           );
           if (!hasPermission) {
             console.warn('Insufficient permissions', {
@@ -59,7 +79,8 @@ class AuthMiddleware {
         req.apiKey = keyData;
         console.debug('API key authenticated', {
           keyId: keyData.id,
-          permissions: keyData.permissions
+          permissions: keyData.permissions,
+          addresses: keyData.addresses
         });
         next();
       } catch (error) {
@@ -109,28 +130,72 @@ class AuthMiddleware {
     };
   }
 
-  // Optional: Method to create admin-only middleware
-  requireAdmin() {
+  // Declares what a route needs: one permission and how to find the XRPL
+  // addresses it touches, so address-scoped keys can be checked. addressScope
+  // is one of
+  //   { param: 'address' }  the address is a route parameter
+  //   async (req) => [...]  resolves the addresses of each payment involved,
+  //                         or null when the resource does not exist
+  //   'handler'             the handler itself limits what it reads or writes
+  //                         to req.apiKey.addresses
+  //   'none'                the route exposes no per-address data
+  // Routes that declare nothing are closed to scoped keys.
+  authorize(permission, { addressScope = null } = {}) {
+    if (!PERMISSIONS.includes(permission)) {
+      throw new Error(`Unknown permission: ${permission}`);
+    }
+
     return [
-      this.authenticateApiKey(['admin']),
-      (req, res, next) => {
-        if (!req.apiKey.permissions.includes('admin')) {
-          return res.status(403).json({ error: 'Admin privileges required' });
+      this.authenticateApiKey([permission]),
+      async (req, res, next) => {
+        try {
+          if (!req.apiKey.addresses || addressScope === 'handler' || addressScope === 'none') {
+            return next();
+          }
+
+          let payments = null;
+          if (addressScope && addressScope.param) {
+            payments = [[req.params[addressScope.param]]];
+          } else if (typeof addressScope === 'function') {
+            payments = await addressScope(req);
+            // Missing resources are left for the handler to report as 404
+            if (payments === null) {
+              return next();
+            }
+          }
+
+          if (!payments || !this.canAccessAddresses(req.apiKey, payments)) {
+            console.warn('API key not scoped for this resource', {
+              keyId: req.apiKey.id,
+              addresses: req.apiKey.addresses,
+              ip: req.ip,
+              path: req.path
+            });
+            return res.status(403).json({ error: 'API key is not scoped to the addresses involved' });
+          }
+
+          next();
+        } catch (error) {
+          console.error('Error in address scope check:', error);
+          res.status(500).json({ error: 'Authorization error' });
         }
-        next();
       }
     ];
   }
 
-  // Optional: Method to create read-only middleware
+  requireAdmin() {
+    return this.authorize('admin');
+  }
+
   requireReadAccess() {
-    return this.authenticateApiKey(['read']);
+    return this.authorize('read');
   }
 
-  // Optional: Method to create write access middleware
   requireWriteAccess() {
-    return this.authenticateApiKey(['write']);
+    return this.authorize('write');
   }
 }
 
-module.exports = AuthMiddleware;
\ No newline at end of file
+AuthMiddleware.PERMISSIONS = PERMISSIONS;
+
+module.exports = AuthMiddleware;
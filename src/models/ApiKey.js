@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const ApiKeyModel = (sequelize) => {
+  return sequelize.define('ApiKey', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Leading characters of the key, stored in clear so a presented key is
+    // matched to its row before the single bcrypt comparison
+    prefix: {
+      type: DataTypes.STRING(16),
+      allowNull: false,
+      unique: true
+    },
+    hashedKey: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    permissions: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: ['read']
+    },
+    // Owning tenant; null for platform keys
+    tenantId: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'tenants',
+        key: 'id'
+      }
+    },
+    // XRPL addresses the key is limited to; null for every address
+    addresses: {
+      type: DataTypes.JSONB
+    },
+    // head.001 AppHdr defaults for XML fetched with this key
+    envelope: {
+      type: DataTypes.JSONB
+    },
+    // Mapping profile for payments processed with this key, over the tenant's
+    mappingProfileId: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'mapping_profiles',
+        key: 'id'
+      }
+    },
+    expiresAt: {
+      type: DataTypes.DATE
+    },
+    lastUsed: {
+      type: DataTypes.DATE
+    },
+    revokedAt: {
+      type: DataTypes.DATE
+    }
+  }, {
+    tableName: 'api_keys',
+    timestamps: true
+  });
+};
+
+module.exports = ApiKeyModel;
@@ -0,0 +1,54 @@
+const { DataTypes } = require('sequelize');
+const BatchModel = (sequelize) => {
+  return sequelize.define('Batch', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // Owning tenant; null for batches created with platform keys
+    tenantId: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'tenants',
+        key: 'id'
+      }
+    },
+    messageType: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    messageId: {
+      type: DataTypes.STRING(35),
+      allowNull: false
+    },
+    numberOfTransactions: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    controlSum: {
+      type: DataTypes.DECIMAL(30, 8),
+      allowNull: false
+    },
+    // Request that selected the transactions (hash list or filter)
+    selection: {
+      type: DataTypes.JSONB
+    },
+    xml: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    validationStatus: {
+      type: DataTypes.ENUM('pending', 'valid', 'invalid'),
+      defaultValue: 'pending'
+    },
+    validationErrors: {
+      type: DataTypes.JSONB
+    }
+  }, {
+    tableName: 'batches',
+    timestamps: true
+  });
+};
+
+module.exports = BatchModel;
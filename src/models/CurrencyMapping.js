@@ -0,0 +1,39 @@
+const { DataTypes } = require('sequelize');
+const CurrencyMappingModel = (sequelize) => {
+  return sequelize.define('CurrencyMapping', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // The token as on the ledger: a three character code, or 40 hex
+    // characters stored in upper case, and its issuer
+    currency: {
+      type: DataTypes.STRING(40),
+      allowNull: false
+    },
+    issuer: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Ccy reported for the token: an ISO 4217 code, or a proxy such as XXX
+    isoCurrency: {
+      type: DataTypes.STRING(3),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.STRING
+    }
+  }, {
+    tableName: 'currency_mappings',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['currency', 'issuer']
+      }
+    ]
+  });
+};
+
+module.exports = CurrencyMappingModel;
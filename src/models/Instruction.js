@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const InstructionModel = (sequelize) => {
+  return sequelize.define('Instruction', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // Owning tenant; null for instructions submitted with platform keys
+    tenantId: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'tenants',
+        key: 'id'
+      }
+    },
+    // GrpHdr/MsgId of the uploaded pain.001, unique per tenant and among
+    // platform instructions
+    messageId: {
+      type: DataTypes.STRING(35),
+      allowNull: false
+    },
+    creationDateTime: {
+      type: DataTypes.DATE
+    },
+    numberOfTransactions: {
+      type: DataTypes.INTEGER
+    },
+    controlSum: {
+      type: DataTypes.DECIMAL(30, 8)
+    },
+    xml: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('rejected', 'accepted', 'completed', 'partial', 'failed'),
+      allowNull: false
+    },
+    // One entry per CdtTrfTxInf with the XRPL payment it was submitted as
+    payments: {
+      type: DataTypes.JSONB,
+      defaultValue: []
+    },
+    validationErrors: {
+      type: DataTypes.JSONB
+    },
+    processedAt: {
+      type: DataTypes.DATE
+    }
+  }, {
+    tableName: 'instructions',
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['tenantId', 'messageId'] },
+      // NULLs never clash in the index above, so instructions submitted
+      // with platform keys need one of their own
+      {
+        name: 'instructions_platform_message_id',
+        unique: true,
+        fields: ['messageId'],
+        where: { tenantId: null }
+      }
+    ]
+  });
+};
+
+module.exports = InstructionModel;
@@ -0,0 +1,32 @@
+const { DataTypes } = require('sequelize');
+const LedgerCheckpointModel = (sequelize) => {
+  return sequelize.define('LedgerCheckpoint', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    address: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    // Highest ledger whose transactions have all been handed to the pipeline
+    lastLedgerIndex: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // account_tx marker of a walk that was interrupted part way through
+    marker: {
+      type: DataTypes.JSONB
+    },
+    lastRunAt: {
+      type: DataTypes.DATE
+    }
+  }, {
+    tableName: 'ledger_checkpoints',
+    timestamps: true
+  });
+};
+
+module.exports = LedgerCheckpointModel;
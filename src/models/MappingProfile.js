@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const MappingProfileModel = (sequelize) => {
+  return sequelize.define('MappingProfile', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // Owning tenant; null for platform profiles, which every tenant can use
+    tenantId: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'tenants',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.STRING
+    },
+    // The profile as it was submitted, in its format
+    format: {
+      type: DataTypes.ENUM('json', 'yaml'),
+      allowNull: false,
+      defaultValue: 'json'
+    },
+    document: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    // The parsed document, as used by MappingEngine.applyProfile
+    rules: {
+      type: DataTypes.JSONB,
+      allowNull: false
+    },
+    active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'mapping_profiles',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['tenantId', 'name']
+      }
+    ]
+  });
+};
+
+module.exports = MappingProfileModel;
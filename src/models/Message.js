@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+const MessageModel = (sequelize) => {
+  return sequelize.define('Message', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    transactionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'transactions',
+        key: 'id'
+      }
+    },
+    tenantId: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'tenants',
+        key: 'id'
+      }
+    },
+    // pacs.008, pain.001, pacs.004 or camt.054
+    messageType: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // 1 for the first document of this type for the transaction, then one up
+    // for every regeneration
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    messageId: {
+      type: DataTypes.STRING(35)
+    },
+    xml: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    // sha256 of xml
+    checksum: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    validationStatus: {
+      type: DataTypes.ENUM('pending', 'valid', 'invalid'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    validationErrors: {
+      type: DataTypes.JSONB
+    },
+    // Same actors as the transaction history
+    createdBy: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // processed, requested, regenerated, linked_as_return or legacy
+    reason: {
+      type: DataTypes.STRING
+    },
+    // Profile the document was mapped with; null for the built-in mapping
+    mappingProfileId: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'mapping_profiles',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'messages',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      { unique: true, fields: ['transactionId', 'messageType', 'version'] }
+    ]
+  });
+};
+
+module.exports = MessageModel;
@@ -0,0 +1,71 @@
+const { DataTypes, Sequelize } = require('sequelize');
+const PartyModel = (sequelize) => {
+  return sequelize.define('Party', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // Owning tenant; null for platform parties, which every tenant can use
+    tenantId: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'tenants',
+        key: 'id'
+      }
+    },
+    // XRPL address and, for shared addresses such as exchanges, the
+    // destination or source tag that identifies the customer
+    address: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    destinationTag: {
+      type: DataTypes.BIGINT
+    },
+    // Legal name, reported as Nm
+    name: {
+      type: DataTypes.STRING(140),
+      allowNull: false
+    },
+    lei: {
+      type: DataTypes.STRING(20)
+    },
+    // BIC of the party's agent, reported as DbtrAgt / CdtrAgt
+    bic: {
+      type: DataTypes.STRING(11)
+    },
+    // department, streetName, buildingNumber, postCode, townName,
+    // countrySubDivision and country, reported as PstlAdr
+    postalAddress: {
+      type: DataTypes.JSONB
+    },
+    // Account reported instead of the XRPL address: an IBAN, or another
+    // identifier reported as Othr/Id
+    iban: {
+      type: DataTypes.STRING(34)
+    },
+    accountId: {
+      type: DataTypes.STRING(34)
+    }
+  }, {
+    tableName: 'parties',
+    timestamps: true,
+    indexes: [
+      // One party per owner, address and tag. NULLs never clash in a plain
+      // unique index, so platform parties and whole-address parties are
+      // compared with a placeholder in their place.
+      {
+        name: 'parties_owner_address_tag',
+        unique: true,
+        fields: [
+          Sequelize.fn('COALESCE', Sequelize.col('tenantId'), Sequelize.literal("'00000000-0000-0000-0000-000000000000'::uuid")),
+          'address',
+          Sequelize.fn('COALESCE', Sequelize.col('destinationTag'), -1)
+        ]
+      }
+    ]
+  });
+};
+
+module.exports = PartyModel;
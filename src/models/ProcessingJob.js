@@ -0,0 +1,107 @@
+const { DataTypes } = require('sequelize');
+const ProcessingJobModel = (sequelize) => {
+  return sequelize.define('ProcessingJob', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // Tenant the payment is processed for; null for the platform
+    tenantId: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'tenants',
+        key: 'id'
+      }
+    },
+    txHash: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    messageType: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'pacs.008'
+    },
+    // Scope of the address-scoped key that asked for the job, checked again
+    // on every attempt
+    addresses: {
+      type: DataTypes.JSONB
+    },
+    // api or scheduler
+    source: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'scheduler'
+    },
+    // api-key:<id> for API requests; recorded in the payment's history
+    requestedBy: {
+      type: DataTypes.STRING
+    },
+    // Profile chosen by the request or its key; null for the tenant's
+    mappingProfileId: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'mapping_profiles',
+        key: 'id'
+      }
+    },
+    // failed jobs have used up their attempts or cannot succeed, and wait
+    // for an admin to requeue them
+    status: {
+      type: DataTypes.ENUM('queued', 'processing', 'failed', 'done'),
+      allowNull: false,
+      defaultValue: 'queued'
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    maxAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 5
+    },
+    // Earliest time the next attempt may start
+    runAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    lockedAt: {
+      type: DataTypes.DATE
+    },
+    lockedBy: {
+      type: DataTypes.STRING
+    },
+    lastError: {
+      type: DataTypes.TEXT
+    },
+    // [{ attempt, error, at }] for every failed attempt
+    errorHistory: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    transactionId: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'transactions',
+        key: 'id'
+      }
+    },
+    completedAt: {
+      type: DataTypes.DATE
+    }
+  }, {
+    tableName: 'processing_jobs',
+    timestamps: true,
+    indexes: [
+      { fields: ['status', 'runAt'] },
+      { fields: ['tenantId', 'txHash'] }
+    ]
+  });
+};
+
+module.exports = ProcessingJobModel;
@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+const StatementModel = (sequelize) => {
+  return sequelize.define('Statement', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // Owning tenant; null for addresses in MONITORED_ADDRESSES
+    tenantId: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'tenants',
+        key: 'id'
+      }
+    },
+    address: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    currency: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    fromDate: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    toDate: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    messageId: {
+      type: DataTypes.STRING(35),
+      allowNull: false
+    },
+    openingBalance: {
+      type: DataTypes.DECIMAL(30, 8)
+    },
+    closingBalance: {
+      type: DataTypes.DECIMAL(30, 8)
+    },
+    entryCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    xml: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    }
+  }, {
+    tableName: 'statements',
+    timestamps: true,
+    indexes: [
+      { fields: ['address', 'fromDate'] }
+    ]
+  });
+};
+
+module.exports = StatementModel;
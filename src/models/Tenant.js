@@ -0,0 +1,76 @@
+const { DataTypes } = require('sequelize');
+const TenantModel = (sequelize) => {
+  return sequelize.define('Tenant', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    // XRPL addresses watched for this tenant's payments
+    monitoredAddresses: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    // Set by platform admins to let the tenant submit pain.001 instructions
+    // from the deployment's signing wallet
+    walletAccess: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    // Token settings; unset ones fall back to HCT_CURRENCY_CODE / HCT_TOKEN_ISSUER
+    currencyCode: {
+      type: DataTypes.STRING(40)
+    },
+    tokenIssuer: {
+      type: DataTypes.STRING
+    },
+    // BICs reported as InstgAgt / InstdAgt in the tenant's pacs.008
+    instructingAgentBic: {
+      type: DataTypes.STRING(11)
+    },
+    instructedAgentBic: {
+      type: DataTypes.STRING(11)
+    },
+    // fallback or reject; unset follows UNKNOWN_PARTY_POLICY
+    unknownPartyPolicy: {
+      type: DataTypes.STRING(8)
+    },
+    // Decimals its token is reported with; unset follows HCT_TOKEN_DECIMALS
+    tokenDecimals: {
+      type: DataTypes.INTEGER
+    },
+    // half-even, half-up, down or reject; unset follows AMOUNT_ROUNDING
+    amountRounding: {
+      type: DataTypes.STRING(9)
+    },
+    // accept, notify or reject; unset follows PARTIAL_PAYMENT_POLICY
+    partialPaymentPolicy: {
+      type: DataTypes.STRING(6)
+    },
+    // Mapping profile for the tenant's payments; null for the built-in mapping
+    mappingProfileId: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'mapping_profiles',
+        key: 'id'
+      }
+    },
+    active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'tenants',
+    timestamps: true
+  });
+};
+
+module.exports = TenantModel;
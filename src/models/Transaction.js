@@ -6,10 +6,18 @@ const TransactionModel = (sequelize) => {
       defaultValue: DataTypes.UUIDV4,
       primaryKey: true
     },
+    // A payment between two tenants' addresses is stored once per tenant
     xrplTxHash: {
       type: DataTypes.STRING,
-      allowNull: false,
-      unique: true
+      allowNull: false
+    },
+    // Owning tenant; null for addresses in MONITORED_ADDRESSES
+    tenantId: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'tenants',
+        key: 'id'
+      }
     },
     fromAddress: {
       type: DataTypes.STRING,
@@ -19,10 +27,39 @@ const TransactionModel = (sequelize) => {
       type: DataTypes.STRING,
       allowNull: false
     },
+    // Exact value as on the ledger; token values carry up to 15 significant
+    // digits at any scale, so the column has no fixed precision. This is
+    // what the payment delivered.
     amount: {
-      type: DataTypes.DECIMAL(20, 8),
+      type: DataTypes.DECIMAL,
       allowNull: false
     },
+    // Amount the sender asked for; more than amount for partial payments
+    requestedAmount: {
+      type: DataTypes.DECIMAL
+    },
+    // Sent with tfPartialPayment, so allowed to deliver less than requested
+    partialPayment: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    // Leg a cross-currency payment was paid from: what the sender spent,
+    // in XRP or a token of sourceIssuer. amount and currency are the leg
+    // delivered. Null for payments in one asset.
+    sourceAmount: {
+      type: DataTypes.DECIMAL
+    },
+    sourceCurrency: {
+      type: DataTypes.STRING
+    },
+    sourceIssuer: {
+      type: DataTypes.STRING
+    },
+    // Delivered units per source unit, as reported in XchgRate
+    exchangeRate: {
+      type: DataTypes.DECIMAL
+    },
     currency: {
       type: DataTypes.STRING,
       allowNull: false,
@@ -31,12 +68,64 @@ const TransactionModel = (sequelize) => {
     memo: {
       type: DataTypes.TEXT
     },
+    ledgerIndex: {
+      type: DataTypes.INTEGER
+    },
+    // Close time of the ledger that validated the payment
+    closedAt: {
+      type: DataTypes.DATE
+    },
     rawTransaction: {
       type: DataTypes.JSONB
     },
     iso20022Xml: {
       type: DataTypes.TEXT
     },
+    // camt.054 debit/credit notification for monitored addresses
+    notificationXml: {
+      type: DataTypes.TEXT
+    },
+    messageType: {
+      type: DataTypes.STRING
+    },
+    messageId: {
+      type: DataTypes.STRING(35)
+    },
+    endToEndId: {
+      type: DataTypes.STRING(35)
+    },
+    // Set on returns (pacs.004) to the payment they give back
+    originalTransactionId: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'transactions',
+        key: 'id'
+      }
+    },
+    returnReasonCode: {
+      type: DataTypes.STRING(4)
+    },
+    // pain.001 instruction the payment was submitted for
+    instructionId: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'instructions',
+        key: 'id'
+      }
+    },
+    // Batch message (pacs.008 / pain.001) the payment was last included in
+    batchId: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'batches',
+        key: 'id'
+      }
+    },
+    // Lifecycle state, changed through TransactionLifecycleService only.
+    // Null on payments stored before states were tracked.
+    state: {
+      type: DataTypes.ENUM('detected', 'fetched', 'mapped', 'generated', 'validated', 'delivered', 'acknowledged', 'failed', 'returned')
+    },
     validationStatus: {
       type: DataTypes.ENUM('pending', 'valid', 'invalid'),
       defaultValue: 'pending'
@@ -53,7 +142,18 @@ const TransactionModel = (sequelize) => {
     }
   }, {
     tableName: 'transactions',
-    timestamps: true
+    timestamps: true,
+    indexes: [
+      { unique: true, fields: ['tenantId', 'xrplTxHash'] },
+      // NULLs never clash in the index above, so payments of platform
+      // addresses need one of their own
+      {
+        name: 'transactions_platform_xrpl_tx_hash',
+        unique: true,
+        fields: ['xrplTxHash'],
+        where: { tenantId: null }
+      }
+    ]
   });
 };
 
@@ -0,0 +1,69 @@
+const { DataTypes } = require('sequelize');
+
+const appendOnly = () => {
+  throw new Error('Transaction events are append-only');
+};
+
+const TransactionEventModel = (sequelize) => {
+  return sequelize.define('TransactionEvent', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    transactionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'transactions',
+        key: 'id'
+      }
+    },
+    // What happened: a lifecycle step, revalidated, batched, ...
+    event: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Equal when the event changed data but not the state
+    fromState: {
+      type: DataTypes.STRING
+    },
+    toState: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // api-key:<id>, scheduler, webhook:<id>, instruction:<id> or system
+    actor: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // { field: { from, to } } for every field the event changed
+    changes: {
+      type: DataTypes.JSONB
+    },
+    note: {
+      type: DataTypes.TEXT
+    },
+    // When it happened; pipeline steps are recorded after the fact
+    occurredAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'transaction_events',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      { fields: ['transactionId', 'occurredAt'] }
+    ],
+    hooks: {
+      beforeUpdate: appendOnly,
+      beforeBulkUpdate: appendOnly,
+      beforeDestroy: appendOnly,
+      beforeBulkDestroy: appendOnly
+    }
+  });
+};
+
+module.exports = TransactionEventModel;
@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+const WebhookModel = (sequelize) => {
+  return sequelize.define('Webhook', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // Owning tenant; null for platform webhooks, which receive every event
+    tenantId: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'tenants',
+        key: 'id'
+      }
+    },
+    url: {
+      type: DataTypes.STRING(2048),
+      allowNull: false
+    },
+    events: {
+      type: DataTypes.JSONB,
+      allowNull: false
+    },
+    // json posts an event envelope; xml posts the ISO 20022 message itself
+    format: {
+      type: DataTypes.ENUM('json', 'xml'),
+      allowNull: false,
+      defaultValue: 'json'
+    },
+    // HMAC-SHA256 key for the X-HCT-Signature header
+    secret: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.STRING
+    },
+    active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'webhooks',
+    timestamps: true
+  });
+};
+
+module.exports = WebhookModel;
@@ -0,0 +1,74 @@
+const { DataTypes } = require('sequelize');
+const WebhookDeliveryModel = (sequelize) => {
+  return sequelize.define('WebhookDelivery', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    webhookId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'webhooks',
+        key: 'id'
+      }
+    },
+    event: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Payment the event is about; a successful delivery marks it delivered
+    transactionId: {
+      type: DataTypes.UUID,
+      references: {
+        model: 'transactions',
+        key: 'id'
+      }
+    },
+    // Exact body sent, so retries carry the same signature input
+    payload: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    contentType: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // dead deliveries have used up their attempts and wait for a manual retry
+    status: {
+      type: DataTypes.ENUM('pending', 'failed', 'delivered', 'dead'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    nextAttemptAt: {
+      type: DataTypes.DATE
+    },
+    lastAttemptAt: {
+      type: DataTypes.DATE
+    },
+    responseStatus: {
+      type: DataTypes.INTEGER
+    },
+    lastError: {
+      type: DataTypes.TEXT
+    },
+    deliveredAt: {
+      type: DataTypes.DATE
+    }
+  }, {
+    tableName: 'webhook_deliveries',
+    timestamps: true,
+    indexes: [
+      { fields: ['status', 'nextAttemptAt'] },
+      { fields: ['webhookId', 'createdAt'] }
+    ]
+  });
+};
+
+module.exports = WebhookDeliveryModel;
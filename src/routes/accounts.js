@@ -0,0 +1,41 @@
+// src/routes/accounts.js
+const express = require('express');
+const router = express.Router();
+
+function createAccountRoutes(accountController, authMiddleware) {
+  // Validate inputs
+  if (!accountController) {
+    throw new Error('Account controller is required');
+  }
+  if (!authMiddleware) {
+    throw new Error('Auth middleware is required');
+  }
+
+  // Generate a camt.053 statement, or list stored daily statements
+  router.get('/:address/statements',
+    authMiddleware.authorize('export', { addressScope: { param: 'address' } }),
+    async (req, res) => {
+      try {
+        await accountController.getStatements(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Get a stored daily statement
+  router.get('/:address/statements/:statementId',
+    authMiddleware.authorize('export', { addressScope: { param: 'address' } }),
+    async (req, res) => {
+      try {
+        await accountController.getStoredStatement(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = createAccountRoutes;
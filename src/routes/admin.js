@@ -0,0 +1,65 @@
+// src/routes/admin.js
+const express = require('express');
+const router = express.Router();
+
+function createAdminRoutes(adminController, authMiddleware) {
+  // Validate inputs
+  if (!adminController) {
+    throw new Error('Admin controller is required');
+  }
+  if (!authMiddleware) {
+    throw new Error('Auth middleware is required');
+  }
+
+  // Backfill monitored address history for a ledger range
+  router.post('/backfill',
+    authMiddleware.requireAdmin(),
+    async (req, res) => {
+      try {
+        await adminController.triggerBackfill(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Processing jobs (?status=queued|processing|failed|done, ?txHash=)
+  router.get('/jobs',
+    authMiddleware.requireAdmin(),
+    async (req, res) => {
+      try {
+        await adminController.listJobs(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Get processing job with its error history
+  router.get('/jobs/:id',
+    authMiddleware.requireAdmin(),
+    async (req, res) => {
+      try {
+        await adminController.getJob(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Requeue a failed processing job
+  router.post('/jobs/:id/requeue',
+    authMiddleware.requireAdmin(),
+    async (req, res) => {
+      try {
+        await adminController.requeueJob(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = createAdminRoutes;
@@ -11,32 +11,41 @@ function createApiRoutes(apiController, authMiddleware) {
     throw new Error('Auth middleware is required');
   }
 
-  // Generate new API key (protected route - would need admin auth in production)
-  router.post('/keys', async (req, res) => {
-    try {
-      await apiController.generateApiKey(req, res);
-    } catch (error) {
-      res.status(500).json({ error: error.message });
+  // Generate new API key
+  router.post('/keys',
+    authMiddleware.requireAdmin(),
+    async (req, res) => {
+      try {
+        await apiController.generateApiKey(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
     }
-  });
+  );
 
   // List API keys
-  router.get('/keys', async (req, res) => {
-    try {
-      await apiController.listApiKeys(req, res);
-    } catch (error) {
-      res.status(500).json({ error: error.message });
+  router.get('/keys',
+    authMiddleware.requireAdmin(),
+    async (req, res) => {
+      try {
+        await apiController.listApiKeys(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
     }
-  });
+  );
 
   // Revoke API key
-  router.delete('/keys/:keyId', async (req, res) => {
-    try {
-      await apiController.revokeApiKey(req, res);
-    } catch (error) {
-      res.status(500).json({ error: error.message });
+  router.delete('/keys/:keyId',
+    authMiddleware.requireAdmin(),
+    async (req, res) => {
+      try {
+        await apiController.revokeApiKey(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
     }
-  });
+  );
 
   // Health check
   router.get('/health', (req, res) => {
@@ -51,7 +60,7 @@ function createApiRoutes(apiController, authMiddleware) {
 
   // System status
   router.get('/status', 
-    authMiddleware.authenticateApiKey(['read']),
+    authMiddleware.authorize('read', { addressScope: 'none' }),
     async (req, res) => {
       try {
         // Add system status checks here
@@ -0,0 +1,53 @@
+// src/routes/batches.js
+const express = require('express');
+const router = express.Router();
+
+function createBatchRoutes(batchController, authMiddleware) {
+  // Validate inputs
+  if (!batchController) {
+    throw new Error('Batch controller is required');
+  }
+  if (!authMiddleware) {
+    throw new Error('Auth middleware is required');
+  }
+
+  // Build one pacs.008 / pain.001 message from many transactions
+  router.post('/',
+    authMiddleware.authorize('write', { addressScope: 'handler' }),
+    async (req, res) => {
+      try {
+        await batchController.createBatch(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Get batch details and its transactions
+  router.get('/:id',
+    authMiddleware.authorize('read', { addressScope: batchController.getBatchAddresses }),
+    async (req, res) => {
+      try {
+        await batchController.getBatch(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Get batch message XML
+  router.get('/:id/xml',
+    authMiddleware.authorize('export', { addressScope: batchController.getBatchAddresses }),
+    async (req, res) => {
+      try {
+        await batchController.getBatchXML(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = createBatchRoutes;
@@ -0,0 +1,77 @@
+// src/routes/currencyMappings.js
+const express = require('express');
+const router = express.Router();
+
+function createCurrencyMappingRoutes(currencyMappingController, authMiddleware) {
+  // Validate inputs
+  if (!currencyMappingController) {
+    throw new Error('Currency mapping controller is required');
+  }
+  if (!authMiddleware) {
+    throw new Error('Auth middleware is required');
+  }
+
+  // Map a token to an ISO currency
+  router.post('/',
+    authMiddleware.requireAdmin(),
+    async (req, res) => {
+      try {
+        await currencyMappingController.createMapping(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // List currency mappings
+  router.get('/',
+    authMiddleware.authorize('read'),
+    async (req, res) => {
+      try {
+        await currencyMappingController.listMappings(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Get currency mapping
+  router.get('/:id',
+    authMiddleware.authorize('read'),
+    async (req, res) => {
+      try {
+        await currencyMappingController.getMapping(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Update currency mapping
+  router.patch('/:id',
+    authMiddleware.requireAdmin(),
+    async (req, res) => {
+      try {
+        await currencyMappingController.updateMapping(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Delete currency mapping
+  router.delete('/:id',
+    authMiddleware.requireAdmin(),
+    async (req, res) => {
+      try {
+        await currencyMappingController.deleteMapping(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = createCurrencyMappingRoutes;
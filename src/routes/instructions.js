@@ -0,0 +1,66 @@
+// src/routes/instructions.js
+const express = require('express');
+const router = express.Router();
+
+function createInstructionRoutes(instructionController, authMiddleware) {
+  // Validate inputs
+  if (!instructionController) {
+    throw new Error('Instruction controller is required');
+  }
+  if (!authMiddleware) {
+    throw new Error('Auth middleware is required');
+  }
+
+  // Upload a pain.001 and submit its payments on XRPL
+  router.post('/',
+    authMiddleware.authorize('write', { addressScope: 'handler' }),
+    express.text({ type: ['application/xml', 'text/xml'], limit: '10mb' }),
+    async (req, res) => {
+      try {
+        await instructionController.submitInstruction(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Get instruction and the outcome of its payments
+  router.get('/:id',
+    authMiddleware.authorize('read', { addressScope: instructionController.getInstructionAddresses }),
+    async (req, res) => {
+      try {
+        await instructionController.getInstruction(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // pain.002 for the instruction
+  router.get('/:id/status-report',
+    authMiddleware.authorize('export', { addressScope: instructionController.getInstructionAddresses }),
+    async (req, res) => {
+      try {
+        await instructionController.getStatusReport(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // pain.002 looked up by the original pain.001 MsgId
+  router.get('/messages/:messageId/status-report',
+    authMiddleware.authorize('export', { addressScope: instructionController.getInstructionAddresses }),
+    async (req, res) => {
+      try {
+        await instructionController.getStatusReportByMessageId(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = createInstructionRoutes;
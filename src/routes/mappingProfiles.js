@@ -0,0 +1,89 @@
+// src/routes/mappingProfiles.js
+const express = require('express');
+const router = express.Router();
+
+function createMappingProfileRoutes(mappingProfileController, authMiddleware) {
+  // Validate inputs
+  if (!mappingProfileController) {
+    throw new Error('Mapping profile controller is required');
+  }
+  if (!authMiddleware) {
+    throw new Error('Auth middleware is required');
+  }
+
+  // Create profile from a JSON or YAML document
+  router.post('/',
+    authMiddleware.requireAdmin(),
+    async (req, res) => {
+      try {
+        await mappingProfileController.createProfile(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // List profiles; tenant keys see their own and the platform's
+  router.get('/',
+    authMiddleware.authorize('read'),
+    async (req, res) => {
+      try {
+        await mappingProfileController.listProfiles(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Show how a payment maps under a profile, without storing anything
+  router.post('/dry-run',
+    authMiddleware.authorize('read'),
+    async (req, res) => {
+      try {
+        await mappingProfileController.dryRun(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Get profile with the tenants and keys using it
+  router.get('/:id',
+    authMiddleware.authorize('read'),
+    async (req, res) => {
+      try {
+        await mappingProfileController.getProfile(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Update name, description, document or active flag
+  router.patch('/:id',
+    authMiddleware.requireAdmin(),
+    async (req, res) => {
+      try {
+        await mappingProfileController.updateProfile(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Deactivate profile
+  router.delete('/:id',
+    authMiddleware.requireAdmin(),
+    async (req, res) => {
+      try {
+        await mappingProfileController.deactivateProfile(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = createMappingProfileRoutes;
@@ -0,0 +1,90 @@
+// src/routes/parties.js
+const express = require('express');
+const router = express.Router();
+
+function createPartyRoutes(partyController, authMiddleware) {
+  // Validate inputs
+  if (!partyController) {
+    throw new Error('Party controller is required');
+  }
+  if (!authMiddleware) {
+    throw new Error('Auth middleware is required');
+  }
+
+  // Register party
+  router.post('/',
+    authMiddleware.requireAdmin(),
+    async (req, res) => {
+      try {
+        await partyController.createParty(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // List parties, optionally for one address
+  router.get('/',
+    authMiddleware.authorize('read'),
+    async (req, res) => {
+      try {
+        await partyController.listParties(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Bulk import parties from CSV
+  router.post('/import',
+    authMiddleware.requireAdmin(),
+    express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }),
+    async (req, res) => {
+      try {
+        await partyController.importParties(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Get party
+  router.get('/:id',
+    authMiddleware.authorize('read'),
+    async (req, res) => {
+      try {
+        await partyController.getParty(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Update party
+  router.patch('/:id',
+    authMiddleware.requireAdmin(),
+    async (req, res) => {
+      try {
+        await partyController.updateParty(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Delete party
+  router.delete('/:id',
+    authMiddleware.requireAdmin(),
+    async (req, res) => {
+      try {
+        await partyController.deleteParty(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = createPartyRoutes;
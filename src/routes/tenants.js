@@ -0,0 +1,77 @@
+// src/routes/tenants.js
+const express = require('express');
+const router = express.Router();
+
+function createTenantRoutes(tenantController, authMiddleware) {
+  // Validate inputs
+  if (!tenantController) {
+    throw new Error('Tenant controller is required');
+  }
+  if (!authMiddleware) {
+    throw new Error('Auth middleware is required');
+  }
+
+  // Create tenant (platform admins only)
+  router.post('/',
+    authMiddleware.requireAdmin(),
+    async (req, res) => {
+      try {
+        await tenantController.createTenant(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // List tenants; tenant admins see their own
+  router.get('/',
+    authMiddleware.requireAdmin(),
+    async (req, res) => {
+      try {
+        await tenantController.listTenants(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Get tenant
+  router.get('/:id',
+    authMiddleware.requireAdmin(),
+    async (req, res) => {
+      try {
+        await tenantController.getTenant(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Update monitored addresses, token and BIC settings
+  router.patch('/:id',
+    authMiddleware.requireAdmin(),
+    async (req, res) => {
+      try {
+        await tenantController.updateTenant(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Deactivate tenant (platform admins only)
+  router.delete('/:id',
+    authMiddleware.requireAdmin(),
+    async (req, res) => {
+      try {
+        await tenantController.deactivateTenant(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = createTenantRoutes;
@@ -13,7 +13,7 @@ function createTransactionRoutes(transactionController, authMiddleware) {
 
   // Process XRPL transaction
   router.post('/process/:txHash', 
-    // authMiddleware.authenticateApiKey(['write']), 
+    authMiddleware.authorize('process', { addressScope: 'handler' }), 
     async (req, res) => {
       try {
         await transactionController.processXRPLTransaction(req, res);
@@ -25,7 +25,7 @@ function createTransactionRoutes(transactionController, authMiddleware) {
 
   // Get transaction by ID
   router.get('/:id', 
-    authMiddleware.authenticateApiKey(['read']), 
+    authMiddleware.authorize('read', { addressScope: transactionController.getTransactionAddresses }), 
     async (req, res) => {
       try {
         await transactionController.getTransaction(req, res);
@@ -37,7 +37,7 @@ function createTransactionRoutes(transactionController, authMiddleware) {
 
   // List transactions
   router.get('/', 
-    authMiddleware.authenticateApiKey(['read']), 
+    authMiddleware.authorize('read', { addressScope: 'handler' }), 
     async (req, res) => {
       try {
         await transactionController.listTransactions(req, res);
@@ -49,7 +49,7 @@ function createTransactionRoutes(transactionController, authMiddleware) {
 
   // Get ISO 20022 XML for transaction
   router.get('/:id/xml', 
-    authMiddleware.authenticateApiKey(['read']), 
+    authMiddleware.authorize('export', { addressScope: transactionController.getTransactionAddresses }), 
     async (req, res) => {
       try {
         await transactionController.getISO20022XML(req, res);
@@ -59,9 +59,45 @@ function createTransactionRoutes(transactionController, authMiddleware) {
     }
   );
 
+  // Get pacs.002 payment status report for transaction
+  router.get('/:id/status-report', 
+    authMiddleware.authorize('export', { addressScope: transactionController.getTransactionAddresses }), 
+    async (req, res) => {
+      try {
+        await transactionController.getStatusReport(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Link transaction as a return (pacs.004) of an earlier payment
+  router.post('/:id/return', 
+    authMiddleware.authorize('write', { addressScope: transactionController.getTransactionAddresses }), 
+    async (req, res) => {
+      try {
+        await transactionController.linkReturn(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Get transaction together with its original payment and returns
+  router.get('/:id/returns', 
+    authMiddleware.authorize('read', { addressScope: transactionController.getTransactionAddresses }), 
+    async (req, res) => {
+      try {
+        await transactionController.getReturns(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
   // Revalidate transaction
   router.post('/:id/revalidate', 
-    authMiddleware.authenticateApiKey(['write']), 
+    authMiddleware.authorize('write', { addressScope: transactionController.getTransactionAddresses }), 
     async (req, res) => {
       try {
         await transactionController.revalidateTransaction(req, res);
@@ -71,6 +107,78 @@ function createTransactionRoutes(transactionController, authMiddleware) {
     }
   );
 
+  // Record that the receiver confirmed a delivered message
+  router.post('/:id/acknowledge', 
+    authMiddleware.authorize('write', { addressScope: transactionController.getTransactionAddresses }), 
+    async (req, res) => {
+      try {
+        await transactionController.acknowledgeTransaction(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Lifecycle timeline
+  router.get('/:id/history', 
+    authMiddleware.authorize('read', { addressScope: transactionController.getTransactionAddresses }), 
+    async (req, res) => {
+      try {
+        await transactionController.getTransactionHistory(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Documents generated for the transaction, every version
+  router.get('/:id/messages', 
+    authMiddleware.authorize('read', { addressScope: transactionController.getTransactionAddresses }), 
+    async (req, res) => {
+      try {
+        await transactionController.listMessages(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Generate a new version of one of the transaction's documents
+  router.post('/:id/messages', 
+    authMiddleware.authorize('process', { addressScope: transactionController.getTransactionAddresses }), 
+    async (req, res) => {
+      try {
+        await transactionController.createMessage(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Get message with its XML, checksum and validation result
+  router.get('/:id/messages/:messageId', 
+    authMiddleware.authorize('export', { addressScope: transactionController.getTransactionAddresses }), 
+    async (req, res) => {
+      try {
+        await transactionController.getMessage(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Get message XML
+  router.get('/:id/messages/:messageId/xml', 
+    authMiddleware.authorize('export', { addressScope: transactionController.getTransactionAddresses }), 
+    async (req, res) => {
+      try {
+        await transactionController.getMessageXML(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
   return router;
 }
 
@@ -0,0 +1,113 @@
+// src/routes/webhooks.js
+const express = require('express');
+const router = express.Router();
+
+function createWebhookRoutes(webhookController, authMiddleware) {
+  // Validate inputs
+  if (!webhookController) {
+    throw new Error('Webhook controller is required');
+  }
+  if (!authMiddleware) {
+    throw new Error('Auth middleware is required');
+  }
+
+  // Register webhook; the signing secret is only returned here
+  router.post('/',
+    authMiddleware.requireAdmin(),
+    async (req, res) => {
+      try {
+        await webhookController.createWebhook(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // List webhooks
+  router.get('/',
+    authMiddleware.requireAdmin(),
+    async (req, res) => {
+      try {
+        await webhookController.listWebhooks(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Deliveries that exhausted their retries
+  router.get('/dead-letters',
+    authMiddleware.requireAdmin(),
+    async (req, res) => {
+      try {
+        await webhookController.listDeadLetters(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Resend a dead or failed delivery
+  router.post('/deliveries/:deliveryId/retry',
+    authMiddleware.requireAdmin(),
+    async (req, res) => {
+      try {
+        await webhookController.retryDelivery(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Get webhook
+  router.get('/:id',
+    authMiddleware.requireAdmin(),
+    async (req, res) => {
+      try {
+        await webhookController.getWebhook(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Update url, events, format or active flag, or rotate the secret
+  router.patch('/:id',
+    authMiddleware.requireAdmin(),
+    async (req, res) => {
+      try {
+        await webhookController.updateWebhook(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Delete webhook and its delivery log
+  router.delete('/:id',
+    authMiddleware.requireAdmin(),
+    async (req, res) => {
+      try {
+        await webhookController.deleteWebhook(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  // Delivery log
+  router.get('/:id/deliveries',
+    authMiddleware.requireAdmin(),
+    async (req, res) => {
+      try {
+        await webhookController.listDeliveries(req, res);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = createWebhookRoutes;
@@ -0,0 +1,244 @@
+const BigNumber = require('bignumber.js');
+
+// ActiveCurrencyAndAmount allows 18 digits, at most 5 of them decimals
+const MAX_TOTAL_DIGITS = 18;
+const MAX_FRACTION_DIGITS = 5;
+const DROPS_DECIMALS = 6;
+// XchgRate is a BaseOneRate: 11 digits, 10 of them decimals
+const MAX_RATE_DIGITS = 11;
+const MAX_RATE_FRACTION_DIGITS = 10;
+const HEX_CURRENCY_PATTERN = /^[0-9A-F]{40}$/i;
+
+// ISO 4217 minor units. Codes not listed under 0, 3 or 4 use 2.
+const ISO_CURRENCIES = {
+  0: ['BIF', 'CLP', 'DJF', 'GNF', 'ISK', 'JPY', 'KMF', 'KRW', 'PYG', 'RWF', 'UGX', 'UYI', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'],
+  2: ['AED', 'AFN', 'ALL', 'AMD', 'ANG', 'AOA', 'ARS', 'AUD', 'AWG', 'AZN', 'BAM', 'BBD', 'BDT', 'BGN', 'BMD', 'BND',
+    'BOB', 'BOV', 'BRL', 'BSD', 'BTN', 'BWP', 'BYN', 'BZD', 'CAD', 'CDF', 'CHE', 'CHF', 'CHW', 'CNY', 'COP', 'COU',
+    'CRC', 'CUC', 'CUP', 'CVE', 'CZK', 'DKK', 'DOP', 'DZD', 'EGP', 'ERN', 'ETB', 'EUR', 'FJD', 'FKP', 'GBP', 'GEL',
+    'GHS', 'GIP', 'GMD', 'GTQ', 'GYD', 'HKD', 'HNL', 'HTG', 'HUF', 'IDR', 'ILS', 'INR', 'IRR', 'JMD', 'KES', 'KGS',
+    'KHR', 'KPW', 'KYD', 'KZT', 'LAK', 'LBP', 'LKR', 'LRD', 'LSL', 'MAD', 'MDL', 'MGA', 'MKD', 'MMK', 'MNT', 'MOP',
+    'MRU', 'MUR', 'MVR', 'MWK', 'MXN', 'MXV', 'MYR', 'MZN', 'NAD', 'NGN', 'NIO', 'NOK', 'NPR', 'NZD', 'PAB', 'PEN',
+    'PGK', 'PHP', 'PKR', 'PLN', 'QAR', 'RON', 'RSD', 'RUB', 'SAR', 'SBD', 'SCR', 'SDG', 'SEK', 'SGD', 'SHP', 'SLE',
+    'SLL', 'SOS', 'SRD', 'SSP', 'STN', 'SVC', 'SYP', 'SZL', 'THB', 'TJS', 'TMT', 'TOP', 'TRY', 'TTD', 'TWD', 'TZS',
+    'UAH', 'USD', 'USN', 'UZS', 'VED', 'VES', 'WST', 'XCD', 'XCG', 'YER', 'ZAR', 'ZMW', 'ZWG', 'ZWL'],
+  3: ['BHD', 'IQD', 'JOD', 'KWD', 'LYD', 'OMR', 'TND'],
+  4: ['CLF', 'UYW']
+};
+const ISO_FRACTION_DIGITS = Object.fromEntries(
+  Object.entries(ISO_CURRENCIES).flatMap(([digits, codes]) => codes.map(code => [code, Number(digits)]))
+);
+
+const ROUNDING_MODES = {
+  'half-even': BigNumber.ROUND_HALF_EVEN,
+  'half-up': BigNumber.ROUND_HALF_UP,
+  down: BigNumber.ROUND_DOWN
+};
+// reject leaves amounts with too many decimals as they are and fails them
+const ROUNDING_POLICIES = [...Object.keys(ROUNDING_MODES), 'reject'];
+
+// Exact decimal amounts. XRPL values are strings that may be drops or carry
+// an exponent (1e-7), so they are never put through floating point.
+class AmountService {
+  // The XRPL Amount as { currency, value }, value a plain decimal string
+  normalize(amount) {
+    if (typeof amount === 'string') {
+      return { currency: 'XRP', value: new BigNumber(amount).shiftedBy(-DROPS_DECIMALS).toFixed() };
+    }
+    if (amount && typeof amount === 'object' && amount.value !== undefined) {
+      return { currency: this.normalizeCurrency(amount.currency), value: new BigNumber(amount.value).toFixed() };
+    }
+    return { currency: 'XRP', value: '0' };
+  }
+
+  // Identity of the token an XRPL Amount is in, null for XRP. currency is
+  // the code as on the ledger, name its readable form.
+  getToken(amount) {
+    if (!amount || typeof amount !== 'object') {
+      return null;
+    }
+    const currency = this.normalizeCurrency(amount.currency);
+    return { currency, name: this.decodeCurrency(currency), issuer: amount.issuer || null };
+  }
+
+  // Whether two XRPL Amounts, or balance changes, are in the same asset: XRP,
+  // or one currency of one issuer
+  isSameAsset(a, b) {
+    const asset = (amount) => typeof amount === 'string' || !amount || amount.currency === 'XRP'
+      ? 'XRP'
+      : `${this.normalizeCurrency(amount.currency)}/${amount.issuer}`;
+    return asset(a) === asset(b);
+  }
+
+  // Currency code as the ledger reports it: hex codes in upper case
+  normalizeCurrency(code) {
+    return typeof code === 'string' && HEX_CURRENCY_PATTERN.test(code) ? code.toUpperCase() : code;
+  }
+
+  // 40 hex character currency codes are either a standard code in bytes
+  // 12-14 of an otherwise zero value, or ASCII padded with zeros. Codes
+  // that are neither are returned as they are.
+  decodeCurrency(code) {
+    if (typeof code !== 'string' || !HEX_CURRENCY_PATTERN.test(code)) {
+      return code;
+    }
+
+    const bytes = Buffer.from(code, 'hex');
+    const printable = (part) => part.length > 0 && part.every(byte => byte >= 0x20 && byte <= 0x7e);
+    if (bytes[0] === 0) {
+      const standard = bytes.subarray(12, 15);
+      const rest = [...bytes.subarray(0, 12), ...bytes.subarray(15)];
+      return rest.every(byte => byte === 0) && printable([...standard])
+        ? standard.toString('ascii')
+        : code.toUpperCase();
+    }
+
+    let end = bytes.length;
+    while (end > 0 && bytes[end - 1] === 0) {
+      end--;
+    }
+    const text = bytes.subarray(0, end);
+    return printable([...text]) ? text.toString('ascii') : code.toUpperCase();
+  }
+
+  // Decimals the currency is reported with: the configured ones, else its
+  // ISO 4217 minor units, else null for tokens nobody configured
+  getFractionDigits(currency, { fractionDigits = {} } = {}) {
+    if (Number.isInteger(fractionDigits[currency])) {
+      return fractionDigits[currency];
+    }
+    if (currency in ISO_FRACTION_DIGITS) {
+      return ISO_FRACTION_DIGITS[currency];
+    }
+    return currency === 'XRP' ? DROPS_DECIMALS : null;
+  }
+
+  // Rules of a tenant's settings: its rounding policy and its token's decimals
+  getRules(settings) {
+    const fractionDigits = {};
+    if (Number.isInteger(settings.tokenDecimals)) {
+      fractionDigits[this.normalizeCurrency(settings.currencyCode)] = settings.tokenDecimals;
+    }
+    return { rounding: settings.amountRounding, fractionDigits };
+  }
+
+  // Rules for a token reported under another Ccy: the decimals configured
+  // for the token apply to that Ccy
+  forCurrency(rules, tokenCurrency, isoCurrency) {
+    const fractionDigits = rules.fractionDigits || {};
+    if (tokenCurrency === isoCurrency || !Number.isInteger(fractionDigits[tokenCurrency])) {
+      return rules;
+    }
+    return { ...rules, fractionDigits: { ...fractionDigits, [isoCurrency]: fractionDigits[tokenCurrency] } };
+  }
+
+  // The value as an ISO 20022 amount of the currency: cut to its decimals
+  // under the rounding policy, and padded to them when they are known and
+  // fit the 5 allowed.
+  // Returns { value, rounded, error }, error set when the value cannot be
+  // reported, in which case value is the exact one.
+  format(value, currency, rules = {}) {
+    const amount = new BigNumber(value);
+    if (!amount.isFinite()) {
+      return { value: String(value), rounded: false, error: `Amount ${value} ${currency} is not a number` };
+    }
+    if (amount.isNegative()) {
+      return { value: amount.toFixed(), rounded: false, error: `Amount ${value} ${currency} is negative` };
+    }
+
+    const digits = this.getFractionDigits(currency, rules);
+    const allowed = Math.min(digits === null ? MAX_FRACTION_DIGITS : digits, MAX_FRACTION_DIGITS);
+    const rounding = rules.rounding || 'half-even';
+    let result = amount;
+    if (amount.decimalPlaces() > allowed) {
+      if (rounding === 'reject') {
+        return {
+          value: amount.toFixed(),
+          rounded: false,
+          error: `Amount ${amount.toFixed()} ${currency} has more than ${allowed} decimals`
+        };
+      }
+      result = amount.decimalPlaces(allowed, ROUNDING_MODES[rounding]);
+      if (result.isZero()) {
+        return { value: amount.toFixed(), rounded: false, error: `Amount ${amount.toFixed()} ${currency} rounds to zero` };
+      }
+    }
+
+    if (!this.isRepresentable(result)) {
+      return {
+        value: amount.toFixed(),
+        rounded: false,
+        error: `Amount ${amount.toFixed()} ${currency} exceeds ${MAX_TOTAL_DIGITS} digits`
+      };
+    }
+
+    return {
+      value: digits === allowed ? result.toFixed(allowed) : result.toFixed(),
+      rounded: !result.isEqualTo(amount),
+      error: null
+    };
+  }
+
+  // Whether the value fits ActiveCurrencyAndAmount: non-negative, 18 digits,
+  // 5 of them decimals
+  isRepresentable(value, maxFractionDigits = MAX_FRACTION_DIGITS, maxTotalDigits = MAX_TOTAL_DIGITS) {
+    const amount = new BigNumber(value);
+    if (!amount.isFinite() || amount.isNegative() || amount.decimalPlaces() > maxFractionDigits) {
+      return false;
+    }
+    const integerDigits = amount.integerValue(BigNumber.ROUND_DOWN).isZero()
+      ? 0
+      : amount.integerValue(BigNumber.ROUND_DOWN).toFixed().length;
+    return integerDigits + amount.decimalPlaces() <= maxTotalDigits;
+  }
+
+  // Rate at which from converted into to, i.e. to / from, in the digits of
+  // an XchgRate. Returns { value, error }.
+  exchangeRate(to, from) {
+    const rate = new BigNumber(to).dividedBy(from);
+    if (!rate.isFinite() || !rate.isGreaterThan(0)) {
+      return { value: null, error: `No exchange rate converts ${from} into ${to}` };
+    }
+
+    const integerDigits = rate.integerValue(BigNumber.ROUND_DOWN).isZero()
+      ? 0
+      : rate.integerValue(BigNumber.ROUND_DOWN).toFixed().length;
+    const decimals = Math.min(MAX_RATE_FRACTION_DIGITS, MAX_RATE_DIGITS - integerDigits);
+    const value = decimals >= 0 ? rate.decimalPlaces(decimals, BigNumber.ROUND_HALF_EVEN) : null;
+    if (!value || value.isZero()) {
+      return { value: null, error: `Exchange rate ${rate.toPrecision(6)} does not fit ${MAX_RATE_DIGITS} digits` };
+    }
+    return { value: value.toFixed(), error: null };
+  }
+
+  // Exact sum of decimal strings
+  sum(values) {
+    return values.reduce((total, value) => total.plus(value), new BigNumber(0)).toFixed();
+  }
+
+  subtract(a, b) {
+    return new BigNumber(a).minus(b).toFixed();
+  }
+
+  abs(value) {
+    return new BigNumber(value).abs().toFixed();
+  }
+
+  isNegative(value) {
+    const amount = new BigNumber(value);
+    return amount.isNegative() && !amount.isZero();
+  }
+
+  isPositive(value) {
+    const amount = new BigNumber(value);
+    return amount.isFinite() && amount.isGreaterThan(0);
+  }
+}
+
+AmountService.ISO_FRACTION_DIGITS = ISO_FRACTION_DIGITS;
+AmountService.ROUNDING_POLICIES = ROUNDING_POLICIES;
+AmountService.MAX_TOTAL_DIGITS = MAX_TOTAL_DIGITS;
+AmountService.MAX_FRACTION_DIGITS = MAX_FRACTION_DIGITS;
+AmountService.MAX_RATE_DIGITS = MAX_RATE_DIGITS;
+AmountService.MAX_RATE_FRACTION_DIGITS = MAX_RATE_FRACTION_DIGITS;
+
+module.exports = AmountService;
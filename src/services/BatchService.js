@@ -0,0 +1,154 @@
+const { Op } = require('sequelize');
+const TransactionModel = require('../models/Transaction');
+const BatchModel = require('../models/Batch');
+const MappingEngine = require('./MappingEngine');
+const XMLGenerator = require('./XMLGenerator');
+const ValidationService = require('./ValidationService');
+const TenantService = require('./TenantService');
+const WebhookService = require('./WebhookService');
+const TransactionLifecycleService = require('./TransactionLifecycleService');
+const MappingProfileService = require('./MappingProfileService');
+const PartyService = require('./PartyService');
+const AmountService = require('./AmountService');
+const CurrencyService = require('./CurrencyService');
+
+class BatchService {
+  constructor(sequelize) {
+    if (!sequelize) {
+      throw new Error('Sequelize instance is required');
+    }
+
+    this.Transaction = TransactionModel(sequelize);
+    this.Batch = BatchModel(sequelize);
+    this.mappingEngine = new MappingEngine();
+    this.xmlGenerator = new XMLGenerator();
+    this.validationService = new ValidationService();
+    this.tenantService = new TenantService(sequelize);
+    this.webhookService = new WebhookService(sequelize);
+    this.lifecycle = new TransactionLifecycleService(sequelize);
+    this.mappingProfileService = new MappingProfileService(sequelize);
+    this.partyService = new PartyService(sequelize);
+    this.amountService = new AmountService();
+    this.currencyService = new CurrencyService(sequelize);
+  }
+
+  getMaxBatchSize() {
+    return parseInt(process.env.BATCH_MAX_TRANSACTIONS, 10) || 1000;
+  }
+
+  // Either an explicit hash list, or a filter over stored payments. Filters
+  // skip returns and, unless includeBatched is set, already batched payments.
+  // Only the caller's payments are ever selected: those of its tenant and,
+  // for address-scoped keys, those involving its addresses.
+  async findTransactions({ transactionHashes, filter, apiKey = null }) {
+    const addresses = apiKey ? apiKey.addresses : null;
+    const scope = { ...this.tenantService.where(apiKey) };
+    if (addresses) {
+      scope[Op.and] = [{
+        [Op.or]: [
+          { fromAddress: { [Op.in]: addresses } },
+          { toAddress: { [Op.in]: addresses } }
+        ]
+      }];
+    }
+
+    if (transactionHashes) {
+      return this.Transaction.findAll({
+        where: { xrplTxHash: { [Op.in]: transactionHashes }, ...scope },
+        order: [['closedAt', 'ASC'], ['createdAt', 'ASC']]
+      });
+    }
+
+    const where = { originalTransactionId: null, ...scope };
+    if (filter.account) {
+      where[Op.or] = [{ fromAddress: filter.account }, { toAddress: filter.account }];
+    }
+    if (filter.fromAddress) {
+      where.fromAddress = filter.fromAddress;
+    }
+    if (filter.toAddress) {
+      where.toAddress = filter.toAddress;
+    }
+    if (filter.currency) {
+      where.currency = filter.currency;
+    }
+    if (filter.from || filter.to) {
+      where.closedAt = {};
+      if (filter.from) where.closedAt[Op.gte] = new Date(filter.from);
+      if (filter.to) where.closedAt[Op.lt] = new Date(filter.to);
+    }
+    if (!filter.includeBatched) {
+      where.batchId = null;
+    }
+
+    return this.Transaction.findAll({
+      where,
+      order: [['closedAt', 'ASC'], ['createdAt', 'ASC']],
+      limit: this.getMaxBatchSize()
+    });
+  }
+
+  async createBatch(messageType, transactions, selection, tenant = null, actor = 'system') {
+    const settings = this.tenantService.getSettings(tenant);
+    const { profile, error } = await this.mappingProfileService.resolve(tenant);
+    if (error) {
+      throw new Error(error);
+    }
+    const amountRules = this.amountService.getRules(settings);
+    const mappedTransactions = [];
+    for (const transaction of transactions) {
+      mappedTransactions.push(this.mappingEngine.mapXRPLToISO20022(transaction.rawTransaction, messageType, {
+        rules: profile ? profile.rules : null,
+        parties: await this.partyService.findParties(transaction.rawTransaction, settings.tenantId),
+        amountRules,
+        ...await this.currencyService.resolvePayment(transaction.rawTransaction)
+      }));
+    }
+    const batchData = this.mappingEngine.mapBatch(mappedTransactions);
+    batchData.instructingAgentBic = settings.instructingAgentBic;
+    batchData.instructedAgentBic = settings.instructedAgentBic;
+
+    const xmlString = messageType === 'pain.001'
+      ? this.xmlGenerator.generatePain001XML(batchData)
+      : this.xmlGenerator.generatePacs008XML(batchData);
+    const validationResults = this.checkAmounts(
+      await this.validationService.validateXML(xmlString, messageType), mappedTransactions
+    );
+
+    const batch = await this.Batch.create({
+      tenantId: settings.tenantId,
+      messageType: messageType,
+      messageId: batchData.messageId,
+      numberOfTransactions: transactions.length,
+      controlSum: messageType === 'pain.001' ? batchData.instructedSum : batchData.controlSum,
+      selection: selection,
+      xml: xmlString,
+      validationStatus: validationResults.isValid ? 'valid' : 'invalid',
+      validationErrors: validationResults.errors
+    });
+
+    await this.Transaction.update(
+      { batchId: batch.id },
+      { where: { id: { [Op.in]: transactions.map(transaction => transaction.id) } } }
+    );
+    await this.lifecycle.recordBatched(transactions, batch.id, actor);
+
+    console.info(`Created ${messageType} batch ${batch.id} with ${transactions.length} transaction(s)`);
+    await this.webhookService.publishBatch(batch);
+    return { batch, validation: validationResults };
+  }
+
+  // A batch fails with any payment whose amount it cannot carry
+  checkAmounts(validationResults, mappedTransactions) {
+    const errors = mappedTransactions.flatMap(mappedData => mappedData.amountValidation.errors);
+    const warnings = mappedTransactions.flatMap(mappedData => mappedData.amountValidation.warnings);
+    return {
+      ...validationResults,
+      isValid: validationResults.isValid && errors.length === 0,
+      errors: [...(validationResults.errors || []), ...errors],
+      warnings: [...(validationResults.warnings || []), ...warnings]
+    };
+  }
+}
+
+module.exports = BatchService;
@@ -0,0 +1,101 @@
+const { isValidClassicAddress } = require('xrpl');
+const CurrencyMappingModel = require('../models/CurrencyMapping');
+const AmountService = require('./AmountService');
+
+const MAPPING_FIELDS = ['currency', 'issuer', 'isoCurrency', 'description'];
+
+// Ccy values for XRPL tokens. A token is reported under the ISO 4217 code,
+// or proxy such as XXX, mapped to its currency and issuer, and its own
+// identity goes into the message's supplementary data. Tokens nobody
+// mapped fail validation. XRP is reported as XRP.
+class CurrencyService {
+  constructor(sequelize) {
+    if (!sequelize) {
+      throw new Error('Sequelize instance is required');
+    }
+
+    this.CurrencyMapping = CurrencyMappingModel(sequelize);
+    this.amountService = new AmountService();
+  }
+
+  pickMappingFields(body) {
+    const fields = {};
+    for (const field of MAPPING_FIELDS) {
+      if (body[field] !== undefined) {
+        fields[field] = body[field];
+      }
+    }
+    if (typeof fields.currency === 'string' && /^[0-9A-F]{40}$/i.test(fields.currency)) {
+      fields.currency = fields.currency.toUpperCase();
+    }
+    return fields;
+  }
+
+  // Returns the first problem with the given mapping fields, or null
+  validateMappingFields(fields) {
+    if (fields.currency !== undefined) {
+      if (typeof fields.currency !== 'string' || !/^([A-Z0-9]{3}|[0-9A-F]{40})$/i.test(fields.currency)) {
+        return 'currency must be a three character or 40 hex character XRPL currency code';
+      }
+      if (fields.currency.toUpperCase() === 'XRP') {
+        return 'currency cannot be XRP';
+      }
+    }
+    if (fields.issuer !== undefined && (typeof fields.issuer !== 'string' || !isValidClassicAddress(fields.issuer))) {
+      return 'issuer must be an XRPL address';
+    }
+    if (fields.isoCurrency !== undefined && (typeof fields.isoCurrency !== 'string' || !/^[A-Z]{3}$/.test(fields.isoCurrency))) {
+      return 'isoCurrency must be three upper case letters';
+    }
+    return null;
+  }
+
+  // The Ccy for an XRPL Amount. Returns { isoCurrency, token }, with token
+  // null for XRP, or { error, token } for a token without a mapping.
+  async resolve(amount) {
+    const token = this.amountService.getToken(amount);
+    if (!token) {
+      return { isoCurrency: 'XRP', token: null };
+    }
+
+    const mapping = await this.CurrencyMapping.findOne({
+      where: { currency: token.currency, issuer: token.issuer }
+    });
+    if (mapping) {
+      return { isoCurrency: mapping.isoCurrency, token };
+    }
+
+    // The platform's own token may be mapped in the environment instead
+    const platformCurrency = process.env.HCT_CURRENCY_CODE || 'HCT';
+    if (process.env.HCT_ISO_CURRENCY && token.issuer === process.env.HCT_TOKEN_ISSUER &&
+        token.currency.toUpperCase() === platformCurrency.toUpperCase()) {
+      return { isoCurrency: process.env.HCT_ISO_CURRENCY, token };
+    }
+
+    return {
+      isoCurrency: null,
+      token,
+      error: `Token ${token.name} issued by ${token.issuer} has no ISO currency mapping`
+    };
+  }
+
+  // Ccys of a payment: currency for what it delivered, and sourceCurrency
+  // for what it was paid from when that is another asset (SendMax)
+  async resolvePayment(xrplTransaction) {
+    const crossCurrency = xrplTransaction.SendMax !== undefined &&
+      !this.amountService.isSameAsset(xrplTransaction.SendMax, xrplTransaction.Amount);
+    return {
+      currency: await this.resolve(xrplTransaction.Amount),
+      sourceCurrency: crossCurrency ? await this.resolve(xrplTransaction.SendMax) : null
+    };
+  }
+
+  // As resolve, for a token named by its currency code and issuer
+  async resolveToken(currency, issuer) {
+    return this.resolve(currency === 'XRP' && !issuer ? '0' : { currency, issuer, value: '0' });
+  }
+}
+
+CurrencyService.MAPPING_FIELDS = MAPPING_FIELDS;
+
+module.exports = CurrencyService;
@@ -0,0 +1,74 @@
+const { DOMParser } = require('@xmldom/xmldom');
+const MappingEngine = require('./MappingEngine');
+const XMLGenerator = require('./XMLGenerator');
+const ValidationService = require('./ValidationService');
+
+class EnvelopeService {
+  constructor() {
+    this.mappingEngine = new MappingEngine();
+    this.xmlGenerator = new XMLGenerator();
+    this.validationService = new ValidationService();
+  }
+
+  // Query parameters win over the calling API key's settings, which win over
+  // the BAH_* environment defaults
+  resolveOptions(req) {
+    const keySettings = (req.apiKey && req.apiKey.envelope) || {};
+    const query = req.query || {};
+
+    const enabled = query.envelope !== undefined
+      ? query.envelope === 'true'
+      : Boolean(keySettings.enabled);
+
+    if (!enabled) {
+      return { enabled: false };
+    }
+
+    const options = {
+      enabled: true,
+      fromBic: query.fromBic || keySettings.fromBic || process.env.BAH_FROM_BIC,
+      toBic: query.toBic || keySettings.toBic || process.env.BAH_TO_BIC,
+      businessService: keySettings.businessService || process.env.BAH_BUSINESS_SERVICE || null
+    };
+
+    const invalid = ['fromBic', 'toBic'].filter(field =>
+      !options[field] || !this.validationService.isValidBIC(options[field])
+    );
+    if (invalid.length > 0) {
+      options.error = `Envelope requires a valid ${invalid.join(' and ')}`;
+    }
+
+    return options;
+  }
+
+  // The envelope is checked before it is handed out: its parts against their
+  // XSDs and the AppHdr against the head.001 rules. One that fails throws
+  // with status 422 rather than being sent.
+  async wrap(documentXml, options) {
+    if (!options.enabled) {
+      return documentXml;
+    }
+
+    const appHdrData = this.mappingEngine.mapAppHdr(documentXml, options);
+    const envelopeXml = this.xmlGenerator.wrapWithAppHdr(documentXml, appHdrData);
+
+    const errors = await this.validate(envelopeXml);
+    if (errors.length > 0) {
+      const error = new Error(`Envelope failed validation: ${errors.join('; ')}`);
+      error.status = 422;
+      throw error;
+    }
+    return envelopeXml;
+  }
+
+  async validate(envelopeXml) {
+    const schemaResults = await this.validationService.schemaValidator.validate(envelopeXml);
+    const doc = new DOMParser().parseFromString(envelopeXml, 'application/xml');
+    return [
+      ...schemaResults.errors.map(error => this.validationService.formatSchemaError(error)),
+      ...this.validationService.validateAppHdr(doc)
+    ];
+  }
+}
+
+module.exports = EnvelopeService;
@@ -0,0 +1,308 @@
+const InstructionModel = require('../models/Instruction');
+const TransactionController = require('../controllers/TransactionController');
+const MappingEngine = require('./MappingEngine');
+const XMLGenerator = require('./XMLGenerator');
+const ValidationService = require('./ValidationService');
+const AmountService = require('./AmountService');
+const CurrencyService = require('./CurrencyService');
+
+class InstructionService {
+  constructor(sequelize) {
+    if (!sequelize) {
+      throw new Error('Sequelize instance is required');
+    }
+
+    this.Instruction = InstructionModel(sequelize);
+    this.transactionController = new TransactionController(sequelize);
+    this.Transaction = this.transactionController.Transaction;
+    this.xrplService = this.transactionController.xrplService;
+    this.tenantService = this.transactionController.tenantService;
+    this.mappingEngine = new MappingEngine();
+    this.xmlGenerator = new XMLGenerator();
+    this.validationService = new ValidationService();
+    this.amountService = new AmountService();
+    this.currencyService = new CurrencyService(sequelize);
+  }
+
+  // There is one signing wallet for the whole deployment, so a tenant may
+  // only send from it once a platform admin has granted it walletAccess.
+  // Platform keys always can.
+  canUseWallet(tenant = null) {
+    if (!tenant) {
+      return true;
+    }
+    return tenant.walletAccess === true;
+  }
+
+  // Nothing is submitted unless every payment in the file can be: the debtor
+  // account has to be our signing wallet and amounts must be in the Ccy the
+  // tenant's token is reported under, with no more decimals than it has
+  checkPayments(instructionData, wallet, settings = this.tenantService.getDefaultSettings(),
+    currency = settings.currencyCode) {
+    const errors = [];
+
+    if (instructionData.payments.length === 0) {
+      errors.push('Instruction contains no CdtTrfTxInf');
+    }
+
+    instructionData.payments.forEach((payment, index) => {
+      const label = `CdtTrfTxInf ${index + 1} (${payment.endToEndId || 'no EndToEndId'})`;
+
+      if (!payment.endToEndId) {
+        errors.push(`${label}: EndToEndId is required`);
+      }
+      if (payment.debtorAccount !== wallet.classicAddress) {
+        errors.push(`${label}: DbtrAcct ${payment.debtorAccount} is not the configured XRPL wallet`);
+      }
+      if (!this.mappingEngine.resolveDestination(payment.creditorAccount)) {
+        errors.push(`${label}: CdtrAcct ${payment.creditorAccount} is not a valid XRPL address`);
+      }
+      if (payment.amount.currency !== currency) {
+        errors.push(`${label}: only ${currency} amounts can be submitted, got ${payment.amount.currency}`);
+      }
+      if (!this.amountService.isPositive(payment.amount.value)) {
+        errors.push(`${label}: amount must be positive`);
+      } else {
+        // Amounts are sent to the ledger as given, never rounded
+        const rules = this.amountService.forCurrency(this.amountService.getRules(settings),
+          this.amountService.normalizeCurrency(settings.currencyCode), currency);
+        const formatted = this.amountService.format(payment.amount.value, currency, { ...rules, rounding: 'reject' });
+        if (formatted.error) {
+          errors.push(`${label}: ${formatted.error}`);
+        }
+      }
+    });
+
+    return errors;
+  }
+
+  async submitInstruction(xmlString, wallet, tenant = null) {
+    const settings = this.tenantService.getSettings(tenant);
+    const validationResults = await this.validationService.validateXML(xmlString, 'pain.001');
+    const instructionData = this.mappingEngine.mapInstruction(xmlString);
+    const resolved = await this.currencyService.resolveToken(settings.currencyCode, settings.tokenIssuer);
+
+    let errors = validationResults.errors;
+    if (validationResults.isValid) {
+      errors = resolved.error ? [resolved.error] : this.checkPayments(instructionData, wallet, settings, resolved.isoCurrency);
+    }
+
+    // The row is the lock on the MsgId: nothing is submitted unless this
+    // upload is the one that stored it
+    const instruction = await this.createInstruction({
+      tenantId: settings.tenantId,
+      messageId: instructionData.messageId,
+      creationDateTime: instructionData.creationDateTime,
+      numberOfTransactions: instructionData.payments.length,
+      controlSum: instructionData.controlSum,
+      xml: xmlString,
+      status: errors.length > 0 ? 'rejected' : 'accepted',
+      payments: instructionData.payments,
+      validationErrors: errors
+    });
+
+    if (errors.length > 0) {
+      console.warn(`Rejected pain.001 instruction ${instructionData.messageId}`, { errors });
+      return { instruction, validation: validationResults };
+    }
+
+    // Payments go out one at a time so a failure never leaves later ones
+    // racing on the wallet's sequence number
+    const payments = [];
+    for (const payment of instructionData.payments) {
+      payments.push(await this.submitPayment(instruction, payment, wallet, settings));
+    }
+
+    await instruction.update({
+      status: this.resolveStatus(payments),
+      payments: payments,
+      processedAt: new Date()
+    });
+
+    console.info(`Processed pain.001 instruction ${instruction.messageId}: ${instruction.status}`);
+    return { instruction, validation: validationResults };
+  }
+
+  // Concurrent uploads of one MsgId both pass the controller's lookup; the
+  // unique indexes let only one of them in and the other gets a 409
+  async createInstruction(fields) {
+    try {
+      return await this.Instruction.create(fields);
+    } catch (error) {
+      if (error.name !== 'SequelizeUniqueConstraintError') {
+        throw error;
+      }
+      const duplicate = new Error('Instruction with this MsgId was already received');
+      duplicate.status = 409;
+      throw duplicate;
+    }
+  }
+
+  async submitPayment(instruction, payment, wallet, settings) {
+    let result;
+    try {
+      const xrplPayment = this.mappingEngine.mapInstructionToXRPLPayment(payment, wallet.classicAddress, {
+        currency: settings.currencyCode,
+        issuer: settings.tokenIssuer
+      });
+      result = await this.xrplService.submitPayment(xrplPayment, wallet);
+    } catch (error) {
+      console.error('Error submitting instruction payment:', {
+        error: error.message,
+        instructionId: instruction.id,
+        endToEndId: payment.endToEndId
+      });
+      return {
+        ...payment,
+        txHash: error.txHash || null,
+        lastLedgerSequence: error.lastLedgerSequence || null,
+        error: error.message
+      };
+    }
+
+    const submitted = {
+      ...payment,
+      txHash: result.hash,
+      engineResult: result.meta && result.meta.TransactionResult,
+      validated: Boolean(result.validated)
+    };
+
+    if (submitted.engineResult === 'tesSUCCESS') {
+      submitted.transactionId = await this.recordPayment(instruction, submitted);
+    }
+
+    return submitted;
+  }
+
+  // The payment has settled whatever happens here; a failure only means its
+  // pacs.008 is produced on the next status refresh
+  async recordPayment(instruction, payment) {
+    try {
+      const tenant = instruction.tenantId
+        ? await this.tenantService.Tenant.findByPk(instruction.tenantId)
+        : null;
+      const processed = await this.transactionController.processTransaction(payment.txHash, {
+        messageType: 'pacs.008',
+        tenant: tenant,
+        instruction: {
+          id: instruction.id,
+          instructionId: payment.instructionId,
+          endToEndId: payment.endToEndId
+        }
+      });
+      return processed.transaction ? processed.transaction.id : null;
+    } catch (error) {
+      console.error('Error processing submitted payment:', {
+        error: error.message,
+        txHash: payment.txHash,
+        instructionId: instruction.id
+      });
+      return null;
+    }
+  }
+
+  // Instructions stay accepted while any submitted payment is unresolved
+  resolveStatus(payments) {
+    if (payments.some(payment => payment.txHash && !payment.validated && !payment.expired)) {
+      return 'accepted';
+    }
+
+    const settled = payments.filter(payment => payment.engineResult === 'tesSUCCESS').length;
+    if (settled === payments.length) {
+      return 'completed';
+    }
+    return settled === 0 ? 'failed' : 'partial';
+  }
+
+  // Payments whose outcome was unknown when submitted, or whose pacs.008
+  // could not be stored, are looked up on the ledger again. One that is
+  // still missing once its LastLedgerSequence has passed can never succeed.
+  async refreshPayments(instruction) {
+    if (instruction.status === 'rejected') {
+      return instruction;
+    }
+
+    let changed = false;
+    const payments = [];
+
+    for (const payment of instruction.payments || []) {
+      const settledWithoutRecord = payment.engineResult === 'tesSUCCESS' && !payment.transactionId;
+      if (!payment.txHash || payment.expired || (payment.validated && !settledWithoutRecord)) {
+        payments.push(payment);
+        continue;
+      }
+
+      let xrplTx = null;
+      let validatedLedger = null;
+      try {
+        xrplTx = await this.xrplService.getTransaction(payment.txHash);
+      } catch (error) {
+        console.warn(`Could not look up instruction payment ${payment.txHash}: ${error.message}`);
+      }
+
+      if (!xrplTx || !xrplTx.validated) {
+        try {
+          validatedLedger = payment.lastLedgerSequence
+            ? await this.xrplService.getValidatedLedgerIndex()
+            : null;
+        } catch (error) {
+          console.warn(`Could not check expiry of instruction payment ${payment.txHash}: ${error.message}`);
+        }
+
+        if (validatedLedger && validatedLedger > payment.lastLedgerSequence) {
+          payments.push({ ...payment, expired: true });
+          changed = true;
+        } else {
+          payments.push(payment);
+        }
+        continue;
+      }
+
+      const refreshed = { ...payment };
+      delete refreshed.error;
+      refreshed.engineResult = xrplTx.meta && xrplTx.meta.TransactionResult;
+      refreshed.validated = true;
+      if (refreshed.engineResult === 'tesSUCCESS') {
+        refreshed.transactionId = await this.recordPayment(instruction, refreshed);
+      }
+
+      payments.push(refreshed);
+      changed = true;
+    }
+
+    if (changed) {
+      await instruction.update({
+        status: this.resolveStatus(payments),
+        payments: payments
+      });
+    }
+
+    return instruction;
+  }
+
+  async generateStatusReport(instruction, { endToEndId = null, refresh = true } = {}) {
+    if (refresh) {
+      await this.refreshPayments(instruction);
+    }
+
+    const transactions = instruction.status === 'rejected'
+      ? []
+      : await this.Transaction.findAll({ where: { instructionId: instruction.id } });
+
+    const xmlString = this.xmlGenerator.generatePain002XML(
+      this.mappingEngine.mapInstructionStatus(instruction, transactions, { endToEndId })
+    );
+
+    const validationResults = await this.validationService.validateXML(xmlString, 'pain.002');
+    if (!validationResults.isValid) {
+      console.warn('Generated pain.002 failed validation', {
+        instructionId: instruction.id,
+        errors: validationResults.errors
+      });
+    }
+
+    return xmlString;
+  }
+}
+
+module.exports = InstructionService;
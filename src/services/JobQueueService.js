@@ -0,0 +1,249 @@
+const os = require('os');
+const { Op, QueryTypes } = require('sequelize');
+const ProcessingJobModel = require('../models/ProcessingJob');
+const TenantService = require('./TenantService');
+
+// Longest wait between two attempts, whatever the backoff says
+const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+
+// Payments waiting to be fetched, mapped, validated and stored. Jobs live in
+// Postgres, so they survive restarts and are shared by every instance:
+// workers claim them with FOR UPDATE SKIP LOCKED and never run one twice at
+// the same time.
+class JobQueueService {
+  constructor(sequelize, transactionController) {
+    if (!sequelize) {
+      throw new Error('Sequelize instance is required');
+    }
+    if (!transactionController) {
+      throw new Error('Transaction controller is required');
+    }
+
+    this.sequelize = sequelize;
+    this.ProcessingJob = ProcessingJobModel(sequelize);
+    this.tenantService = new TenantService(sequelize);
+    this.transactionController = transactionController;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.draining = false;
+  }
+
+  getMaxAttempts() {
+    return parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 5;
+  }
+
+  // Seconds to wait after the given number of failed attempts: 15s, 30s,
+  // 1m, 2m, ... capped at an hour
+  getRetryDelaySeconds(attempts) {
+    const base = parseInt(process.env.JOB_RETRY_BASE_SECONDS, 10) || 15;
+    return Math.min(base * Math.pow(2, Math.max(attempts - 1, 0)), MAX_RETRY_DELAY_SECONDS);
+  }
+
+  // A job still processing after this long belongs to a worker that died
+  getLockTimeoutMs() {
+    return (parseInt(process.env.JOB_LOCK_TIMEOUT_SECONDS, 10) || 300) * 1000;
+  }
+
+  // Unscoped requests for a payment that is already waiting share its job.
+  // Scoped requests always get their own, so their scope is checked.
+  async enqueue(txHash, {
+    tenantId = null,
+    messageType = 'pacs.008',
+    addresses = null,
+    source = 'scheduler',
+    requestedBy = null,
+    mappingProfileId = null
+  } = {}) {
+    if (!addresses) {
+      const existing = await this.ProcessingJob.findOne({
+        where: {
+          txHash,
+          tenantId,
+          messageType,
+          addresses: null,
+          mappingProfileId,
+          status: { [Op.in]: ['queued', 'processing'] }
+        }
+      });
+      if (existing) {
+        return existing;
+      }
+    }
+
+    const job = await this.ProcessingJob.create({
+      txHash,
+      tenantId,
+      messageType,
+      addresses,
+      source,
+      requestedBy,
+      mappingProfileId,
+      maxAttempts: this.getMaxAttempts(),
+      runAt: new Date()
+    });
+
+    console.info(`Queued ${messageType} processing job ${job.id} for ${txHash}`);
+    return job;
+  }
+
+  // Claims up to limit due jobs, including those whose worker died
+  async claimDue(limit = 10) {
+    return this.sequelize.query(
+      `UPDATE processing_jobs
+         SET status = 'processing', attempts = attempts + 1, "lockedAt" = NOW(), "lockedBy" = :workerId, "updatedAt" = NOW()
+       WHERE id IN (
+         SELECT id FROM processing_jobs
+         WHERE (status = 'queued' AND "runAt" <= NOW())
+            OR (status = 'processing' AND "lockedAt" < :staleBefore)
+         ORDER BY "runAt" ASC
+         LIMIT :limit
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      {
+        type: QueryTypes.SELECT,
+        model: this.ProcessingJob,
+        mapToModel: true,
+        replacements: {
+          workerId: this.workerId,
+          staleBefore: new Date(Date.now() - this.getLockTimeoutMs()),
+          limit: limit
+        }
+      }
+    );
+  }
+
+  // Claims one queued job, so the API can run the job it just queued.
+  // Returns false when another worker got there first.
+  async claim(job) {
+    const changes = {
+      status: 'processing',
+      attempts: job.attempts + 1,
+      lockedAt: new Date(),
+      lockedBy: this.workerId
+    };
+    const [claimed] = await this.ProcessingJob.update(changes, {
+      where: { id: job.id, status: 'queued', attempts: job.attempts }
+    });
+
+    if (claimed === 0) {
+      return false;
+    }
+    Object.assign(job, changes);
+    return true;
+  }
+
+  // Records a failed attempt and schedules the next one, unless the job
+  // has used up its attempts or retrying cannot help
+  async fail(job, message, { retry = true } = {}) {
+    const retrying = retry && job.attempts < job.maxAttempts;
+
+    await job.update({
+      status: retrying ? 'queued' : 'failed',
+      lastError: message,
+      errorHistory: [
+        ...(job.errorHistory || []),
+        { attempt: job.attempts, error: message, at: new Date().toISOString() }
+      ],
+      runAt: retrying ? new Date(Date.now() + this.getRetryDelaySeconds(job.attempts) * 1000) : job.runAt,
+      lockedAt: null,
+      lockedBy: null
+    });
+
+    if (retrying) {
+      console.warn(`Processing job ${job.id} for ${job.txHash} failed (attempt ${job.attempts}), retrying: ${message}`);
+    } else {
+      console.error(`Processing job ${job.id} for ${job.txHash} failed: ${message}`);
+    }
+    return job;
+  }
+
+  // Runs a claimed job. Returns { job, result } with the result of
+  // processTransaction, or { job, error } when the attempt threw.
+  async runJob(job) {
+    // Reclaimed from a worker that died on its last attempt
+    if (job.attempts > job.maxAttempts) {
+      return { job: await this.fail(job, 'Worker stopped while processing', { retry: false }), error: 'Worker stopped while processing' };
+    }
+
+    try {
+      const tenant = job.tenantId ? await this.tenantService.Tenant.findByPk(job.tenantId) : null;
+      if (job.tenantId && (!tenant || !tenant.active)) {
+        return { job: await this.fail(job, 'Tenant is not active', { retry: false }), result: { error: 'Tenant is not active' } };
+      }
+
+      const result = await this.transactionController.processTransaction(job.txHash, {
+        messageType: job.messageType,
+        addresses: job.addresses,
+        tenant,
+        actor: job.requestedBy || job.source,
+        detectedAt: job.createdAt,
+        mappingProfileId: job.mappingProfileId
+      });
+
+      // Neither a foreign payment nor a non-HCT one will change on a retry
+      if (result.forbidden) {
+        return { job: await this.fail(job, 'API key is not scoped to the addresses involved', { retry: false }), result };
+      }
+      if (result.error) {
+        return { job: await this.fail(job, result.error, { retry: false }), result };
+      }
+
+      await job.update({
+        status: 'done',
+        transactionId: result.transaction.id,
+        completedAt: new Date(),
+        lockedAt: null,
+        lockedBy: null
+      });
+      return { job, result };
+    } catch (error) {
+      return { job: await this.fail(job, error.message), error: error.message };
+    }
+  }
+
+  // Works through due jobs until none are left. Called by the scheduler
+  // and right after payments are queued.
+  async drain(batchSize = 10) {
+    if (this.draining) {
+      return 0;
+    }
+
+    this.draining = true;
+    let processed = 0;
+    try {
+      let jobs = await this.claimDue(batchSize);
+      while (jobs.length > 0) {
+        for (const job of jobs) {
+          await this.runJob(job);
+          processed++;
+        }
+        jobs = await this.claimDue(batchSize);
+      }
+    } finally {
+      this.draining = false;
+    }
+
+    if (processed > 0) {
+      console.info(`Ran ${processed} processing job(s)`);
+    }
+    return processed;
+  }
+
+  // Gives a failed job a fresh set of attempts; its error history is kept
+  async requeue(job) {
+    await job.update({
+      status: 'queued',
+      attempts: 0,
+      maxAttempts: this.getMaxAttempts(),
+      runAt: new Date(),
+      lastError: null,
+      lockedAt: null,
+      lockedBy: null
+    });
+
+    console.info(`Requeued processing job ${job.id} for ${job.txHash}`);
+    return job;
+  }
+}
+
+module.exports = JobQueueService;
@@ -1,4 +1,79 @@
 const { v4: uuidv4 } = require('uuid');
+const { DOMParser } = require('@xmldom/xmldom');
+const { isValidClassicAddress, isValidXAddress, xAddressToClassicAddress, getBalanceChanges } = require('xrpl');
+const AmountService = require('./AmountService');
+const MemoService = require('./MemoService');
+
+// Seconds between the Unix epoch and the Ripple epoch (2000-01-01T00:00:00Z)
+const RIPPLE_EPOCH_OFFSET = 946684800;
+
+// XRPL engine results mapped to ISO 20022 ExternalStatusReason1Code values.
+// Anything not listed is reported as NARR with the engine result as text.
+const STATUS_REASON_CODES = {
+  tecUNFUNDED_PAYMENT: 'AM04',
+  tecINSUFFICIENT_RESERVE: 'AM04',
+  tecPATH_DRY: 'AM04',
+  tecPATH_PARTIAL: 'AM04',
+  tecNO_DST: 'AC03',
+  tecNO_DST_INSUF_XRP: 'AC03',
+  tecDST_TAG_NEEDED: 'AC01',
+  tecNO_LINE: 'AG01',
+  tecNO_LINE_INSUF_RESERVE: 'AG01',
+  tecNO_AUTH: 'AG01',
+  tecNO_PERMISSION: 'AG01',
+  tecFROZEN: 'AC06',
+  tefALREADY: 'AM05',
+  tefPAST_SEQ: 'AM05',
+  tefMAX_LEDGER: 'AB05'
+};
+
+// Payment flag letting the ledger deliver less than Amount
+const PARTIAL_PAYMENT_FLAG = 0x00020000;
+
+// Refunds carry a memo "RTN:<original tx hash>[:<ExternalReturnReason1Code>]"
+const RETURN_MEMO_PATTERN = /^RTN:([0-9A-F]{64})(?::([A-Z0-9]{4}))?$/i;
+const DEFAULT_RETURN_REASON = 'CUST';
+
+// Fields a mapping profile can set, with the longest value ISO 20022 allows
+const POSTAL_ADDRESS_FIELDS = {
+  department: 70,
+  streetName: 70,
+  buildingNumber: 16,
+  postCode: 16,
+  townName: 35,
+  countrySubDivision: 35,
+  country: 2
+};
+const PROFILE_FIELDS = {
+  instructionId: 35,
+  endToEndId: 35,
+  chargeBearer: 4,
+  purposeCode: 4,
+  'debtor.name': 140,
+  'debtor.identification': 35,
+  'debtor.lei': 20,
+  'debtorAccount.identification': 34,
+  'debtorAccount.iban': 34,
+  debtorAgentBic: 11,
+  'creditor.name': 140,
+  'creditor.identification': 35,
+  'creditor.lei': 20,
+  'creditorAccount.identification': 34,
+  'creditorAccount.iban': 34,
+  creditorAgentBic: 11,
+  'remittanceInformation.unstructured': 140
+};
+// Longest Ustrd, and longest EndToEndId, creditor reference and invoice
+// number a memo can set
+const MAX_UNSTRUCTURED_LENGTH = 140;
+const MAX_REFERENCE_LENGTH = 35;
+for (const [part, length] of Object.entries(POSTAL_ADDRESS_FIELDS)) {
+  PROFILE_FIELDS[`debtor.address.${part}`] = length;
+  PROFILE_FIELDS[`creditor.address.${part}`] = length;
+}
+// Fields a profile may leave out of the message with { "value": null }
+const OPTIONAL_PROFILE_FIELDS = ['purposeCode', 'remittanceInformation.unstructured'];
+const CHARGE_BEARERS = ['DEBT', 'CRED', 'SHAR', 'SLEV'];
 
 class MappingEngine {
   constructor() {
@@ -6,6 +81,14 @@ class MappingEngine {
       PAYMENT: 'pacs.008',
       PAYMENT_INITIATION: 'pain.001'
     };
+    this.messageVersions = {
+      'pacs.008': 'pacs.008.001.08',
+      'pain.001': 'pain.001.001.09',
+      'pain.002': 'pain.002.001.10',
+      'pacs.004': 'pacs.004.001.09'
+    };
+    this.amountService = new AmountService();
+    this.memoService = new MemoService();
   }
 
   generateMsgId(source = '') {
@@ -14,43 +97,115 @@ class MappingEngine {
     return raw.replace(/-/g, '').slice(0, 35);
   }
 
-  mapXRPLToISO20022(xrplTransaction, messageType = 'pacs.008') {
+  // parties are the registered { debtor, creditor } of the payment, which
+  // replace the placeholder names and XRPL account ids. rules are a mapping
+  // profile's; fields it does not set keep the mapping below. amountRules
+  // are the rounding policy and token decimals of AmountService.getRules.
+  // currency is the token's Ccy as resolved by CurrencyService; without it
+  // the token's decoded code is reported.
+  // settlementAmount is what the ledger delivered and instructedAmount the
+  // Amount the sender asked for; they differ only for partial payments.
+  // Payments paid from another asset instead instruct what the sender
+  // spent of it, in sourceCurrency, with the rate it converted at.
+  // The memos give the remittance information and may set the EndToEndId;
+  // the DestinationTag and SourceTag identify the accounts below the
+  // addresses. The profile's memos section changes how (see MemoService).
+  mapXRPLToISO20022(xrplTransaction, messageType = 'pacs.008', {
+    rules = null,
+    parties = {},
+    amountRules = {},
+    currency = null,
+    sourceCurrency = null
+  } = {}) {
     try {
+      const memoRules = (rules && rules.memos) || {};
+      const memos = this.memoService.parse(xrplTransaction, memoRules);
+      const amount = this.amountService.normalize(xrplTransaction.Amount);
+      const deliveredAmount = this.getDeliveredAmount(xrplTransaction);
+      const delivered = this.amountService.normalize(deliveredAmount || xrplTransaction.Amount);
+      const token = this.amountService.getToken(xrplTransaction.Amount);
+      const resolved = currency || { isoCurrency: token ? token.name : 'XRP' };
+      // Unmapped tokens fail validation, under the ISO code for no currency
+      const isoCurrency = resolved.isoCurrency || 'XXX';
+      const rulesForCurrency = this.amountService.forCurrency(amountRules, amount.currency, isoCurrency);
+      const settled = this.amountService.format(delivered.value, isoCurrency, rulesForCurrency);
+      const tokenName = token ? token.name : 'XRP';
+      const sourceLeg = this.mapSourceLeg(xrplTransaction, delivered.value, sourceCurrency, amountRules);
+      const formatted = this.amountService.format(amount.value, isoCurrency, rulesForCurrency);
+      const instructed = sourceLeg || {
+        currency: isoCurrency,
+        formatted,
+        checks: this.checkAmount({ ...amount, currency: tokenName }, formatted)
+      };
       const mappedData = {
         messageId: uuidv4().replace(/-/g, '').slice(0, 35),
         creationDateTime: new Date().toISOString(),
         numberOfTransactions: '1',
-        controlSum: this.extractAmount(xrplTransaction.Amount),
+        controlSum: settled.value,
+        instructedSum: instructed.formatted.value,
+        settlementDateTime: xrplTransaction.date !== undefined
+          ? new Date((xrplTransaction.date + RIPPLE_EPOCH_OFFSET) * 1000).toISOString()
+          : null,
         instructionId: this.generateMsgId(xrplTransaction.hash),
-        endToEndId: this.generateMsgId(xrplTransaction.hash),
-        transactionId: xrplTransaction.hash,
+        endToEndId: memos.endToEndId
+          ? memos.endToEndId.slice(0, MAX_REFERENCE_LENGTH)
+          : this.generateMsgId(xrplTransaction.hash),
+        // TxId is Max35Text; the full hash goes into SplmtryData
+        transactionId: this.generateMsgId(xrplTransaction.hash),
+        xrplTxHash: xrplTransaction.hash,
+        settlementAmount: {
+          currency: isoCurrency,
+          value: settled.value
+        },
         instructedAmount: {
-          currency: xrplTransaction.Amount.currency || 'HCT',
-          value: this.extractAmount(xrplTransaction.Amount)
+          currency: instructed.currency,
+          value: instructed.formatted.value
         },
+        exchangeRate: sourceLeg ? sourceLeg.exchangeRate : null,
+        partialPayment: this.isPartialPayment(xrplTransaction),
+        // The token behind the Ccy, reported as supplementary data
+        token: token,
+        amountValidation: this.mergeAmountChecks(
+          this.checkAmount({ ...delivered, currency: tokenName }, settled, resolved.error),
+          instructed.checks,
+          deliveredAmount ? null : `Delivered amount of partial payment ${xrplTransaction.hash} is unavailable`
+        ),
         debtor: {
           name: this.extractAccountName(xrplTransaction.Account) || 'Unknown',
           identification: xrplTransaction.Account,
-          address: this.extractAccountAddress(xrplTransaction.Account)
+          lei: null,
+          address: null
         },
         debtorAccount: {
           identification: xrplTransaction.Account,
-          currency: xrplTransaction.Amount.currency || 'HCT'
+          iban: null,
+          currency: instructed.currency,
+          proxy: this.mapAccountTag('SourceTag', xrplTransaction.SourceTag, memoRules)
         },
+        debtorAgentBic: null,
         creditor: {
           name: this.extractAccountName(xrplTransaction.Destination) || 'Unknown',
           identification: xrplTransaction.Destination,
-          address: this.extractAccountAddress(xrplTransaction.Destination)
+          lei: null,
+          address: null
         },
         creditorAccount: {
           identification: xrplTransaction.Destination,
-          currency: xrplTransaction.Amount.currency || 'HCT'
+          iban: null,
+          currency: isoCurrency,
+          proxy: this.mapAccountTag('DestinationTag', xrplTransaction.DestinationTag, memoRules)
         },
-        remittanceInformation: this.extractRemittanceInfo(xrplTransaction),
+        creditorAgentBic: null,
+        remittanceInformation: this.mapRemittanceInfo(xrplTransaction, memos),
         chargeBearer: 'SLEV',
         purposeCode: 'CBFF' // Crypto/Blockchain transaction
       };
 
+      this.applyParties(mappedData, parties);
+      if (rules) {
+        this.applyProfile(mappedData, xrplTransaction, rules, parties);
+      }
+
       console.info(`Mapped XRPL transaction ${xrplTransaction.hash} to ISO 20022 format`);
       return mappedData;
     } catch (error) {
@@ -59,13 +214,778 @@ class MappingEngine {
     }
   }
 
-  extractAmount(amount) {
-    if (typeof amount === 'string') {
-      return (parseInt(amount) / 1000000).toString(); // Convert drops to XRP
-    } else if (typeof amount === 'object' && amount.value) {
-      return amount.value;
+  // The leg a cross-currency payment was paid from: what the sender spent
+  // of the SendMax asset, under its Ccy, and the rate it converted into the
+  // delivered value at. null for payments in one asset.
+  mapSourceLeg(xrplTransaction, deliveredValue, sourceCurrency, amountRules) {
+    if (!this.isCrossCurrency(xrplTransaction)) {
+      return null;
+    }
+
+    const token = this.amountService.getToken(xrplTransaction.SendMax);
+    const tokenName = token ? token.name : 'XRP';
+    const resolved = sourceCurrency || { isoCurrency: tokenName };
+    const isoCurrency = resolved.isoCurrency || 'XXX';
+    const source = this.getSourceAmount(xrplTransaction);
+    if (!source) {
+      return {
+        currency: isoCurrency,
+        formatted: { value: '0', rounded: false, error: null },
+        exchangeRate: null,
+        checks: {
+          errors: [resolved.error, `Amount paid for cross-currency payment ${xrplTransaction.hash} is unknown`].filter(Boolean),
+          warnings: []
+        }
+      };
+    }
+
+    const formatted = this.amountService.format(
+      source.value, isoCurrency, this.amountService.forCurrency(amountRules, source.currency, isoCurrency)
+    );
+    const rate = this.amountService.exchangeRate(deliveredValue, source.value);
+    const checks = this.checkAmount({ ...source, currency: tokenName }, formatted, resolved.error);
+    return {
+      currency: isoCurrency,
+      formatted,
+      exchangeRate: rate.value,
+      checks: { errors: [...checks.errors, rate.error].filter(Boolean), warnings: checks.warnings }
+    };
+  }
+
+  // Checks of the delivered and the instructed amount, which are the same
+  // but for partial payments, reported once each
+  mergeAmountChecks(settled, instructed, deliveredError = null) {
+    const unique = (messages) => [...new Set(messages.filter(Boolean))];
+    return {
+      errors: unique([deliveredError, ...settled.errors, ...instructed.errors]),
+      warnings: unique([...settled.warnings, ...instructed.warnings])
+    };
+  }
+
+  // Tokens without a Ccy and amounts ISO 20022 cannot carry are errors;
+  // amounts rounded to the currency's decimals are reported as warnings
+  checkAmount(amount, formatted, currencyError = null) {
+    return {
+      errors: [currencyError, formatted.error].filter(Boolean),
+      warnings: formatted.rounded
+        ? [`Amount ${amount.value} ${amount.currency} rounded to ${formatted.value}`]
+        : []
+    };
+  }
+
+  // Debtor and creditor as registered: legal name, LEI, postal address,
+  // agent BIC, and the IBAN or account id in place of the XRPL address
+  applyParties(mappedData, parties) {
+    for (const side of ['debtor', 'creditor']) {
+      const party = parties[side];
+      if (!party) {
+        continue;
+      }
+
+      mappedData[side].name = party.name;
+      mappedData[side].lei = party.lei || null;
+      mappedData[side].address = party.postalAddress || null;
+      mappedData[`${side}Account`].iban = party.iban || null;
+      if (party.accountId) {
+        mappedData[`${side}Account`].identification = party.accountId;
+      }
+      // The tag picked the party, whose own account now identifies it
+      if (party.iban || party.accountId) {
+        mappedData[`${side}Account`].proxy = null;
+      }
+      mappedData[`${side}AgentBic`] = party.bic || null;
+    }
+    return mappedData;
+  }
+
+  // Sets each field of the profile from the first of its sources that has a
+  // value for this payment. Sources are { value }, a constant; { xrpl },
+  // a dotted path into the XRPL transaction; { memo: { index | type } },
+  // the text of a memo; and { party }, a path into the registered debtor or
+  // creditor such as "creditor.lei". Any of them may carry a format such
+  // as "INV-{value}".
+  applyProfile(mappedData, xrplTransaction, rules, parties = {}) {
+    for (const [field, rule] of Object.entries(rules.fields || {})) {
+      const sources = Array.isArray(rule) ? rule : [rule];
+      let value;
+      for (const source of sources) {
+        value = this.resolveProfileSource(source, xrplTransaction, parties);
+        if (value !== undefined) {
+          break;
+        }
+      }
+      if (value === undefined) {
+        continue;
+      }
+
+      if (field === 'remittanceInformation.unstructured' && value === null) {
+        const structured = mappedData.remittanceInformation && mappedData.remittanceInformation.structured;
+        mappedData.remittanceInformation = structured ? { unstructured: null, structured } : null;
+        continue;
+      }
+
+      const path = field.split('.');
+      const parent = path.slice(0, -1).reduce((node, key) => {
+        if (!node[key]) {
+          node[key] = {};
+        }
+        return node[key];
+      }, mappedData);
+      parent[path[path.length - 1]] = value === null ? null : value.slice(0, PROFILE_FIELDS[field]);
+    }
+    return mappedData;
+  }
+
+  // The source's value as a string, null for a { value: null } constant, or
+  // undefined when the payment has nothing for it
+  resolveProfileSource(source, xrplTransaction, parties = {}) {
+    let value;
+    if ('value' in source) {
+      value = source.value;
+      if (value === null) {
+        return null;
+      }
+    } else if (source.xrpl) {
+      value = source.xrpl.split('.').reduce(
+        (node, key) => (node === null || node === undefined ? undefined : node[key]), xrplTransaction
+      );
+    } else if (source.memo) {
+      value = this.findMemoText(xrplTransaction, source.memo);
+    } else if (source.party) {
+      const [side, ...path] = source.party.split('.');
+      value = path.reduce(
+        (node, key) => (node === null || node === undefined ? undefined : node[key]), parties[side]
+      );
+    }
+
+    if (value === null || value === undefined || value === '' || typeof value === 'object') {
+      return undefined;
+    }
+    return source.format ? source.format.split('{value}').join(String(value)) : String(value);
+  }
+
+  // Text of the memo at index, or of the first memo whose MemoType is type
+  findMemoText(xrplTransaction, { index = null, type = null }) {
+    const memos = this.memoService.decode(xrplTransaction);
+    const memo = type
+      ? memos.find(candidate => candidate.type === type)
+      : memos[index || 0];
+    return memo ? memo.data : null;
+  }
+
+  // Problems with a mapping profile's rules, empty when it can be used
+  validateProfile(rules) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules) ||
+        !rules.fields || typeof rules.fields !== 'object' || Array.isArray(rules.fields)) {
+      return ['A profile must have a fields object'];
+    }
+
+    const errors = rules.memos !== undefined ? this.memoService.validateRules(rules.memos) : [];
+    for (const [field, rule] of Object.entries(rules.fields)) {
+      if (!PROFILE_FIELDS[field]) {
+        errors.push(`Unknown field ${field}`);
+        continue;
+      }
+
+      const sources = Array.isArray(rule) ? rule : [rule];
+      if (sources.length === 0) {
+        errors.push(`${field} needs at least one source`);
+      }
+      for (const source of sources) {
+        const error = this.validateProfileSource(field, source);
+        if (error) {
+          errors.push(`${field}: ${error}`);
+        }
+      }
+    }
+    return errors;
+  }
+
+  validateProfileSource(field, source) {
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+      return 'sources must be objects';
+    }
+
+    const kinds = ['value', 'xrpl', 'memo', 'party'].filter(kind => kind in source);
+    if (kinds.length !== 1) {
+      return 'each source needs exactly one of value, xrpl, memo or party';
+    }
+    if (source.format !== undefined && (typeof source.format !== 'string' || !source.format.includes('{value}'))) {
+      return 'format must be a string containing {value}';
+    }
+
+    if (kinds[0] === 'xrpl' && (typeof source.xrpl !== 'string' || !source.xrpl)) {
+      return 'xrpl must be a field path such as DestinationTag';
+    }
+    if (kinds[0] === 'party' && (typeof source.party !== 'string' || !/^(debtor|creditor)\.\w+(\.\w+)?$/.test(source.party))) {
+      return 'party must be a path such as creditor.lei or debtor.postalAddress.townName';
+    }
+    if (kinds[0] === 'memo') {
+      const { index, type } = source.memo || {};
+      if ((index === undefined) === (type === undefined) ||
+          (index !== undefined && (!Number.isInteger(index) || index < 0)) ||
+          (type !== undefined && (typeof type !== 'string' || !type))) {
+        return 'memo needs either an index or a type';
+      }
+    }
+    if (kinds[0] === 'value') {
+      const value = source.value;
+      if (value === null) {
+        return OPTIONAL_PROFILE_FIELDS.includes(field) ? null : 'only optional fields can be null';
+      }
+      if (!['string', 'number'].includes(typeof value) || String(value) === '') {
+        return 'value must be a string or a number';
+      }
+      if (field === 'chargeBearer' && !CHARGE_BEARERS.includes(value)) {
+        return `must be one of ${CHARGE_BEARERS.join(', ')}`;
+      }
+      if (field === 'purposeCode' && !/^[A-Z0-9]{1,4}$/.test(value)) {
+        return 'must be an ExternalPurpose1Code of up to 4 characters';
+      }
+      if (field.endsWith('.country') && !/^[A-Z]{2}$/.test(value)) {
+        return 'must be an ISO 3166 alpha-2 country code';
+      }
+    }
+    return null;
+  }
+
+  // A batch carries every mapped transaction under one GrpHdr. pain.001
+  // also groups them into one PmtInf block per debtor account.
+  mapBatch(mappedTransactions) {
+    const paymentInformation = [];
+
+    for (const transaction of mappedTransactions) {
+      let group = paymentInformation.find(existing =>
+        existing.debtorAccount.identification === transaction.debtorAccount.identification
+      );
+      if (!group) {
+        group = {
+          id: this.generateMsgId(),
+          debtor: transaction.debtor,
+          debtorAccount: transaction.debtorAccount,
+          debtorAgentBic: transaction.debtorAgentBic,
+          transactions: []
+        };
+        paymentInformation.push(group);
+      }
+      group.transactions.push(transaction);
+    }
+
+    for (const group of paymentInformation) {
+      group.numberOfTransactions = String(group.transactions.length);
+      group.controlSum = this.sumAmounts(group.transactions, 'instructedAmount');
+    }
+
+    return {
+      messageId: this.generateMsgId(),
+      creationDateTime: new Date().toISOString(),
+      numberOfTransactions: String(mappedTransactions.length),
+      controlSum: this.sumAmounts(mappedTransactions),
+      instructedSum: this.sumAmounts(mappedTransactions, 'instructedAmount'),
+      transactions: mappedTransactions,
+      paymentInformation: paymentInformation
+    };
+  }
+
+  // Sum of the settled amounts, or of the instructed ones for pain.001
+  sumAmounts(mappedTransactions, field = 'settlementAmount') {
+    return this.amountService.sum(mappedTransactions.map(transaction => transaction[field].value));
+  }
+
+  // CdtrAcct/Id/Othr/Id, with the DestinationTag of a Prxy as generated
+  // by addAccount appended as address:tag
+  readCreditorAccount(cdtTrfTxInf) {
+    const identification = this.childText(cdtTrfTxInf, 'CdtrAcct/Id/Othr/Id');
+    const tag = this.childText(cdtTrfTxInf, 'CdtrAcct/Prxy/Tp/Prtry') === 'DestinationTag'
+      ? this.childText(cdtTrfTxInf, 'CdtrAcct/Prxy/Id')
+      : null;
+    return identification && tag && !identification.includes(':') ? `${identification}:${tag}` : identification;
+  }
+
+  // Reads an uploaded pain.001 back into the payments it instructs, one per
+  // CdtTrfTxInf, carrying the debtor account of the enclosing PmtInf
+  mapInstruction(xmlString) {
+    const doc = new DOMParser().parseFromString(xmlString, 'application/xml');
+    const grpHdr = doc.getElementsByTagName('GrpHdr')[0];
+    const payments = [];
+
+    for (const pmtInf of Array.from(doc.getElementsByTagName('PmtInf'))) {
+      const cdtTrfTxInfs = Array.from(pmtInf.childNodes)
+        .filter(node => node.nodeType === 1 && node.localName === 'CdtTrfTxInf');
+
+      for (const cdtTrfTxInf of cdtTrfTxInfs) {
+        const instdAmt = this.findChild(cdtTrfTxInf, 'Amt/InstdAmt');
+        payments.push({
+          paymentInformationId: this.childText(pmtInf, 'PmtInfId'),
+          instructionId: this.childText(cdtTrfTxInf, 'PmtId/InstrId'),
+          endToEndId: this.childText(cdtTrfTxInf, 'PmtId/EndToEndId'),
+          debtorAccount: this.childText(pmtInf, 'DbtrAcct/Id/Othr/Id'),
+          creditorAccount: this.readCreditorAccount(cdtTrfTxInf),
+          amount: {
+            currency: instdAmt ? instdAmt.getAttribute('Ccy') : null,
+            value: instdAmt ? instdAmt.textContent.trim() : null
+          },
+          remittanceInformation: this.childText(cdtTrfTxInf, 'RmtInf/Ustrd')
+        });
+      }
+    }
+
+    return {
+      messageId: grpHdr ? this.childText(grpHdr, 'MsgId') : null,
+      creationDateTime: grpHdr ? this.childText(grpHdr, 'CreDtTm') : null,
+      numberOfTransactions: grpHdr ? this.childText(grpHdr, 'NbOfTxs') : null,
+      controlSum: grpHdr ? this.childText(grpHdr, 'CtrlSum') : null,
+      payments: payments
+    };
+  }
+
+  findChild(element, path) {
+    return path.split('/').reduce((node, name) => node && (Array.from(node.childNodes)
+      .find(child => child.nodeType === 1 && child.localName === name) || null), element);
+  }
+
+  childText(element, path) {
+    const node = this.findChild(element, path);
+    return node ? node.textContent.trim() : null;
+  }
+
+  // The creditor account is a classic address, "address:tag", or an
+  // X-address carrying the destination tag
+  resolveDestination(identification) {
+    if (!identification) {
+      return null;
+    }
+
+    if (isValidXAddress(identification)) {
+      const { classicAddress, tag } = xAddressToClassicAddress(identification);
+      return { address: classicAddress, tag: tag === false ? null : tag };
+    }
+
+    const [address, tag] = identification.split(':');
+    if (!isValidClassicAddress(address) || (tag !== undefined && !/^\d{1,10}$/.test(tag))) {
+      return null;
+    }
+    return { address, tag: tag === undefined ? null : parseInt(tag, 10) };
+  }
+
+  mapInstructionToXRPLPayment(payment, account, token = {
+    currency: process.env.HCT_CURRENCY_CODE,
+    issuer: process.env.HCT_TOKEN_ISSUER
+  }) {
+    const destination = this.resolveDestination(payment.creditorAccount);
+
+    const xrplPayment = {
+      TransactionType: 'Payment',
+      Account: account,
+      Destination: destination.address,
+      Amount: {
+        currency: token.currency,
+        issuer: token.issuer,
+        value: payment.amount.value
+      }
+    };
+
+    if (destination.tag !== null) {
+      xrplPayment.DestinationTag = destination.tag;
+    }
+    if (payment.remittanceInformation) {
+      xrplPayment.Memos = [{
+        Memo: {
+          MemoData: Buffer.from(payment.remittanceInformation, 'utf8').toString('hex').toUpperCase()
+        }
+      }];
+    }
+
+    return xrplPayment;
+  }
+
+  // One Ntfctn per monitored address the payment touches: the Destination is
+  // credited (CRDT) and the Account debited (DBIT)
+  mapDebitCreditNotification(mappedData, monitoredAddresses) {
+    const sides = [
+      { identification: mappedData.creditor.identification, creditDebitIndicator: 'CRDT' },
+      { identification: mappedData.debtor.identification, creditDebitIndicator: 'DBIT' }
+    ].filter(side => monitoredAddresses.includes(side.identification));
+
+    if (sides.length === 0) {
+      return null;
+    }
+
+    const creationDateTime = new Date().toISOString();
+    // Cross-currency payments debit the debtor in the asset they were paid from
+    const amountFor = (side) => side.creditDebitIndicator === 'DBIT' && mappedData.exchangeRate
+      ? mappedData.instructedAmount
+      : mappedData.settlementAmount;
+    return {
+      messageId: this.generateMsgId(),
+      creationDateTime: creationDateTime,
+      notifications: sides.map(side => ({
+        id: this.generateMsgId(),
+        account: {
+          identification: side.identification,
+          currency: amountFor(side).currency
+        },
+        entry: {
+          reference: mappedData.transactionId,
+          amount: amountFor(side),
+          creditDebitIndicator: side.creditDebitIndicator,
+          bookingDateTime: mappedData.settlementDateTime || creationDateTime,
+          endToEndId: mappedData.endToEndId,
+          transactionId: mappedData.transactionId,
+          xrplTxHash: mappedData.xrplTxHash,
+          debtor: mappedData.debtor,
+          creditor: mappedData.creditor,
+          remittanceInformation: mappedData.remittanceInformation
+        }
+      }))
+    };
+  }
+
+  detectReturn(xrplTransaction) {
+    for (const { Memo: memo } of xrplTransaction.Memos || []) {
+      if (!memo || !memo.MemoData) {
+        continue;
+      }
+
+      const text = Buffer.from(memo.MemoData, 'hex').toString('utf8').trim();
+      const match = text.match(RETURN_MEMO_PATTERN);
+      if (match) {
+        return {
+          originalTxHash: match[1].toUpperCase(),
+          reasonCode: (match[2] || DEFAULT_RETURN_REASON).toUpperCase()
+        };
+      }
     }
-    return '0';
+    return null;
+  }
+
+  // Returns move the original token back, so both amounts share a Ccy
+  mapPaymentReturn(originalTransaction, mappedData, reasonCode = DEFAULT_RETURN_REASON, amountRules = {}) {
+    const isoCurrency = mappedData.settlementAmount.currency;
+    const originalEndToEndId = originalTransaction.endToEndId || this.generateMsgId(originalTransaction.xrplTxHash);
+    const settlementDateTime = mappedData.settlementDateTime || mappedData.creationDateTime;
+
+    return {
+      messageId: mappedData.messageId,
+      creationDateTime: mappedData.creationDateTime,
+      numberOfTransactions: '1',
+      originalMessageId: originalTransaction.messageId || this.extractMessageId(originalTransaction.iso20022Xml),
+      originalMessageNameId: this.messageVersions[originalTransaction.messageType || this.messageTypes.PAYMENT],
+      returnId: mappedData.instructionId,
+      originalInstructionId: originalEndToEndId,
+      originalEndToEndId: originalEndToEndId,
+      originalTransactionId: this.generateMsgId(originalTransaction.xrplTxHash),
+      originalXrplTxHash: originalTransaction.xrplTxHash,
+      originalSettlementAmount: {
+        currency: isoCurrency,
+        value: this.formatAmount(
+          originalTransaction.amount, isoCurrency, this.amountService.forCurrency(amountRules, originalTransaction.currency, isoCurrency)
+        )
+      },
+      returnedSettlementAmount: mappedData.settlementAmount,
+      settlementDate: settlementDateTime.slice(0, 10),
+      chargeBearer: mappedData.chargeBearer,
+      returnReason: {
+        code: reasonCode,
+        additionalInformation: `Returned by XRPL transaction ${mappedData.xrplTxHash}`
+      }
+    };
+  }
+
+  mapTransactionStatus(xrplTransaction) {
+    const result = xrplTransaction.meta && xrplTransaction.meta.TransactionResult;
+
+    if (!xrplTransaction.validated || !result) {
+      return { status: 'PDNG', reasonCode: null, additionalInformation: null };
+    }
+
+    if (result === 'tesSUCCESS') {
+      return { status: 'ACSC', reasonCode: null, additionalInformation: null };
+    }
+
+    return {
+      status: 'RJCT',
+      reasonCode: STATUS_REASON_CODES[result] || 'NARR',
+      additionalInformation: `XRPL result ${result}`
+    };
+  }
+
+  // isoCurrency is the Ccy the payment's token is reported under
+  mapStatusReport(transaction, amountRules = {}, isoCurrency = transaction.currency) {
+    const xrplTransaction = transaction.rawTransaction;
+    const status = this.mapTransactionStatus(xrplTransaction);
+    const originalEndToEndId = transaction.endToEndId || this.generateMsgId(transaction.xrplTxHash);
+
+    return {
+      messageId: this.generateMsgId(),
+      creationDateTime: new Date().toISOString(),
+      originalMessageId: transaction.messageId || this.extractMessageId(transaction.iso20022Xml),
+      originalMessageNameId: this.messageVersions[transaction.messageType || this.messageTypes.PAYMENT],
+      originalCreationDateTime: transaction.processedAt ? new Date(transaction.processedAt).toISOString() : null,
+      originalInstructionId: originalEndToEndId,
+      originalEndToEndId: originalEndToEndId,
+      originalTransactionId: this.generateMsgId(transaction.xrplTxHash),
+      originalXrplTxHash: transaction.xrplTxHash,
+      transactionStatus: status.status,
+      statusReason: status.reasonCode ? {
+        code: status.reasonCode,
+        additionalInformation: status.additionalInformation
+      } : null,
+      acceptanceDateTime: status.status === 'ACSC' && xrplTransaction.date !== undefined
+        ? new Date((xrplTransaction.date + RIPPLE_EPOCH_OFFSET) * 1000).toISOString()
+        : null,
+      settlementAmount: {
+        currency: isoCurrency,
+        value: this.formatAmount(
+          transaction.amount, isoCurrency, this.amountService.forCurrency(amountRules, transaction.currency, isoCurrency)
+        )
+      }
+    };
+  }
+
+  // pain.002 for an uploaded pain.001. A rejected file only carries a group
+  // status; otherwise every CdtTrfTxInf reports the state of its payment,
+  // taken from the stored Transaction once there is one. Pass endToEndId to
+  // report on a single payment.
+  mapInstructionStatus(instruction, transactions = [], { endToEndId = null } = {}) {
+    const statusData = {
+      messageId: this.generateMsgId(),
+      creationDateTime: new Date().toISOString(),
+      originalMessageId: instruction.messageId,
+      originalMessageNameId: this.messageVersions['pain.001'],
+      originalCreationDateTime: instruction.creationDateTime
+        ? new Date(instruction.creationDateTime).toISOString()
+        : null,
+      originalNumberOfTransactions: instruction.numberOfTransactions !== null && instruction.numberOfTransactions !== undefined
+        ? String(instruction.numberOfTransactions)
+        : null,
+      groupStatus: null,
+      groupStatusReason: null,
+      paymentInformation: []
+    };
+
+    if (instruction.status === 'rejected') {
+      const errors = instruction.validationErrors || [];
+      statusData.groupStatus = 'RJCT';
+      statusData.groupStatusReason = {
+        code: 'FF01',
+        additionalInformation: errors.length > 0 ? String(errors[0]).slice(0, 105) : null
+      };
+      return statusData;
+    }
+
+    const statuses = [];
+    for (const payment of instruction.payments || []) {
+      const transaction = transactions.find(candidate =>
+        candidate.id === payment.transactionId || candidate.xrplTxHash === payment.txHash
+      );
+      const status = this.mapPaymentStatus(payment, transaction);
+      statuses.push(status.status);
+
+      if (endToEndId && payment.endToEndId !== endToEndId) {
+        continue;
+      }
+
+      let group = statusData.paymentInformation.find(existing =>
+        existing.originalPaymentInformationId === payment.paymentInformationId
+      );
+      if (!group) {
+        group = { originalPaymentInformationId: payment.paymentInformationId, transactions: [] };
+        statusData.paymentInformation.push(group);
+      }
+
+      group.transactions.push({
+        originalInstructionId: payment.instructionId,
+        originalEndToEndId: payment.endToEndId,
+        transactionStatus: status.status,
+        statusReason: status.reasonCode ? {
+          code: status.reasonCode,
+          additionalInformation: status.additionalInformation
+        } : null
+      });
+    }
+
+    statusData.groupStatus = this.mapGroupStatus(statuses);
+
+    return statusData;
+  }
+
+  // Accepted but not yet submitted is ACCP, submitted but not yet validated
+  // ACSP; validated payments take the status of their engine result.
+  // Payments that never reached the ledger, or expired before it validated
+  // them, are rejected.
+  mapPaymentStatus(payment, transaction = null) {
+    if (payment.expired || (payment.error && !payment.txHash)) {
+      const reason = payment.error || `Not validated by LastLedgerSequence ${payment.lastLedgerSequence}`;
+      return { status: 'RJCT', reasonCode: 'NARR', additionalInformation: reason.slice(0, 105) };
+    }
+    if (!payment.txHash) {
+      return { status: 'ACCP', reasonCode: null, additionalInformation: null };
+    }
+
+    const xrplTransaction = transaction && transaction.rawTransaction
+      ? transaction.rawTransaction
+      : { validated: payment.validated, meta: { TransactionResult: payment.engineResult } };
+
+    const status = this.mapTransactionStatus(xrplTransaction);
+    return status.status === 'PDNG' ? { ...status, status: 'ACSP' } : status;
+  }
+
+  mapGroupStatus(statuses) {
+    if (statuses.length === 0) {
+      return 'ACCP';
+    }
+    if (statuses.every(status => status === statuses[0])) {
+      return statuses[0];
+    }
+    return statuses.includes('RJCT') ? 'PART' : 'ACSP';
+  }
+
+  mapAccountStatement({ address, currency, from, to, openingBalance, closingBalance, transactions, amountRules = {} }) {
+    const credits = [];
+    const debits = [];
+
+    const entries = transactions.map(transaction => {
+      const creditDebitIndicator = transaction.toAddress === address ? 'CRDT' : 'DBIT';
+      const value = this.formatAmount(transaction.amount, currency, amountRules);
+      if (creditDebitIndicator === 'CRDT') {
+        credits.push(value);
+      } else {
+        debits.push(value);
+      }
+
+      return {
+        reference: transaction.xrplTxHash,
+        amount: { currency, value },
+        creditDebitIndicator: creditDebitIndicator,
+        bookingDateTime: new Date(transaction.closedAt || transaction.createdAt).toISOString(),
+        endToEndId: transaction.endToEndId || this.generateMsgId(transaction.xrplTxHash),
+        transactionId: this.generateMsgId(transaction.xrplTxHash),
+        xrplTxHash: transaction.xrplTxHash,
+        debtor: {
+          name: this.extractAccountName(transaction.fromAddress),
+          identification: transaction.fromAddress
+        },
+        creditor: {
+          name: this.extractAccountName(transaction.toAddress),
+          identification: transaction.toAddress
+        },
+        remittanceInformation: transaction.memo ? { unstructured: transaction.memo } : null
+      };
+    });
+
+    const creditSum = this.amountService.sum(credits);
+    const debitSum = this.amountService.sum(debits);
+    const net = this.amountService.subtract(creditSum, debitSum);
+
+    return {
+      messageId: this.generateMsgId(),
+      creationDateTime: new Date().toISOString(),
+      statementId: this.generateMsgId(),
+      fromDateTime: from.toISOString(),
+      toDateTime: to.toISOString(),
+      account: {
+        identification: address,
+        currency: currency
+      },
+      balances: [
+        this.mapBalance('OPBD', openingBalance, currency, from, amountRules),
+        this.mapBalance('CLBD', closingBalance, currency, to, amountRules)
+      ],
+      summary: {
+        numberOfEntries: entries.length.toString(),
+        sum: this.amountService.sum([creditSum, debitSum]),
+        netAmount: this.amountService.abs(net),
+        netCreditDebitIndicator: this.amountService.isNegative(net) ? 'DBIT' : 'CRDT'
+      },
+      entries: entries
+    };
+  }
+
+  mapBalance(type, balance, currency, date, amountRules = {}) {
+    return {
+      type: type,
+      amount: { currency, value: this.formatAmount(this.amountService.abs(balance), currency, amountRules) },
+      creditDebitIndicator: this.amountService.isNegative(balance) ? 'DBIT' : 'CRDT',
+      dateTime: date.toISOString()
+    };
+  }
+
+  // A stored amount in the currency's decimals
+  formatAmount(value, currency, amountRules = {}) {
+    return this.amountService.format(value, currency, amountRules).value;
+  }
+
+  mapAppHdr(documentXml, { fromBic, toBic, businessService = null }) {
+    const namespace = documentXml.match(/xmlns="urn:iso:std:iso:20022:tech:xsd:([a-z]{4}\.\d{3}\.\d{3}\.\d{2})"/);
+
+    return {
+      from: { bic: fromBic },
+      to: { bic: toBic },
+      businessMessageIdentifier: this.extractMessageId(documentXml),
+      messageDefinitionIdentifier: namespace ? namespace[1] : null,
+      businessService: businessService,
+      creationDate: new Date().toISOString()
+    };
+  }
+
+  // Rows stored before the MsgId column existed only carry it in the XML
+  extractMessageId(xmlString) {
+    const match = xmlString && xmlString.match(/<MsgId>([^<]+)<\/MsgId>/);
+    return match ? match[1] : 'NOTPROVIDED';
+  }
+
+  // What the payment delivered. Partial payments may deliver less than
+  // their Amount, and only the metadata says how much; for ones validated
+  // before delivered_amount was recorded it is unknown and null is returned.
+  getDeliveredAmount(xrplTransaction) {
+    const meta = xrplTransaction.meta || {};
+    const delivered = meta.delivered_amount !== undefined ? meta.delivered_amount : meta.DeliveredAmount;
+    if (delivered !== undefined && delivered !== 'unavailable') {
+      return delivered;
+    }
+    return this.isPartialPayment(xrplTransaction) ? null : xrplTransaction.Amount;
+  }
+
+  // Paid from another asset than the one delivered, through the DEX
+  isCrossCurrency(xrplTransaction) {
+    return xrplTransaction.SendMax !== undefined &&
+      !this.amountService.isSameAsset(xrplTransaction.SendMax, xrplTransaction.Amount);
+  }
+
+  // What the sender of a cross-currency payment spent, from its balance
+  // changes in the metadata: its change in the SendMax asset, less the fee
+  // when that is XRP. Returns { currency, issuer, value } with value a
+  // decimal (XRP, not drops), or null when the metadata does not show it.
+  getSourceAmount(xrplTransaction) {
+    const meta = xrplTransaction.meta;
+    if (!meta || typeof meta !== 'object' || !Array.isArray(meta.AffectedNodes)) {
+      return null;
+    }
+
+    const sender = getBalanceChanges(meta).find(change => change.account === xrplTransaction.Account);
+    const change = sender && sender.balances.find(balance => this.amountService.isSameAsset(balance, xrplTransaction.SendMax));
+    if (!change || !this.amountService.isNegative(change.value)) {
+      return null;
+    }
+
+    const value = change.currency === 'XRP'
+      ? this.amountService.subtract(this.amountService.abs(change.value), this.amountService.normalize(xrplTransaction.Fee || '0').value)
+      : this.amountService.abs(change.value);
+    return {
+      currency: change.currency === 'XRP' ? 'XRP' : this.amountService.normalizeCurrency(change.currency),
+      issuer: change.issuer || null,
+      value
+    };
+  }
+
+  isPartialPayment(xrplTransaction) {
+    return (Number(xrplTransaction.Flags || 0) & PARTIAL_PAYMENT_FLAG) !== 0;
+  }
+
+  // The exact value of an XRPL Amount, drops converted to XRP
+  extractAmount(amount) {
+    return this.amountService.normalize(amount).value;
   }
 
   getCurrency(amount) {
@@ -78,38 +998,46 @@ class MappingEngine {
   }
 
   extractAccountName(account) {
-    // This could be enhanced to look up actual names from a registry
+    // Placeholder for addresses missing from the party registry
     return `Account_${account.substring(0, 8)}`;
   }
 
-  extractAccountAddress(account) {
-    return {
-      addressType: 'ADDR',
-      department: 'XRPL',
-      streetName: account,
-      buildingNumber: '1',
-      postCode: '00000',
-      townName: 'Digital',
-      country: 'XX'
-    };
-  }
+  // Ustrd from the text memos, and Strd from the creditor reference and
+  // invoice numbers they carry. Payments without any get a placeholder Ustrd.
+  mapRemittanceInfo(transaction, memos) {
+    const creditorReference = memos.creditorReference
+      ? {
+        // Only a valid RF reference is an ISO 11649 one
+        issuer: this.memoService.isCreditorReference(memos.creditorReference) ? 'ISO' : null,
+        reference: memos.creditorReference.slice(0, MAX_REFERENCE_LENGTH)
+      }
+      : null;
+    const referredDocuments = memos.invoiceReferences.map(number => number.slice(0, MAX_REFERENCE_LENGTH));
+    const structured = creditorReference || referredDocuments.length > 0
+      ? { creditorReference, referredDocuments }
+      : null;
 
-  extractRemittanceInfo(transaction) {
-    const memo = this.extractMemo(transaction);
+    if (!memos.unstructured && structured) {
+      return { unstructured: null, structured };
+    }
     return {
-      unstructured: memo || `HCT Transfer - ${transaction.hash}`
+      unstructured: memos.unstructured
+        ? memos.unstructured.slice(0, MAX_UNSTRUCTURED_LENGTH)
+        : `HCT Transfer - ${transaction.hash}`,
+      structured
     };
   }
 
-  extractMemo(transaction) {
-    if (transaction.Memos && transaction.Memos.length > 0) {
-      const memo = transaction.Memos[0].Memo;
-      if (memo.MemoData) {
-        return Buffer.from(memo.MemoData, 'hex').toString('utf8');
-      }
+  // The DestinationTag or SourceTag of an account, reported as its proxy,
+  // unless the profile leaves tags out
+  mapAccountTag(type, tag, memoRules = {}) {
+    if (tag === undefined || tag === null || memoRules.accountTags === false) {
+      return null;
     }
-    return null;
+    return { type, identification: String(tag) };
   }
 }
 
+MappingEngine.POSTAL_ADDRESS_FIELDS = POSTAL_ADDRESS_FIELDS;
+
 module.exports = MappingEngine;
@@ -0,0 +1,88 @@
+const yaml = require('js-yaml');
+const { Op } = require('sequelize');
+const MappingProfileModel = require('../models/MappingProfile');
+const MappingEngine = require('./MappingEngine');
+
+const FORMATS = ['json', 'yaml'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Declarative mapping profiles, stored as submitted and applied by
+// MappingEngine.applyProfile. A payment uses the profile named in the
+// request, else the API key's, else its tenant's, else the built-in mapping.
+class MappingProfileService {
+  constructor(sequelize) {
+    if (!sequelize) {
+      throw new Error('Sequelize instance is required');
+    }
+
+    this.MappingProfile = MappingProfileModel(sequelize);
+    this.mappingEngine = new MappingEngine();
+  }
+
+  // Returns { rules } or { error }. JSON documents may also be sent as an
+  // already parsed object.
+  parse(document, format = 'json') {
+    if (!FORMATS.includes(format)) {
+      return { error: `format must be one of: ${FORMATS.join(', ')}` };
+    }
+
+    let rules;
+    try {
+      if (typeof document === 'string') {
+        rules = format === 'yaml' ? yaml.safeLoad(document) : JSON.parse(document);
+      } else {
+        rules = document;
+      }
+    } catch (error) {
+      return { error: `Profile is not valid ${format.toUpperCase()}: ${error.message}` };
+    }
+
+    const errors = this.mappingEngine.validateProfile(rules);
+    if (errors.length > 0) {
+      return { error: 'Invalid mapping profile', details: errors };
+    }
+    return { rules };
+  }
+
+  // Profiles a tenant can use: its own and the platform's
+  visibleTo(tenantId) {
+    return tenantId ? { [Op.or]: [{ tenantId: null }, { tenantId }] } : {};
+  }
+
+  // Finds an active profile by id or name. A tenant's own profile wins over
+  // a platform profile of the same name.
+  async find(reference, tenantId = null) {
+    if (UUID_PATTERN.test(reference)) {
+      return this.MappingProfile.findOne({
+        where: { id: reference, active: true, ...this.visibleTo(tenantId) }
+      });
+    }
+
+    const profiles = await this.MappingProfile.findAll({
+      where: { name: reference, active: true, ...this.visibleTo(tenantId) }
+    });
+    return profiles.find(profile => profile.tenantId === tenantId) ||
+      profiles.find(profile => profile.tenantId === null) || null;
+  }
+
+  // The profile for a payment of the tenant: the one chosen by id, or the
+  // tenant's. Returns { profile }, with null for the built-in mapping, or
+  // { error } when the chosen one is gone.
+  async resolve(tenant, mappingProfileId = null) {
+    const tenantId = tenant ? tenant.id : null;
+    const id = mappingProfileId || (tenant && tenant.mappingProfileId);
+    if (!id) {
+      return { profile: null };
+    }
+
+    const profile = await this.find(id, tenantId);
+    if (!profile) {
+      return { error: `Mapping profile ${id} not found or inactive` };
+    }
+    return { profile };
+  }
+}
+
+MappingProfileService.FORMATS = FORMATS;
+
+module.exports = MappingProfileService;
@@ -0,0 +1,160 @@
+// What an XRPL payment's memos say about it. Every memo is read, not just
+// the first: text memos become the unstructured remittance information,
+// ISO 11649 creditor references (RF...) the structured one, and JSON memos
+// name their parts. A mapping profile's memos section tells which MemoTypes
+// carry what.
+const ValidationService = require('./ValidationService');
+
+const TARGETS = ['unstructured', 'creditorReference', 'invoiceReference', 'endToEndId', 'ignore'];
+const JSON_FORMAT = 'application/json';
+const CREDITOR_REFERENCE_PATTERN = /^RF[0-9]{2}[A-Z0-9]{1,21}$/;
+const UNSTRUCTURED_SEPARATOR = '; ';
+
+class MemoService {
+  // { type, format, data } of each memo, decoded from hex, with null for
+  // the parts it does not have
+  decode(xrplTransaction) {
+    const text = (hex) => {
+      if (typeof hex !== 'string' || !hex) {
+        return null;
+      }
+      const value = Buffer.from(hex, 'hex').toString('utf8').trim();
+      return value || null;
+    };
+
+    return (xrplTransaction.Memos || []).map(({ Memo: memo }) => ({
+      type: text((memo || {}).MemoType),
+      format: text((memo || {}).MemoFormat),
+      data: text((memo || {}).MemoData)
+    }));
+  }
+
+  // Text of every memo meant to be read, joined, or null
+  text(xrplTransaction) {
+    const texts = this.decode(xrplTransaction)
+      .filter(memo => memo.data && this.isText(memo))
+      .map(memo => memo.data);
+    return texts.length > 0 ? texts.join(UNSTRUCTURED_SEPARATOR) : null;
+  }
+
+  // Memos without a MemoFormat are taken to be text; binary formats such as
+  // application/octet-stream are skipped
+  isText(memo) {
+    return !memo.format || memo.format.startsWith('text/') || memo.format === JSON_FORMAT;
+  }
+
+  // Returns { unstructured, creditorReference, invoiceReferences, endToEndId }
+  // from the payment's memos. rules.types maps a MemoType to what its memo
+  // holds; memos of other types are read by their MemoFormat. The first
+  // creditor reference and EndToEndId found win.
+  parse(xrplTransaction, rules = {}) {
+    const types = (rules && rules.types) || {};
+    const result = { unstructured: [], creditorReference: null, invoiceReferences: [], endToEndId: null };
+
+    const add = (target, value) => {
+      if (value === null || value === undefined || typeof value === 'object' || String(value).trim() === '') {
+        return;
+      }
+      const text = String(value).trim();
+      if (target === 'unstructured') {
+        result.unstructured.push(text);
+      } else if (target === 'invoiceReference') {
+        result.invoiceReferences.push(text);
+      } else if (target === 'creditorReference' || target === 'endToEndId') {
+        result[target] = result[target] || text;
+      }
+    };
+
+    for (const memo of this.decode(xrplTransaction)) {
+      if (!memo.data) {
+        continue;
+      }
+
+      const target = memo.type ? types[memo.type] : undefined;
+      if (target) {
+        add(target, memo.data);
+      } else if (memo.format === JSON_FORMAT) {
+        this.parseJSON(memo.data, add);
+      } else if (!this.isText(memo)) {
+        continue;
+      } else if (this.isCreditorReference(memo.data)) {
+        add('creditorReference', memo.data.replace(/\s/g, '').toUpperCase());
+      } else {
+        add('unstructured', memo.data);
+      }
+    }
+
+    return {
+      unstructured: result.unstructured.length > 0 ? result.unstructured.join(UNSTRUCTURED_SEPARATOR) : null,
+      creditorReference: result.creditorReference,
+      invoiceReferences: [...new Set(result.invoiceReferences)],
+      endToEndId: result.endToEndId
+    };
+  }
+
+  // A JSON memo is an object whose keys are the targets, with
+  // invoiceReference also taking a list. Anything else is kept as text.
+  parseJSON(data, add) {
+    let parsed;
+    try {
+      parsed = JSON.parse(data);
+    } catch (error) {
+      add('unstructured', data);
+      return;
+    }
+
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      add('unstructured', data);
+      return;
+    }
+    for (const target of TARGETS) {
+      const values = Array.isArray(parsed[target]) && target === 'invoiceReference'
+        ? parsed[target]
+        : [parsed[target]];
+      values.forEach(value => add(target, value));
+    }
+  }
+
+  // ISO 11649 check digits: the reference with RF and its check digits
+  // moved to the end, read as a number, is 1 modulo 97. Spaces are allowed
+  // as in the printed form.
+  isCreditorReference(text) {
+    const reference = typeof text === 'string' ? text.replace(/\s/g, '').toUpperCase() : '';
+    if (!CREDITOR_REFERENCE_PATTERN.test(reference)) {
+      return false;
+    }
+    return ValidationService.mod97(reference) === 1;
+  }
+
+  // Problems with a mapping profile's memos section, empty when it can be used
+  validateRules(rules) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      return ['memos must be an object'];
+    }
+
+    const errors = [];
+    const unknown = Object.keys(rules).filter(key => !['types', 'accountTags'].includes(key));
+    if (unknown.length > 0) {
+      errors.push(`memos: unknown settings ${unknown.join(', ')}`);
+    }
+    if (rules.types !== undefined) {
+      if (!rules.types || typeof rules.types !== 'object' || Array.isArray(rules.types)) {
+        errors.push('memos.types must map MemoTypes to what their memos hold');
+      } else {
+        for (const [type, target] of Object.entries(rules.types)) {
+          if (!TARGETS.includes(target)) {
+            errors.push(`memos.types.${type} must be one of ${TARGETS.join(', ')}`);
+          }
+        }
+      }
+    }
+    if (rules.accountTags !== undefined && typeof rules.accountTags !== 'boolean') {
+      errors.push('memos.accountTags must be true or false');
+    }
+    return errors;
+  }
+}
+
+MemoService.TARGETS = TARGETS;
+
+module.exports = MemoService;
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const MessageModel = require('../models/Message');
+const TransactionModel = require('../models/Transaction');
+
+// Every ISO 20022 document generated for a transaction, kept as numbered
+// versions per message type. The transaction's iso20022Xml and
+// notificationXml columns hold the current pacs.008/pain.001/pacs.004 and
+// camt.054; this table keeps them and everything they replaced.
+class MessageService {
+  constructor(sequelize) {
+    if (!sequelize) {
+      throw new Error('Sequelize instance is required');
+    }
+
+    this.sequelize = sequelize;
+    this.Message = MessageModel(sequelize);
+    this.Transaction = TransactionModel(sequelize);
+  }
+
+  checksum(xml) {
+    return crypto.createHash('sha256').update(xml).digest('hex');
+  }
+
+  // The group header's MsgId, the first MsgId in every supported message
+  extractMessageId(xml) {
+    const match = /<(?:\w+:)?MsgId>([^<]+)<\/(?:\w+:)?MsgId>/.exec(xml);
+    return match ? match[1] : null;
+  }
+
+  async getLatest(transactionId, messageType, options = {}) {
+    return this.Message.findOne({
+      where: { transactionId, messageType },
+      order: [['version', 'DESC']],
+      ...options
+    });
+  }
+
+  // options are passed to the queries, e.g. { transaction } to store the
+  // message along with the transaction's other writes; without one, a
+  // database transaction is opened for the store. The payment's row stays
+  // locked until it commits, so concurrent regenerations wait for each
+  // other's version number instead of clashing on the unique index.
+  async store(transaction, fields, options = {}) {
+    if (!options.transaction) {
+      return this.sequelize.transaction(dbTransaction =>
+        this.store(transaction, fields, { ...options, transaction: dbTransaction }));
+    }
+
+    const { messageType, xml, validation = null, createdBy, reason, mappingProfileId = null } = fields;
+    await this.Transaction.findByPk(transaction.id, {
+      attributes: ['id'],
+      transaction: options.transaction,
+      lock: options.transaction.LOCK.UPDATE
+    });
+    const latest = await this.getLatest(transaction.id, messageType, options);
+
+    return this.Message.create({
+      transactionId: transaction.id,
+      tenantId: transaction.tenantId,
+      messageType,
+      version: latest ? latest.version + 1 : 1,
+      messageId: this.extractMessageId(xml),
+      xml,
+      checksum: this.checksum(xml),
+      validationStatus: validation ? (validation.isValid ? 'valid' : 'invalid') : 'pending',
+      validationErrors: validation ? validation.errors : null,
+      createdBy,
+      reason,
+      mappingProfileId
+    }, options);
+  }
+
+  // Transactions stored before messages were versioned only have their
+  // columns. They are copied in as version 1 before anything replaces them.
+  async keepLegacyMessages(transaction, options = {}) {
+    const current = [
+      { messageType: transaction.messageType, xml: transaction.iso20022Xml },
+      { messageType: 'camt.054', xml: transaction.notificationXml }
+    ];
+
+    for (const { messageType, xml } of current) {
+      if (!messageType || !xml || await this.getLatest(transaction.id, messageType, options)) {
+        continue;
+      }
+      await this.store(transaction, {
+        messageType,
+        xml,
+        validation: messageType === transaction.messageType && transaction.validationStatus !== 'pending'
+          ? { isValid: transaction.validationStatus === 'valid', errors: transaction.validationErrors }
+          : null,
+        createdBy: 'system',
+        reason: 'legacy'
+      }, options);
+    }
+  }
+
+  // Grouped by message type, newest version first. The XML itself is only
+  // returned for a single message.
+  async list(transactionId, { messageType } = {}) {
+    const where = { transactionId };
+    if (messageType) {
+      where.messageType = messageType;
+    }
+
+    return this.Message.findAll({
+      where,
+      attributes: { exclude: ['xml'] },
+      order: [['messageType', 'ASC'], ['version', 'DESC']]
+    });
+  }
+}
+
+module.exports = MessageService;
@@ -0,0 +1,261 @@
+const { Op } = require('sequelize');
+const { isValidClassicAddress } = require('xrpl');
+const PartyModel = require('../models/Party');
+const MappingEngine = require('./MappingEngine');
+const ValidationService = require('./ValidationService');
+
+const PARTY_FIELDS = ['address', 'destinationTag', 'name', 'lei', 'bic', 'postalAddress', 'iban', 'accountId'];
+const POSTAL_ADDRESS_FIELDS = Object.keys(MappingEngine.POSTAL_ADDRESS_FIELDS);
+// CSV columns: the party fields, with the postal address spread over its own
+const CSV_COLUMNS = [...PARTY_FIELDS.filter(field => field !== 'postalAddress'), ...POSTAL_ADDRESS_FIELDS];
+const MAX_TAG = 4294967295;
+
+// Legal parties behind XRPL addresses, used to report real names, LEIs,
+// agents, postal addresses and accounts instead of the address itself
+class PartyService {
+  constructor(sequelize) {
+    if (!sequelize) {
+      throw new Error('Sequelize instance is required');
+    }
+
+    this.sequelize = sequelize;
+    this.Party = PartyModel(sequelize);
+    this.validationService = new ValidationService();
+  }
+
+  // Parties a tenant's payments are mapped with: its own and the platform's
+  visibleTo(tenantId) {
+    return tenantId ? { [Op.or]: [{ tenantId: null }, { tenantId }] } : { tenantId: null };
+  }
+
+  pickPartyFields(body) {
+    const fields = {};
+    for (const field of PARTY_FIELDS) {
+      if (body[field] !== undefined) {
+        fields[field] = body[field] === '' ? null : body[field];
+      }
+    }
+    if (fields.destinationTag !== undefined && fields.destinationTag !== null && /^\d+$/.test(String(fields.destinationTag))) {
+      fields.destinationTag = parseInt(fields.destinationTag, 10);
+    }
+    return fields;
+  }
+
+  // Returns the first problem with the given party fields, or null
+  validatePartyFields(fields) {
+    if (fields.address !== undefined && (typeof fields.address !== 'string' || !isValidClassicAddress(fields.address))) {
+      return 'address must be an XRPL address';
+    }
+    if (fields.destinationTag !== undefined && fields.destinationTag !== null &&
+        (!Number.isInteger(fields.destinationTag) || fields.destinationTag < 0 || fields.destinationTag > MAX_TAG)) {
+      return 'destinationTag must be an integer between 0 and 4294967295';
+    }
+    if (fields.name !== undefined && (typeof fields.name !== 'string' || !fields.name.trim() || fields.name.length > 140)) {
+      return 'name must be a non-empty string of up to 140 characters';
+    }
+    if (fields.lei && !/^[A-Z0-9]{18}[0-9]{2}$/.test(fields.lei)) {
+      return `Invalid LEI: ${fields.lei}`;
+    }
+    if (fields.bic && !this.validationService.isValidBIC(fields.bic)) {
+      return `Invalid BIC: ${fields.bic}`;
+    }
+    if (fields.iban && !this.isValidIBAN(fields.iban)) {
+      return `Invalid IBAN: ${fields.iban}`;
+    }
+    if (fields.accountId && (typeof fields.accountId !== 'string' || fields.accountId.length > 34)) {
+      return 'accountId must be a string of up to 34 characters';
+    }
+    if (fields.postalAddress) {
+      if (typeof fields.postalAddress !== 'object' || Array.isArray(fields.postalAddress)) {
+        return 'postalAddress must be an object';
+      }
+      for (const [field, value] of Object.entries(fields.postalAddress)) {
+        const maxLength = MappingEngine.POSTAL_ADDRESS_FIELDS[field];
+        if (!maxLength) {
+          return `Unknown postalAddress field ${field}. Valid fields: ${POSTAL_ADDRESS_FIELDS.join(', ')}`;
+        }
+        if (value !== null && (typeof value !== 'string' || value.length > maxLength)) {
+          return `postalAddress.${field} must be a string of up to ${maxLength} characters`;
+        }
+      }
+      if (fields.postalAddress.country && !/^[A-Z]{2}$/.test(fields.postalAddress.country)) {
+        return 'postalAddress.country must be an ISO 3166 alpha-2 country code';
+      }
+    }
+    return null;
+  }
+
+  // ISO 13616 check digits: the rearranged IBAN, read as a number, is 1
+  // modulo 97
+  isValidIBAN(iban) {
+    if (typeof iban !== 'string' || !/^[A-Z]{2}[0-9]{2}[A-Z0-9]{11,30}$/.test(iban)) {
+      return false;
+    }
+    return ValidationService.mod97(iban) === 1;
+  }
+
+  // The party registered for the address and tag. An entry for the exact
+  // tag wins over one for the whole address, and the tenant's entries over
+  // the platform's.
+  selectParty(candidates, address, tag, tenantId) {
+    const owners = tenantId ? [tenantId, null] : [null];
+    for (const owner of owners) {
+      const owned = candidates.filter(party => party.address === address && (party.tenantId || null) === owner);
+      const exact = tag !== null && tag !== undefined
+        ? owned.find(party => party.destinationTag !== null && Number(party.destinationTag) === Number(tag))
+        : null;
+      const whole = owned.find(party => party.destinationTag === null || party.destinationTag === undefined);
+      if (exact || whole) {
+        return exact || whole;
+      }
+    }
+    return null;
+  }
+
+  // { debtor, creditor } for a payment, null for sides nobody registered.
+  // The debtor is looked up with the SourceTag, the creditor with the
+  // DestinationTag.
+  async findParties(xrplTransaction, tenantId = null) {
+    const candidates = await this.Party.findAll({
+      where: {
+        address: { [Op.in]: [xrplTransaction.Account, xrplTransaction.Destination] },
+        ...this.visibleTo(tenantId)
+      }
+    });
+
+    return {
+      debtor: this.selectParty(candidates, xrplTransaction.Account, xrplTransaction.SourceTag, tenantId),
+      creditor: this.selectParty(candidates, xrplTransaction.Destination, xrplTransaction.DestinationTag, tenantId)
+    };
+  }
+
+  // RFC 4180 CSV: comma separated, fields optionally quoted with "" as an
+  // escaped quote. Returns the rows as arrays of strings.
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const character = text[i];
+      if (quoted) {
+        if (character === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (character === '"') {
+          quoted = false;
+        } else {
+          field += character;
+        }
+      } else if (character === '"') {
+        quoted = true;
+      } else if (character === ',') {
+        row.push(field);
+        field = '';
+      } else if (character === '\n' || character === '\r') {
+        if (character === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += character;
+      }
+    }
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+  }
+
+  // Creates or updates one party per CSV row, keyed by address and tag.
+  // Nothing is imported when any row is invalid. Returns { created, updated }
+  // or { errors } with the line of each problem.
+  async importCsv(text, tenantId = null) {
+    const [header, ...rows] = this.parseCsv(text || '');
+    if (!header) {
+      return { errors: [{ line: 1, error: 'The CSV is empty' }] };
+    }
+
+    const columns = header.map(column => column.trim());
+    const unknownColumns = columns.filter(column => !CSV_COLUMNS.includes(column));
+    if (unknownColumns.length > 0 || !columns.includes('address') || !columns.includes('name')) {
+      return {
+        errors: [{
+          line: 1,
+          error: `Columns must include address and name and be among: ${CSV_COLUMNS.join(', ')}`
+        }]
+      };
+    }
+
+    const errors = [];
+    const parties = [];
+    const seen = new Set();
+    rows.forEach((cells, index) => {
+      const line = index + 2;
+      const values = {};
+      const postalAddress = {};
+      columns.forEach((column, position) => {
+        const value = (cells[position] || '').trim();
+        if (POSTAL_ADDRESS_FIELDS.includes(column)) {
+          if (value) {
+            postalAddress[column] = value;
+          }
+        } else {
+          values[column] = value;
+        }
+      });
+      values.postalAddress = Object.keys(postalAddress).length > 0 ? postalAddress : null;
+
+      const fields = this.pickPartyFields(values);
+      const error = this.validatePartyFields({ ...fields, name: fields.name || '' });
+      const key = `${fields.address}:${fields.destinationTag === undefined ? null : fields.destinationTag}`;
+      if (error) {
+        errors.push({ line, error });
+      } else if (seen.has(key)) {
+        errors.push({ line, error: `Duplicate party for ${fields.address}${fields.destinationTag !== null && fields.destinationTag !== undefined ? ` tag ${fields.destinationTag}` : ''}` });
+      } else {
+        seen.add(key);
+        parties.push({ ...fields, destinationTag: fields.destinationTag === undefined ? null : fields.destinationTag });
+      }
+    });
+
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    // All rows or none: a failure part way through rolls back the rows
+    // already written
+    const { created, updated } = await this.sequelize.transaction(async (dbTransaction) => {
+      const options = { transaction: dbTransaction };
+      const counts = { created: 0, updated: 0 };
+      for (const fields of parties) {
+        const existing = await this.Party.findOne({
+          where: { tenantId, address: fields.address, destinationTag: fields.destinationTag },
+          ...options
+        });
+        if (existing) {
+          await existing.update(fields, options);
+          counts.updated++;
+        } else {
+          await this.Party.create({ ...fields, tenantId }, options);
+          counts.created++;
+        }
+      }
+      return counts;
+    });
+
+    console.info(`Imported ${parties.length} parties (${created} created, ${updated} updated)`);
+    return { created, updated };
+  }
+}
+
+PartyService.PARTY_FIELDS = PARTY_FIELDS;
+PartyService.CSV_COLUMNS = CSV_COLUMNS;
+
+module.exports = PartyService;
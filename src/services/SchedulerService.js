@@ -1,12 +1,96 @@
 const cron = require('cron');
 const XRPLService = require('./XRPLService');
+const BackfillService = require('./BackfillService');
+const StatementService = require('./StatementService');
 const TransactionController = require('../controllers/TransactionController');
 
 class SchedulerService {
   constructor(sequelize) {
     this.xrplService = new XRPLService();
     this.transactionController = new TransactionController(sequelize);
+    this.backfillService = new BackfillService(sequelize, this.xrplService);
+    this.statementService = new StatementService(sequelize, this.xrplService);
+    this.tenantService = this.transactionController.tenantService;
+    this.webhookService = this.transactionController.webhookService;
+    this.jobQueue = this.transactionController.jobQueue;
     this.jobs = [];
+    this.streaming = false;
+    this.streamingEnabled = false;
+    this.scanning = false;
+
+    // Bind methods to preserve context
+    this.handleDetectedTransaction = this.handleDetectedTransaction.bind(this);
+  }
+
+  // MONITORED_ADDRESSES plus every active tenant's addresses. The tokens
+  // the stream and backfill accept are updated on the way.
+  async getMonitoredAddresses() {
+    const settings = await this.tenantService.getMonitoringSettings();
+    this.xrplService.setAcceptedTokens(settings.map(entry => ({
+      currency: entry.currencyCode,
+      issuer: entry.tokenIssuer
+    })));
+    return [...new Set(settings.flatMap(entry => entry.monitoredAddresses))];
+  }
+
+  // Called after tenant changes; the minute scan calls it too, so other
+  // instances pick the changes up without a restart
+  async refreshMonitoring() {
+    const monitoredAddresses = await this.getMonitoredAddresses();
+    if (this.streamingEnabled) {
+      await this.updateSubscription(monitoredAddresses);
+    }
+    return monitoredAddresses;
+  }
+
+  async startTransactionStreaming() {
+    if (process.env.XRPL_STREAMING_ENABLED === 'false') {
+      console.info('XRPL streaming disabled, relying on polling only');
+      return;
+    }
+
+    this.streamingEnabled = true;
+    await this.refreshMonitoring();
+  }
+
+  async updateSubscription(monitoredAddresses) {
+    const subscribed = this.xrplService.subscribedAccounts;
+    if (this.streaming &&
+        monitoredAddresses.length === subscribed.length &&
+        monitoredAddresses.every(address => subscribed.includes(address))) {
+      return;
+    }
+
+    if (this.streaming) {
+      await this.xrplService.unsubscribeFromAccounts();
+      this.streaming = false;
+    }
+
+    if (monitoredAddresses.length === 0) {
+      console.warn('No monitored addresses configured, skipping XRPL streaming');
+      return;
+    }
+
+    try {
+      await this.xrplService.subscribeToAccounts(monitoredAddresses, this.handleDetectedTransaction);
+      this.streaming = true;
+      console.info('Started real-time transaction streaming');
+    } catch (error) {
+      // Polling keeps running, so a failed subscription only costs latency
+      console.error('Could not start transaction streaming, falling back to polling:', error.message);
+    }
+  }
+
+  async stopTransactionStreaming() {
+    this.streamingEnabled = false;
+    if (!this.streaming) {
+      return;
+    }
+
+    await this.xrplService.unsubscribeFromAccounts();
+    await this.xrplService.disconnect();
+    this.streaming = false;
+    console.info('Stopped real-time transaction streaming');
   }
 
   startTransactionMonitoring() {
@@ -22,6 +106,9 @@ class SchedulerService {
     job.start();
     this.jobs.push(job);
     console.info('Started transaction monitoring job');
+
+    // Catch up on anything that happened while the middleware was down
+    this.scanForNewTransactions();
   }
 
   startValidationCleanup() {
@@ -39,39 +126,138 @@ class SchedulerService {
     console.info('Started validation cleanup job');
   }
 
+  startDailyStatements() {
+    // Generate the previous UTC day's camt.053 statements shortly after midnight
+    const job = new cron.CronJob('0 5 0 * * *', async () => {
+      try {
+        await this.generateDailyStatements();
+      } catch (error) {
+        console.error('Error in daily statement job:', error);
+      }
+    }, null, false, 'UTC');
+
+    job.start();
+    this.jobs.push(job);
+    console.info('Started daily statement job');
+  }
+
+  startJobWorker() {
+    // Run due processing jobs, including retries and jobs queued by other
+    // instances, every ten seconds
+    const job = new cron.CronJob('*/10 * * * * *', async () => {
+      try {
+        await this.jobQueue.drain();
+      } catch (error) {
+        console.error('Error in processing job worker:', error);
+      }
+    });
+
+    job.start();
+    this.jobs.push(job);
+    console.info('Started processing job worker');
+  }
+
+  startWebhookRetries() {
+    // Resend failed webhook deliveries whose backoff has elapsed every minute
+    const job = new cron.CronJob('30 * * * * *', async () => {
+      try {
+        await this.webhookService.retryDueDeliveries();
+      } catch (error) {
+        console.error('Error in webhook retry job:', error);
+      }
+    });
+
+    job.start();
+    this.jobs.push(job);
+    console.info('Started webhook retry job');
+  }
+
+  async generateDailyStatements(day = new Date()) {
+    const to = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+    const from = new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+    // Each tenant gets statements for its own addresses, in its own token
+    const owners = [null, ...(await this.tenantService.getActiveTenants())];
+    for (const tenant of owners) {
+      for (const address of this.tenantService.getSettings(tenant).monitoredAddresses) {
+        try {
+          const statement = await this.statementService.generateAndStoreStatement(address, from, to, tenant);
+          console.info(`Stored daily statement ${statement.id} for ${address}`);
+        } catch (error) {
+          console.error(`Error generating daily statement for ${address}:`, error);
+        }
+      }
+    }
+  }
+
   async scanForNewTransactions() {
+    // A long catch-up can outlast the one minute schedule
+    if (this.scanning) {
+      return;
+    }
+    this.scanning = true;
+
     try {
-      // Get recent transactions for monitored addresses
-      const monitoredAddresses = process.env.MONITORED_ADDRESSES?.split(',') || [];
+      // Walk each monitored address forward from its ledger checkpoint
+      const monitoredAddresses = await this.refreshMonitoring();
       
       for (const address of monitoredAddresses) {
-        const transactions = await this.xrplService.getAccountTransactions(address.trim(), null, 10);
-        
-        for (const tx of transactions.transactions || []) {
-          if (this.xrplService.isHCTTransaction(tx.tx)) {
-            // Check if we've already processed this transaction
-            const existing = await this.transactionController.Transaction.findOne({
-              where: { xrplTxHash: tx.tx.hash }
-            });
-            
-            if (!existing) {
-              console.info(`Found new HCT transaction: ${tx.tx.hash}`);
-              // Process automatically
-              const req = { params: { txHash: tx.tx.hash }, query: {} };
-              const res = {
-                json: () => {},
-                status: () => ({ json: () => {} })
-              };
-              await this.transactionController.processXRPLTransaction(req, res);
-            }
-          }
+        const result = await this.backfillService.catchUp(address, this.handleDetectedTransaction);
+        if (result.matched > 0) {
+          console.info(`Caught up ${address} to ledger ${result.lastLedgerIndex} (${result.matched} HCT payments)`);
         }
       }
     } catch (error) {
       console.error('Error scanning for new transactions:', error);
+    } finally {
+      this.scanning = false;
     }
   }
 
+  async backfillRange(address, fromLedger, toLedger) {
+    return this.backfillService.backfillRange(address, fromLedger, toLedger, this.handleDetectedTransaction);
+  }
+
+  // A payment is queued once for every tenant monitoring one of its
+  // addresses, to be stored in that tenant's token
+  async handleDetectedTransaction(transaction) {
+    const owners = await this.tenantService.getOwners([transaction.Account, transaction.Destination]);
+    let queued = false;
+
+    for (const tenant of owners) {
+      const settings = this.tenantService.getSettings(tenant);
+      if (!this.xrplService.isHCTTransaction(transaction, { currency: settings.currencyCode, issuer: settings.tokenIssuer })) {
+        continue;
+      }
+
+      // Streaming and polling can both report the same payment
+      const existing = await this.transactionController.Transaction.findOne({
+        where: { xrplTxHash: transaction.hash, tenantId: settings.tenantId }
+      });
+      if (existing) {
+        continue;
+      }
+
+      // Left to throw: the catch-up then stops before saving its ledger
+      // checkpoint and picks the payment up again on the next scan
+      console.info(`Found new HCT transaction: ${transaction.hash}`);
+      await this.jobQueue.enqueue(transaction.hash, { tenantId: settings.tenantId });
+      queued = true;
+    }
+
+    if (queued) {
+      this.drainJobs();
+    }
+  }
+
+  // Runs queued jobs in the background; the worker job picks up anything
+  // this misses
+  drainJobs() {
+    this.jobQueue.drain().catch(error => {
+      console.error('Error running processing jobs:', error);
+    });
+  }
+
   async cleanupOldValidations() {
     try {
       const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
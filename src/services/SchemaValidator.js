@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+const { validateXML } = require('xmllint-wasm');
+const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
+
+const DEFAULT_SCHEMA_DIR = path.join(__dirname, '..', 'schemas');
+
+class SchemaValidator {
+  constructor(schemaDir = process.env.XSD_SCHEMA_DIR || DEFAULT_SCHEMA_DIR) {
+    this.schemaDir = schemaDir;
+    this.schemas = null;
+    this.files = [];
+  }
+
+  // Every *.xsd in the schema directory is registered under its
+  // targetNamespace, so supporting a new message version only takes
+  // dropping its XSD in there
+  loadSchemas() {
+    this.schemas = new Map();
+    this.files = [];
+
+    if (!fs.existsSync(this.schemaDir)) {
+      console.warn(`XSD schema directory not found: ${this.schemaDir}`);
+      return;
+    }
+
+    const fileNames = fs.readdirSync(this.schemaDir)
+      .filter(fileName => fileName.endsWith('.xsd'))
+      .sort();
+
+    for (const fileName of fileNames) {
+      const contents = fs.readFileSync(path.join(this.schemaDir, fileName), 'utf8');
+      this.files.push({ fileName, contents });
+
+      const targetNamespace = contents.match(/targetNamespace="([^"]+)"/);
+      if (targetNamespace) {
+        this.schemas.set(targetNamespace[1], { fileName, contents });
+      }
+    }
+
+    console.info(`Loaded ${this.schemas.size} XSD schema(s) from ${this.schemaDir}`);
+  }
+
+  getSchema(namespace) {
+    if (!this.schemas) {
+      this.loadSchemas();
+    }
+    return this.schemas.get(namespace) || null;
+  }
+
+  listSchemas() {
+    if (!this.schemas) {
+      this.loadSchemas();
+    }
+    return Array.from(this.schemas.entries()).map(([namespace, schema]) => ({
+      namespace,
+      fileName: schema.fileName
+    }));
+  }
+
+  async validate(xmlString) {
+    const doc = new DOMParser().parseFromString(xmlString, 'application/xml');
+    const root = doc.documentElement;
+
+    // An enveloped message holds an AppHdr and a Document, each governed by
+    // its own schema; a bare message is just the Document
+    const parts = root.localName === 'Document'
+      ? [root]
+      : ['AppHdr', 'Document']
+        .map(name => doc.getElementsByTagName(name)[0])
+        .filter(Boolean);
+
+    const results = {
+      valid: true,
+      schemas: [],
+      skipped: [],
+      errors: []
+    };
+
+    for (const element of parts) {
+      const schema = this.getSchema(element.namespaceURI);
+      if (!schema) {
+        results.skipped.push(element.namespaceURI || element.localName);
+        continue;
+      }
+
+      results.schemas.push(schema.fileName);
+      const partErrors = await this.validatePart(doc, element, xmlString, schema);
+      if (partErrors.length > 0) {
+        results.valid = false;
+        results.errors.push(...partErrors);
+      }
+    }
+
+    return results;
+  }
+
+  async validatePart(doc, element, xmlString, schema) {
+    // Parts are validated on their own, so xmllint line numbers have to be
+    // shifted back to where the part starts in the full message
+    const isRoot = element === doc.documentElement;
+    const contents = isRoot ? xmlString : new XMLSerializer().serializeToString(element);
+    const lineOffset = isRoot ? 0 : element.lineNumber - 1;
+
+    const result = await validateXML({
+      xml: { fileName: 'message.xml', contents },
+      schema: schema,
+      preload: this.files.filter(file => file.fileName !== schema.fileName)
+    });
+
+    if (result.valid) {
+      return [];
+    }
+
+    return result.errors.map(error => {
+      const line = error.loc ? error.loc.lineNumber + lineOffset : null;
+      const node = this.findErrorNode(doc, error.message, line);
+
+      return {
+        xpath: node ? this.buildXPath(node) : null,
+        line: line,
+        column: node ? node.columnNumber : null,
+        message: error.message.replace(/^Schemas validity error : /, '')
+      };
+    });
+  }
+
+  // libxml2 names the offending element as '{namespace}LocalName'; the
+  // element with that name on the reported line is the one it means
+  findErrorNode(doc, message, line) {
+    const match = message.match(/Element '(?:\{[^}]*\})?([^']+)'/);
+    if (!match || line === null) {
+      return null;
+    }
+
+    const candidates = doc.getElementsByTagName(match[1]);
+    for (let i = 0; i < candidates.length; i++) {
+      if (candidates[i].lineNumber === line) {
+        return candidates[i];
+      }
+    }
+    return null;
+  }
+
+  buildXPath(node) {
+    const segments = [];
+    for (let current = node; current && current.nodeType === 1; current = current.parentNode) {
+      const siblings = current.parentNode && current.parentNode.childNodes
+        ? Array.from(current.parentNode.childNodes).filter(sibling =>
+          sibling.nodeType === 1 && sibling.localName === current.localName)
+        : [current];
+      const position = siblings.indexOf(current) + 1;
+      segments.unshift(siblings.length > 1 ? `${current.localName}[${position}]` : current.localName);
+    }
+    return `/${segments.join('/')}`;
+  }
+}
+
+module.exports = SchemaValidator;
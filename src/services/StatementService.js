@@ -0,0 +1,105 @@
+const { Op } = require('sequelize');
+const TransactionModel = require('../models/Transaction');
+const StatementModel = require('../models/Statement');
+const XRPLService = require('./XRPLService');
+const MappingEngine = require('./MappingEngine');
+const XMLGenerator = require('./XMLGenerator');
+const TenantService = require('./TenantService');
+const AmountService = require('./AmountService');
+const CurrencyService = require('./CurrencyService');
+
+class StatementService {
+  constructor(sequelize, xrplService = new XRPLService()) {
+    if (!sequelize) {
+      throw new Error('Sequelize instance is required');
+    }
+
+    this.Transaction = TransactionModel(sequelize);
+    this.Statement = StatementModel(sequelize);
+    this.xrplService = xrplService;
+    this.mappingEngine = new MappingEngine();
+    this.xmlGenerator = new XMLGenerator();
+    this.tenantService = new TenantService(sequelize);
+    this.amountService = new AmountService();
+    this.currencyService = new CurrencyService(sequelize);
+  }
+
+  // Statements cover [from, to); transactions stored before closedAt was
+  // recorded fall back to their creation time. Only the tenant's own copies
+  // of payments are listed. Payments the address made from another asset
+  // never debited it in this currency.
+  async findTransactionsInRange(address, currency, from, to, tenantId = null) {
+    return this.Transaction.findAll({
+      where: {
+        tenantId: tenantId,
+        currency: currency,
+        [Op.and]: [
+          { [Op.or]: [{ fromAddress: address, sourceCurrency: null }, { toAddress: address }] },
+          {
+            [Op.or]: [
+              { closedAt: { [Op.gte]: from, [Op.lt]: to } },
+              { closedAt: null, createdAt: { [Op.gte]: from, [Op.lt]: to } }
+            ]
+          }
+        ]
+      },
+      order: [['closedAt', 'ASC'], ['createdAt', 'ASC']]
+    });
+  }
+
+  async generateStatement(address, from, to, tenant = null) {
+    const settings = this.tenantService.getSettings(tenant);
+    const currency = this.amountService.normalizeCurrency(settings.currencyCode);
+    const issuer = settings.tokenIssuer;
+    const resolved = await this.currencyService.resolveToken(currency, issuer);
+    if (resolved.error) {
+      const error = new Error(resolved.error);
+      error.status = 400;
+      throw error;
+    }
+
+    const [openingLedger, closingLedger] = await Promise.all([
+      this.xrplService.getLedgerIndexForTime(from),
+      this.xrplService.getLedgerIndexForTime(to)
+    ]);
+    const [openingBalance, closingBalance, transactions] = await Promise.all([
+      this.xrplService.getAccountBalance(address, openingLedger, currency, issuer),
+      this.xrplService.getAccountBalance(address, closingLedger, currency, issuer),
+      this.findTransactionsInRange(address, currency, from, to, settings.tenantId)
+    ]);
+
+    const statementData = this.mappingEngine.mapAccountStatement({
+      address,
+      currency: resolved.isoCurrency,
+      from,
+      to,
+      openingBalance,
+      closingBalance,
+      transactions,
+      amountRules: this.amountService.forCurrency(this.amountService.getRules(settings), currency, resolved.isoCurrency)
+    });
+    const xmlString = this.xmlGenerator.generateCamt053XML(statementData);
+
+    console.info(`Generated camt.053 statement for ${address} with ${transactions.length} entries`);
+    return { statementData, openingBalance, closingBalance, xml: xmlString };
+  }
+
+  async generateAndStoreStatement(address, from, to, tenant = null) {
+    const statement = await this.generateStatement(address, from, to, tenant);
+
+    return this.Statement.create({
+      tenantId: tenant ? tenant.id : null,
+      address: address,
+      currency: statement.statementData.account.currency,
+      fromDate: from,
+      toDate: to,
+      messageId: statement.statementData.messageId,
+      openingBalance: statement.openingBalance,
+      closingBalance: statement.closingBalance,
+      entryCount: statement.statementData.entries.length,
+      xml: statement.xml
+    });
+  }
+}
+
+module.exports = StatementService;
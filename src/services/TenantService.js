@@ -0,0 +1,116 @@
+const TenantModel = require('../models/Tenant');
+const AmountService = require('./AmountService');
+
+// accept reports partial payments like any other, with what was delivered
+// as the settlement amount; notify reports them with a camt.054 credit
+// notification instead of a credit transfer; reject fails their validation
+const PARTIAL_PAYMENT_POLICIES = ['accept', 'notify', 'reject'];
+
+class TenantService {
+  constructor(sequelize) {
+    if (!sequelize) {
+      throw new Error('Sequelize instance is required');
+    }
+
+    this.Tenant = TenantModel(sequelize);
+  }
+
+  // Settings of the deployment itself, used for platform keys and for
+  // addresses listed in MONITORED_ADDRESSES
+  getDefaultSettings() {
+    return {
+      tenantId: null,
+      monitoredAddresses: (process.env.MONITORED_ADDRESSES || '')
+        .split(',')
+        .map(address => address.trim())
+        .filter(Boolean),
+      currencyCode: process.env.HCT_CURRENCY_CODE || 'HCT',
+      tokenIssuer: process.env.HCT_TOKEN_ISSUER || null,
+      instructingAgentBic: null,
+      instructedAgentBic: null,
+      // fallback maps parties missing from the registry with placeholders;
+      // reject fails their messages' validation
+      unknownPartyPolicy: process.env.UNKNOWN_PARTY_POLICY === 'reject' ? 'reject' : 'fallback',
+      // Decimals the token is reported with; unset allows the 5 of ISO 20022
+      tokenDecimals: process.env.HCT_TOKEN_DECIMALS ? parseInt(process.env.HCT_TOKEN_DECIMALS, 10) : null,
+      // How amounts with more decimals than that are handled
+      amountRounding: AmountService.ROUNDING_POLICIES.includes(process.env.AMOUNT_ROUNDING)
+        ? process.env.AMOUNT_ROUNDING
+        : 'half-even',
+      partialPaymentPolicy: PARTIAL_PAYMENT_POLICIES.includes(process.env.PARTIAL_PAYMENT_POLICY)
+        ? process.env.PARTIAL_PAYMENT_POLICY
+        : 'accept'
+    };
+  }
+
+  // Anything a tenant leaves unset is taken from the environment
+  getSettings(tenant) {
+    const defaults = this.getDefaultSettings();
+    if (!tenant) {
+      return defaults;
+    }
+
+    return {
+      tenantId: tenant.id,
+      monitoredAddresses: tenant.monitoredAddresses || [],
+      currencyCode: tenant.currencyCode || defaults.currencyCode,
+      tokenIssuer: tenant.tokenIssuer || defaults.tokenIssuer,
+      instructingAgentBic: tenant.instructingAgentBic || null,
+      instructedAgentBic: tenant.instructedAgentBic || null,
+      unknownPartyPolicy: tenant.unknownPartyPolicy || defaults.unknownPartyPolicy,
+      tokenDecimals: tenant.tokenDecimals !== null && tenant.tokenDecimals !== undefined
+        ? tenant.tokenDecimals
+        : defaults.tokenDecimals,
+      amountRounding: tenant.amountRounding || defaults.amountRounding,
+      partialPaymentPolicy: tenant.partialPaymentPolicy || defaults.partialPaymentPolicy
+    };
+  }
+
+  // Where clause limiting a query to the caller's tenant. Platform keys,
+  // which belong to no tenant, see every row.
+  where(apiKey) {
+    return apiKey && apiKey.tenantId ? { tenantId: apiKey.tenantId } : {};
+  }
+
+  // Tenant keys only reach their tenant's monitored addresses; platform keys
+  // reach every address
+  canAccessAddress(apiKey, address) {
+    if (!apiKey || !apiKey.tenantId) {
+      return true;
+    }
+    return this.getSettings(apiKey.tenant).monitoredAddresses.includes(address);
+  }
+
+  async getActiveTenants() {
+    return this.Tenant.findAll({
+      where: { active: true },
+      order: [['name', 'ASC']]
+    });
+  }
+
+  // Read from the database on every call, so tenant changes apply without
+  // a restart
+  async getMonitoringSettings() {
+    const tenants = await this.getActiveTenants();
+    return [this.getDefaultSettings(), ...tenants.map(tenant => this.getSettings(tenant))];
+  }
+
+  // Tenants monitoring one of the addresses, with null standing for the
+  // platform when MONITORED_ADDRESSES lists one
+  async getOwners(addresses) {
+    const monitors = (monitoredAddresses) =>
+      monitoredAddresses.some(address => addresses.includes(address));
+
+    const owners = monitors(this.getDefaultSettings().monitoredAddresses) ? [null] : [];
+    for (const tenant of await this.getActiveTenants()) {
+      if (monitors(tenant.monitoredAddresses || [])) {
+        owners.push(tenant);
+      }
+    }
+    return owners;
+  }
+}
+
+TenantService.PARTIAL_PAYMENT_POLICIES = PARTIAL_PAYMENT_POLICIES;
+
+module.exports = TenantService;
@@ -0,0 +1,164 @@
+const TransactionEventModel = require('../models/TransactionEvent');
+
+// States a payment may move to from each state. Processing runs detected
+// through generated, then validated or failed depending on the validation.
+// A failed message can pass a later revalidation; any payment with a
+// message can be returned.
+const TRANSITIONS = {
+  detected: ['fetched', 'failed'],
+  fetched: ['mapped', 'failed'],
+  mapped: ['generated', 'failed'],
+  generated: ['validated', 'failed'],
+  validated: ['delivered', 'failed', 'returned'],
+  failed: ['validated', 'returned'],
+  delivered: ['acknowledged', 'returned'],
+  acknowledged: ['returned'],
+  returned: []
+};
+const STATES = Object.keys(TRANSITIONS);
+// States in which revalidating moves the payment between validated and failed
+const VALIDATION_STATES = ['generated', 'validated', 'failed'];
+
+class TransactionLifecycleService {
+  constructor(sequelize) {
+    if (!sequelize) {
+      throw new Error('Sequelize instance is required');
+    }
+
+    this.TransactionEvent = TransactionEventModel(sequelize);
+  }
+
+  actorFor(apiKey) {
+    return apiKey ? `api-key:${apiKey.id}` : 'system';
+  }
+
+  // Payments stored before states were tracked get one from their
+  // validation status
+  getState(transaction) {
+    if (transaction.state) {
+      return transaction.state;
+    }
+    if (transaction.validationStatus === 'valid') {
+      return 'validated';
+    }
+    return transaction.validationStatus === 'invalid' ? 'failed' : 'generated';
+  }
+
+  canTransition(fromState, toState) {
+    return fromState === toState || (TRANSITIONS[fromState] || []).includes(toState);
+  }
+
+  // The state a validation result leaves the payment in. Messages already
+  // delivered, acknowledged or returned keep their state; the event still
+  // records the new result.
+  getValidationState(transaction, isValid) {
+    const state = this.getState(transaction);
+    if (!VALIDATION_STATES.includes(state)) {
+      return state;
+    }
+    return isValid ? 'validated' : 'failed';
+  }
+
+  // { field: { from, to } } for the updates that change a value
+  diff(transaction, updates) {
+    const changes = {};
+    for (const [field, value] of Object.entries(updates)) {
+      const previous = transaction[field] === undefined ? null : transaction[field];
+      if (JSON.stringify(previous) !== JSON.stringify(value)) {
+        changes[field] = { from: previous, to: value };
+      }
+    }
+    return Object.keys(changes).length > 0 ? changes : null;
+  }
+
+  // Applies updates and the move to toState, and appends the event with
+  // the previous values. toState may be the current state for events that
+  // only change data. Throws with status 409 on a move the state machine
+  // does not allow. options are passed to the queries, e.g. { transaction }.
+  async transition(transaction, toState, { event, actor, updates = {}, note = null }, options = {}) {
+    const fromState = this.getState(transaction);
+    if (!this.canTransition(fromState, toState)) {
+      const error = new Error(`Transaction cannot move from ${fromState} to ${toState}`);
+      error.status = 409;
+      throw error;
+    }
+
+    const changes = this.diff(transaction, updates);
+    await transaction.update({ ...updates, state: toState }, options);
+
+    return this.TransactionEvent.create({
+      transactionId: transaction.id,
+      event: event || toState,
+      fromState,
+      toState,
+      actor,
+      changes,
+      note
+    }, options);
+  }
+
+  // Events for a payment the pipeline has just stored, one per step it went
+  // through: [{ state, at }] starting at detected. Steps within the same
+  // millisecond are spread a millisecond apart so the timeline keeps their
+  // order.
+  async recordProcessing(transaction, steps, actor, options = {}) {
+    let fromState = null;
+    let previousTime = 0;
+    const events = steps.map(step => {
+      if (fromState && !TRANSITIONS[fromState].includes(step.state)) {
+        throw new Error(`Transaction cannot move from ${fromState} to ${step.state}`);
+      }
+      const event = {
+        transactionId: transaction.id,
+        event: step.state,
+        fromState,
+        toState: step.state,
+        actor,
+        note: step.note || null,
+        occurredAt: new Date(Math.max(step.at.getTime(), previousTime + 1))
+      };
+      fromState = step.state;
+      previousTime = event.occurredAt.getTime();
+      return event;
+    });
+
+    return this.TransactionEvent.bulkCreate(events, options);
+  }
+
+  // Batch inclusion changes batchId without changing the state
+  async recordBatched(transactions, batchId, actor) {
+    return this.TransactionEvent.bulkCreate(transactions.map(transaction => {
+      const state = this.getState(transaction);
+      return {
+        transactionId: transaction.id,
+        event: 'batched',
+        fromState: state,
+        toState: state,
+        actor,
+        changes: { batchId: { from: transaction.batchId || null, to: batchId } }
+      };
+    }));
+  }
+
+  // Validated messages handed to a client by export or webhook move to
+  // delivered; messages in any other state are left alone
+  async markDelivered(transactions, actor, channel) {
+    for (const transaction of transactions) {
+      if (this.getState(transaction) === 'validated') {
+        await this.transition(transaction, 'delivered', { actor, note: `Delivered by ${channel}` });
+      }
+    }
+  }
+
+  async getHistory(transactionId) {
+    return this.TransactionEvent.findAll({
+      where: { transactionId },
+      order: [['occurredAt', 'ASC'], ['createdAt', 'ASC']]
+    });
+  }
+}
+
+TransactionLifecycleService.STATES = STATES;
+TransactionLifecycleService.TRANSITIONS = TRANSITIONS;
+
+module.exports = TransactionLifecycleService;
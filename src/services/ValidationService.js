@@ -1,11 +1,30 @@
 const axios = require('axios');
 const { parseString } = require('xml2js');
 const { DOMParser } = require('@xmldom/xmldom');
+const SchemaValidator = require('./SchemaValidator');
+const AmountService = require('./AmountService');
+
+// ISO 7064 MOD 97-10, as IBANs (ISO 13616) and creditor references
+// (ISO 11649) use it: the reference with its first four characters moved to
+// the end and letters read as 10 to 35, modulo 97. Valid check digits leave 1.
+const mod97 = (reference) => {
+  const digits = (reference.slice(4) + reference.slice(0, 4))
+    .split('')
+    .map(character => parseInt(character, 36))
+    .join('');
+  let remainder = 0;
+  for (const digit of digits) {
+    remainder = (remainder * 10 + parseInt(digit, 10)) % 97;
+  }
+  return remainder;
+};
 
 class ValidationService {
   constructor() {
     this.swiftSandboxUrl = process.env.SWIFT_SANDBOX_URL;
     this.validationRules = this.loadValidationRules();
+    this.schemaValidator = new SchemaValidator();
+    this.amountService = new AmountService();
   }
 
   loadValidationRules() {
@@ -18,8 +37,7 @@ class ValidationService {
           'EndToEndId': 35
         },
         patterns: {
-          'MsgId': /^[A-Za-z0-9\-]+$/,
-          'Amount': /^\d+\.\d{2}$/
+          'MsgId': /^[A-Za-z0-9\-]+$/
         }
       },
       pain001: {
@@ -28,6 +46,56 @@ class ValidationService {
           'MsgId': 35,
           'EndToEndId': 35
         }
+      },
+      pacs002: {
+        required: ['MsgId', 'CreDtTm', 'OrgnlMsgId', 'OrgnlMsgNmId', 'TxSts'],
+        maxLength: {
+          'MsgId': 35,
+          'OrgnlMsgId': 35,
+          'OrgnlEndToEndId': 35
+        },
+        patterns: {
+          'TxSts': /^[A-Z]{4}$/
+        }
+      },
+      pain002: {
+        required: ['MsgId', 'CreDtTm', 'OrgnlMsgId', 'OrgnlMsgNmId', 'GrpSts'],
+        maxLength: {
+          'MsgId': 35,
+          'OrgnlMsgId': 35
+        },
+        patterns: {
+          'GrpSts': /^[A-Z]{4}$/
+        }
+      },
+      pacs004: {
+        required: ['MsgId', 'CreDtTm', 'NbOfTxs', 'RtrId', 'OrgnlEndToEndId', 'RtrRsnInf'],
+        maxLength: {
+          'MsgId': 35,
+          'RtrId': 35,
+          'OrgnlEndToEndId': 35
+        },
+        patterns: {
+          'MsgId': /^[A-Za-z0-9\-]+$/
+        }
+      },
+      camt053: {
+        required: ['MsgId', 'CreDtTm', 'Stmt', 'Acct', 'Bal'],
+        maxLength: {
+          'MsgId': 35
+        },
+        patterns: {
+          'CdtDbtInd': /^(CRDT|DBIT)$/
+        }
+      },
+      camt054: {
+        required: ['MsgId', 'CreDtTm', 'Ntfctn', 'Acct', 'Ntry'],
+        maxLength: {
+          'MsgId': 35
+        },
+        patterns: {
+          'CdtDbtInd': /^(CRDT|DBIT)$/
+        }
       }
     };
   }
@@ -42,6 +110,21 @@ class ValidationService {
     try {
       // Basic XML structure validation
       await this.validateXMLStructure(xmlString);
+
+      // XSD validation against the schemas registered for the message
+      const schemaResults = await this.schemaValidator.validate(xmlString);
+      results.schemaValidation = schemaResults;
+
+      if (!schemaResults.valid) {
+        results.isValid = false;
+        results.errors.push(...schemaResults.errors.map(error => this.formatSchemaError(error)));
+      }
+      // Without its schema a message is only held to the built-in rules,
+      // which is flagged rather than failed
+      results.xsdChecked = schemaResults.skipped.length === 0;
+      for (const namespace of schemaResults.skipped) {
+        results.warnings.push(`Not XSD-checked: no schema registered for ${namespace}; add it to ${this.schemaValidator.schemaDir}`);
+      }
       
       // ISO 20022 specific validation
       await this.validateISO20022Rules(xmlString, messageType);
@@ -66,6 +149,13 @@ class ValidationService {
     }
   }
 
+  formatSchemaError(error) {
+    const location = error.line !== null
+      ? ` (line ${error.line}${error.column !== null ? `, column ${error.column}` : ''})`
+      : '';
+    return `${error.xpath || 'Schema'}${location}: ${error.message}`;
+  }
+
   async validateXMLStructure(xmlString) {
     return new Promise((resolve, reject) => {
       parseString(xmlString, { explicitArray: false }, (err, result) => {
@@ -101,7 +191,7 @@ class ValidationService {
     }
 
     // Check patterns
-    for (const [field, pattern] of Object.entries(rules.patterns)) {
+    for (const [field, pattern] of Object.entries(rules.patterns || {})) {
       const value = this.findFieldInXML(parsed, field);
       if (value && !pattern.test(value)) {
         throw new Error(`Field ${field} does not match required pattern`);
@@ -139,6 +229,9 @@ class ValidationService {
         }
       }
       
+      // Business Application Header, when the message is wrapped
+      errors.push(...this.validateAppHdr(doc));
+
       // Validate BIC codes
       const bicElements = doc.getElementsByTagName('BIC');
       for (let i = 0; i < bicElements.length; i++) {
@@ -149,13 +242,7 @@ class ValidationService {
       }
       
       // Validate amounts
-      const amountElements = doc.getElementsByTagName('InstdAmt');
-      for (let i = 0; i < amountElements.length; i++) {
-        const amount = amountElements[i].textContent;
-        if (!this.isValidAmount(amount)) {
-          errors.push(`Invalid amount format: ${amount}`);
-        }
-      }
+      errors.push(...this.validateAmounts(doc));
       
       return {
         valid: errors.length === 0,
@@ -171,10 +258,64 @@ class ValidationService {
     }
   }
   
+  validateAppHdr(doc) {
+    const appHdr = doc.getElementsByTagName('AppHdr')[0];
+    if (!appHdr) {
+      return [];
+    }
+
+    const errors = [];
+    const headerText = (name) => {
+      const element = appHdr.getElementsByTagName(name)[0];
+      return element ? element.textContent : null;
+    };
+
+    for (const party of ['Fr', 'To']) {
+      const partyElement = appHdr.getElementsByTagName(party)[0];
+      const bic = partyElement && partyElement.getElementsByTagName('BICFI')[0];
+      if (!bic) {
+        errors.push(`AppHdr ${party} BICFI is missing`);
+      } else if (!this.isValidBIC(bic.textContent)) {
+        errors.push(`Invalid AppHdr ${party} BICFI: ${bic.textContent}`);
+      }
+    }
+
+    const bizMsgIdr = headerText('BizMsgIdr');
+    if (!bizMsgIdr) {
+      errors.push('AppHdr BizMsgIdr is missing');
+    } else if (bizMsgIdr.length > 35) {
+      errors.push('AppHdr BizMsgIdr exceeds maximum length of 35');
+    }
+
+    // MsgDefIdr has to name the message actually carried in the Document
+    const msgDefIdr = headerText('MsgDefIdr');
+    const document = doc.getElementsByTagName('Document')[0];
+    const documentNamespace = document ? document.getAttribute('xmlns') : '';
+    if (!msgDefIdr) {
+      errors.push('AppHdr MsgDefIdr is missing');
+    } else if (documentNamespace !== `urn:iso:std:iso:20022:tech:xsd:${msgDefIdr}`) {
+      errors.push(`AppHdr MsgDefIdr ${msgDefIdr} does not match Document namespace ${documentNamespace}`);
+    }
+
+    const creDt = headerText('CreDt');
+    if (!creDt) {
+      errors.push('AppHdr CreDt is missing');
+    } else if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(creDt)) {
+      errors.push(`AppHdr CreDt must be an ISO date time with time zone: ${creDt}`);
+    }
+
+    return errors;
+  }
+
   getRequiredElements(messageType) {
     const elementMap = {
       'pacs.008': ['GrpHdr', 'CdtTrfTxInf', 'IntrBkSttlmAmt'],
-      'pain.001': ['GrpHdr', 'PmtInf', 'CdtTrfTxInf']
+      'pain.001': ['GrpHdr', 'PmtInf', 'CdtTrfTxInf'],
+      'pacs.002': ['GrpHdr', 'OrgnlGrpInfAndSts', 'TxInfAndSts'],
+      'pain.002': ['GrpHdr', 'OrgnlGrpInfAndSts'],
+      'pacs.004': ['GrpHdr', 'TxInf', 'RtrdIntrBkSttlmAmt', 'RtrRsnInf'],
+      'camt.053': ['GrpHdr', 'Stmt', 'Acct', 'Bal'],
+      'camt.054': ['GrpHdr', 'Ntfctn', 'Acct', 'Ntry']
     };
     return elementMap[messageType] || [];
   }
@@ -184,9 +325,38 @@ class ValidationService {
     return bicRegex.test(bic);
   }
   
-  isValidAmount(amount) {
-    const amountRegex = /^\d+(\.\d{1,5})?$/;
-    return amountRegex.test(amount);
+  // Every element with a Ccy is an ActiveCurrencyAndAmount or
+  // ActiveOrHistoricCurrencyAndAmount: a three letter Ccy, 18 digits, 5
+  // decimals, and no more decimals than an ISO 4217 currency has. Control
+  // sums allow 17 decimals, exchange rates 11 digits with 10 decimals.
+  validateAmounts(doc) {
+    const errors = [];
+    const elements = Array.from(doc.getElementsByTagName('*'));
+
+    for (const element of elements) {
+      const amount = element.textContent.trim();
+      const currency = element.getAttribute('Ccy');
+      if (currency) {
+        const isoDigits = AmountService.ISO_FRACTION_DIGITS[currency];
+        if (!/^[A-Z]{3}$/.test(currency)) {
+          errors.push(`${element.localName} Ccy ${currency} is not three upper case letters`);
+        } else if (!this.isValidAmount(amount)) {
+          errors.push(`Invalid amount format: ${element.localName} ${amount} ${currency}`);
+        } else if (isoDigits !== undefined && !this.amountService.isRepresentable(amount, isoDigits)) {
+          errors.push(`${element.localName} ${amount} ${currency} has more than ${isoDigits} decimals`);
+        }
+      } else if (element.localName === 'CtrlSum' && !this.isValidAmount(amount, 17)) {
+        errors.push(`Invalid control sum: ${amount}`);
+      } else if (element.localName === 'XchgRate' && !(/^\d+(\.\d+)?$/.test(amount) &&
+          this.amountService.isRepresentable(amount, AmountService.MAX_RATE_FRACTION_DIGITS, AmountService.MAX_RATE_DIGITS))) {
+        errors.push(`Invalid exchange rate: ${amount}`);
+      }
+    }
+    return errors;
+  }
+
+  isValidAmount(amount, maxFractionDigits = AmountService.MAX_FRACTION_DIGITS) {
+    return /^\d+(\.\d+)?$/.test(amount) && this.amountService.isRepresentable(amount, maxFractionDigits);
   }
   
   addKYCAMLFields(mappedData, kycData = null) {
@@ -207,4 +377,6 @@ class ValidationService {
   }
 }
 
+ValidationService.mod97 = mod97;
+
 module.exports = ValidationService;
\ No newline at end of file
@@ -0,0 +1,314 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const WebhookModel = require('../models/Webhook');
+const WebhookDeliveryModel = require('../models/WebhookDelivery');
+const TransactionModel = require('../models/Transaction');
+const TransactionLifecycleService = require('./TransactionLifecycleService');
+
+const EVENTS = ['transaction.processed', 'transaction.invalid', 'batch.completed'];
+const SECRET_PREFIX = 'whsec_';
+// Longest wait between two attempts, whatever the backoff says
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+
+class WebhookService {
+  constructor(sequelize) {
+    if (!sequelize) {
+      throw new Error('Sequelize instance is required');
+    }
+
+    this.Webhook = WebhookModel(sequelize);
+    this.WebhookDelivery = WebhookDeliveryModel(sequelize);
+    this.Transaction = TransactionModel(sequelize);
+    this.lifecycle = new TransactionLifecycleService(sequelize);
+    this.retrying = false;
+  }
+
+  getMaxAttempts() {
+    return parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+  }
+
+  getTimeoutMs() {
+    return parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+  }
+
+  createSecret() {
+    return SECRET_PREFIX + crypto.randomBytes(24).toString('base64url');
+  }
+
+  // Receivers recompute this over the X-HCT-Timestamp header and the raw
+  // body and compare it with X-HCT-Signature
+  sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  // Seconds to wait after the given number of failed attempts: 30s, 1m,
+  // 2m, 4m, ... capped at six hours
+  getRetryDelaySeconds(attempts) {
+    const base = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30;
+    return Math.min(base * Math.pow(2, Math.max(attempts - 1, 0)), MAX_RETRY_DELAY_SECONDS);
+  }
+
+  // Platform webhooks hear about every tenant; tenant webhooks only about
+  // their own tenant
+  async findSubscribers(event, tenantId) {
+    const webhooks = await this.Webhook.findAll({
+      where: {
+        active: true,
+        [Op.or]: tenantId ? [{ tenantId: null }, { tenantId: tenantId }] : [{ tenantId: null }]
+      }
+    });
+    return webhooks.filter(webhook => (webhook.events || []).includes(event));
+  }
+
+  // JSON webhooks get an envelope around data; XML webhooks get the ISO
+  // 20022 message itself, or the envelope when there is no message
+  buildPayload(webhook, envelope, xml) {
+    if (webhook.format === 'xml' && xml) {
+      return { payload: xml, contentType: 'application/xml' };
+    }
+    return { payload: JSON.stringify(envelope), contentType: 'application/json' };
+  }
+
+  // Records a delivery for every subscribed webhook and sends them in the
+  // background. Failures never reach the caller: processing a payment must
+  // not depend on a client's endpoint being up.
+  async publish(event, { tenantId = null, data, xml = null, transactionId = null }) {
+    try {
+      const webhooks = await this.findSubscribers(event, tenantId);
+      if (webhooks.length === 0) {
+        return [];
+      }
+
+      const envelope = {
+        id: crypto.randomUUID(),
+        event: event,
+        createdAt: new Date().toISOString(),
+        tenantId: tenantId,
+        data: data
+      };
+
+      const deliveries = [];
+      for (const webhook of webhooks) {
+        const delivery = await this.WebhookDelivery.create({
+          webhookId: webhook.id,
+          event: event,
+          transactionId: transactionId,
+          ...this.buildPayload(webhook, envelope, xml),
+          nextAttemptAt: new Date()
+        });
+        deliveries.push(delivery);
+
+        this.deliver(delivery, webhook).catch(error => {
+          console.error(`Error delivering webhook ${delivery.id}:`, error.message);
+        });
+      }
+
+      return deliveries;
+    } catch (error) {
+      console.error(`Error publishing ${event} webhooks:`, {
+        error: error.message,
+        tenantId: tenantId
+      });
+      return [];
+    }
+  }
+
+  // Claims the delivery by bumping its attempt counter, so a delivery is
+  // never sent twice at once by the publisher and the retry job or by two
+  // instances. The claim also pushes nextAttemptAt past the request timeout.
+  async claim(delivery) {
+    const now = new Date();
+    const attempts = delivery.attempts + 1;
+    const [claimed] = await this.WebhookDelivery.update({
+      attempts: attempts,
+      lastAttemptAt: now,
+      nextAttemptAt: new Date(now.getTime() + 2 * this.getTimeoutMs())
+    }, {
+      where: {
+        id: delivery.id,
+        attempts: delivery.attempts,
+        status: { [Op.in]: ['pending', 'failed'] }
+      }
+    });
+
+    if (claimed === 0) {
+      return false;
+    }
+    delivery.attempts = attempts;
+    return true;
+  }
+
+  async deliver(delivery, webhook = null) {
+    if (!await this.claim(delivery)) {
+      return delivery;
+    }
+
+    webhook = webhook || await this.Webhook.findByPk(delivery.webhookId);
+    if (!webhook || !webhook.active) {
+      return delivery.update({
+        status: 'dead',
+        nextAttemptAt: null,
+        lastError: 'Webhook was deactivated'
+      });
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    try {
+      const response = await axios.post(webhook.url, delivery.payload, {
+        headers: {
+          'Content-Type': delivery.contentType,
+          'User-Agent': 'HCT-Middleware-Webhooks/1.0',
+          'X-HCT-Event': delivery.event,
+          'X-HCT-Delivery': delivery.id,
+          'X-HCT-Timestamp': timestamp,
+          'X-HCT-Signature': this.sign(webhook.secret, timestamp, delivery.payload)
+        },
+        timeout: this.getTimeoutMs(),
+        maxRedirects: 0,
+        // Anything but a 2xx is retried
+        validateStatus: status => status >= 200 && status < 300
+      });
+
+      console.info(`Delivered ${delivery.event} webhook ${delivery.id} to ${webhook.url}`);
+      await delivery.update({
+        status: 'delivered',
+        responseStatus: response.status,
+        lastError: null,
+        nextAttemptAt: null,
+        deliveredAt: new Date()
+      });
+      await this.markTransactionDelivered(delivery);
+      return delivery;
+    } catch (error) {
+      const responseStatus = error.response ? error.response.status : null;
+      const dead = delivery.attempts >= this.getMaxAttempts();
+
+      console.warn(`Webhook delivery ${delivery.id} to ${webhook.url} failed (attempt ${delivery.attempts}): ${error.message}`);
+      return delivery.update({
+        status: dead ? 'dead' : 'failed',
+        responseStatus: responseStatus,
+        lastError: error.message,
+        nextAttemptAt: dead
+          ? null
+          : new Date(Date.now() + this.getRetryDelaySeconds(delivery.attempts) * 1000)
+      });
+    }
+  }
+
+  async markTransactionDelivered(delivery) {
+    if (!delivery.transactionId) {
+      return;
+    }
+
+    try {
+      const transaction = await this.Transaction.findByPk(delivery.transactionId);
+      if (transaction) {
+        await this.lifecycle.markDelivered([transaction], `webhook:${delivery.webhookId}`, 'webhook');
+      }
+    } catch (error) {
+      console.error(`Error recording delivery of transaction ${delivery.transactionId}:`, error.message);
+    }
+  }
+
+  // Called by the scheduler every minute
+  async retryDueDeliveries(limit = 100) {
+    if (this.retrying) {
+      return 0;
+    }
+
+    this.retrying = true;
+    try {
+      const due = await this.WebhookDelivery.findAll({
+        where: {
+          status: { [Op.in]: ['pending', 'failed'] },
+          nextAttemptAt: { [Op.lte]: new Date() }
+        },
+        order: [['nextAttemptAt', 'ASC']],
+        limit: limit
+      });
+
+      for (const delivery of due) {
+        await this.deliver(delivery);
+      }
+
+      if (due.length > 0) {
+        console.info(`Retried ${due.length} webhook deliveries`);
+      }
+      return due.length;
+    } finally {
+      this.retrying = false;
+    }
+  }
+
+  // Puts a dead or failed delivery back at the start of its schedule
+  async redeliver(delivery) {
+    await delivery.update({
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      lastError: null
+    });
+    return this.deliver(delivery);
+  }
+
+  transactionData(transaction) {
+    return {
+      id: transaction.id,
+      xrplTxHash: transaction.xrplTxHash,
+      fromAddress: transaction.fromAddress,
+      toAddress: transaction.toAddress,
+      amount: transaction.amount,
+      requestedAmount: transaction.requestedAmount,
+      partialPayment: transaction.partialPayment,
+      sourceAmount: transaction.sourceAmount,
+      sourceCurrency: transaction.sourceCurrency,
+      sourceIssuer: transaction.sourceIssuer,
+      exchangeRate: transaction.exchangeRate,
+      currency: transaction.currency,
+      messageType: transaction.messageType,
+      messageId: transaction.messageId,
+      endToEndId: transaction.endToEndId,
+      originalTransactionId: transaction.originalTransactionId,
+      state: transaction.state,
+      validationStatus: transaction.validationStatus,
+      validationErrors: transaction.validationErrors,
+      processedAt: transaction.processedAt
+    };
+  }
+
+  async publishTransaction(transaction) {
+    const data = this.transactionData(transaction);
+    const options = {
+      tenantId: transaction.tenantId,
+      data,
+      xml: transaction.iso20022Xml,
+      transactionId: transaction.id
+    };
+
+    await this.publish('transaction.processed', options);
+    if (transaction.validationStatus === 'invalid') {
+      await this.publish('transaction.invalid', options);
+    }
+  }
+
+  async publishBatch(batch) {
+    await this.publish('batch.completed', {
+      tenantId: batch.tenantId,
+      data: {
+        id: batch.id,
+        messageType: batch.messageType,
+        messageId: batch.messageId,
+        numberOfTransactions: batch.numberOfTransactions,
+        controlSum: batch.controlSum,
+        validationStatus: batch.validationStatus,
+        validationErrors: batch.validationErrors
+      },
+      xml: batch.xml
+    });
+  }
+}
+
+WebhookService.EVENTS = EVENTS;
+
+module.exports = WebhookService;
@@ -1,5 +1,10 @@
 const { create } = require('xmlbuilder2');
 
+// Namespace of the XRPL token identity carried in SplmtryData
+const TOKEN_NAMESPACE = 'urn:hoodie-chicken:xrpl:token';
+// Namespace of the XRPL transaction hash carried in SplmtryData
+const TRANSACTION_NAMESPACE = 'urn:hoodie-chicken:xrpl:transaction';
+
 class XMLGenerator {
   constructor() {
     this.namespaces = {
@@ -20,59 +25,15 @@ class XMLGenerator {
       grpHdr.ele('CreDtTm').txt(mappedData.creationDateTime);
       grpHdr.ele('NbOfTxs').txt(mappedData.numberOfTransactions);
       grpHdr.ele('CtrlSum').txt(mappedData.controlSum);
+      grpHdr.ele('SttlmInf').ele('SttlmMtd').txt('CLRG');
 
-      // Instructing Agent
-      const instgAgt = grpHdr.ele('InstgAgt');
-      instgAgt.ele('FinInstnId').ele('Othr').ele('Id').txt('HCTMIDDLEWARE');
-
-      // Instructed Agent
-      const instdAgt = grpHdr.ele('InstdAgt');
-      instdAgt.ele('FinInstnId').ele('Othr').ele('Id').txt('XRPLEDGER');
-
-      // Credit Transfer Transaction Information
-      const cdtTrfTxInf = doc.ele('CdtTrfTxInf');
-      
-      // Payment Identification
-      const pmtId = cdtTrfTxInf.ele('PmtId');
-      pmtId.ele('InstrId').txt(mappedData.instructionId);
-      pmtId.ele('EndToEndId').txt(mappedData.endToEndId);
-      pmtId.ele('TxId').txt(mappedData.transactionId);
-
-      // Interbank Settlement Amount
-      const intrBkSttlmAmt = cdtTrfTxInf.ele('IntrBkSttlmAmt');
-      intrBkSttlmAmt.att('Ccy', mappedData.instructedAmount.currency);
-      intrBkSttlmAmt.txt(mappedData.instructedAmount.value);
-
-      // Charge Bearer
-      cdtTrfTxInf.ele('ChrgBr').txt(mappedData.chargeBearer);
-
-      // Debtor
-      const dbtr = cdtTrfTxInf.ele('Dbtr');
-      dbtr.ele('Nm').txt(mappedData.debtor.name);
-      dbtr.ele('Id').ele('OrgId').ele('Othr').ele('Id').txt(mappedData.debtor.identification);
-
-      // Debtor Account
-      const dbtrAcct = cdtTrfTxInf.ele('DbtrAcct');
-      dbtrAcct.ele('Id').ele('Othr').ele('Id').txt(mappedData.debtorAccount.identification);
-
-      // Creditor
-      const cdtr = cdtTrfTxInf.ele('Cdtr');
-      cdtr.ele('Nm').txt(mappedData.creditor.name);
-      cdtr.ele('Id').ele('OrgId').ele('Othr').ele('Id').txt(mappedData.creditor.identification);
-
-      // Creditor Account
-      const cdtrAcct = cdtTrfTxInf.ele('CdtrAcct');
-      cdtrAcct.ele('Id').ele('Othr').ele('Id').txt(mappedData.creditorAccount.identification);
-
-      // Remittance Information
-      if (mappedData.remittanceInformation) {
-        const rmtInf = cdtTrfTxInf.ele('RmtInf');
-        rmtInf.ele('Ustrd').txt(mappedData.remittanceInformation.unstructured);
-      }
+      // Instructing and Instructed Agent, the tenant's BICs when it has them
+      this.addAgent(grpHdr.ele('InstgAgt'), mappedData.instructingAgentBic, 'HCTMIDDLEWARE');
+      this.addAgent(grpHdr.ele('InstdAgt'), mappedData.instructedAgentBic, 'XRPLEDGER');
 
-      // Purpose Code
-      if (mappedData.purposeCode) {
-        cdtTrfTxInf.ele('Purp').ele('Cd').txt(mappedData.purposeCode);
+      // Credit Transfer Transaction Information, one per payment in a batch
+      for (const transaction of mappedData.transactions || [mappedData]) {
+        this.addPacs008Transaction(doc, transaction);
       }
 
       const xmlString = doc.end({ prettyPrint: true });
@@ -84,6 +45,118 @@ class XMLGenerator {
     }
   }
 
+  addAgent(agent, bic, fallbackId) {
+    const finInstnId = agent.ele('FinInstnId');
+    if (bic) {
+      finInstnId.ele('BICFI').txt(bic);
+    } else {
+      finInstnId.ele('Othr').ele('Id').txt(fallbackId);
+    }
+  }
+
+  // Id of a debtor or creditor: its LEI when registered, and its XRPL address
+  addPartyId(party, mappedParty) {
+    const orgId = party.ele('Id').ele('OrgId');
+    if (mappedParty.lei) {
+      orgId.ele('LEI').txt(mappedParty.lei);
+    }
+    orgId.ele('Othr').ele('Id').txt(mappedParty.identification);
+  }
+
+  // Account Id: the registered IBAN, or Othr/Id. An XRPL tag identifying
+  // the account below the address goes into Prxy, as Othr/Id has no room
+  // for address:tag.
+  addAccount(account, mappedAccount) {
+    const id = account.ele('Id');
+    if (mappedAccount.iban) {
+      id.ele('IBAN').txt(mappedAccount.iban);
+    } else {
+      id.ele('Othr').ele('Id').txt(mappedAccount.identification);
+    }
+    if (mappedAccount.proxy) {
+      const prxy = account.ele('Prxy');
+      prxy.ele('Tp').ele('Prtry').txt(mappedAccount.proxy.type);
+      prxy.ele('Id').txt(mappedAccount.proxy.identification);
+    }
+  }
+
+  // RmtInf: Ustrd, then Strd with the invoices (CINV) and the creditor
+  // reference (SCOR, issued by ISO for ISO 11649 ones) taken from the memos
+  addRemittanceInformation(parent, remittanceInformation) {
+    if (!remittanceInformation) {
+      return;
+    }
+
+    const rmtInf = parent.ele('RmtInf');
+    if (remittanceInformation.unstructured) {
+      rmtInf.ele('Ustrd').txt(remittanceInformation.unstructured);
+    }
+
+    const structured = remittanceInformation.structured;
+    if (!structured) {
+      return;
+    }
+    const strd = rmtInf.ele('Strd');
+    for (const number of structured.referredDocuments || []) {
+      const rfrdDocInf = strd.ele('RfrdDocInf');
+      rfrdDocInf.ele('Tp').ele('CdOrPrtry').ele('Cd').txt('CINV');
+      rfrdDocInf.ele('Nb').txt(number);
+    }
+    if (structured.creditorReference) {
+      const cdtrRefInf = strd.ele('CdtrRefInf');
+      const tp = cdtrRefInf.ele('Tp');
+      tp.ele('CdOrPrtry').ele('Cd').txt('SCOR');
+      if (structured.creditorReference.issuer) {
+        tp.ele('Issr').txt(structured.creditorReference.issuer);
+      }
+      cdtrRefInf.ele('Ref').txt(structured.creditorReference.reference);
+    }
+  }
+
+  // PstlAdr of a party, in schema order, when its mapping gave it one
+  addPostalAddress(party, address) {
+    const elements = [
+      ['Dept', 'department'],
+      ['StrtNm', 'streetName'],
+      ['BldgNb', 'buildingNumber'],
+      ['PstCd', 'postCode'],
+      ['TwnNm', 'townName'],
+      ['CtrySubDvsn', 'countrySubDivision'],
+      ['Ctry', 'country']
+    ].filter(([, field]) => address && address[field]);
+
+    if (elements.length === 0) {
+      return;
+    }
+    const pstlAdr = party.ele('PstlAdr');
+    for (const [element, field] of elements) {
+      pstlAdr.ele(element).txt(address[field]);
+    }
+  }
+
+  // SplmtryData naming the XRPL token behind the Ccy, which may be a proxy
+  // such as XXX
+  addTokenData(cdtTrfTxInf, token) {
+    if (!token) {
+      return;
+    }
+    const xrplToken = cdtTrfTxInf.ele('SplmtryData').ele('Envlp').ele(TOKEN_NAMESPACE, 'XRPLToken');
+    xrplToken.ele('Currency').txt(token.currency);
+    if (token.name !== token.currency) {
+      xrplToken.ele('Name').txt(token.name);
+    }
+    xrplToken.ele('Issuer').txt(token.issuer);
+  }
+
+  // SplmtryData with the XRPL transaction's hash, which is too long for the
+  // Max35Text TxId and OrgnlTxId; those carry its first 35 characters
+  addTransactionHash(parent, txHash) {
+    if (!txHash) {
+      return;
+    }
+    parent.ele('SplmtryData').ele('Envlp').ele(TRANSACTION_NAMESPACE, 'XRPLTransaction').ele('Hash').txt(txHash);
+  }
+
   generatePain001XML(mappedData) {
     try {
       const doc = create({ version: '1.0', encoding: 'UTF-8' })
@@ -98,48 +171,48 @@ class XMLGenerator {
       grpHdr.ele('MsgId').txt(mappedData.messageId);
       grpHdr.ele('CreDtTm').txt(mappedData.creationDateTime);
       grpHdr.ele('NbOfTxs').txt(mappedData.numberOfTransactions);
-      grpHdr.ele('CtrlSum').txt(mappedData.controlSum);
+      grpHdr.ele('CtrlSum').txt(mappedData.instructedSum);
 
       // Initiating Party
       const initgPty = grpHdr.ele('InitgPty');
       initgPty.ele('Nm').txt('Hoodie Chicken Middleware');
       initgPty.ele('Id').ele('OrgId').ele('Othr').ele('Id').txt('HCT_MIDDLEWARE');
 
-      // Payment Information
-      const pmtInf = doc.ele('PmtInf');
-      pmtInf.ele('PmtInfId').txt(mappedData.messageId);
-      pmtInf.ele('PmtMtd').txt('TRF');
-      pmtInf.ele('NbOfTxs').txt(mappedData.numberOfTransactions);
-      pmtInf.ele('CtrlSum').txt(mappedData.controlSum);
-
-      // Debtor
-      const dbtr = pmtInf.ele('Dbtr');
-      dbtr.ele('Nm').txt(mappedData.debtor.name);
-      dbtr.ele('Id').ele('OrgId').ele('Othr').ele('Id').txt(mappedData.debtor.identification);
-
-      // Debtor Account
-      const dbtrAcct = pmtInf.ele('DbtrAcct');
-      dbtrAcct.ele('Id').ele('Othr').ele('Id').txt(mappedData.debtorAccount.identification);
-
-      // Credit Transfer Transaction Information
-      const cdtTrfTxInf = pmtInf.ele('CdtTrfTxInf');
-      
-      const pmtId = cdtTrfTxInf.ele('PmtId');
-      pmtId.ele('EndToEndId').txt(mappedData.endToEndId);
-
-      const amt = cdtTrfTxInf.ele('Amt').ele('InstdAmt');
-      amt.att('Ccy', mappedData.instructedAmount.currency);
-      amt.txt(mappedData.instructedAmount.value);
-
-      const cdtr = cdtTrfTxInf.ele('Cdtr');
-      cdtr.ele('Nm').txt(mappedData.creditor.name);
-
-      const cdtrAcct = cdtTrfTxInf.ele('CdtrAcct');
-      cdtrAcct.ele('Id').ele('Othr').ele('Id').txt(mappedData.creditorAccount.identification);
-
-      if (mappedData.remittanceInformation) {
-        const rmtInf = cdtTrfTxInf.ele('RmtInf');
-        rmtInf.ele('Ustrd').txt(mappedData.remittanceInformation.unstructured);
+      // Payment Information, one block per debtor account
+      const paymentInformation = mappedData.paymentInformation || [{
+        id: mappedData.messageId,
+        numberOfTransactions: mappedData.numberOfTransactions,
+        controlSum: mappedData.instructedSum,
+        debtor: mappedData.debtor,
+        debtorAccount: mappedData.debtorAccount,
+        transactions: [mappedData]
+      }];
+
+      for (const group of paymentInformation) {
+        const pmtInf = doc.ele('PmtInf');
+        pmtInf.ele('PmtInfId').txt(group.id);
+        pmtInf.ele('PmtMtd').txt('TRF');
+        pmtInf.ele('NbOfTxs').txt(group.numberOfTransactions);
+        pmtInf.ele('CtrlSum').txt(group.controlSum);
+
+        // Debtor
+        const dbtr = pmtInf.ele('Dbtr');
+        dbtr.ele('Nm').txt(group.debtor.name);
+        this.addPostalAddress(dbtr, group.debtor.address);
+        this.addPartyId(dbtr, group.debtor);
+
+        // Debtor Account
+        this.addAccount(pmtInf.ele('DbtrAcct'), group.debtorAccount);
+
+        // Debtor Agent, when the debtor's is registered
+        if (group.debtorAgentBic) {
+          pmtInf.ele('DbtrAgt').ele('FinInstnId').ele('BICFI').txt(group.debtorAgentBic);
+        }
+
+        // Credit Transfer Transaction Information
+        for (const transaction of group.transactions) {
+          this.addPain001Transaction(pmtInf, transaction);
+        }
       }
 
       const xmlString = doc.end({ prettyPrint: true });
@@ -150,6 +223,445 @@ class XMLGenerator {
       throw error;
     }
   }
+
+  addPacs008Transaction(doc, transaction) {
+    const cdtTrfTxInf = doc.ele('CdtTrfTxInf');
+
+    // Payment Identification
+    const pmtId = cdtTrfTxInf.ele('PmtId');
+    pmtId.ele('InstrId').txt(transaction.instructionId);
+    pmtId.ele('EndToEndId').txt(transaction.endToEndId);
+    pmtId.ele('TxId').txt(transaction.transactionId);
+
+    // Interbank Settlement Amount, what the ledger delivered
+    const intrBkSttlmAmt = cdtTrfTxInf.ele('IntrBkSttlmAmt');
+    intrBkSttlmAmt.att('Ccy', transaction.settlementAmount.currency);
+    intrBkSttlmAmt.txt(transaction.settlementAmount.value);
+
+    // Instructed Amount, the Amount the sender asked for, or for payments
+    // through the DEX what it paid, converted at the Exchange Rate
+    const instdAmt = cdtTrfTxInf.ele('InstdAmt');
+    instdAmt.att('Ccy', transaction.instructedAmount.currency);
+    instdAmt.txt(transaction.instructedAmount.value);
+    if (transaction.exchangeRate) {
+      cdtTrfTxInf.ele('XchgRate').txt(transaction.exchangeRate);
+    }
+
+    // Charge Bearer
+    cdtTrfTxInf.ele('ChrgBr').txt(transaction.chargeBearer);
+
+    // Debtor
+    const dbtr = cdtTrfTxInf.ele('Dbtr');
+    dbtr.ele('Nm').txt(transaction.debtor.name);
+    this.addPostalAddress(dbtr, transaction.debtor.address);
+    this.addPartyId(dbtr, transaction.debtor);
+
+    // Debtor Account
+    this.addAccount(cdtTrfTxInf.ele('DbtrAcct'), transaction.debtorAccount);
+
+    // Debtor and Creditor Agents, the registered parties' BICs or
+    // NOTPROVIDED, as both are mandatory
+    this.addAgent(cdtTrfTxInf.ele('DbtrAgt'), transaction.debtorAgentBic, 'NOTPROVIDED');
+    this.addAgent(cdtTrfTxInf.ele('CdtrAgt'), transaction.creditorAgentBic, 'NOTPROVIDED');
+
+    // Creditor
+    const cdtr = cdtTrfTxInf.ele('Cdtr');
+    cdtr.ele('Nm').txt(transaction.creditor.name);
+    this.addPostalAddress(cdtr, transaction.creditor.address);
+    this.addPartyId(cdtr, transaction.creditor);
+
+    // Creditor Account
+    this.addAccount(cdtTrfTxInf.ele('CdtrAcct'), transaction.creditorAccount);
+
+    // Purpose Code, which the schema puts before RmtInf
+    if (transaction.purposeCode) {
+      cdtTrfTxInf.ele('Purp').ele('Cd').txt(transaction.purposeCode);
+    }
+
+    // Remittance Information
+    this.addRemittanceInformation(cdtTrfTxInf, transaction.remittanceInformation);
+
+    this.addTokenData(cdtTrfTxInf, transaction.token);
+    this.addTransactionHash(cdtTrfTxInf, transaction.xrplTxHash);
+  }
+
+  addPain001Transaction(pmtInf, transaction) {
+    const cdtTrfTxInf = pmtInf.ele('CdtTrfTxInf');
+
+    const pmtId = cdtTrfTxInf.ele('PmtId');
+    pmtId.ele('EndToEndId').txt(transaction.endToEndId);
+
+    const amt = cdtTrfTxInf.ele('Amt').ele('InstdAmt');
+    amt.att('Ccy', transaction.instructedAmount.currency);
+    amt.txt(transaction.instructedAmount.value);
+
+    // Units of the delivered currency per unit of InstdAmt's
+    if (transaction.exchangeRate) {
+      const xchgRateInf = cdtTrfTxInf.ele('XchgRateInf');
+      xchgRateInf.ele('UnitCcy').txt(transaction.instructedAmount.currency);
+      xchgRateInf.ele('XchgRate').txt(transaction.exchangeRate);
+    }
+
+    if (transaction.creditorAgentBic) {
+      cdtTrfTxInf.ele('CdtrAgt').ele('FinInstnId').ele('BICFI').txt(transaction.creditorAgentBic);
+    }
+
+    const cdtr = cdtTrfTxInf.ele('Cdtr');
+    cdtr.ele('Nm').txt(transaction.creditor.name);
+    this.addPostalAddress(cdtr, transaction.creditor.address);
+
+    this.addAccount(cdtTrfTxInf.ele('CdtrAcct'), transaction.creditorAccount);
+
+    this.addRemittanceInformation(cdtTrfTxInf, transaction.remittanceInformation);
+
+    this.addTokenData(cdtTrfTxInf, transaction.token);
+  }
+
+  generatePain002XML(statusData) {
+    try {
+      const doc = create({ version: '1.0', encoding: 'UTF-8' })
+        .ele('Document', {
+          'xmlns': 'urn:iso:std:iso:20022:tech:xsd:pain.002.001.10',
+          'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance'
+        })
+        .ele('CstmrPmtStsRpt');
+
+      // Group Header
+      const grpHdr = doc.ele('GrpHdr');
+      grpHdr.ele('MsgId').txt(statusData.messageId);
+      grpHdr.ele('CreDtTm').txt(statusData.creationDateTime);
+
+      // Initiating Party
+      const initgPty = grpHdr.ele('InitgPty');
+      initgPty.ele('Nm').txt('Hoodie Chicken Middleware');
+      initgPty.ele('Id').ele('OrgId').ele('Othr').ele('Id').txt('HCT_MIDDLEWARE');
+
+      // Original Group Information and Status
+      const orgnlGrpInf = doc.ele('OrgnlGrpInfAndSts');
+      orgnlGrpInf.ele('OrgnlMsgId').txt(statusData.originalMessageId);
+      orgnlGrpInf.ele('OrgnlMsgNmId').txt(statusData.originalMessageNameId);
+      if (statusData.originalCreationDateTime) {
+        orgnlGrpInf.ele('OrgnlCreDtTm').txt(statusData.originalCreationDateTime);
+      }
+      if (statusData.originalNumberOfTransactions) {
+        orgnlGrpInf.ele('OrgnlNbOfTxs').txt(statusData.originalNumberOfTransactions);
+      }
+      orgnlGrpInf.ele('GrpSts').txt(statusData.groupStatus);
+      this.addStatusReason(orgnlGrpInf, statusData.groupStatusReason);
+
+      // Original Payment Information and Status
+      for (const group of statusData.paymentInformation) {
+        const orgnlPmtInf = doc.ele('OrgnlPmtInfAndSts');
+        orgnlPmtInf.ele('OrgnlPmtInfId').txt(group.originalPaymentInformationId);
+
+        for (const transaction of group.transactions) {
+          const txInfAndSts = orgnlPmtInf.ele('TxInfAndSts');
+          if (transaction.originalInstructionId) {
+            txInfAndSts.ele('OrgnlInstrId').txt(transaction.originalInstructionId);
+          }
+          txInfAndSts.ele('OrgnlEndToEndId').txt(transaction.originalEndToEndId);
+          txInfAndSts.ele('TxSts').txt(transaction.transactionStatus);
+          this.addStatusReason(txInfAndSts, transaction.statusReason);
+        }
+      }
+
+      const xmlString = doc.end({ prettyPrint: true });
+      console.info('Generated ISO 20022 pain.002 XML');
+      return xmlString;
+    } catch (error) {
+      console.error('Error generating pain.002 XML:', error);
+      throw error;
+    }
+  }
+
+  addStatusReason(parent, statusReason) {
+    if (!statusReason) {
+      return;
+    }
+
+    const stsRsnInf = parent.ele('StsRsnInf');
+    stsRsnInf.ele('Rsn').ele('Cd').txt(statusReason.code);
+    if (statusReason.additionalInformation) {
+      stsRsnInf.ele('AddtlInf').txt(statusReason.additionalInformation);
+    }
+  }
+
+  generatePacs002XML(statusData) {
+    try {
+      const doc = create({ version: '1.0', encoding: 'UTF-8' })
+        .ele('Document', {
+          'xmlns': 'urn:iso:std:iso:20022:tech:xsd:pacs.002.001.10',
+          'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance'
+        })
+        .ele('FIToFIPmtStsRpt');
+
+      // Group Header
+      const grpHdr = doc.ele('GrpHdr');
+      grpHdr.ele('MsgId').txt(statusData.messageId);
+      grpHdr.ele('CreDtTm').txt(statusData.creationDateTime);
+
+      // Original Group Information
+      const orgnlGrpInf = doc.ele('OrgnlGrpInfAndSts');
+      orgnlGrpInf.ele('OrgnlMsgId').txt(statusData.originalMessageId);
+      orgnlGrpInf.ele('OrgnlMsgNmId').txt(statusData.originalMessageNameId);
+      if (statusData.originalCreationDateTime) {
+        orgnlGrpInf.ele('OrgnlCreDtTm').txt(statusData.originalCreationDateTime);
+      }
+
+      // Transaction Information and Status
+      const txInfAndSts = doc.ele('TxInfAndSts');
+      txInfAndSts.ele('OrgnlInstrId').txt(statusData.originalInstructionId);
+      txInfAndSts.ele('OrgnlEndToEndId').txt(statusData.originalEndToEndId);
+      txInfAndSts.ele('OrgnlTxId').txt(statusData.originalTransactionId);
+      txInfAndSts.ele('TxSts').txt(statusData.transactionStatus);
+
+      if (statusData.statusReason) {
+        const stsRsnInf = txInfAndSts.ele('StsRsnInf');
+        stsRsnInf.ele('Rsn').ele('Cd').txt(statusData.statusReason.code);
+        if (statusData.statusReason.additionalInformation) {
+          stsRsnInf.ele('AddtlInf').txt(statusData.statusReason.additionalInformation);
+        }
+      }
+
+      if (statusData.acceptanceDateTime) {
+        txInfAndSts.ele('AccptncDtTm').txt(statusData.acceptanceDateTime);
+      }
+
+      // Original Transaction Reference
+      const intrBkSttlmAmt = txInfAndSts.ele('OrgnlTxRef').ele('IntrBkSttlmAmt');
+      intrBkSttlmAmt.att('Ccy', statusData.settlementAmount.currency);
+      intrBkSttlmAmt.txt(statusData.settlementAmount.value);
+
+      this.addTransactionHash(txInfAndSts, statusData.originalXrplTxHash);
+
+      const xmlString = doc.end({ prettyPrint: true });
+      console.info('Generated ISO 20022 pacs.002 XML');
+      return xmlString;
+    } catch (error) {
+      console.error('Error generating pacs.002 XML:', error);
+      throw error;
+    }
+  }
+
+  generatePacs004XML(returnData) {
+    try {
+      const doc = create({ version: '1.0', encoding: 'UTF-8' })
+        .ele('Document', {
+          'xmlns': 'urn:iso:std:iso:20022:tech:xsd:pacs.004.001.09',
+          'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance'
+        })
+        .ele('PmtRtr');
+
+      // Group Header
+      const grpHdr = doc.ele('GrpHdr');
+      grpHdr.ele('MsgId').txt(returnData.messageId);
+      grpHdr.ele('CreDtTm').txt(returnData.creationDateTime);
+      grpHdr.ele('NbOfTxs').txt(returnData.numberOfTransactions);
+      grpHdr.ele('SttlmInf').ele('SttlmMtd').txt('CLRG');
+
+      // Original Group Information
+      const orgnlGrpInf = doc.ele('OrgnlGrpInf');
+      orgnlGrpInf.ele('OrgnlMsgId').txt(returnData.originalMessageId);
+      orgnlGrpInf.ele('OrgnlMsgNmId').txt(returnData.originalMessageNameId);
+
+      // Transaction Information
+      const txInf = doc.ele('TxInf');
+      txInf.ele('RtrId').txt(returnData.returnId);
+      txInf.ele('OrgnlInstrId').txt(returnData.originalInstructionId);
+      txInf.ele('OrgnlEndToEndId').txt(returnData.originalEndToEndId);
+      txInf.ele('OrgnlTxId').txt(returnData.originalTransactionId);
+
+      const orgnlAmt = txInf.ele('OrgnlIntrBkSttlmAmt');
+      orgnlAmt.att('Ccy', returnData.originalSettlementAmount.currency);
+      orgnlAmt.txt(returnData.originalSettlementAmount.value);
+
+      const rtrdAmt = txInf.ele('RtrdIntrBkSttlmAmt');
+      rtrdAmt.att('Ccy', returnData.returnedSettlementAmount.currency);
+      rtrdAmt.txt(returnData.returnedSettlementAmount.value);
+
+      txInf.ele('IntrBkSttlmDt').txt(returnData.settlementDate);
+
+      if (returnData.chargeBearer) {
+        txInf.ele('ChrgBr').txt(returnData.chargeBearer);
+      }
+
+      // Return Reason
+      const rtrRsnInf = txInf.ele('RtrRsnInf');
+      rtrRsnInf.ele('Rsn').ele('Cd').txt(returnData.returnReason.code);
+      if (returnData.returnReason.additionalInformation) {
+        rtrRsnInf.ele('AddtlInf').txt(returnData.returnReason.additionalInformation);
+      }
+
+      this.addTransactionHash(txInf, returnData.originalXrplTxHash);
+
+      const xmlString = doc.end({ prettyPrint: true });
+      console.info('Generated ISO 20022 pacs.004 XML');
+      return xmlString;
+    } catch (error) {
+      console.error('Error generating pacs.004 XML:', error);
+      throw error;
+    }
+  }
+
+  generateCamt053XML(statementData) {
+    try {
+      const doc = create({ version: '1.0', encoding: 'UTF-8' })
+        .ele('Document', {
+          'xmlns': 'urn:iso:std:iso:20022:tech:xsd:camt.053.001.08',
+          'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance'
+        })
+        .ele('BkToCstmrStmt');
+
+      // Group Header
+      const grpHdr = doc.ele('GrpHdr');
+      grpHdr.ele('MsgId').txt(statementData.messageId);
+      grpHdr.ele('CreDtTm').txt(statementData.creationDateTime);
+
+      // Statement
+      const stmt = doc.ele('Stmt');
+      stmt.ele('Id').txt(statementData.statementId);
+      stmt.ele('CreDtTm').txt(statementData.creationDateTime);
+
+      const frToDt = stmt.ele('FrToDt');
+      frToDt.ele('FrDtTm').txt(statementData.fromDateTime);
+      frToDt.ele('ToDtTm').txt(statementData.toDateTime);
+
+      // Account
+      const acct = stmt.ele('Acct');
+      acct.ele('Id').ele('Othr').ele('Id').txt(statementData.account.identification);
+      acct.ele('Ccy').txt(statementData.account.currency);
+
+      // Opening and Closing Balances
+      for (const balance of statementData.balances) {
+        const bal = stmt.ele('Bal');
+        bal.ele('Tp').ele('CdOrPrtry').ele('Cd').txt(balance.type);
+        bal.ele('Amt').att('Ccy', balance.amount.currency).txt(balance.amount.value);
+        bal.ele('CdtDbtInd').txt(balance.creditDebitIndicator);
+        bal.ele('Dt').ele('DtTm').txt(balance.dateTime);
+      }
+
+      // Transactions Summary
+      const ttlNtries = stmt.ele('TxsSummry').ele('TtlNtries');
+      ttlNtries.ele('NbOfNtries').txt(statementData.summary.numberOfEntries);
+      ttlNtries.ele('Sum').txt(statementData.summary.sum);
+      const ttlNetNtry = ttlNtries.ele('TtlNetNtry');
+      ttlNetNtry.ele('Amt').txt(statementData.summary.netAmount);
+      ttlNetNtry.ele('CdtDbtInd').txt(statementData.summary.netCreditDebitIndicator);
+
+      // Entries
+      for (const entry of statementData.entries) {
+        this.addEntry(stmt, entry);
+      }
+
+      const xmlString = doc.end({ prettyPrint: true });
+      console.info('Generated ISO 20022 camt.053 XML');
+      return xmlString;
+    } catch (error) {
+      console.error('Error generating camt.053 XML:', error);
+      throw error;
+    }
+  }
+
+  generateCamt054XML(notificationData) {
+    try {
+      const doc = create({ version: '1.0', encoding: 'UTF-8' })
+        .ele('Document', {
+          'xmlns': 'urn:iso:std:iso:20022:tech:xsd:camt.054.001.08',
+          'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance'
+        })
+        .ele('BkToCstmrDbtCdtNtfctn');
+
+      // Group Header
+      const grpHdr = doc.ele('GrpHdr');
+      grpHdr.ele('MsgId').txt(notificationData.messageId);
+      grpHdr.ele('CreDtTm').txt(notificationData.creationDateTime);
+
+      // Notification per affected account
+      for (const notification of notificationData.notifications) {
+        const ntfctn = doc.ele('Ntfctn');
+        ntfctn.ele('Id').txt(notification.id);
+        ntfctn.ele('CreDtTm').txt(notificationData.creationDateTime);
+
+        const acct = ntfctn.ele('Acct');
+        acct.ele('Id').ele('Othr').ele('Id').txt(notification.account.identification);
+        acct.ele('Ccy').txt(notification.account.currency);
+
+        this.addEntry(ntfctn, notification.entry);
+      }
+
+      const xmlString = doc.end({ prettyPrint: true });
+      console.info('Generated ISO 20022 camt.054 XML');
+      return xmlString;
+    } catch (error) {
+      console.error('Error generating camt.054 XML:', error);
+      throw error;
+    }
+  }
+
+  // Wraps a generated Document with a head.001 Business Application Header
+  wrapWithAppHdr(documentXml, appHdrData) {
+    try {
+      const envelope = create({ version: '1.0', encoding: 'UTF-8' })
+        .ele('Envelope', { 'xmlns': 'urn:swift:xsd:envelope' });
+
+      const appHdr = envelope.ele('AppHdr', {
+        'xmlns': 'urn:iso:std:iso:20022:tech:xsd:head.001.001.02'
+      });
+      appHdr.ele('Fr').ele('FIId').ele('FinInstnId').ele('BICFI').txt(appHdrData.from.bic);
+      appHdr.ele('To').ele('FIId').ele('FinInstnId').ele('BICFI').txt(appHdrData.to.bic);
+      appHdr.ele('BizMsgIdr').txt(appHdrData.businessMessageIdentifier);
+      appHdr.ele('MsgDefIdr').txt(appHdrData.messageDefinitionIdentifier);
+      if (appHdrData.businessService) {
+        appHdr.ele('BizSvc').txt(appHdrData.businessService);
+      }
+      appHdr.ele('CreDt').txt(appHdrData.creationDate);
+
+      // Re-adding the Document as an object keeps its xmlns attribute intact
+      envelope.ele(create(documentXml).toObject());
+
+      const xmlString = envelope.end({ prettyPrint: true });
+      console.info(`Wrapped ${appHdrData.messageDefinitionIdentifier} with head.001 AppHdr`);
+      return xmlString;
+    } catch (error) {
+      console.error('Error wrapping XML with AppHdr:', error);
+      throw error;
+    }
+  }
+
+  // Ntry block shared by camt.053 statements and camt.054 notifications
+  addEntry(parent, entry) {
+    const ntry = parent.ele('Ntry');
+    ntry.ele('NtryRef').txt(entry.reference.slice(0, 35));
+    ntry.ele('Amt').att('Ccy', entry.amount.currency).txt(entry.amount.value);
+    ntry.ele('CdtDbtInd').txt(entry.creditDebitIndicator);
+    ntry.ele('Sts').ele('Cd').txt('BOOK');
+    ntry.ele('BookgDt').ele('DtTm').txt(entry.bookingDateTime);
+    ntry.ele('ValDt').ele('DtTm').txt(entry.bookingDateTime);
+    ntry.ele('AcctSvcrRef').txt(entry.reference.slice(0, 35));
+
+    const domn = ntry.ele('BkTxCd').ele('Domn');
+    domn.ele('Cd').txt('PMNT');
+    const fmly = domn.ele('Fmly');
+    fmly.ele('Cd').txt(entry.creditDebitIndicator === 'CRDT' ? 'RCDT' : 'ICDT');
+    fmly.ele('SubFmlyCd').txt('OTHR');
+
+    const txDtls = ntry.ele('NtryDtls').ele('TxDtls');
+    const refs = txDtls.ele('Refs');
+    refs.ele('EndToEndId').txt(entry.endToEndId);
+    refs.ele('TxId').txt(entry.transactionId);
+
+    const rltdPties = txDtls.ele('RltdPties');
+    rltdPties.ele('Dbtr').ele('Pty').ele('Nm').txt(entry.debtor.name);
+    rltdPties.ele('DbtrAcct').ele('Id').ele('Othr').ele('Id').txt(entry.debtor.identification);
+    rltdPties.ele('Cdtr').ele('Pty').ele('Nm').txt(entry.creditor.name);
+    rltdPties.ele('CdtrAcct').ele('Id').ele('Othr').ele('Id').txt(entry.creditor.identification);
+
+    this.addRemittanceInformation(txDtls, entry.remittanceInformation);
+
+    this.addTransactionHash(txDtls, entry.xrplTxHash);
+
+    return ntry;
+  }
 }
 
 module.exports = XMLGenerator;
\ No newline at end of file
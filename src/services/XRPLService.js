@@ -1,14 +1,38 @@
 const xrpl = require('xrpl');
+const AmountService = require('./AmountService');
+const MemoService = require('./MemoService');
+
+// Seconds between the Unix epoch and the Ripple epoch (2000-01-01T00:00:00Z)
+const RIPPLE_EPOCH_OFFSET = 946684800;
+// Ledgers never close faster than this, which bounds how far back to search
+const MIN_LEDGER_INTERVAL_SECONDS = 3;
 
 class XRPLService {
   constructor() {
     this.client = null;
     this.connected = false;
+    this.subscribedAccounts = [];
+    this.transactionHandler = null;
+    // Tokens counted as HCT when no tenant is given, as on the account
+    // stream; the scheduler keeps one per tenant here
+    this.acceptedTokens = null;
+    this.amountService = new AmountService();
+    this.memoService = new MemoService();
+
+    // Bind methods to preserve context
+    this.handleStreamTransaction = this.handleStreamTransaction.bind(this);
+    this.handleReconnect = this.handleReconnect.bind(this);
   }
 
   async connect() {
     try {
       this.client = new xrpl.Client(process.env.XRPL_NODE);
+      this.client.on('transaction', this.handleStreamTransaction);
+      this.client.on('connected', this.handleReconnect);
+      this.client.on('disconnected', (code) => {
+        this.connected = false;
+        console.warn(`XRPL client disconnected (code ${code})`);
+      });
       await this.client.connect();
       this.connected = true;
       console.info('XRPL client connected');
@@ -20,24 +44,29 @@ class XRPLService {
 
   async disconnect() {
     if (this.client && this.connected) {
+      this.subscribedAccounts = [];
+      this.transactionHandler = null;
       await this.client.disconnect();
       this.connected = false;
       console.info('XRPL client disconnected');
     }
   }
 
-  async getAccountTransactions(address, marker = null, limit = 200) {
+  async getAccountTransactions(address, marker = null, limit = 200, options = {}) {
     if (!this.connected) {
       await this.connect();
     }
 
+    const { ledgerIndexMin = -1, ledgerIndexMax = -1, forward = false } = options;
+
     try {
       const request = {
         command: 'account_tx',
         account: address,
         limit: limit,
-        ledger_index_min: -1,
-        ledger_index_max: -1
+        ledger_index_min: ledgerIndexMin,
+        ledger_index_max: ledgerIndexMax,
+        forward: forward
       };
 
       if (marker) {
@@ -52,6 +81,125 @@ class XRPLService {
     }
   }
 
+  async getValidatedLedgerIndex() {
+    if (!this.connected) {
+      await this.connect();
+    }
+
+    try {
+      const response = await this.client.request({
+        command: 'ledger',
+        ledger_index: 'validated'
+      });
+      return response.result.ledger_index;
+    } catch (error) {
+      console.error('Error fetching validated ledger index:', error);
+      throw error;
+    }
+  }
+
+  async getLedgerCloseTime(ledgerIndex) {
+    if (!this.connected) {
+      await this.connect();
+    }
+
+    const response = await this.client.request({
+      command: 'ledger',
+      ledger_index: ledgerIndex
+    });
+    return response.result.ledger.close_time;
+  }
+
+  // Returns the last validated ledger that closed at or before the given date
+  async getLedgerIndexForTime(date) {
+    try {
+      const target = Math.floor(date.getTime() / 1000) - RIPPLE_EPOCH_OFFSET;
+      const validated = await this.getValidatedLedgerIndex();
+      const validatedClose = await this.getLedgerCloseTime(validated);
+
+      if (target >= validatedClose) {
+        return validated;
+      }
+
+      let high = validated;
+      let low = Math.max(1, validated - Math.ceil((validatedClose - target) / MIN_LEDGER_INTERVAL_SECONDS));
+      while (low > 1 && await this.getLedgerCloseTime(low) > target) {
+        low = Math.max(1, low - (high - low));
+      }
+
+      while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (await this.getLedgerCloseTime(mid) <= target) {
+          low = mid;
+        } else {
+          high = mid - 1;
+        }
+      }
+
+      return low;
+    } catch (error) {
+      console.error('Error resolving ledger for time:', error);
+      throw error;
+    }
+  }
+
+  async getAccountBalance(address, ledgerIndex, currency = 'XRP', issuer = null) {
+    if (!this.connected) {
+      await this.connect();
+    }
+
+    try {
+      if (currency === 'XRP') {
+        const response = await this.client.request({
+          command: 'account_info',
+          account: address,
+          ledger_index: ledgerIndex
+        });
+        return this.amountService.normalize(response.result.account_data.Balance).value;
+      }
+
+      // Holders see a positive line balance; an issuer sees its obligations
+      // as negative balances on every holder's line
+      const balances = [];
+      let marker;
+      do {
+        const request = {
+          command: 'account_lines',
+          account: address,
+          ledger_index: ledgerIndex,
+          limit: 400
+        };
+        if (issuer && issuer !== address) {
+          request.peer = issuer;
+        }
+        if (marker) {
+          request.marker = marker;
+        }
+
+        const response = await this.client.request(request);
+        for (const line of response.result.lines) {
+          if (line.currency === currency) {
+            balances.push(line.balance);
+          }
+        }
+        marker = response.result.marker;
+      } while (marker);
+
+      return this.amountService.sum(balances);
+    } catch (error) {
+      // Accounts that did not exist yet at that ledger simply held nothing
+      if (error.data && error.data.error === 'actNotFound') {
+        return '0';
+      }
+      console.error('Error fetching account balance:', error);
+      throw error;
+    }
+  }
+
+  rippleTimeToDate(rippleTime) {
+    return new Date((rippleTime + RIPPLE_EPOCH_OFFSET) * 1000);
+  }
+
   async getTransaction(txHash) {
     if (!this.connected) {
       await this.connect();
@@ -69,9 +217,143 @@ class XRPLService {
     }
   }
 
-  isHCTTransaction(transaction) {
-    console.log(transaction);
-    
+  // Wallet used to sign payments submitted for pain.001 instructions
+  getSigningWallet() {
+    if (!process.env.XRPL_WALLET_SEED) {
+      return null;
+    }
+    return xrpl.Wallet.fromSeed(process.env.XRPL_WALLET_SEED);
+  }
+
+  // Autofills, signs and submits the payment, then waits for it to be
+  // validated. tec results still resolve. Signing happens first so the hash
+  // is attached to the error when the wait fails and the outcome is unknown.
+  async submitPayment(payment, wallet) {
+    if (!this.connected) {
+      await this.connect();
+    }
+
+    const prepared = await this.client.autofill(payment);
+    const signed = wallet.sign(prepared);
+
+    try {
+      const response = await this.client.submitAndWait(signed.tx_blob);
+      return response.result;
+    } catch (error) {
+      console.error('Error submitting payment:', {
+        error: error.message,
+        txHash: signed.hash
+      });
+      error.txHash = signed.hash;
+      error.lastLedgerSequence = prepared.LastLedgerSequence;
+      throw error;
+    }
+  }
+
+  getAcceptedTokens() {
+    return this.acceptedTokens || [{
+      currency: process.env.HCT_CURRENCY_CODE,
+      issuer: process.env.HCT_TOKEN_ISSUER
+    }];
+  }
+
+  setAcceptedTokens(tokens) {
+    this.acceptedTokens = tokens;
+  }
+
+  async subscribeToAccounts(addresses, onTransaction) {
+    if (!this.connected) {
+      await this.connect();
+    }
+
+    this.subscribedAccounts = addresses;
+    this.transactionHandler = onTransaction;
+
+    try {
+      await this.client.request({
+        command: 'subscribe',
+        accounts: addresses
+      });
+      console.info(`Subscribed to XRPL account stream for ${addresses.length} address(es)`);
+    } catch (error) {
+      console.error('Error subscribing to account stream:', error);
+      throw error;
+    }
+  }
+
+  async unsubscribeFromAccounts() {
+    if (!this.connected || this.subscribedAccounts.length === 0) {
+      this.subscribedAccounts = [];
+      this.transactionHandler = null;
+      return;
+    }
+
+    try {
+      await this.client.request({
+        command: 'unsubscribe',
+        accounts: this.subscribedAccounts
+      });
+      console.info('Unsubscribed from XRPL account stream');
+    } catch (error) {
+      console.error('Error unsubscribing from account stream:', error);
+    } finally {
+      this.subscribedAccounts = [];
+      this.transactionHandler = null;
+    }
+  }
+
+  // The client reconnects on its own after a dropped socket, but the server
+  // forgets our subscriptions, so they have to be sent again.
+  async handleReconnect() {
+    this.connected = true;
+    if (this.subscribedAccounts.length === 0) {
+      return;
+    }
+
+    try {
+      await this.client.request({
+        command: 'subscribe',
+        accounts: this.subscribedAccounts
+      });
+      console.info('Re-established XRPL account stream after reconnect');
+    } catch (error) {
+      console.error('Error re-subscribing to account stream:', error);
+    }
+  }
+
+  async handleStreamTransaction(event) {
+    if (!this.transactionHandler || !event.validated) {
+      return;
+    }
+
+    if (!event.meta || event.meta.TransactionResult !== 'tesSUCCESS') {
+      return;
+    }
+
+    // Shape the stream event like a `tx` response so the rest of the
+    // pipeline does not need to know where the transaction came from
+    const transaction = {
+      ...event.transaction,
+      meta: event.meta,
+      ledger_index: event.ledger_index,
+      validated: event.validated
+    };
+
+    if (!this.isHCTTransaction(transaction)) {
+      return;
+    }
+
+    try {
+      await this.transactionHandler(transaction);
+    } catch (error) {
+      console.error('Error handling streamed transaction:', {
+        error: error.message,
+        txHash: transaction.hash
+      });
+    }
+  }
+
+  isHCTTransaction(transaction, token = null) {
     // Check if it's a Payment transaction
     if (transaction.TransactionType !== 'Payment') {
       return false;
@@ -91,8 +373,11 @@ class XRPLService {
 
     // Handle token payments (Amount is an object)
     if (typeof transaction.Amount === 'object') {
-      return transaction.Amount.currency === process.env.HCT_CURRENCY_CODE &&
-             transaction.Amount.issuer === process.env.HCT_TOKEN_ISSUER;
+      return (token ? [token] : this.getAcceptedTokens()).some(accepted =>
+        this.amountService.normalizeCurrency(transaction.Amount.currency) ===
+          this.amountService.normalizeCurrency(accepted.currency) &&
+        transaction.Amount.issuer === accepted.issuer
+      );
     }
 
     return false;
@@ -113,14 +398,9 @@ class XRPLService {
     return true;
   }
 
+  // Text of all of the transaction's memos
   extractMemo(transaction) {
-    if (transaction.Memos && transaction.Memos.length > 0) {
-      const memo = transaction.Memos[0].Memo;
-      if (memo.MemoData) {
-        return Buffer.from(memo.MemoData, 'hex').toString('utf8');
-      }
-    }
-    return null;
+    return this.memoService.text(transaction);
   }
 
     // Helper method to get currency info from Amount
@@ -128,7 +408,7 @@ class XRPLService {
       if (typeof amount === 'string') {
         return {
           currency: 'XRP',
-          value: (parseInt(amount) / 1000000).toString(), // Convert drops to XRP
+          value: this.amountService.normalize(amount).value,
           issuer: null
         };
       } else if (typeof amount === 'object') {
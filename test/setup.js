@@ -16,7 +16,7 @@ async function testComponents() {
   try {
     // Test 1: console
     console.log('1️⃣ Testing console...');
-    const console = require('../src/config/console');
+    // Services log through the global console; there is no logger module
     console.info('console test successful');
     console.log('✅ console working\n');
 
@@ -49,15 +49,53 @@ async function testComponents() {
 
     const AuthMiddleware = require('../src/middleware/auth');
     const authMiddleware = new AuthMiddleware(apiController);
-    console.log('✅ Auth Middleware initialized\n');
+    console.log('✅ Auth Middleware initialized');
+
+    const SchedulerService = require('../src/services/SchedulerService');
+    const schedulerService = new SchedulerService(mockSequelize);
+    const AdminController = require('../src/controllers/AdminController');
+    const adminController = new AdminController(schedulerService);
+    console.log('✅ Admin Controller initialized');
+
+    const AccountController = require('../src/controllers/AccountController');
+    const accountController = new AccountController(mockSequelize);
+    console.log('✅ Account Controller initialized');
+
+    const BatchController = require('../src/controllers/BatchController');
+    const batchController = new BatchController(mockSequelize);
+    console.log('✅ Batch Controller initialized');
+
+    const InstructionController = require('../src/controllers/InstructionController');
+    const instructionController = new InstructionController(mockSequelize);
+    console.log('✅ Instruction Controller initialized');
+
+    const TenantController = require('../src/controllers/TenantController');
+    const tenantController = new TenantController(mockSequelize, schedulerService);
+    console.log('✅ Tenant Controller initialized');
+
+    const WebhookController = require('../src/controllers/WebhookController');
+    const webhookController = new WebhookController(mockSequelize);
+    console.log('✅ Webhook Controller initialized\n');
 
     // Test 4: Routes
     console.log('4️⃣ Testing Routes...');
     const createTransactionRoutes = require('../src/routes/transactions');
     const createApiRoutes = require('../src/routes/api');
+    const createAdminRoutes = require('../src/routes/admin');
+    const createAccountRoutes = require('../src/routes/accounts');
+    const createBatchRoutes = require('../src/routes/batches');
+    const createInstructionRoutes = require('../src/routes/instructions');
+    const createTenantRoutes = require('../src/routes/tenants');
+    const createWebhookRoutes = require('../src/routes/webhooks');
     
     const transactionRoutes = createTransactionRoutes(transactionController, authMiddleware);
     const apiRoutes = createApiRoutes(apiController, authMiddleware);
+    const adminRoutes = createAdminRoutes(adminController, authMiddleware);
+    const accountRoutes = createAccountRoutes(accountController, authMiddleware);
+    const batchRoutes = createBatchRoutes(batchController, authMiddleware);
+    const instructionRoutes = createInstructionRoutes(instructionController, authMiddleware);
+    const tenantRoutes = createTenantRoutes(tenantController, authMiddleware);
+    const webhookRoutes = createWebhookRoutes(webhookController, authMiddleware);
     console.log('✅ Routes created successfully\n');
 
     // Test 5: Services
@@ -102,24 +140,962 @@ async function testComponents() {
   }
 }
 
+// Test the account stream against a stubbed XRPL client
+async function testStreaming() {
+  console.log('\n📡 Testing XRPL Streaming...');
+
+  try {
+    const XRPLService = require('../src/services/XRPLService');
+    const SchedulerService = require('../src/services/SchedulerService');
+    const token = { currency: 'HCT', issuer: 'rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh' };
+    const address = 'rPT1Sjq2YGrBMTttX4GZHjKu9dyfzbpAYe';
+    const other = 'rN7n7otQDd6FczFgLdSqtcsAUxDkw6fzRH';
+
+    // Records the requests sent instead of talking to a node
+    const requests = [];
+    const stubClient = () => ({
+      request: (request) => {
+        requests.push(request);
+        return Promise.resolve({ result: {} });
+      }
+    });
+
+    const xrplService = new XRPLService();
+    xrplService.client = stubClient();
+    xrplService.connected = true;
+    xrplService.setAcceptedTokens([token]);
+
+    const handled = [];
+    await xrplService.subscribeToAccounts([address], (transaction) => {
+      handled.push(transaction.hash);
+    });
+    const event = (hash, result, fields = {}) => ({
+      validated: true,
+      ledger_index: 100,
+      meta: { TransactionResult: result },
+      transaction: {
+        hash, TransactionType: 'Payment', Account: other, Destination: address,
+        Amount: { ...token, value: '10' }, ...fields
+      }
+    });
+    await xrplService.handleStreamTransaction(event('PAID', 'tesSUCCESS'));
+    await xrplService.handleStreamTransaction(event('FAILED', 'tecUNFUNDED_PAYMENT'));
+    await xrplService.handleStreamTransaction({ ...event('PENDING', 'tesSUCCESS'), validated: false });
+    await xrplService.handleStreamTransaction(event('OTHER', 'tesSUCCESS', { Amount: { ...token, currency: 'USD', value: '10' } }));
+    if (handled.join() === 'PAID') {
+      console.log('✅ Only validated, successful HCT payments handled');
+    } else {
+      console.log('❌ Unexpected streamed transactions handled:', handled);
+    }
+
+    // The server forgets subscriptions when the socket drops
+    requests.length = 0;
+    xrplService.connected = false;
+    await xrplService.handleReconnect();
+    if (xrplService.connected && requests.length === 1 &&
+        requests[0].command === 'subscribe' && requests[0].accounts.join() === address) {
+      console.log('✅ Account stream resubscribed on reconnect');
+    } else {
+      console.log('❌ Not resubscribed on reconnect:', requests);
+    }
+
+    // Tenant changes move the subscription; an unchanged list sends nothing
+    const schedulerService = new SchedulerService({ define: () => ({}) });
+    schedulerService.xrplService.client = stubClient();
+    schedulerService.xrplService.connected = true;
+    let monitored = [address];
+    schedulerService.tenantService.getMonitoringSettings = () => Promise.resolve([{
+      monitoredAddresses: monitored, currencyCode: token.currency, tokenIssuer: token.issuer
+    }]);
+    schedulerService.streamingEnabled = true;
+
+    requests.length = 0;
+    await schedulerService.refreshMonitoring();
+    await schedulerService.refreshMonitoring();
+    const unchanged = requests.length;
+    monitored = [address, other];
+    await schedulerService.refreshMonitoring();
+    const commands = requests.map(request => `${request.command}:${request.accounts.join('+')}`);
+    if (unchanged === 1 && commands.join() === `subscribe:${address},unsubscribe:${address},subscribe:${address}+${other}`) {
+      console.log('✅ Subscription refreshed on address changes');
+    } else {
+      console.log('❌ Unexpected subscription requests:', commands);
+    }
+  } catch (error) {
+    console.error('❌ Streaming test failed:', error.message);
+  }
+}
+
+// Test backfill filtering and the admin range cap
+async function testBackfill() {
+  console.log('\n⏪ Testing Backfill...');
+
+  try {
+    const BackfillService = require('../src/services/BackfillService');
+    const XRPLService = require('../src/services/XRPLService');
+    const AdminController = require('../src/controllers/AdminController');
+    const address = 'rPT1Sjq2YGrBMTttX4GZHjKu9dyfzbpAYe';
+    const token = { currency: 'HCT', issuer: 'rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh' };
+
+    const xrplService = new XRPLService();
+    xrplService.setAcceptedTokens([token]);
+    const entry = (hash, result) => ({
+      validated: true,
+      meta: { TransactionResult: result },
+      tx: { hash, TransactionType: 'Payment', Destination: address, Amount: { ...token, value: '1' } }
+    });
+    xrplService.getAccountTransactions = () => Promise.resolve({
+      ledger_index_max: 200,
+      transactions: [entry('PAID', 'tesSUCCESS'), entry('FAILED', 'tecPATH_DRY')]
+    });
+
+    const backfillService = new BackfillService({ define: () => ({}) }, xrplService);
+    const handled = [];
+    const result = await backfillService.backfillRange(address, 100, 200, (transaction) => {
+      handled.push(transaction.hash);
+    });
+    if (handled.join() === 'PAID' && result.scanned === 2 && result.matched === 1) {
+      console.log('✅ Failed payments skipped by backfill');
+    } else {
+      console.log('❌ Unexpected backfilled payments:', handled);
+    }
+
+    let walked = false;
+    xrplService.getValidatedLedgerIndex = () => Promise.resolve(1000000);
+    const adminController = new AdminController({
+      xrplService,
+      backfillService,
+      backfillRange: () => {
+        walked = true;
+        return Promise.resolve({});
+      }
+    });
+    const run = async (body) => {
+      let status = 200;
+      const res = {
+        status: (code) => {
+          status = code;
+          return res;
+        },
+        json: () => res
+      };
+      await adminController.triggerBackfill({ apiKey: { id: 'admin' }, body }, res);
+      return status;
+    };
+    const tooLong = await run({ address, fromLedger: 1 });
+    const capped = walked;
+    const allowed = await run({ address, fromLedger: 1000000 - backfillService.maxRangeLedgers + 1 });
+    if (tooLong === 400 && !capped && allowed === 200 && walked) {
+      console.log('✅ Backfill range capped');
+    } else {
+      console.log('❌ Backfill range not capped:', tooLong, allowed);
+    }
+  } catch (error) {
+    console.error('❌ Backfill test failed:', error.message);
+  }
+}
+
 // Test API key functionality
-function testApiKeyFunctionality() {
+async function testApiKeyFunctionality() {
   console.log('\n🔐 Testing API Key Functionality...');
   
+  const bcrypt = require('bcryptjs');
   const ApiController = require('../src/controllers/ApiController');
-  const mockSequelize = { define: () => ({}) };
+
+  // In-memory stand-in for the api_keys table
+  const rows = [];
+  const mockSequelize = {
+    define: () => ({
+      findOne: ({ where }) => Promise.resolve(rows.find(row => row.prefix === where.prefix) || null),
+      create: (values) => {
+        const row = { id: `key-${rows.length + 1}`, ...values, update: (changes) => Promise.resolve(Object.assign(row, changes)) };
+        rows.push(row);
+        return Promise.resolve(row);
+      }
+    })
+  };
   const apiController = new ApiController(mockSequelize);
   
-  // Test API key validation
-  const testKey = 'default_api_key_12345';
-  const keyData = apiController.validateApiKey(testKey);
-  
-  if (keyData) {
-    console.log('✅ Default API key validation working');
-    console.log('   Key ID:', keyData.id);
-    console.log('   Permissions:', keyData.permissions);
-  } else {
-    console.log('❌ API key validation failed');
+  try {
+    // Test API key validation
+    const { apiKey, prefix } = apiController.createKey();
+    const row = await apiController.ApiKey.create({
+      name: 'Test Key',
+      prefix: prefix,
+      hashedKey: bcrypt.hashSync(apiKey, 10),
+      permissions: ['read', 'write']
+    });
+
+    const keyData = await apiController.validateApiKey(apiKey);
+    if (keyData) {
+      console.log('✅ API key validation working');
+      console.log('   Key ID:', keyData.id);
+      console.log('   Permissions:', keyData.permissions);
+    } else {
+      console.log('❌ API key validation failed');
+    }
+
+    if (!(await apiController.validateApiKey(`${prefix}wrong-secret`))) {
+      console.log('✅ Wrong secret rejected');
+    } else {
+      console.log('❌ Wrong secret accepted');
+    }
+
+    await row.update({ revokedAt: new Date() });
+    if (!(await apiController.validateApiKey(apiKey))) {
+      console.log('✅ Revoked API key rejected');
+    } else {
+      console.log('❌ Revoked API key accepted');
+    }
+
+    // Instances starting together all find the table empty; the unique
+    // prefix lets one of them store the bootstrap key
+    const bootstrapRows = [];
+    const bootstrapController = new ApiController({
+      define: () => ({
+        count: () => Promise.resolve(bootstrapRows.length),
+        create: (values) => {
+          if (bootstrapRows.some(existing => existing.prefix === values.prefix)) {
+            const duplicate = new Error('Validation error');
+            duplicate.name = 'SequelizeUniqueConstraintError';
+            return Promise.reject(duplicate);
+          }
+          const stored = { id: `bootstrap-${bootstrapRows.length + 1}`, ...values };
+          bootstrapRows.push(stored);
+          return Promise.resolve(stored);
+        }
+      })
+    });
+    const previousBootstrapKey = process.env.BOOTSTRAP_ADMIN_API_KEY;
+    process.env.BOOTSTRAP_ADMIN_API_KEY = bootstrapController.createKey().apiKey;
+    try {
+      const results = await Promise.all([bootstrapController.bootstrapAdminKey(), bootstrapController.bootstrapAdminKey()]);
+      if (bootstrapRows.length === 1 && results.filter(Boolean).length === 1) {
+        console.log('✅ Concurrent bootstrap stores one admin key');
+      } else {
+        console.log('❌ Unexpected bootstrap keys:', bootstrapRows.length);
+      }
+    } finally {
+      if (previousBootstrapKey === undefined) {
+        delete process.env.BOOTSTRAP_ADMIN_API_KEY;
+      } else {
+        process.env.BOOTSTRAP_ADMIN_API_KEY = previousBootstrapKey;
+      }
+    }
+  } catch (error) {
+    console.error('❌ API key test failed:', error.message);
+  }
+}
+
+// Test route permissions and address scopes
+async function testPermissions() {
+  console.log('\n🛡️  Testing Permissions...');
+
+  const AuthMiddleware = require('../src/middleware/auth');
+  const scoped = 'rPT1Sjq2YGrBMTttX4GZHjKu9dyfzbpAYe';
+  const other = 'rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh';
+
+  const keys = {
+    reader: { id: 'reader', permissions: ['read'], addresses: null },
+    admin: { id: 'admin', permissions: ['admin'], addresses: null },
+    scopedExporter: { id: 'scoped', permissions: ['read', 'export'], addresses: [scoped] }
+  };
+  const authMiddleware = new AuthMiddleware({
+    validateApiKey: (apiKey) => Promise.resolve(keys[apiKey] || null)
+  });
+
+  // Runs a route's middleware and reports the status it ended with, 200 when
+  // the request reached the handler
+  const run = async (middleware, apiKey, params = {}) => {
+    let status = 200;
+    const req = { headers: { 'x-api-key': apiKey }, query: {}, params, path: '/test' };
+    const res = {
+      status: (code) => {
+        status = code;
+        return res;
+      },
+      json: () => res
+    };
+
+    for (const handler of [].concat(middleware)) {
+      let calledNext = false;
+      await handler(req, res, () => {
+        calledNext = true;
+      });
+      if (!calledNext) {
+        return status;
+      }
+    }
+    return status;
+  };
+
+  const resolver = (addresses) => () => Promise.resolve(addresses);
+  const cases = [
+    ['read key on read route', authMiddleware.authorize('read'), 'reader', 200],
+    ['read key on export route', authMiddleware.authorize('export'), 'reader', 403],
+    ['read key on admin route', authMiddleware.requireAdmin(), 'reader', 403],
+    ['admin key on process route', authMiddleware.authorize('process'), 'admin', 200],
+    ['unknown key', authMiddleware.authorize('read'), 'missing', 401],
+    ['scoped key on its address',
+      authMiddleware.authorize('export', { addressScope: { param: 'address' } }), 'scopedExporter', 200, { address: scoped }],
+    ['scoped key on another address',
+      authMiddleware.authorize('export', { addressScope: { param: 'address' } }), 'scopedExporter', 403, { address: other }],
+    ['scoped key on payment involving it',
+      authMiddleware.authorize('read', { addressScope: resolver([[other, scoped]]) }), 'scopedExporter', 200],
+    ['scoped key on batch with a foreign payment',
+      authMiddleware.authorize('read', { addressScope: resolver([[other, scoped], [other, other]]) }), 'scopedExporter', 403],
+    ['scoped key on missing resource',
+      authMiddleware.authorize('read', { addressScope: resolver(null) }), 'scopedExporter', 200],
+    ['scoped key on route filtered by handler',
+      authMiddleware.authorize('read', { addressScope: 'handler' }), 'scopedExporter', 200],
+    ['scoped key on route without declared scope', authMiddleware.authorize('read'), 'scopedExporter', 403]
+  ];
+
+  try {
+    for (const [name, middleware, apiKey, expected, params] of cases) {
+      const status = await run(middleware, apiKey, params);
+      if (status === expected) {
+        console.log(`✅ ${name}: ${status}`);
+      } else {
+        console.log(`❌ ${name}: expected ${expected}, got ${status}`);
+      }
+    }
+
+    try {
+      authMiddleware.authorize('delete');
+      console.log('❌ Unknown permission accepted');
+    } catch (error) {
+      console.log('✅ Unknown permission rejected');
+    }
+  } catch (error) {
+    console.error('❌ Permission test failed:', error.message);
+  }
+}
+
+// Test that tenant keys only get statements of their own addresses
+async function testStatementScope() {
+  console.log('\n🧾 Testing Statement Scope...');
+
+  try {
+    const AccountController = require('../src/controllers/AccountController');
+    const accountController = new AccountController({ define: () => ({}) });
+    const own = 'rPT1Sjq2YGrBMTttX4GZHjKu9dyfzbpAYe';
+    const foreign = 'rN7n7otQDd6FczFgLdSqtcsAUxDkw6fzRH';
+    const generated = [];
+    accountController.statementService.generateStatement = (address) => {
+      generated.push(address);
+      return Promise.resolve({ xml: '<Document/>' });
+    };
+
+    const tenantKey = { id: 'tenant-key', tenantId: 'T1', tenant: { id: 'T1', monitoredAddresses: [own] } };
+    const platformKey = { id: 'platform-key', tenantId: null, tenant: null };
+    const run = async (apiKey, address) => {
+      let status = 200;
+      const res = {
+        status: (code) => {
+          status = code;
+          return res;
+        },
+        json: () => res,
+        set: () => res,
+        send: () => res
+      };
+      await accountController.getStatements({
+        apiKey, params: { address }, query: { from: '2024-01-01T00:00:00Z', to: '2024-01-02T00:00:00Z' }, headers: {}
+      }, res);
+      return status;
+    };
+
+    const refused = await run(tenantKey, foreign);
+    const ownStatus = await run(tenantKey, own);
+    const platformStatus = await run(platformKey, foreign);
+    if (refused === 403 && ownStatus === 200 && platformStatus === 200 && generated.join() === `${own},${foreign}`) {
+      console.log('✅ Statements of other addresses refused to tenant keys');
+    } else {
+      console.log('❌ Unexpected statement access:', refused, ownStatus, platformStatus, generated);
+    }
+  } catch (error) {
+    console.error('❌ Statement scope test failed:', error.message);
+  }
+}
+
+// Test which tenant settings tenant admins can change themselves
+async function testTenantUpdates() {
+  console.log('\n🏢 Testing Tenant Updates...');
+
+  try {
+    const TenantController = require('../src/controllers/TenantController');
+    const InstructionService = require('../src/services/InstructionService');
+    const mockSequelize = { define: () => ({}) };
+    const tenantController = new TenantController(mockSequelize, { refreshMonitoring: () => Promise.resolve([]) });
+    const instructionService = new InstructionService(mockSequelize);
+    const own = 'rPT1Sjq2YGrBMTttX4GZHjKu9dyfzbpAYe';
+    const platformWallet = 'rN7n7otQDd6FczFgLdSqtcsAUxDkw6fzRH';
+
+    const tenant = {
+      id: 'T1',
+      name: 'Retail',
+      monitoredAddresses: [own],
+      walletAccess: false,
+      update(fields) {
+        Object.assign(this, fields);
+        return Promise.resolve(this);
+      }
+    };
+    tenantController.tenantService.Tenant = {
+      findByPk: (id) => Promise.resolve(id === tenant.id ? tenant : null),
+      findOne: () => Promise.resolve(null)
+    };
+
+    const tenantKey = { id: 'tenant-admin', tenantId: 'T1', tenant };
+    const platformKey = { id: 'platform-admin', tenantId: null, tenant: null };
+    const run = async (apiKey, body) => {
+      let status = 200;
+      const res = {
+        status: (code) => {
+          status = code;
+          return res;
+        },
+        json: () => res
+      };
+      await tenantController.updateTenant({ apiKey, params: { id: 'T1' }, body }, res);
+      return status;
+    };
+
+    const addressStatus = await run(tenantKey, { monitoredAddresses: [own, platformWallet] });
+    const accessStatus = await run(tenantKey, { walletAccess: true });
+    if (addressStatus === 403 && accessStatus === 403 &&
+        tenant.monitoredAddresses.join() === own && tenant.walletAccess === false) {
+      console.log('✅ Tenant admin changes to monitoredAddresses and walletAccess refused');
+    } else {
+      console.log('❌ Tenant admin changed platform settings:', addressStatus, accessStatus, tenant.monitoredAddresses, tenant.walletAccess);
+    }
+
+    const nameStatus = await run(tenantKey, { name: 'Retail EU' });
+    if (nameStatus === 200 && tenant.name === 'Retail EU') {
+      console.log('✅ Tenant admin can rename its tenant');
+    } else {
+      console.log('❌ Tenant admin rename failed:', nameStatus);
+    }
+
+    // Monitoring the wallet's address alone does not grant signing
+    const monitoredOnly = instructionService.canUseWallet({ id: 'T2', monitoredAddresses: [platformWallet] });
+    const platformStatus = await run(platformKey, { walletAccess: true });
+    if (!monitoredOnly && platformStatus === 200 && instructionService.canUseWallet(tenant) &&
+        instructionService.canUseWallet(null)) {
+      console.log('✅ Signing wallet use follows walletAccess set by platform admins');
+    } else {
+      console.log('❌ Unexpected signing wallet access:', monitoredOnly, platformStatus, tenant.walletAccess);
+    }
+  } catch (error) {
+    console.error('❌ Tenant update test failed:', error.message);
+  }
+}
+
+// Test webhook signatures, backoff and event filters
+function testWebhooks() {
+  console.log('\n🪝 Testing Webhooks...');
+
+  try {
+    const crypto = require('crypto');
+    const WebhookService = require('../src/services/WebhookService');
+    const WebhookController = require('../src/controllers/WebhookController');
+    const mockSequelize = { define: () => ({}) };
+    const webhookService = new WebhookService(mockSequelize);
+
+    // What a receiver does with the headers and the raw body
+    const secret = webhookService.createSecret();
+    const body = JSON.stringify({ event: 'transaction.processed', data: { id: 'test' } });
+    const signature = webhookService.sign(secret, '1700000000', body);
+    const expected = 'sha256=' + crypto.createHmac('sha256', secret).update('1700000000.' + body).digest('hex');
+    if (signature === expected && webhookService.sign(secret, '1700000001', body) !== signature) {
+      console.log('✅ HMAC-SHA256 signature working');
+    } else {
+      console.log('❌ HMAC-SHA256 signature mismatch');
+    }
+
+    const delays = [1, 2, 3, 20].map(attempts => webhookService.getRetryDelaySeconds(attempts));
+    if (delays[0] < delays[1] && delays[1] < delays[2] && delays[3] === 6 * 60 * 60) {
+      console.log('✅ Exponential backoff working:', delays.join('s, ') + 's');
+    } else {
+      console.log('❌ Unexpected backoff:', delays);
+    }
+
+    const webhookController = new WebhookController(mockSequelize);
+    const valid = webhookController.validateWebhookFields({
+      url: 'https://example.com/hooks', events: ['transaction.invalid', 'batch.completed'], format: 'xml'
+    });
+    const invalid = [
+      { url: 'ftp://example.com/hooks' },
+      { events: ['transaction.deleted'] },
+      { events: [] },
+      { format: 'csv' }
+    ].filter(fields => webhookController.validateWebhookFields(fields) === null);
+    if (valid === null && invalid.length === 0) {
+      console.log('✅ Webhook event filters validated');
+    } else {
+      console.log('❌ Webhook validation accepted bad settings:', valid || invalid);
+    }
+  } catch (error) {
+    console.error('❌ Webhook test failed:', error.message);
+  }
+}
+
+// Test the processing queue's retry policy
+async function testJobQueue() {
+  console.log('\n📬 Testing Processing Queue...');
+
+  try {
+    const JobQueueService = require('../src/services/JobQueueService');
+    const jobQueue = new JobQueueService({ define: () => ({}) }, { processTransaction: () => {} });
+    const job = (attempts) => ({
+      id: 'job', txHash: 'HASH', attempts, maxAttempts: 3, errorHistory: [],
+      update(changes) { return Promise.resolve(Object.assign(this, changes)); }
+    });
+
+    const retried = await jobQueue.fail(job(1), 'XRPL unavailable');
+    const exhausted = await jobQueue.fail(job(3), 'XRPL unavailable');
+    const permanent = await jobQueue.fail(job(1), 'Not an HCT transaction', { retry: false });
+
+    if (retried.status === 'queued' && retried.runAt > new Date() && retried.errorHistory.length === 1 &&
+        exhausted.status === 'failed' && permanent.status === 'failed') {
+      console.log('✅ Job retries and failures working');
+    } else {
+      console.log('❌ Unexpected job states:', retried.status, exhausted.status, permanent.status);
+    }
+  } catch (error) {
+    console.error('❌ Processing queue test failed:', error.message);
+  }
+}
+
+// Test the transaction state machine
+function testLifecycle() {
+  console.log('\n🔁 Testing Transaction Lifecycle...');
+
+  try {
+    const TransactionLifecycleService = require('../src/services/TransactionLifecycleService');
+    const lifecycle = new TransactionLifecycleService({ define: () => ({}) });
+
+    const allowed = [['generated', 'validated'], ['validated', 'delivered'], ['delivered', 'acknowledged'], ['failed', 'validated'], ['acknowledged', 'returned']];
+    const refused = [['detected', 'validated'], ['validated', 'acknowledged'], ['returned', 'validated'], ['acknowledged', 'failed']];
+    const wrong = [
+      ...allowed.filter(([from, to]) => !lifecycle.canTransition(from, to)),
+      ...refused.filter(([from, to]) => lifecycle.canTransition(from, to))
+    ];
+    if (wrong.length === 0) {
+      console.log('✅ State transitions enforced');
+    } else {
+      console.log('❌ Unexpected transitions:', wrong);
+    }
+
+    // Revalidating moves only messages not yet delivered
+    if (lifecycle.getValidationState({ state: 'validated' }, false) === 'failed' &&
+        lifecycle.getValidationState({ state: 'delivered' }, false) === 'delivered' &&
+        lifecycle.getState({ state: null, validationStatus: 'valid' }) === 'validated') {
+      console.log('✅ Revalidation states working');
+    } else {
+      console.log('❌ Revalidation states wrong');
+    }
+  } catch (error) {
+    console.error('❌ Lifecycle test failed:', error.message);
+  }
+}
+
+// Test pain.002 statuses reported for submitted instructions
+async function testInstructionStatus() {
+  console.log('\n📮 Testing Instruction Status Reports...');
+
+  try {
+    const MappingEngine = require('../src/services/MappingEngine');
+    const InstructionService = require('../src/services/InstructionService');
+    const mappingEngine = new MappingEngine();
+    const statusOf = (statusData) => statusData.paymentInformation
+      .flatMap(group => group.transactions)
+      .map(transaction => [transaction.originalEndToEndId, transaction.transactionStatus,
+        transaction.statusReason && transaction.statusReason.code].join(':'));
+
+    const rejected = mappingEngine.mapInstructionStatus({
+      messageId: 'MSG-REJ', status: 'rejected', validationErrors: ['Instruction contains no CdtTrfTxInf'], payments: []
+    });
+    if (rejected.groupStatus === 'RJCT' && rejected.groupStatusReason.code === 'FF01' &&
+        rejected.paymentInformation.length === 0) {
+      console.log('✅ Rejected instruction reported with group status RJCT');
+    } else {
+      console.log('❌ Rejected instruction status wrong:', rejected.groupStatus, rejected.groupStatusReason);
+    }
+
+    // Each payment reports the state of its submission
+    const instruction = {
+      messageId: 'MSG-001',
+      status: 'partial',
+      numberOfTransactions: 5,
+      payments: [
+        { paymentInformationId: 'PMT-1', endToEndId: 'E2E-SETTLED', txHash: 'A'.repeat(64), validated: true, engineResult: 'tesSUCCESS', transactionId: 'tx-1' },
+        { paymentInformationId: 'PMT-1', endToEndId: 'E2E-DRY', txHash: 'B'.repeat(64), validated: true, engineResult: 'tecPATH_DRY' },
+        { paymentInformationId: 'PMT-2', endToEndId: 'E2E-PENDING', txHash: 'C'.repeat(64), validated: false },
+        { paymentInformationId: 'PMT-2', endToEndId: 'E2E-QUEUED' },
+        { paymentInformationId: 'PMT-2', endToEndId: 'E2E-FAILED', error: 'Submission failed: connection lost' }
+      ]
+    };
+    const transactions = [{ id: 'tx-1', xrplTxHash: 'A'.repeat(64), rawTransaction: { validated: true, meta: { TransactionResult: 'tesSUCCESS' } } }];
+    const report = mappingEngine.mapInstructionStatus(instruction, transactions);
+    const expected = ['E2E-SETTLED:ACSC:', 'E2E-DRY:RJCT:AM04', 'E2E-PENDING:ACSP:', 'E2E-QUEUED:ACCP:', 'E2E-FAILED:RJCT:NARR'];
+    if (report.groupStatus === 'PART' && report.paymentInformation.length === 2 &&
+        report.originalNumberOfTransactions === '5' && statusOf(report).join() === expected.join()) {
+      console.log('✅ Payment statuses follow their XRPL results');
+    } else {
+      console.log('❌ Payment statuses wrong:', report.groupStatus, statusOf(report));
+    }
+
+    // A single payment's report keeps the status of the whole instruction
+    const single = mappingEngine.mapInstructionStatus(instruction, transactions, { endToEndId: 'E2E-DRY' });
+    if (single.groupStatus === 'PART' && statusOf(single).join() === 'E2E-DRY:RJCT:AM04') {
+      console.log('✅ Status report filtered by EndToEndId');
+    } else {
+      console.log('❌ EndToEndId filter wrong:', single.groupStatus, statusOf(single));
+    }
+
+    if (mappingEngine.mapGroupStatus([]) === 'ACCP' &&
+        mappingEngine.mapGroupStatus(['ACSC', 'ACSC']) === 'ACSC' &&
+        mappingEngine.mapGroupStatus(['ACSC', 'ACSP']) === 'ACSP' &&
+        mappingEngine.mapGroupStatus(['RJCT', 'RJCT']) === 'RJCT') {
+      console.log('✅ Group statuses working');
+    } else {
+      console.log('❌ Group statuses wrong');
+    }
+
+    // Refreshing looks pending payments up again before reporting
+    const instructionService = new InstructionService({ define: () => ({}) });
+    const ledger = {
+      ['D'.repeat(64)]: { validated: true, meta: { TransactionResult: 'tesSUCCESS' } },
+      ['E'.repeat(64)]: null
+    };
+    instructionService.xrplService = {
+      getTransaction: (hash) => Promise.resolve(ledger[hash]),
+      getValidatedLedgerIndex: () => Promise.resolve(2000)
+    };
+    instructionService.recordPayment = () => Promise.resolve('tx-2');
+    instructionService.Transaction = { findAll: () => Promise.resolve([]) };
+    instructionService.validationService = { validateXML: () => Promise.resolve({ isValid: true, errors: [] }) };
+    const submitted = {
+      id: 'instruction-2',
+      messageId: 'MSG-002',
+      status: 'accepted',
+      payments: [
+        { paymentInformationId: 'PMT-1', endToEndId: 'E2E-LATE', txHash: 'D'.repeat(64), validated: false },
+        { paymentInformationId: 'PMT-1', endToEndId: 'E2E-EXPIRED', txHash: 'E'.repeat(64), validated: false, lastLedgerSequence: 1000 }
+      ],
+      update(fields) {
+        Object.assign(this, fields);
+        return Promise.resolve(this);
+      }
+    };
+    const xml = await instructionService.generateStatusReport(submitted);
+    const txSts = [...xml.matchAll(/<TxSts>(\w+)<\/TxSts>/g)].map(match => match[1]);
+    if (submitted.status === 'partial' && submitted.payments[0].transactionId === 'tx-2' &&
+        submitted.payments[1].expired === true && txSts.join() === 'ACSC,RJCT' &&
+        xml.includes('<GrpSts>PART</GrpSts>') && xml.includes('<OrgnlMsgId>MSG-002</OrgnlMsgId>')) {
+      console.log('✅ pain.002 reports refreshed and expired payments');
+    } else {
+      console.log('❌ Refreshed pain.002 wrong:', submitted.status, txSts);
+    }
+  } catch (error) {
+    console.error('❌ Instruction status test failed:', error.message);
+  }
+}
+
+function testMessageVersions() {
+  console.log('\n🗂️ Testing Message Versions...');
+
+  try {
+    const MessageService = require('../src/services/MessageService');
+    const messageService = new MessageService({ define: () => ({}) });
+    const xml = '<Document><FIToFICstmrCdtTrf><GrpHdr><MsgId>HCT-1</MsgId></GrpHdr></FIToFICstmrCdtTrf></Document>';
+
+    if (messageService.extractMessageId(xml) === 'HCT-1' &&
+        messageService.checksum(xml) === messageService.checksum(xml) &&
+        messageService.checksum(xml) !== messageService.checksum(xml.replace('HCT-1', 'HCT-2'))) {
+      console.log('✅ Message ids and checksums working');
+    } else {
+      console.log('❌ Message ids or checksums wrong');
+    }
+  } catch (error) {
+    console.error('❌ Message versions test failed:', error.message);
+  }
+}
+
+function testMappingProfiles() {
+  console.log('\n🧩 Testing Mapping Profiles...');
+
+  try {
+    const MappingEngine = require('../src/services/MappingEngine');
+    const mappingEngine = new MappingEngine();
+    const xrplTransaction = {
+      hash: 'A'.repeat(64),
+      Account: 'rN7n7otQDd6FczFgLdSqtcsAUxDkw6fzRH',
+      Destination: 'rPT1Sjq2YGrBMTttX4GZHjKu9dyfzbpAYe',
+      Amount: { currency: 'HCT', issuer: 'rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh', value: '10' },
+      DestinationTag: 42
+    };
+    const rules = {
+      fields: {
+        chargeBearer: { value: 'SHAR' },
+        endToEndId: [{ memo: { index: 0 } }, { xrpl: 'DestinationTag', format: 'TAG-{value}' }],
+        'creditor.address.country': { value: 'GB' }
+      }
+    };
+
+    const mappedData = mappingEngine.mapXRPLToISO20022(xrplTransaction, 'pacs.008', { rules });
+    if (mappedData.chargeBearer === 'SHAR' && mappedData.endToEndId === 'TAG-42' &&
+        mappedData.creditor.address.country === 'GB' && mappedData.purposeCode === 'CBFF') {
+      console.log('✅ Mapping profile applied');
+    } else {
+      console.log('❌ Mapping profile not applied');
+    }
+
+    const errors = mappingEngine.validateProfile({ fields: { chargeBearer: { value: 'NONE' }, unknown: { value: 'x' } } });
+    if (errors.length === 2) {
+      console.log('✅ Invalid mapping profiles rejected');
+    } else {
+      console.log('❌ Unexpected mapping profile errors:', errors);
+    }
+  } catch (error) {
+    console.error('❌ Mapping profile test failed:', error.message);
+  }
+}
+
+function testPartyRegistry() {
+  console.log('\n🪪 Testing Party Registry...');
+
+  try {
+    const PartyService = require('../src/services/PartyService');
+    const partyService = new PartyService({ define: () => ({}) });
+
+    if (partyService.isValidIBAN('DE89370400440532013000') && !partyService.isValidIBAN('DE00370400440532013000')) {
+      console.log('✅ IBAN check digits working');
+    } else {
+      console.log('❌ IBAN check digits wrong');
+    }
+
+    const rows = partyService.parseCsv('address,name\r\nrN7n7otQDd6FczFgLdSqtcsAUxDkw6fzRH,"Hoodie ""Chicken"", Ltd"\r\n');
+    if (rows.length === 2 && rows[1][1] === 'Hoodie "Chicken", Ltd') {
+      console.log('✅ CSV parsing working');
+    } else {
+      console.log('❌ CSV parsed wrong:', rows);
+    }
+
+    // The exact tag wins over the whole address, the tenant's entry over the platform's
+    const address = 'rPT1Sjq2YGrBMTttX4GZHjKu9dyfzbpAYe';
+    const candidates = [
+      { id: 'platform', tenantId: null, address, destinationTag: null },
+      { id: 'tenant', tenantId: 'T1', address, destinationTag: null },
+      { id: 'tagged', tenantId: 'T1', address, destinationTag: 7 }
+    ];
+    if (partyService.selectParty(candidates, address, 7, 'T1').id === 'tagged' &&
+        partyService.selectParty(candidates, address, 8, 'T1').id === 'tenant' &&
+        partyService.selectParty(candidates, address, 7, null).id === 'platform') {
+      console.log('✅ Party lookup order working');
+    } else {
+      console.log('❌ Party lookup order wrong');
+    }
+  } catch (error) {
+    console.error('❌ Party registry test failed:', error.message);
+  }
+}
+
+function testAmounts() {
+  console.log('\n💱 Testing Amounts...');
+
+  try {
+    const AmountService = require('../src/services/AmountService');
+    const amountService = new AmountService();
+
+    if (amountService.normalize('1000001').value === '1.000001' &&
+        amountService.normalize({ currency: 'HCT', value: '1e-7' }).value === '0.0000001' &&
+        amountService.sum(['0.1', '0.2']) === '0.3') {
+      console.log('✅ Exact amounts working');
+    } else {
+      console.log('❌ Amounts not exact');
+    }
+
+    const usd = amountService.format('1.005', 'USD');
+    const jpy = amountService.format('10', 'JPY');
+    const token = amountService.format('12.5', 'HCT', { fractionDigits: { HCT: 2 } });
+    if (usd.value === '1.00' && usd.rounded && jpy.value === '10' && token.value === '12.50') {
+      console.log('✅ Currency decimals and rounding working');
+    } else {
+      console.log('❌ Unexpected formatting:', usd, jpy, token);
+    }
+
+    if (amountService.format('1.234', 'USD', { rounding: 'reject' }).error &&
+        amountService.format('0.0000001', 'HCT').error &&
+        amountService.format('12345678901234567890', 'HCT').error) {
+      console.log('✅ Unrepresentable amounts flagged');
+    } else {
+      console.log('❌ Unrepresentable amounts not flagged');
+    }
+  } catch (error) {
+    console.error('❌ Amount test failed:', error.message);
+  }
+}
+
+// Test currency code decoding
+function testCurrencies() {
+  console.log('\n🪙 Testing Currencies...');
+
+  try {
+    const AmountService = require('../src/services/AmountService');
+    const amountService = new AmountService();
+
+    if (amountService.decodeCurrency('524C555344000000000000000000000000000000') === 'RLUSD' &&
+        amountService.decodeCurrency('0000000000000000000000005553440000000000') === 'USD' &&
+        amountService.decodeCurrency('HCT') === 'HCT') {
+      console.log('✅ Currency code decoding working');
+    } else {
+      console.log('❌ Currency codes not decoded');
+    }
+
+    const token = amountService.getToken({ currency: '524c555344000000000000000000000000000000', issuer: 'rIssuer', value: '1' });
+    if (token.currency === '524C555344000000000000000000000000000000' && token.name === 'RLUSD' &&
+        token.issuer === 'rIssuer' && amountService.getToken('1000000') === null) {
+      console.log('✅ Token identity working');
+    } else {
+      console.log('❌ Unexpected token identity:', token);
+    }
+  } catch (error) {
+    console.error('❌ Currency test failed:', error.message);
+  }
+}
+
+// Test partial payment amounts
+function testPartialPayments() {
+  console.log('\n✂️ Testing Partial Payments...');
+
+  try {
+    const MappingEngine = require('../src/services/MappingEngine');
+    const mappingEngine = new MappingEngine();
+    const xrplTx = {
+      hash: 'PARTIAL',
+      TransactionType: 'Payment',
+      Account: 'rN7n7otQDd6FczFgLdSqtcsAUxDkw6fzRH',
+      Destination: 'rPT1Sjq2YGrBMTttX4GZHjKu9dyfzbpAYe',
+      Amount: '5000000',
+      Flags: 131072,
+      meta: { TransactionResult: 'tesSUCCESS', delivered_amount: '3000000' }
+    };
+
+    const mappedData = mappingEngine.mapXRPLToISO20022(xrplTx);
+    if (mappedData.partialPayment && mappedData.settlementAmount.value === '3' &&
+        mappedData.instructedAmount.value === '5' && mappedData.controlSum === '3') {
+      console.log('✅ Delivered amount used for settlement');
+    } else {
+      console.log('❌ Unexpected partial payment amounts:', mappedData.settlementAmount, mappedData.instructedAmount);
+    }
+
+    const unavailable = mappingEngine.mapXRPLToISO20022({ ...xrplTx, meta: { delivered_amount: 'unavailable' } });
+    if (unavailable.amountValidation.errors.length === 1 && !mappingEngine.isPartialPayment({ ...xrplTx, Flags: 0 })) {
+      console.log('✅ Unknown delivered amounts flagged');
+    } else {
+      console.log('❌ Unknown delivered amount not flagged');
+    }
+  } catch (error) {
+    console.error('❌ Partial payment test failed:', error.message);
+  }
+}
+
+// Test cross-currency payment legs
+function testCrossCurrency() {
+  console.log('\n🔁 Testing Cross-Currency Payments...');
+
+  try {
+    const MappingEngine = require('../src/services/MappingEngine');
+    const mappingEngine = new MappingEngine();
+    const sender = 'rN7n7otQDd6FczFgLdSqtcsAUxDkw6fzRH';
+    const token = { currency: 'HCT', issuer: 'rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh', value: '5' };
+    const xrplTx = {
+      hash: 'CROSS',
+      TransactionType: 'Payment',
+      Account: sender,
+      Destination: 'rPT1Sjq2YGrBMTttX4GZHjKu9dyfzbpAYe',
+      Amount: token,
+      SendMax: '10000000',
+      Fee: '10000',
+      meta: {
+        TransactionResult: 'tesSUCCESS',
+        delivered_amount: token,
+        AffectedNodes: [{
+          ModifiedNode: {
+            LedgerEntryType: 'AccountRoot',
+            FinalFields: { Account: sender, Balance: '91990000' },
+            PreviousFields: { Balance: '100000000' }
+          }
+        }]
+      }
+    };
+
+    const source = mappingEngine.getSourceAmount(xrplTx);
+    const mappedData = mappingEngine.mapXRPLToISO20022(xrplTx);
+    if (mappingEngine.isCrossCurrency(xrplTx) && source.value === '8' &&
+        mappedData.instructedAmount.currency === 'XRP' && mappedData.exchangeRate === '0.625') {
+      console.log('✅ Source leg and exchange rate working');
+    } else {
+      console.log('❌ Unexpected cross-currency mapping:', source, mappedData.instructedAmount, mappedData.exchangeRate);
+    }
+
+    const xml = new (require('../src/services/XMLGenerator'))().generatePacs008XML(mappedData);
+    if (xml.includes('<XchgRate>0.625</XchgRate>') && !mappingEngine.isCrossCurrency({ ...xrplTx, SendMax: token })) {
+      console.log('✅ XchgRate reported');
+    } else {
+      console.log('❌ XchgRate missing');
+    }
+  } catch (error) {
+    console.error('❌ Cross-currency test failed:', error.message);
+  }
+}
+
+function testMemos() {
+  console.log('\n📝 Testing Memos...');
+
+  try {
+    const MappingEngine = require('../src/services/MappingEngine');
+    const mappingEngine = new MappingEngine();
+    const hex = (text) => Buffer.from(text, 'utf8').toString('hex').toUpperCase();
+    const xrplTransaction = {
+      hash: 'C'.repeat(64),
+      Account: 'rN7n7otQDd6FczFgLdSqtcsAUxDkw6fzRH',
+      Destination: 'rPT1Sjq2YGrBMTttX4GZHjKu9dyfzbpAYe',
+      Amount: { currency: 'HCT', issuer: 'rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh', value: '10' },
+      DestinationTag: 42,
+      Memos: [
+        { Memo: { MemoData: hex('Rent March'), MemoFormat: hex('text/plain') } },
+        { Memo: { MemoData: hex('RF18 5390 0754 7034') } },
+        { Memo: { MemoData: hex('{"endToEndId":"E2E-1","invoiceReference":["INV-1"]}'), MemoFormat: hex('application/json') } },
+        { Memo: { MemoType: hex('inv'), MemoData: hex('INV-2') } }
+      ]
+    };
+    const rules = { fields: {}, memos: { types: { inv: 'invoiceReference' } } };
+
+    const mappedData = mappingEngine.mapXRPLToISO20022(xrplTransaction, 'pacs.008', { rules });
+    const { unstructured, structured } = mappedData.remittanceInformation;
+    if (unstructured === 'Rent March' && mappedData.endToEndId === 'E2E-1' &&
+        structured.creditorReference.reference === 'RF18539007547034' &&
+        structured.referredDocuments.join() === 'INV-1,INV-2' &&
+        mappedData.creditorAccount.proxy.identification === '42') {
+      console.log('✅ All memos and the DestinationTag mapped');
+    } else {
+      console.log('❌ Unexpected memo mapping:', mappedData.remittanceInformation, mappedData.endToEndId);
+    }
+
+    const xml = new (require('../src/services/XMLGenerator'))().generatePacs008XML(mappedData);
+    const errors = mappingEngine.validateProfile({ fields: {}, memos: { types: { inv: 'unknown' } } });
+    if (xml.includes('<Ref>RF18539007547034</Ref>') && xml.includes('<Prtry>DestinationTag</Prtry>') &&
+        !mappingEngine.memoService.isCreditorReference('RF19539007547034') && errors.length === 1) {
+      console.log('✅ Strd and Prxy reported');
+    } else {
+      console.log('❌ Strd or Prxy missing', errors);
+    }
+  } catch (error) {
+    console.error('❌ Memo test failed:', error.message);
   }
 }
 
@@ -128,6 +1104,7 @@ function testXMLGeneration() {
   console.log('\n📄 Testing XML Generation...');
   
   const XMLGenerator = require('../src/services/XMLGenerator');
+  const MappingEngine = require('../src/services/MappingEngine');
   const xmlGenerator = new XMLGenerator();
   
   const mockMappedData = {
@@ -135,9 +1112,14 @@ function testXMLGeneration() {
     creationDateTime: new Date().toISOString(),
     numberOfTransactions: '1',
     controlSum: '100.00',
+    instructedSum: '100.00',
     instructionId: 'INST-001',
     endToEndId: 'E2E-001',
     transactionId: 'TXN-001',
+    settlementAmount: {
+      currency: 'HCT',
+      value: '100.00'
+    },
     instructedAmount: {
       currency: 'HCT',
       value: '100.00'
@@ -170,20 +1152,375 @@ function testXMLGeneration() {
     console.log('✅ pacs.008 XML generation working');
     console.log('   XML length:', pacs008XML.length, 'characters');
     
+    const appHdrData = new MappingEngine().mapAppHdr(pacs008XML, { fromBic: 'HCTMUS33', toBic: 'BANKGB2L' });
+    const envelopeXML = xmlGenerator.wrapWithAppHdr(pacs008XML, appHdrData);
+    console.log('✅ head.001 AppHdr envelope working');
+    console.log('   XML length:', envelopeXML.length, 'characters');
+
+    const tenantXML = xmlGenerator.generatePacs008XML({
+      ...mockMappedData,
+      instructingAgentBic: 'HCTMUS33',
+      instructedAgentBic: 'BANKGB2L'
+    });
+    if (tenantXML.includes('<BICFI>HCTMUS33</BICFI>') && tenantXML.includes('<BICFI>BANKGB2L</BICFI>')) {
+      console.log('✅ Tenant InstgAgt/InstdAgt BICs working');
+    } else {
+      console.log('❌ Tenant InstgAgt/InstdAgt BICs missing');
+    }
+
     const pain001XML = xmlGenerator.generatePain001XML(mockMappedData);
     console.log('✅ pain.001 XML generation working');
     console.log('   XML length:', pain001XML.length, 'characters');
+
+    const batchData = new MappingEngine().mapBatch([
+      mockMappedData,
+      { ...mockMappedData, endToEndId: 'E2E-002', transactionId: 'TXN-002' },
+      {
+        ...mockMappedData,
+        endToEndId: 'E2E-003',
+        transactionId: 'TXN-003',
+        debtor: { name: 'Other Debtor', identification: 'rOtherDebtor789' },
+        debtorAccount: { identification: 'rOtherDebtor789', currency: 'HCT' }
+      }
+    ]);
+    const batchPacs008XML = xmlGenerator.generatePacs008XML(batchData);
+    const batchPain001XML = xmlGenerator.generatePain001XML(batchData);
+    console.log('✅ Batch XML generation working');
+    console.log('   NbOfTxs:', batchData.numberOfTransactions, 'CtrlSum:', batchData.controlSum,
+      'PmtInf blocks:', batchData.paymentInformation.length);
+    console.log('   XML length:', batchPacs008XML.length, '/', batchPain001XML.length, 'characters');
+
+    const pacs002XML = xmlGenerator.generatePacs002XML({
+      messageId: 'TEST-STS-001',
+      creationDateTime: new Date().toISOString(),
+      originalMessageId: mockMappedData.messageId,
+      originalMessageNameId: 'pacs.008.001.08',
+      originalInstructionId: mockMappedData.instructionId,
+      originalEndToEndId: mockMappedData.endToEndId,
+      originalTransactionId: mockMappedData.transactionId,
+      transactionStatus: 'RJCT',
+      statusReason: { code: 'AM04', additionalInformation: 'XRPL result tecUNFUNDED_PAYMENT' },
+      settlementAmount: mockMappedData.settlementAmount
+    });
+    console.log('✅ pacs.002 XML generation working');
+    console.log('   XML length:', pacs002XML.length, 'characters');
+
+    const instructionData = new MappingEngine().mapInstruction(batchPain001XML);
+    const pain002XML = xmlGenerator.generatePain002XML(new MappingEngine().mapInstructionStatus({
+      ...instructionData,
+      status: 'partial',
+      payments: instructionData.payments.map((payment, index) => ({
+        ...payment,
+        txHash: `TXN-00${index + 1}`,
+        validated: true,
+        engineResult: index === 0 ? 'tecPATH_DRY' : 'tesSUCCESS'
+      }))
+    }));
+    console.log('✅ pain.001 parsing and pain.002 XML generation working');
+    console.log('   Payments parsed:', instructionData.payments.length);
+    console.log('   XML length:', pain002XML.length, 'characters');
+
+    const pacs004XML = xmlGenerator.generatePacs004XML(new MappingEngine().mapPaymentReturn({
+      xrplTxHash: 'ORIGINALTXN001',
+      messageId: 'TEST-MSG-000',
+      messageType: 'pacs.008',
+      amount: '100.00',
+      currency: 'HCT'
+    }, mockMappedData, 'CUST'));
+    console.log('✅ pacs.004 XML generation working');
+    console.log('   XML length:', pacs004XML.length, 'characters');
+
+    const statementData = new MappingEngine().mapAccountStatement({
+      address: 'rTestCreditor456',
+      currency: 'HCT',
+      from: new Date('2024-01-01T00:00:00Z'),
+      to: new Date('2024-01-02T00:00:00Z'),
+      openingBalance: '0',
+      closingBalance: '100',
+      transactions: [{
+        xrplTxHash: 'E3FE6EA3D48F0C2B639448020EA4F03D4F4F8FFDB243A852A0F59177921B4879',
+        fromAddress: 'rTestDebtor123',
+        toAddress: 'rTestCreditor456',
+        amount: '100.00',
+        memo: 'Test payment',
+        createdAt: new Date('2024-01-01T12:00:00Z')
+      }]
+    });
+    const camt053XML = xmlGenerator.generateCamt053XML(statementData);
+    if (camt053XML.includes('<TxId>E3FE6EA3D48F0C2B639448020EA4F03D4F4</TxId>') &&
+        camt053XML.includes('<Hash>E3FE6EA3D48F0C2B639448020EA4F03D4F4F8FFDB243A852A0F59177921B4879</Hash>')) {
+      console.log('✅ camt.053 XML generation working');
+    } else {
+      console.log('❌ camt.053 TxId longer than 35 characters');
+    }
+    console.log('   XML length:', camt053XML.length, 'characters');
+
+    const notificationData = new MappingEngine().mapDebitCreditNotification(mockMappedData, ['rTestCreditor456']);
+    const camt054XML = xmlGenerator.generateCamt054XML(notificationData);
+    console.log('✅ camt.054 XML generation working');
+    console.log('   XML length:', camt054XML.length, 'characters');
+
+    // TxId and OrgnlTxId are Max35Text, too short for an XRPL hash
+    const hash = 'E3FE6EA3D48F0C2B639448020EA4F03D4F4F8FFDB243A852A0F59177921B4879';
+    const hashedXML = xmlGenerator.generatePacs008XML({ ...mockMappedData, transactionId: hash.slice(0, 35), xrplTxHash: hash });
+    const statusXML = xmlGenerator.generatePacs002XML(new MappingEngine().mapStatusReport({
+      xrplTxHash: hash,
+      messageId: 'TEST-MSG-001',
+      amount: '100.00',
+      currency: 'HCT',
+      rawTransaction: { validated: true, meta: { TransactionResult: 'tesSUCCESS' } }
+    }));
+    if (hashedXML.includes(`<TxId>${hash.slice(0, 35)}</TxId>`) && hashedXML.includes(`<Hash>${hash}</Hash>`) &&
+        statusXML.includes(`<OrgnlTxId>${hash.slice(0, 35)}</OrgnlTxId>`) && statusXML.includes(`<Hash>${hash}</Hash>`)) {
+      console.log('✅ XRPL hash kept in SplmtryData, TxId within 35 characters');
+    } else {
+      console.log('❌ XRPL hash not carried as expected');
+    }
   } catch (error) {
     console.error('❌ XML generation failed:', error.message);
   }
 }
 
+// A pacs.008 as a detected XRPL token payment maps it, with memos, a
+// DestinationTag and no registered parties
+function pacs008Data() {
+  const MappingEngine = require('../src/services/MappingEngine');
+  const hex = (text) => Buffer.from(text, 'utf8').toString('hex').toUpperCase();
+  const token = { currency: 'HCT', issuer: 'rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh', value: '10' };
+  return new MappingEngine().mapXRPLToISO20022({
+    hash: 'E3FE6EA3D48F0C2B639448020EA4F03D4F4F8FFDB243A852A0F59177921B4879',
+    TransactionType: 'Payment',
+    Account: 'rN7n7otQDd6FczFgLdSqtcsAUxDkw6fzRH',
+    Destination: 'rPT1Sjq2YGrBMTttX4GZHjKu9dyfzbpAYe',
+    Amount: token,
+    DestinationTag: 42,
+    date: 750000000,
+    Memos: [
+      { Memo: { MemoData: hex('Rent March') } },
+      { Memo: { MemoData: hex('RF18 5390 0754 7034') } }
+    ],
+    meta: { TransactionResult: 'tesSUCCESS', delivered_amount: token }
+  }, 'pacs.008', { currency: 'XXX' });
+}
+
+// The part of the pacs.008.001.08 schema the generator uses. Element
+// names, order, cardinality and the identifier lengths follow the official
+// XSD; content it never emits is left out.
+function pacs008Schema(namespace) {
+  const max35 = '<xs:simpleType name="Max35Text"><xs:restriction base="xs:string"><xs:minLength value="1"/><xs:maxLength value="35"/></xs:restriction></xs:simpleType>';
+  const sequence = (name, elements) => `<xs:complexType name="${name}"><xs:sequence>${elements.map(([element, type, min = 1, max = 1]) =>
+    `<xs:element name="${element}" type="${type}" minOccurs="${min}" maxOccurs="${max}"/>`).join('')}</xs:sequence></xs:complexType>`;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns="${namespace}" targetNamespace="${namespace}" elementFormDefault="qualified">`,
+    '<xs:element name="Document" type="Document"/>',
+    max35,
+    '<xs:simpleType name="Max34Text"><xs:restriction base="xs:string"><xs:minLength value="1"/><xs:maxLength value="34"/></xs:restriction></xs:simpleType>',
+    '<xs:simpleType name="Max140Text"><xs:restriction base="xs:string"><xs:minLength value="1"/><xs:maxLength value="140"/></xs:restriction></xs:simpleType>',
+    '<xs:simpleType name="Max15NumericText"><xs:restriction base="xs:string"><xs:pattern value="[0-9]{1,15}"/></xs:restriction></xs:simpleType>',
+    '<xs:simpleType name="SettlementMethod1Code"><xs:restriction base="xs:string"><xs:enumeration value="INDA"/><xs:enumeration value="INGA"/><xs:enumeration value="COVE"/><xs:enumeration value="CLRG"/></xs:restriction></xs:simpleType>',
+    '<xs:simpleType name="ChargeBearerType1Code"><xs:restriction base="xs:string"><xs:enumeration value="DEBT"/><xs:enumeration value="CRED"/><xs:enumeration value="SHAR"/><xs:enumeration value="SLEV"/></xs:restriction></xs:simpleType>',
+    '<xs:simpleType name="DecimalNumber"><xs:restriction base="xs:decimal"><xs:fractionDigits value="17"/><xs:totalDigits value="18"/></xs:restriction></xs:simpleType>',
+    '<xs:simpleType name="ActiveCurrencyAndAmount_SimpleType"><xs:restriction base="xs:decimal"><xs:minInclusive value="0"/><xs:fractionDigits value="5"/><xs:totalDigits value="18"/></xs:restriction></xs:simpleType>',
+    '<xs:complexType name="ActiveCurrencyAndAmount"><xs:simpleContent><xs:extension base="ActiveCurrencyAndAmount_SimpleType"><xs:attribute name="Ccy" use="required"><xs:simpleType><xs:restriction base="xs:string"><xs:pattern value="[A-Z]{3,3}"/></xs:restriction></xs:simpleType></xs:attribute></xs:extension></xs:simpleContent></xs:complexType>',
+    sequence('Document', [['FIToFICstmrCdtTrf', 'FIToFICustomerCreditTransferV08']]),
+    sequence('FIToFICustomerCreditTransferV08', [['GrpHdr', 'GroupHeader93'], ['CdtTrfTxInf', 'CreditTransferTransaction39', 1, 'unbounded']]),
+    sequence('GroupHeader93', [['MsgId', 'Max35Text'], ['CreDtTm', 'xs:dateTime'], ['NbOfTxs', 'Max15NumericText'], ['CtrlSum', 'DecimalNumber', 0],
+      ['SttlmInf', 'SettlementInstruction7'], ['InstgAgt', 'Agent', 0], ['InstdAgt', 'Agent', 0]]),
+    sequence('SettlementInstruction7', [['SttlmMtd', 'SettlementMethod1Code']]),
+    sequence('Agent', [['FinInstnId', 'FinancialInstitutionIdentification18']]),
+    sequence('FinancialInstitutionIdentification18', [['BICFI', 'xs:string', 0], ['Othr', 'GenericIdentification', 0]]),
+    sequence('GenericIdentification', [['Id', 'Max35Text']]),
+    sequence('CreditTransferTransaction39', [['PmtId', 'PaymentIdentification7'], ['IntrBkSttlmAmt', 'ActiveCurrencyAndAmount'],
+      ['InstdAmt', 'ActiveCurrencyAndAmount', 0], ['XchgRate', 'xs:decimal', 0], ['ChrgBr', 'ChargeBearerType1Code'],
+      ['Dbtr', 'PartyIdentification135'], ['DbtrAcct', 'CashAccount38', 0], ['DbtrAgt', 'Agent'], ['CdtrAgt', 'Agent'],
+      ['Cdtr', 'PartyIdentification135'], ['CdtrAcct', 'CashAccount38', 0], ['Purp', 'Purpose2Choice', 0],
+      ['RmtInf', 'RemittanceInformation16', 0], ['SplmtryData', 'SupplementaryData1', 0, 'unbounded']]),
+    sequence('PaymentIdentification7', [['InstrId', 'Max35Text', 0], ['EndToEndId', 'Max35Text'], ['TxId', 'Max35Text', 0]]),
+    sequence('PartyIdentification135', [['Nm', 'Max140Text', 0], ['Id', 'Party38Choice', 0]]),
+    sequence('Party38Choice', [['OrgId', 'OrganisationIdentification29']]),
+    sequence('OrganisationIdentification29', [['LEI', 'xs:string', 0], ['Othr', 'GenericIdentification', 0, 'unbounded']]),
+    sequence('CashAccount38', [['Id', 'AccountIdentification4Choice'], ['Prxy', 'ProxyAccountIdentification1', 0]]),
+    sequence('AccountIdentification4Choice', [['Othr', 'GenericAccountIdentification1']]),
+    sequence('GenericAccountIdentification1', [['Id', 'Max34Text']]),
+    sequence('ProxyAccountIdentification1', [['Tp', 'ProxyAccountType1Choice', 0], ['Id', 'xs:string']]),
+    sequence('ProxyAccountType1Choice', [['Prtry', 'Max35Text']]),
+    sequence('Purpose2Choice', [['Cd', 'xs:string']]),
+    sequence('RemittanceInformation16', [['Ustrd', 'Max140Text', 0, 'unbounded'], ['Strd', 'StructuredRemittanceInformation16', 0, 'unbounded']]),
+    sequence('StructuredRemittanceInformation16', [['CdtrRefInf', 'CreditorReferenceInformation2', 0]]),
+    sequence('CreditorReferenceInformation2', [['Tp', 'CreditorReferenceType2', 0], ['Ref', 'Max35Text', 0]]),
+    sequence('CreditorReferenceType2', [['CdOrPrtry', 'Purpose2Choice'], ['Issr', 'Max35Text', 0]]),
+    sequence('SupplementaryData1', [['Envlp', 'SupplementaryDataEnvelope1']]),
+    '<xs:complexType name="SupplementaryDataEnvelope1"><xs:sequence><xs:any namespace="##any" processContents="lax"/></xs:sequence></xs:complexType>',
+    '</xs:schema>'
+  ].join('\n');
+}
+
+// Test that envelopes are validated before they are handed out
+async function testEnvelopes() {
+  console.log('\n✉️ Testing AppHdr Envelopes...');
+
+  try {
+    const EnvelopeService = require('../src/services/EnvelopeService');
+    const XMLGenerator = require('../src/services/XMLGenerator');
+    const envelopeService = new EnvelopeService();
+    const documentXml = new XMLGenerator().generatePacs008XML(pacs008Data());
+    const options = { enabled: true, fromBic: 'HCTMUS33', toBic: 'BANKGB2L' };
+
+    const wrapped = await envelopeService.wrap(documentXml, options);
+    if (wrapped.includes('<BizMsgIdr>') && wrapped.includes('<MsgDefIdr>pacs.008.001.08</MsgDefIdr>') &&
+        await envelopeService.wrap(documentXml, { enabled: false }) === documentXml) {
+      console.log('✅ Valid envelope returned');
+    } else {
+      console.log('❌ Valid envelope not returned');
+    }
+
+    // A header breaking the head.001 rules is refused, not sent
+    const mapAppHdr = envelopeService.mappingEngine.mapAppHdr.bind(envelopeService.mappingEngine);
+    envelopeService.mappingEngine.mapAppHdr = (xml, settings) => ({
+      ...mapAppHdr(xml, settings),
+      businessMessageIdentifier: 'B'.repeat(40),
+      messageDefinitionIdentifier: 'pacs.002.001.10'
+    });
+    try {
+      await envelopeService.wrap(documentXml, options);
+      console.log('❌ Malformed envelope returned');
+    } catch (error) {
+      if (error.status === 422 && error.message.includes('BizMsgIdr exceeds') && error.message.includes('does not match Document namespace')) {
+        console.log('✅ Malformed envelope refused with 422');
+      } else {
+        console.log('❌ Malformed envelope refused for the wrong reason:', error.message);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Envelope test failed:', error.message);
+  }
+}
+
+async function testSchemaValidation() {
+  console.log('\n📐 Testing XSD schema validation...');
+
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const SchemaValidator = require('../src/services/SchemaValidator');
+  const ValidationService = require('../src/services/ValidationService');
+  const namespace = 'urn:iso:std:iso:20022:tech:xsd:pacs.008.001.08';
+
+  try {
+    const schemas = new SchemaValidator().listSchemas();
+    console.log(`✅ ${schemas.length} XSD schema(s) registered`);
+
+    // A message without its XSD is flagged, not failed
+    const validationService = new ValidationService();
+    validationService.schemaValidator = new SchemaValidator(path.join(os.tmpdir(), 'hct-no-schemas'));
+    const unchecked = await validationService.validateXML(
+      new (require('../src/services/XMLGenerator'))().generatePacs008XML(pacs008Data())
+    );
+    if (unchecked.isValid && unchecked.xsdChecked === false &&
+        unchecked.warnings.some(warning => warning.startsWith(`Not XSD-checked: no schema registered for ${namespace}`))) {
+      console.log('✅ Messages without a registered XSD flagged as not XSD-checked');
+    } else {
+      console.log('❌ Message without a registered XSD not flagged:', unchecked.errors, unchecked.warnings);
+    }
+
+    // A generated pacs.008 against the pacs.008.001.08 structure it uses:
+    // element order, mandatory elements and the Max35Text identifiers as
+    // in the official schema, with the rest of its content model left out
+    const generatedDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hct-xsd-'));
+    fs.writeFileSync(path.join(generatedDir, 'pacs.008.001.08.xsd'), pacs008Schema(namespace));
+    const generated = await new SchemaValidator(generatedDir).validate(
+      new (require('../src/services/XMLGenerator'))().generatePacs008XML(pacs008Data())
+    );
+    fs.rmSync(generatedDir, { recursive: true, force: true });
+    if (generated.valid && generated.schemas.length === 1) {
+      console.log('✅ Generated pacs.008 valid against its schema');
+    } else {
+      console.log('❌ Generated pacs.008 invalid:', generated.errors);
+    }
+
+    // And against the official XSD, once it is installed in src/schemas
+    const installed = new SchemaValidator();
+    if (installed.getSchema(namespace)) {
+      const official = await installed.validate(
+        new (require('../src/services/XMLGenerator'))().generatePacs008XML(pacs008Data())
+      );
+      if (official.valid) {
+        console.log('✅ Generated pacs.008 valid against the official XSD');
+      } else {
+        console.log('❌ Generated pacs.008 invalid against the official XSD:', official.errors);
+      }
+    }
+
+    // Element order is enforced, with the error located by XPath, line and
+    // column. The schema is a cut-down GrpHdr, not the official pacs.008.
+    const schemaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hct-xsd-'));
+    fs.writeFileSync(path.join(schemaDir, 'pacs.008.001.08.xsd'), [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<xs:schema xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns="${namespace}" targetNamespace="${namespace}" elementFormDefault="qualified">`,
+      '  <xs:element name="Document"><xs:complexType><xs:sequence>',
+      '    <xs:element name="FIToFICstmrCdtTrf"><xs:complexType><xs:sequence>',
+      '      <xs:element name="GrpHdr"><xs:complexType><xs:sequence>',
+      '        <xs:element name="MsgId" type="xs:string"/>',
+      '        <xs:element name="CreDtTm" type="xs:dateTime"/>',
+      '        <xs:element name="NbOfTxs" type="xs:string"/>',
+      '      </xs:sequence></xs:complexType></xs:element>',
+      '    </xs:sequence></xs:complexType></xs:element>',
+      '  </xs:sequence></xs:complexType></xs:element>',
+      '</xs:schema>'
+    ].join('\n'));
+
+    const result = await new SchemaValidator(schemaDir).validate([
+      '<?xml version="1.0"?>',
+      `<Document xmlns="${namespace}">`,
+      '  <FIToFICstmrCdtTrf>',
+      '    <GrpHdr>',
+      '      <MsgId>MSG1</MsgId>',
+      '      <NbOfTxs>1</NbOfTxs>',
+      '      <CreDtTm>2024-01-01T00:00:00Z</CreDtTm>',
+      '    </GrpHdr>',
+      '  </FIToFICstmrCdtTrf>',
+      '</Document>'
+    ].join('\n'));
+    fs.rmSync(schemaDir, { recursive: true, force: true });
+
+    const error = result.errors[0] || {};
+    if (!result.valid && error.xpath === '/Document/FIToFICstmrCdtTrf/GrpHdr/NbOfTxs' &&
+        error.line === 6 && error.column === 7) {
+      console.log('✅ Wrong element order rejected with XPath, line and column');
+    } else {
+      console.log('❌ Wrong element order not reported as expected:', result.errors);
+    }
+  } catch (error) {
+    console.error('❌ Schema validation failed:', error.message);
+  }
+}
+
 // Run tests
 if (require.main === module) {
   testComponents()
-    .then(() => {
-      testApiKeyFunctionality();
+    .then(async () => {
+      await testStreaming();
+      await testBackfill();
+      await testApiKeyFunctionality();
+      await testPermissions();
+      await testStatementScope();
+      await testTenantUpdates();
+      testWebhooks();
+      await testJobQueue();
+      testLifecycle();
+      await testInstructionStatus();
+      testMessageVersions();
+      testMappingProfiles();
+      testPartyRegistry();
+      testAmounts();
+      testCurrencies();
+      testPartialPayments();
+      testCrossCurrency();
+      testMemos();
       testXMLGeneration();
+      await testSchemaValidation();
+      await testEnvelopes();
       console.log('\n🚀 Ready to start the application!');
       console.log('💡 Run: npm start');
     })
@@ -195,6 +1532,25 @@ if (require.main === module) {
 
 module.exports = {
   testComponents,
+  testStreaming,
+  testBackfill,
   testApiKeyFunctionality,
-  testXMLGeneration
+  testPermissions,
+  testStatementScope,
+  testTenantUpdates,
+  testWebhooks,
+  testJobQueue,
+  testLifecycle,
+  testInstructionStatus,
+  testMessageVersions,
+  testMappingProfiles,
+  testPartyRegistry,
+  testAmounts,
+  testCurrencies,
+  testPartialPayments,
+  testCrossCurrency,
+  testMemos,
+  testXMLGeneration,
+  testSchemaValidation,
+  testEnvelopes
 };
\ No newline at end of file